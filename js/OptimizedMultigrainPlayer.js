@@ -2,9 +2,11 @@
 import { ResourceManager } from './utils/resourceManager.js';
 import { Logger } from './utils/logger.js';
 import { WinAMPSpectrumAnalyzer } from './audio/WinAMPSpectrumAnalyzer.js';
-import { OptimizedGrainVoiceManager } from './audio/OptimizedGrainVoiceManager.js';
+import { OptimizedGrainVoiceManager, GRAIN_ENGINES } from './audio/OptimizedGrainVoiceManager.js';
+import { LookAheadScheduler } from './audio/LookAheadScheduler.js';
+import { triggerGrainBurst, selectTargetSlots, resolveStepParams, getRatchetBursts, getStepTimeOffset } from './audio/grainTrigger.js';
 import { PerformanceMonitor } from './ui/PerformanceMonitor.js';
-import { OptimizedWaveformRenderer } from './ui/OptimizedWaveformRenderer.js';
+import { OptimizedWaveformRenderer, WAVEFORM_DISPLAY_MODES } from './ui/OptimizedWaveformRenderer.js';
 import { UIBuilder } from './ui/UIBuilder.js';
 import { deepClone } from './utils/cloneUtils.js';
 import { loadAudioFile, validateAudioFile, trimSilence } from './utils/audioFileUtils.js';
@@ -12,11 +14,24 @@ import { generateRandomValue, throttle } from './utils/mathUtils.js';
 import { calculateNormalizedSensitivity } from './utils/knobUtils.js';
 import { DOMCache } from './utils/DOMCache.js';
 import { StateManager } from './utils/StateManager.js';
+import { RandomSource, RANDOM_STREAMS, generateSeed } from './utils/randomSource.js';
+import { TrigState, MAX_RATCHET_PITCH } from './utils/trigConditions.js';
+import { DEFAULT_PLAY_DIRECTION, createPlayhead, advancePlayhead } from './utils/playDirections.js';
+import { getStepDuration, getStepsPerBar, getStepGridMarks, formatTransportPosition } from './utils/timeSignatures.js';
+import { clampSlotCount, buildSlotModeOptions, resizeSlotArray, migrateControlState } from './utils/slotCount.js';
+import { FULL_REGION, normalizeRegion, hitTestRegionHandle, dragRegion } from './utils/loopRegion.js';
+import { DEFAULT_PREPROCESS_SETTINGS, normalizePreprocessSettings } from './utils/samplePreprocess.js';
+import { SampleEditHistory, MAX_EDIT_PITCH, changesSampleLength } from './utils/sampleEdits.js';
+import { MAX_SLICE_MARKERS, detectOnsets, normalizeSliceMarkers, getSliceCount, getSliceRegion, hitTestSliceMarker, moveSliceMarker } from './utils/sliceMarkers.js';
 import { SequencerController } from './controllers/SequencerController.js';
 import { LayoutManager } from './controllers/LayoutManager.js';
 import { ParameterController } from './controllers/ParameterController.js';
 import { KeyboardController } from './controllers/KeyboardController.js';
 import { FileLoaderController } from './controllers/FileLoaderController.js';
+import { ExportController } from './controllers/ExportController.js';
+import { RecordingController } from './controllers/RecordingController.js';
+import { SongController } from './controllers/SongController.js';
+import { formatPatternName } from './utils/patternUtils.js';
 
 // Constants
 const CONSTANTS = {
@@ -63,6 +78,11 @@ const CONSTANTS = {
     LED_YELLOW_THRESHOLD: 0.83,
     LED_ORANGE_THRESHOLD: 0.93,
     LED_SEGMENT_COUNT: 30,
+
+    // Waveform loop region
+    REGION_HANDLE_GRAB_PX: 6,
+    REGION_DRAG_THRESHOLD_PX: 4,
+    WAVEFORM_ZOOM_STEP: 1.25,
     
     // Scale Constants
     SCALE_PEAK_HOLD_DECAY: 0.95,
@@ -76,8 +96,6 @@ const CONSTANTS = {
     // Audio Constants
     MAX_VOICE_COUNT: 128,
     DEFAULT_BPM: 120,
-    MAX_GRAINS_PER_STEP: 20,
-    POSITION_RANDOM_OFFSET: 0.05,
 
     // File Loading
     CONCURRENT_FILE_LOAD_LIMIT: 4,
@@ -88,6 +106,7 @@ export class OptimizedMultigrainPlayer {
             try {
                 this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
                 this.grainVoiceManager = new OptimizedGrainVoiceManager(this.audioContext, CONSTANTS.MAX_VOICE_COUNT);
+                this.randomSource = new RandomSource();
                 this.performanceMonitor = new PerformanceMonitor();
                 this.spectrumAnalyzer = null;
                 this.resourceManager = new ResourceManager();
@@ -98,11 +117,17 @@ export class OptimizedMultigrainPlayer {
                 this.parameterController = null; // Initialize after config
                 this.keyboardController = null; // Initialize after config
                 this.fileLoaderController = null; // Initialize after config
+                this.exportController = null; // Initialize after config
+                this.recordingController = null; // Initialize after config
+                this.sequencerScheduler = null; // Initialize after config
             
             this.config = {
                 SLOTS: 4,
                 SEQUENCER_STEPS: 16,
-                GRANULAR_INTERVAL_DIVISOR: 4,
+                MIN_PATTERN_LENGTH: 1,
+                MAX_PATTERN_LENGTH: 64,
+                PATTERN_BANKS: 4,
+                PATTERNS_PER_BANK: 16,
                 WAVEFORM_CANVAS_WIDTH: 250,
                 WAVEFORM_CANVAS_HEIGHT: 100,
                 MIN_BPM: 40,
@@ -121,35 +146,62 @@ export class OptimizedMultigrainPlayer {
                   { label: 'Env Shape:', type: 'knob', id: 'envelopeShape', min: 0, max: 7, value: 0, step: 1 },
                   { label: 'G Size (ms):', type: 'knob', id: 'grainSize', min: 10, max: 1000, value: 350, step: 10 },
                   { label: 'G PerStep:', type: 'knob', id: 'grainsPerStep', min: 1, max: 50, value: 10, step: 1 },
-                  { label: 'G Voices:', type: 'knob', id: 'grainVoices', min: 1, max: 8, value: 4, step: 1 },
+                  { label: 'G Voices:', type: 'knob', id: 'grainVoices', min: 1, max: 8, value: 1, step: 1 },
+                  { label: 'V Detune (ct):', type: 'knob', id: 'voiceDetune', min: 0, max: 100, value: 10, step: 1 },
+                  { label: 'V Interval:', type: 'knob', id: 'voiceInterval', min: 0, max: 5, value: 0, step: 1 },
+                  { label: 'V Spread:', type: 'knob', id: 'voiceSpread', min: 0, max: 1, step: 0.01, value: 0.5 },
                   { label: 'LFO WF:', type: 'knob', id: 'lfoWaveform', min: 0, max: 3, value: 0, step: 1 },
                   { label: 'LFO Rate (Hz):', type: 'knob', id: 'lfoRate', min: 0.1, max: 5.0, step: 0.01, value: 0.5 },
                   { label: 'Spread:', type: 'knob', id: 'spread', min: 0, max: 100, value: 0, step: 1 },
                   { label: 'Pan:', type: 'knob', id: 'panControl', min: -1, max: 1, step: 0.01, value: 0 },
                   { label: 'Pan Random:', type: 'knob', id: 'panRandom', min: 0, max: 0.5, step: 0.01, value: 0.1 },
-                  { label: 'Volume:', type: 'knob', id: 'volume', min: 0, max: 1.0, step: 0.01, value: 0.7 }
+                  { label: 'Volume:', type: 'knob', id: 'volume', min: 0, max: 1.0, step: 0.01, value: 0.7 },
+                  { label: 'Timing (%):', type: 'knob', id: 'timingOffset', min: -50, max: 50, value: 0, step: 1 },
+                  { label: 'Channel:', type: 'knob', id: 'channelMode', min: 0, max: 3, value: 0, step: 1 }
                 ],
                 GLOBAL_CONTROL_SPECS: [
                   {
                     label: 'Slot Mode:', type: 'select', id: 'slotMode',
-                    options: ['Fixed (Slot 1)', 'Fixed (Slot 2)', 'Fixed (Slot 3)', 'Fixed (Slot 4)', 'All', 'Random'], selected: 4
+                    options: [], selected: 0 // filled from SLOTS by _syncSlotModeSpec
                   },
+                  { label: 'Swing (%):', type: 'knob', id: 'swing', min: 50, max: 75, value: 50, step: 1, tooltip: '偶数ステップを遅らせるスウィング量 (50 = ストレート)' },
+                  { label: 'Humanize (ms):', type: 'knob', id: 'humanize', min: 0, max: 40, value: 0, step: 1, tooltip: '発音タイミングをランダムにずらす幅' },
                 ],
                 RANDOM_DENSITY_SPEC: { label: 'RND SEQ Density:', type: 'knob', id: 'randomDensity', min: 0, max: 100, value: 50, tooltip: 'ランダムシーケンス生成時のステップON確率' },
                 BPM_SPEC: { label: 'Tempo (BPM):', type: 'knob', id: 'bpm', min: 40, max: 240, value: 120, tooltip: 'シーケンサーのテンポ速度' },
             };
+            this._syncSlotModeSpec();
 
             this.state = {
                 audioBuffers: Array(this.config.SLOTS).fill(null),
+                sourceBuffers: Array(this.config.SLOTS).fill(null), // decoded files, audioBuffers are processed from these
+                preprocessSettings: Array.from({ length: this.config.SLOTS }, () => ({ ...DEFAULT_PREPROCESS_SETTINGS })),
+                sampleEditHistories: Array.from({ length: this.config.SLOTS }, () => new SampleEditHistory()), // edits replayed after preprocessing
                 waveformRenderers: [],
-                sequencerPatterns: Array.from({ length: this.config.SLOTS }, () => Array(this.config.SEQUENCER_STEPS).fill(true)),
+                sequencerPatterns: Array.from({ length: this.config.SLOTS }, () => Array(this.config.MAX_PATTERN_LENGTH).fill(true)),
+                patternLengths: Array(this.config.SLOTS).fill(this.config.SEQUENCER_STEPS),
+                parameterLocks: Array.from({ length: this.config.SLOTS }, () => Array(this.config.MAX_PATTERN_LENGTH).fill(null)),
+                stepTrigs: Array.from({ length: this.config.SLOTS }, () => Array(this.config.MAX_PATTERN_LENGTH).fill(null)),
+                heldStep: null, // { slot, step, latched, pointerId, didLock } while a step is held for parameter locks
+                suppressStepClick: false,
                 slotSoloStatus: Array(this.config.SLOTS).fill(false),
                 slotMuteStatus: Array(this.config.SLOTS).fill(false),
                 previewSources: Array(this.config.SLOTS).fill(null),
+                loopRegions: Array.from({ length: this.config.SLOTS }, () => ({ ...FULL_REGION })), // grain window per slot (fractions of the sample)
+                regionDrag: null, // { slot, handle, anchor, region } while a loop region is dragged on a waveform
+                sliceMarkers: Array.from({ length: this.config.SLOTS }, () => []), // onset slice markers per slot (fractions of the sample)
+                sliceDrag: null, // { slot, index, moved } while a slice marker is dragged on a waveform
+                waveformScroll: null, // { slot, lastFraction } while a zoomed waveform is dragged sideways
+                waveformDisplayMode: WAVEFORM_DISPLAY_MODES.WAVEFORM,
                 isPlaying: false,
                 lfoStartTime: 0,
-                currentSequencerStep: 0,
-                sequencerIntervalId: null,
+                sequencerPlayheads: Array.from({ length: this.config.SLOTS }, () => createPlayhead(DEFAULT_PLAY_DIRECTION, this.config.SEQUENCER_STEPS)), // each slot runs its own playhead
+                sequencerLoopCounts: Array(this.config.SLOTS).fill(0),
+                transportStep: 0, // steps since playback started
+                transportBar: 0, // bars since playback started
+                barStep: 0, // step inside the current bar, bars start when it returns to 0
+                displayedBank: 0,
+                pendingStepUI: [],
                 tempoBpm: 120,
                 history: [],
                 historyIndex: -1,
@@ -179,8 +231,23 @@ export class OptimizedMultigrainPlayer {
         init() {
             try {
                 // Initialize controllers
-                this.sequencerController = new SequencerController(this.config, this.domCache);
+                this.sequencerController = new SequencerController(this.config, this.domCache, this.randomSource.stream(RANDOM_STREAMS.SEQUENCER));
                 this.sequencerController.initializePatterns(this.state.sequencerPatterns);
+                this.sequencerController.initializePatternLengths(this.state.patternLengths);
+                this.sequencerController.initializeParameterLocks(this.state.parameterLocks);
+                this.sequencerController.initializeStepTrigs(this.state.stepTrigs);
+                this.trigState = new TrigState(this.config.SLOTS);
+                this.songController = new SongController(this.config);
+
+                // Look-ahead scheduler drives the sequencer on the AudioContext clock
+                this.sequencerScheduler = new LookAheadScheduler(this.audioContext, this.resourceManager, {
+                    getStepDuration: () => this._getStepDurationSec(),
+                    onStep: (stepIndex, time) => this._sequencerTick(time),
+                    onTick: (now) => {
+                        this._flushStepUI(now);
+                        this._drawGrainActivity(now);
+                    }
+                });
 
                 this.layoutManager = new LayoutManager(this.resourceManager);
                 this.layoutManager.setFreeLayoutMode(this.state.isFreeLayoutMode);
@@ -195,11 +262,23 @@ export class OptimizedMultigrainPlayer {
                     {
                         updateKnobDisplay: this._updateKnobDisplay.bind(this),
                         saveCurrentState: this.saveCurrentState.bind(this),
+                        updateBpm: this._updateBpmKnob.bind(this),
+                        getLockTarget: (slot) => {
+                            const held = this.state.heldStep;
+                            return held && held.slot === slot ? held : null;
+                        },
+                        getParameterLock: (slot, step, paramId) => {
+                            const locks = this.sequencerController.getParameterLocks(slot, step);
+                            return locks ? locks[paramId] : undefined;
+                        },
+                        setParameterLock: this._setParameterLock.bind(this),
+                        clearParameterLock: this._clearParameterLock.bind(this),
                         randomizeSequencer: () => {
                             const density = this.parameterController.getKnobValue('randomDensity');
                             this.sequencerController.randomizeSequencer(density);
                         }
-                    }
+                    },
+                    this.randomSource.stream(RANDOM_STREAMS.PARAMETERS)
                 );
 
                 // Initialize KeyboardController
@@ -219,6 +298,8 @@ export class OptimizedMultigrainPlayer {
                         setSequencerStep: this._setSequencerStep.bind(this),
                         updateAllSlotControlButtons: this._updateAllSlotControlButtons.bind(this),
                         updateSlotControlButtons: this._updateSlotControlButtons.bind(this),
+                        onSelectionChange: this._refreshSelectionEditors.bind(this),
+                        transformSequencerRow: this._transformSelectedRow.bind(this),
                         saveCurrentState: this.saveCurrentState.bind(this)
                     }
                 );
@@ -232,7 +313,40 @@ export class OptimizedMultigrainPlayer {
                     {
                         saveCurrentState: this.saveCurrentState.bind(this),
                         showErrorNotification: this._showErrorNotification.bind(this),
-                        updateUI: () => {} // Can be extended if needed
+                        updateUI: () => {
+                            this._refreshSamplePrepEditor();
+                            this._refreshSampleEditor();
+                            this._refreshSliceEditor();
+                        },
+                        // Load paths save the state themselves once the sample is in
+                        clearSliceMarkers: (slot) => this._setSliceMarkers(slot, [], false)
+                    },
+                    this.randomSource.stream(RANDOM_STREAMS.FILE_LOAD)
+                );
+
+                // Initialize ExportController
+                this.exportController = new ExportController(
+                    this.config,
+                    this.domCache,
+                    this.audioContext,
+                    this.state,
+                    {
+                        getControlState: this._getControlState.bind(this),
+                        getSeed: () => this.randomSource.getSeed(),
+                        showErrorNotification: this._showErrorNotification.bind(this)
+                    }
+                );
+
+                // Initialize RecordingController
+                this.recordingController = new RecordingController(
+                    this.config,
+                    this.domCache,
+                    this.audioContext,
+                    this.state,
+                    {
+                        getRecordSource: () => this.grainVoiceManager.masterGain,
+                        assignBufferToSlot: (buffer, slot, name) => this.fileLoaderController.assignBufferToSlot(buffer, slot, name),
+                        showErrorNotification: this._showErrorNotification.bind(this)
                     }
                 );
 
@@ -241,6 +355,9 @@ export class OptimizedMultigrainPlayer {
                 this._bindEvents();
                 this._updateBpmKnob(this.state.tempoBpm);
                 this._updateRandomDensityKnob(this.config.RANDOM_DENSITY_SPEC.value);
+                this._updateSeedDisplay();
+                this._updatePatternBankUI();
+                this._renderSongEditor();
                 this._updateAllSlotControlButtons();
                 this.saveCurrentState();
 
@@ -279,7 +396,7 @@ export class OptimizedMultigrainPlayer {
             const updatePerformance = () => {
                 try {
                     const activeVoices = this.grainVoiceManager.getActiveVoiceCount();
-                    this.performanceMonitor.updateVoiceCount(activeVoices, CONSTANTS.MAX_VOICE_COUNT);
+                    this.performanceMonitor.updateVoiceCount(activeVoices, this.grainVoiceManager.getMaxVoices());
                     this.performanceMonitor.updateAudioState(this.audioContext.state);
                     this.resourceManager.requestAnimationFrame(updatePerformance);
                 } catch (error) {
@@ -319,18 +436,26 @@ export class OptimizedMultigrainPlayer {
 
             // Bind per-slot control knobs
             for (let slot = 0; slot < this.config.SLOTS; slot++) {
-                this.config.PER_SLOT_CONTROL_SPECS.forEach(spec => {
-                    if (spec.type === 'knob') {
-                        const elementId = `${spec.id}-slot${slot}`;
-                        this.resourceManager.setTimeout(() => {
-                            this._updateKnobDisplay(elementId, spec, spec.value);
-                            this.parameterController.bindKnobEvents(elementId, spec, slot);
-                        }, 0);
-                    }
-                });
+                this._bindSlotKnobEvents(slot);
             }
         }
 
+        /**
+         * Bind the control knobs of one slot
+         * @param {number} slot - Slot index
+         */
+        _bindSlotKnobEvents(slot) {
+            this.config.PER_SLOT_CONTROL_SPECS.forEach(spec => {
+                if (spec.type === 'knob') {
+                    const elementId = `${spec.id}-slot${slot}`;
+                    this.resourceManager.setTimeout(() => {
+                        this._updateKnobDisplay(elementId, spec, spec.value);
+                        this.parameterController.bindKnobEvents(elementId, spec, slot);
+                    }, 0);
+                }
+            });
+        }
+
         _updateKnobDisplay(elementId, spec, value) {
             const indicator = this.domCache.getElementById(`${elementId}Indicator`, true);
             const display = this.domCache.getElementById(`${elementId}ValueDisplay`, true);
@@ -382,10 +507,78 @@ export class OptimizedMultigrainPlayer {
                 loadingStatus: this.domCache.getElementById('loadingStatus'),
                 bpmKnob: this.domCache.getElementById('bpmKnob'),
                 randomDensityKnob: this.domCache.getElementById('randomDensityKnob'),
+                slotCountInput: this.domCache.getElementById('slotCountInput'),
                 loadPathButton: this.domCache.getElementById('loadPathButton'),
                 sequencerContainer: this.domCache.getElementById('sequencer-content'),
                 slotMatrix: this.domCache.getElementById('slotMatrix'),
                 togglePerfMonitor: this.domCache.getElementById('togglePerfMonitor'),
+                toggleEngineButton: this.domCache.getElementById('toggleEngineButton'),
+                waveformDisplayButton: this.domCache.getElementById('waveformDisplayButton'),
+                exportWavButton: this.domCache.getElementById('exportWavButton'),
+                exportStemsButton: this.domCache.getElementById('exportStemsButton'),
+                exportBarsInput: this.domCache.getElementById('exportBarsInput'),
+                exportBitDepthSelect: this.domCache.getElementById('exportBitDepthSelect'),
+                randomSeedInput: this.domCache.getElementById('randomSeedInput'),
+                stepTrigTarget: this.domCache.getElementById('stepTrigTarget'),
+                stepProbInput: this.domCache.getElementById('stepProbInput'),
+                stepVelInput: this.domCache.getElementById('stepVelInput'),
+                stepCondSelect: this.domCache.getElementById('stepCondSelect'),
+                stepRatchetSelect: this.domCache.getElementById('stepRatchetSelect'),
+                stepRatchetVolSelect: this.domCache.getElementById('stepRatchetVolSelect'),
+                stepRatchetPitchInput: this.domCache.getElementById('stepRatchetPitchInput'),
+                stepSliceInput: this.domCache.getElementById('stepSliceInput'),
+                timeSignatureSelect: this.domCache.getElementById('timeSignatureSelect'),
+                stepResolutionSelect: this.domCache.getElementById('stepResolutionSelect'),
+                transportPosition: this.domCache.getElementById('transportPosition'),
+                newSeedButton: this.domCache.getElementById('newSeedButton'),
+                exportLoopCheckbox: this.domCache.getElementById('exportLoopCheckbox'),
+                recordButton: this.domCache.getElementById('recordButton'),
+                saveTakeButton: this.domCache.getElementById('saveTakeButton'),
+                takeToSlotButton: this.domCache.getElementById('takeToSlotButton'),
+                recordSlotSelect: this.domCache.getElementById('recordSlotSelect'),
+                patternBankSelect: this.domCache.getElementById('patternBankSelect'),
+                patternButtons: this.domCache.getElementById('patternButtons'),
+                patternStatus: this.domCache.getElementById('patternStatus'),
+                songModeButton: this.domCache.getElementById('songModeButton'),
+                addSongRowButton: this.domCache.getElementById('addSongRowButton'),
+                songRows: this.domCache.getElementById('songRows'),
+                generatorTarget: this.domCache.getElementById('generatorTarget'),
+                samplePrepTarget: this.domCache.getElementById('samplePrepTarget'),
+                prepTrimCheckbox: this.domCache.getElementById('prepTrimCheckbox'),
+                prepTrimThresholdInput: this.domCache.getElementById('prepTrimThresholdInput'),
+                prepPreRollInput: this.domCache.getElementById('prepPreRollInput'),
+                prepNormalizeSelect: this.domCache.getElementById('prepNormalizeSelect'),
+                prepTargetInput: this.domCache.getElementById('prepTargetInput'),
+                prepDcCheckbox: this.domCache.getElementById('prepDcCheckbox'),
+                prepFadeInInput: this.domCache.getElementById('prepFadeInInput'),
+                prepFadeOutInput: this.domCache.getElementById('prepFadeOutInput'),
+                prepResampleCheckbox: this.domCache.getElementById('prepResampleCheckbox'),
+                prepMonoCheckbox: this.domCache.getElementById('prepMonoCheckbox'),
+                reprocessSlotButton: this.domCache.getElementById('reprocessSlotButton'),
+                sampleEditTarget: this.domCache.getElementById('sampleEditTarget'),
+                sampleEditButtons: this.domCache.getElementById('sampleEditButtons'),
+                sampleEditPitchInput: this.domCache.getElementById('sampleEditPitchInput'),
+                sampleEditUndoButton: this.domCache.getElementById('sampleEditUndoButton'),
+                sampleEditRedoButton: this.domCache.getElementById('sampleEditRedoButton'),
+                sliceTarget: this.domCache.getElementById('sliceTarget'),
+                sliceSensitivityInput: this.domCache.getElementById('sliceSensitivityInput'),
+                sliceGapInput: this.domCache.getElementById('sliceGapInput'),
+                detectSlicesButton: this.domCache.getElementById('detectSlicesButton'),
+                mapSlicesButton: this.domCache.getElementById('mapSlicesButton'),
+                clearSlicesButton: this.domCache.getElementById('clearSlicesButton'),
+                generatorTypeSelect: this.domCache.getElementById('generatorTypeSelect'),
+                genEuclidHits: this.domCache.getElementById('genEuclidHits'),
+                genEuclidSteps: this.domCache.getElementById('genEuclidSteps'),
+                genEuclidRotation: this.domCache.getElementById('genEuclidRotation'),
+                genGridsX: this.domCache.getElementById('genGridsX'),
+                genGridsY: this.domCache.getElementById('genGridsY'),
+                genGridsDensity: this.domCache.getElementById('genGridsDensity'),
+                genGridsPart: this.domCache.getElementById('genGridsPart'),
+                genCaRule: this.domCache.getElementById('genCaRule'),
+                genCaEvolve: this.domCache.getElementById('genCaEvolve'),
+                genMarkovOrder: this.domCache.getElementById('genMarkovOrder'),
+                generateButton: this.domCache.getElementById('generateButton'),
+                sequencerContextMenu: this.domCache.getElementById('sequencerContextMenu'),
             };
 
             this.resourceManager.addEventListener(this.ui.startGranular, 'click', () => this.startGranularPlayback());
@@ -405,6 +598,53 @@ export class OptimizedMultigrainPlayer {
             this.resourceManager.addEventListener(this.ui.togglePerfMonitor, 'click', () => {
                 this._safeExecute(() => this.performanceMonitor.toggle(), 'Performance Monitor toggle');
             });
+            this.resourceManager.addEventListener(this.ui.toggleEngineButton, 'click', () => this.toggleGrainEngine());
+            this.resourceManager.addEventListener(this.ui.waveformDisplayButton, 'click', () => this.toggleWaveformDisplay());
+            this.resourceManager.addEventListener(this.ui.exportWavButton, 'click', () => this.exportController.exportMixdown(this.ui));
+            this.resourceManager.addEventListener(this.ui.exportStemsButton, 'click', () => this.exportController.exportStems(this.ui));
+            this.resourceManager.addEventListener(this.ui.randomSeedInput, 'change', () => this.setRandomSeed(parseInt(this.ui.randomSeedInput.value)));
+            this.resourceManager.addEventListener(this.ui.stepProbInput, 'change', () => {
+                const probability = Math.max(0, Math.min(100, Math.round(+this.ui.stepProbInput.value || 0)));
+                this._applyStepTrigEdit({ probability });
+            });
+            this.resourceManager.addEventListener(this.ui.stepVelInput, 'change', () => {
+                const velocity = Math.max(0, Math.min(100, Math.round(+this.ui.stepVelInput.value || 0)));
+                this._applyStepTrigEdit({ velocity });
+            });
+            this.resourceManager.addEventListener(this.ui.stepCondSelect, 'change', () => this._applyStepTrigEdit({ condition: this.ui.stepCondSelect.value }));
+            this.resourceManager.addEventListener(this.ui.timeSignatureSelect, 'change', () => this._setMeter({ timeSignature: this.ui.timeSignatureSelect.value }));
+            this.resourceManager.addEventListener(this.ui.stepResolutionSelect, 'change', () => this._setMeter({ resolution: this.ui.stepResolutionSelect.value }));
+            this.resourceManager.addEventListener(this.ui.stepRatchetSelect, 'change', () => this._applyStepTrigEdit({ ratchet: parseInt(this.ui.stepRatchetSelect.value) }));
+            this.resourceManager.addEventListener(this.ui.stepRatchetVolSelect, 'change', () => this._applyStepTrigEdit({ ratchetVolume: this.ui.stepRatchetVolSelect.value }));
+            this.resourceManager.addEventListener(this.ui.stepRatchetPitchInput, 'change', () => {
+                const ratchetPitch = Math.max(-MAX_RATCHET_PITCH, Math.min(MAX_RATCHET_PITCH, Math.round(+this.ui.stepRatchetPitchInput.value || 0)));
+                this._applyStepTrigEdit({ ratchetPitch });
+            });
+            this.resourceManager.addEventListener(this.ui.stepSliceInput, 'change', () => {
+                const slice = Math.max(0, Math.min(MAX_SLICE_MARKERS + 1, Math.round(+this.ui.stepSliceInput.value || 0))) - 1;
+                this._applyStepTrigEdit({ slice });
+            });
+            this.resourceManager.addEventListener(this.ui.newSeedButton, 'click', () => this.setRandomSeed(generateSeed()));
+            this.resourceManager.addEventListener(this.ui.recordButton, 'click', () => this.recordingController.toggleRecording(this.ui));
+            this.resourceManager.addEventListener(this.ui.saveTakeButton, 'click', () => this.recordingController.saveTake(this.ui));
+            this.resourceManager.addEventListener(this.ui.takeToSlotButton, 'click', () => this.recordingController.loadTakeIntoSlot(this.ui));
+            [
+                this.ui.prepTrimCheckbox, this.ui.prepTrimThresholdInput, this.ui.prepPreRollInput,
+                this.ui.prepNormalizeSelect, this.ui.prepTargetInput, this.ui.prepDcCheckbox,
+                this.ui.prepFadeInInput, this.ui.prepFadeOutInput, this.ui.prepResampleCheckbox, this.ui.prepMonoCheckbox
+            ].forEach(element => this.resourceManager.addEventListener(element, 'change', () => this._applySamplePrepEdit()));
+            this.resourceManager.addEventListener(this.ui.reprocessSlotButton, 'click', () => this._reprocessSelectedSlot());
+            this.resourceManager.addEventListener(this.ui.sampleEditButtons, 'click', (e) => {
+                const button = e.target.closest('[data-edit]');
+                if (button) {
+                    this._applySampleEdit(button.dataset.edit, button.dataset);
+                }
+            });
+            this.resourceManager.addEventListener(this.ui.sampleEditUndoButton, 'click', () => this._undoSampleEdit());
+            this.resourceManager.addEventListener(this.ui.sampleEditRedoButton, 'click', () => this._redoSampleEdit());
+            this.resourceManager.addEventListener(this.ui.detectSlicesButton, 'click', () => this._detectSlices());
+            this.resourceManager.addEventListener(this.ui.mapSlicesButton, 'click', () => this._mapStepsToSlices());
+            this.resourceManager.addEventListener(this.ui.clearSlicesButton, 'click', () => this._setSliceMarkers(this.state.selectedSlot, []));
 
             // パラメータ別のランダマイズボタンのイベントリスナー
             this.resourceManager.addEventListener(document, 'click', (e) => {
@@ -425,27 +665,82 @@ export class OptimizedMultigrainPlayer {
             });
 
             for (let s = 0; s < this.config.SLOTS; s++) {
-                const fileInput = this.domCache.getElementById(`hiddenFileInput-slot${s}`);
-                this.resourceManager.addEventListener(fileInput, 'change', async (e) => {
-                    const slot = parseInt(e.target.dataset.slot);
-                    const file = e.target.files[0];
-                    if (!file) return;
-                    await this.fileLoaderController.handleFileLoad(file, slot);
-                    e.target.value = ''; // Clear the input
-                });
-
-                const canvas = this.domCache.getElementById(`waveform-${s}`);
-                this.resourceManager.addEventListener(canvas, 'mousedown', (e) => this._onWaveformPlaybackStart(e, s));
-                this.resourceManager.addEventListener(canvas, 'mouseup', (e) => this._onWaveformPlaybackStop(e, s));
-                this.resourceManager.addEventListener(canvas, 'mouseleave', (e) => this._onWaveformPlaybackStop(e, s));
-                this.resourceManager.addEventListener(canvas, 'touchstart', (e) => this._onWaveformPlaybackStart(e, s), { passive: false });
-                this.resourceManager.addEventListener(canvas, 'touchend', (e) => this._onWaveformPlaybackStop(e, s));
-                this.resourceManager.addEventListener(canvas, 'touchcancel', (e) => this._onWaveformPlaybackStop(e, s));
+                this._bindSlotEvents(s);
             }
+            this.resourceManager.addEventListener(this.ui.slotCountInput, 'change', () => this.setSlotCount(this.ui.slotCountInput.value));
+            // Loop region, slice marker and scroll drags continue outside the canvas
+            this.resourceManager.addEventListener(document, 'mousemove', e => {
+                this._onRegionDragMove(e);
+                this._onSliceDragMove(e);
+                this._onWaveformScrollMove(e);
+            });
+            this.resourceManager.addEventListener(document, 'mouseup', () => {
+                this._onRegionDragEnd();
+                this._onSliceDragEnd();
+                this.state.waveformScroll = null;
+            });
 
             this.resourceManager.addEventListener(this.ui.sequencerContainer, 'click', e => {
-                if (e.target.classList.contains('step')) this._handleStepClick(e.target);
+                if (!e.target.classList.contains('step')) return;
+                if (e.shiftKey || this.state.suppressStepClick) {
+                    this.state.suppressStepClick = false;
+                    return;
+                }
+                this._handleStepClick(e.target);
+            });
+            this.resourceManager.addEventListener(this.ui.patternButtons, 'click', e => {
+                const button = e.target.closest('.pattern-button');
+                if (button) {
+                    this._requestPattern(this.state.displayedBank * this.config.PATTERNS_PER_BANK + +button.dataset.pattern);
+                }
+            });
+            this.resourceManager.addEventListener(this.ui.patternBankSelect, 'change', () => {
+                this.state.displayedBank = parseInt(this.ui.patternBankSelect.value);
+                this._updatePatternBankUI();
+            });
+            this.resourceManager.addEventListener(this.ui.generatorTypeSelect, 'change', () => this._updateGeneratorParamsUI());
+            this.resourceManager.addEventListener(this.ui.generateButton, 'click', () => this._runGenerator());
+            this.resourceManager.addEventListener(this.ui.genCaEvolve, 'change', () => this._setAutomatonEvolve());
+            this.resourceManager.addEventListener(this.ui.genCaRule, 'change', () => {
+                if (this.ui.genCaEvolve.checked) this._setAutomatonEvolve();
             });
+            this.resourceManager.addEventListener(this.ui.songModeButton, 'click', () => this._toggleSongMode());
+            this.resourceManager.addEventListener(this.ui.addSongRowButton, 'click', () => {
+                this.songController.addRow({ pattern: this.sequencerController.getActivePattern() });
+                this._renderSongEditor();
+                this.saveCurrentState();
+            });
+            this.resourceManager.addEventListener(this.ui.songRows, 'change', e => this._handleSongRowChange(e.target));
+            this.resourceManager.addEventListener(this.ui.songRows, 'click', e => {
+                if (!e.target.classList.contains('song-row-delete')) return;
+                this.songController.removeRow(+e.target.dataset.row);
+                this._renderSongEditor();
+                this.saveCurrentState();
+            });
+            this.resourceManager.addEventListener(this.ui.sequencerContainer, 'change', e => {
+                if (e.target.classList.contains('seq-length-input')) {
+                    this._setPatternLength(+e.target.dataset.slot, e.target.value);
+                } else if (e.target.classList.contains('seq-direction-select')) {
+                    this._setPlayDirection(+e.target.dataset.slot, e.target.value);
+                }
+            });
+            // Hold a step (or Shift+click to latch it) and turn a slot knob to lock that value to the step
+            this.resourceManager.addEventListener(this.ui.sequencerContainer, 'pointerdown', e => {
+                if (e.target.classList.contains('step')) this._handleStepPointerDown(e);
+            });
+            this.resourceManager.addEventListener(document, 'pointerup', e => this._handleStepPointerUp(e));
+            // Right-click a row for transforms and copy / paste
+            this.resourceManager.addEventListener(this.ui.sequencerContainer, 'contextmenu', e => this._openSequencerContextMenu(e));
+            this.resourceManager.addEventListener(this.ui.sequencerContextMenu, 'click', e => {
+                const item = e.target.closest('.context-menu-item');
+                if (!item || item.disabled) return;
+                this._closeSequencerContextMenu();
+                this._transformSelectedRow(item.dataset.action, item.dataset.arg !== undefined ? +item.dataset.arg : undefined);
+            });
+            this.resourceManager.addEventListener(document, 'pointerdown', e => {
+                if (!this.ui.sequencerContextMenu.contains(e.target)) this._closeSequencerContextMenu();
+            });
+            this.resourceManager.addEventListener(document, 'pointercancel', e => this._handleStepPointerUp(e));
             this.resourceManager.addEventListener(this.ui.slotMatrix, 'click', e => {
                  const slotLabel = e.target.closest('[data-slot]');
                  if (slotLabel && !e.target.closest('.slot-controls-container')) {
@@ -466,6 +761,124 @@ export class OptimizedMultigrainPlayer {
             this._initializeDragAndDrop();
         }
 
+        /**
+         * Bind the hidden file input and the waveform preview of one slot
+         * @param {number} s - Slot index
+         */
+        _bindSlotEvents(s) {
+            const fileInput = this.domCache.getElementById(`hiddenFileInput-slot${s}`);
+            this.resourceManager.addEventListener(fileInput, 'change', async (e) => {
+                const slot = parseInt(e.target.dataset.slot);
+                const file = e.target.files[0];
+                if (!file) return;
+                await this.fileLoaderController.handleFileLoad(file, slot);
+                e.target.value = ''; // Clear the input
+            });
+
+            // Press to preview, drag to draw a loop region, drag a handle to move its edge, double-click to reset it;
+            // drag a slice marker to move it, Alt+click to add or remove one; wheel zooms and Shift / middle-button drag scrolls
+            const canvas = this.domCache.getElementById(`waveform-${s}`);
+            this.resourceManager.addEventListener(canvas, 'mousedown', (e) => this._onWaveformPointerDown(e, s));
+            this.resourceManager.addEventListener(canvas, 'wheel', (e) => this._onWaveformWheel(e, s), { passive: false });
+            this.resourceManager.addEventListener(canvas, 'mousemove', (e) => this._updateWaveformCursor(e, s));
+            this.resourceManager.addEventListener(canvas, 'mouseup', (e) => this._onWaveformPlaybackStop(e, s));
+            this.resourceManager.addEventListener(canvas, 'mouseleave', (e) => this._onWaveformPlaybackStop(e, s));
+            this.resourceManager.addEventListener(canvas, 'dblclick', () => this._resetLoopRegion(s));
+            this.resourceManager.addEventListener(canvas, 'touchstart', (e) => this._onWaveformPointerDown(e, s), { passive: false });
+            this.resourceManager.addEventListener(canvas, 'touchmove', (e) => {
+                this._onRegionDragMove(e);
+                this._onSliceDragMove(e);
+            }, { passive: false });
+            this.resourceManager.addEventListener(canvas, 'touchend', (e) => {
+                this._onWaveformPlaybackStop(e, s);
+                this._onRegionDragEnd();
+                this._onSliceDragEnd();
+            });
+            this.resourceManager.addEventListener(canvas, 'touchcancel', (e) => {
+                this._onWaveformPlaybackStop(e, s);
+                this._onRegionDragEnd();
+                this._onSliceDragEnd();
+            });
+        }
+
+        /**
+         * Fill the slot mode options from the slot count (Fixed per slot, All, Random)
+         */
+        _syncSlotModeSpec() {
+            const slotModeSpec = this.config.GLOBAL_CONTROL_SPECS.find(spec => spec.id === 'slotMode');
+            slotModeSpec.options = buildSlotModeOptions(this.config.SLOTS);
+            slotModeSpec.selected = this.config.SLOTS; // All
+        }
+
+        /**
+         * Change the number of slots without reloading the page
+         * Removed slots lose their sample and their listeners; patterns, knobs and the
+         * pattern bank are migrated by migrateControlState.
+         * @param {number} count - Requested slot count (clamped to MIN_SLOTS-MAX_SLOTS)
+         * @param {Object} [historyState] - Undo / redo state saved with this count, applied
+         *   instead of the current state and without adding a history entry
+         */
+        setSlotCount(count, historyState = null) {
+            const slotCount = clampSlotCount(count);
+            const previousCount = this.config.SLOTS;
+            this.ui.slotCountInput.value = slotCount;
+            if (slotCount === previousCount) return;
+
+            if (this.state.isPlaying) {
+                this.stopGranularPlayback();
+            }
+
+            const controlState = historyState || this._getControlState();
+            this.state.regionDrag = null;
+            this.state.sliceDrag = null;
+            this.state.waveformScroll = null;
+            for (let s = slotCount; s < previousCount; s++) {
+                this._stopWaveformPreview(s);
+                this.resourceManager.removeEventListenersWithin(this.domCache.getElementById(`slotBlock-${s}`, true));
+                this.resourceManager.removeEventListenersWithin(this.domCache.getElementById(`waveform-${s}`, true));
+                this.config.PER_SLOT_CONTROL_SPECS.forEach(spec => {
+                    delete this.state.knobDragStates[`${spec.id}-slot${s}`];
+                });
+            }
+            this.config.SLOTS = slotCount;
+            this._syncSlotModeSpec();
+            this.uiBuilder.resizeSlots(previousCount);
+            this.domCache.clear();
+            this._prefetchDOMElements();
+
+            this.state.audioBuffers = resizeSlotArray(this.state.audioBuffers, slotCount, () => null);
+            this.state.sourceBuffers = resizeSlotArray(this.state.sourceBuffers, slotCount, () => null);
+            this.state.preprocessSettings = resizeSlotArray(this.state.preprocessSettings, slotCount, () => ({ ...DEFAULT_PREPROCESS_SETTINGS }));
+            this.state.sampleEditHistories = resizeSlotArray(this.state.sampleEditHistories, slotCount, () => new SampleEditHistory());
+            this.state.sliceMarkers = resizeSlotArray(this.state.sliceMarkers, slotCount, () => []);
+            this.state.previewSources = resizeSlotArray(this.state.previewSources, slotCount, () => null);
+            this.state.sequencerPlayheads = resizeSlotArray(this.state.sequencerPlayheads, slotCount, () => createPlayhead(DEFAULT_PLAY_DIRECTION, this.config.SEQUENCER_STEPS));
+            this.state.sequencerLoopCounts = resizeSlotArray(this.state.sequencerLoopCounts, slotCount, () => 0);
+            this.trigState = new TrigState(slotCount);
+            if (this.state.selectedSlot >= slotCount) {
+                this.state.selectedSlot = slotCount - 1;
+            }
+
+            for (let s = previousCount; s < slotCount; s++) {
+                this.state.waveformRenderers[s].setDisplayMode(this.state.waveformDisplayMode);
+                this._bindSlotKnobEvents(s);
+                this._bindSlotEvents(s);
+            }
+
+            // Knob bindings are deferred, so apply the migrated state once they exist
+            this.resourceManager.setTimeout(() => {
+                this._applyState(controlState);
+                this._resetPlayheads();
+                this._updateSequencerSelection();
+                if (historyState) {
+                    this._updateUndoRedoButtons();
+                } else {
+                    this.saveCurrentState();
+                }
+                Logger.log(`🎚️ Slot count: ${previousCount} → ${slotCount}`);
+            }, 0);
+        }
+
         _initializeDragAndDrop() {
             const layoutToggle = this.domCache.getElementById('layoutToggle');
             const autoArrangeBtn = this.domCache.getElementById('autoArrangeBtn');
@@ -999,270 +1412,1427 @@ export class OptimizedMultigrainPlayer {
             this.saveCurrentState();
         }
 
-        _handleSlotControlClick(button) {
-            const slot = parseInt(button.dataset.slot);
-            const type = button.dataset.type;
-            
-            switch (type) {
-                case 'solo':
-                    if (this.state.slotSoloStatus[slot]) {
-                        this.state.slotSoloStatus[slot] = false;
-                    } else {
-                        for (let i = 0; i < this.config.SLOTS; i++) {
-                            this.state.slotSoloStatus[i] = false;
-                        }
-                        this.state.slotSoloStatus[slot] = true;
-                        this.state.slotMuteStatus[slot] = false;
-                    }
-                    this._updateAllSlotControlButtons();
-                    break;
-                    
-                case 'mute':
-                    this.state.slotMuteStatus[slot] = !this.state.slotMuteStatus[slot];
-                    if (this.state.slotMuteStatus[slot]) {
-                        this.state.slotSoloStatus[slot] = false;
-                    }
-                    this._updateSlotControlButtons(slot);
-                    break;
-            }
-            
+        /**
+         * Change how many steps a slot row plays
+         * @param {number} slot - Slot index
+         * @param {number} length - Requested length (clamped to MIN/MAX_PATTERN_LENGTH)
+         */
+        _setPatternLength(slot, length) {
+            const newLength = this.sequencerController.setPatternLength(slot, length);
+            this.state.patternLengths = this.sequencerController.getPatternLengths();
+            this._renderSequencerRow(slot, newLength);
+            this.sequencerController.refreshRowDOM(slot);
             this.saveCurrentState();
         }
 
-        _updateSlotControlButtons(slot) {
-            const soloBtn = this.domCache.getElementById(`soloBtn-${slot}`);
-            const muteBtn = this.domCache.getElementById(`muteBtn-${slot}`);
-            
-            if (this.state.slotSoloStatus[slot]) {
-                soloBtn.classList.add('solo-active');
-            } else {
-                soloBtn.classList.remove('solo-active');
-            }
-            
-            if (this.state.slotMuteStatus[slot]) {
-                muteBtn.classList.add('mute-active');
-            } else {
-                muteBtn.classList.remove('mute-active');
-            }
+        /**
+         * Change the direction a slot row plays in
+         * The playhead keeps its position, so the change is heard from the next step.
+         * @param {number} slot - Slot index
+         * @param {string} direction - Direction id (see PLAY_DIRECTIONS)
+         */
+        _setPlayDirection(slot, direction) {
+            this.sequencerController.setPlayDirection(slot, direction);
+            this._updatePlayDirectionUI();
+            this.saveCurrentState();
         }
 
-        _updateAllSlotControlButtons() {
-            for (let s = 0; s < this.config.SLOTS; s++) {
-                this._updateSlotControlButtons(s);
-            }
+        /**
+         * Show each slot's play direction in its row selector
+         */
+        _updatePlayDirectionUI() {
+            this.sequencerController.getPlayDirections().forEach((direction, slot) => {
+                const select = this.domCache.getElementById(`playDirection-slot${slot}`, true);
+                if (select) {
+                    select.value = direction;
+                }
+            });
         }
 
-        _isSlotActiveForPlayback(slot) {
-            const hasSoloActive = this.state.slotSoloStatus.some(solo => solo);
-            if (hasSoloActive) {
-                return this.state.slotSoloStatus[slot];
-            }
-            return !this.state.slotMuteStatus[slot];
+        /**
+         * Change the time signature or step resolution of the pattern
+         * Rows are redrawn with the new bar and beat separators; a running bar
+         * ends early if the new bar is shorter.
+         * @param {Object} changes - Any of { timeSignature, resolution }
+         */
+        _setMeter(changes) {
+            this.sequencerController.setMeter(changes);
+            this.state.patternLengths.forEach((length, slot) => {
+                this._renderSequencerRow(slot, length);
+                this.sequencerController.refreshRowDOM(slot);
+            });
+            this._updateMeterUI();
+            this.saveCurrentState();
         }
 
-        _onWaveformPlaybackStart(e, slotIndex) {
-            if (this.state.audioBuffers[slotIndex] && !this.state.previewSources[slotIndex]) {
-                const src = this.audioContext.createBufferSource();
-                src.buffer = this.state.audioBuffers[slotIndex];
-                
-                const volumeElementId = `volume-slot${slotIndex}`;
-                const volumeValue = this.parameterController.getKnobValue(volumeElementId) || 0.7;
-                
-                const previewGain = this.audioContext.createGain();
-                previewGain.gain.value = volumeValue;
-                
-                src.connect(previewGain);
-                previewGain.connect(this.grainVoiceManager.masterGain);
-                src.loop = true;
-                src.start(0);
-                this.state.previewSources[slotIndex] = src;
-            }
-            e.preventDefault();
+        /**
+         * Show the pattern's meter in the sequencer selectors
+         */
+        _updateMeterUI() {
+            if (!this.ui.timeSignatureSelect) return;
+            const meter = this.sequencerController.getMeter();
+            this.ui.timeSignatureSelect.value = meter.timeSignature;
+            this.ui.stepResolutionSelect.value = meter.resolution;
         }
 
-        _onWaveformPlaybackStop(e, slotIndex) {
-            if (this.state.previewSources[slotIndex]) {
-                this.state.previewSources[slotIndex].stop();
-                this.state.previewSources[slotIndex].disconnect();
-                this.state.previewSources[slotIndex] = null;
-            }
-            e.preventDefault();
+        /**
+         * Put every playhead at the start of its row
+         */
+        _resetPlayheads() {
+            this.state.sequencerPlayheads = Array.from({ length: this.config.SLOTS }, (_, s) =>
+                createPlayhead(this.sequencerController.getPlayDirection(s), this.sequencerController.getPatternLength(s)));
+            this.state.sequencerLoopCounts.fill(0);
         }
 
-        startGranularPlayback() {
-            try {
-                if (this.state.isPlaying) {
-                    if (this.state.sequencerIntervalId !== null) {
-                        this.resourceManager.clearInterval(this.state.sequencerIntervalId);
-                        this.state.sequencerIntervalId = null;
-                    }
-                } else {
-                    this.state.isPlaying = true;
-                    this.state.lfoStartTime = this.audioContext.currentTime;
-                    this.state.currentSequencerStep = 0;
-
-                    if (this.spectrumAnalyzer) {
-                        this.spectrumAnalyzer.start();
-                    }
-                }
+        /**
+         * Rebuild a sequencer row and keep playback, selection and held step inside it
+         * @param {number} slot - Slot index
+         * @param {number} length - Row length
+         */
+        _renderSequencerRow(slot, length) {
+            this.uiBuilder.renderSequencerRow(slot, length, getStepGridMarks(length, this.sequencerController.getMeter()));
+            this.state.sequencerPlayheads[slot].step %= length;
 
-                const stepIntervalMs = (60 / this.state.tempoBpm) * 1000 / this.config.GRANULAR_INTERVAL_DIVISOR;
-                this.state.sequencerIntervalId = this.resourceManager.setInterval(() => this._sequencerTick(), stepIntervalMs);
-            } catch (error) {
-                Logger.error('Failed to start granular playback:', error);
-                this.state.isPlaying = false;
+            const held = this.state.heldStep;
+            if (held && held.slot === slot && held.step >= length) {
+                this._releaseHeldStep();
             }
-        }
-
-        stopGranularPlayback() {
-            try {
-                if (!this.state.isPlaying) return;
-                this.state.isPlaying = false;
-                if (this.state.sequencerIntervalId !== null) {
-                    this.resourceManager.clearInterval(this.state.sequencerIntervalId);
-                    this.state.sequencerIntervalId = null;
-                }
-                this._updateStepUI();
-
-                this.grainVoiceManager.stopAll();
-
-                if (this.spectrumAnalyzer) {
-                    this.spectrumAnalyzer.stop();
-                }
 
-                for (let s = 0; s < this.config.SLOTS; s++) {
-                    const buffer = this.state.audioBuffers[s];
-                    if (buffer) {
-                        this.state.waveformRenderers[s].drawWaveform(buffer);
-                    } else {
-                        this.state.waveformRenderers[s].ctx.clearRect(0, 0, this.state.waveformRenderers[s].canvas.width, this.state.waveformRenderers[s].canvas.height);
-                        this.domCache.getElementById(`fileName-slot${s}`).textContent = '';
-                    }
+            if (this.state.selectedSlot === slot) {
+                const lastStep = length - 1;
+                if (this.state.isMultiSelecting && Math.max(this.state.multiSelectStart, this.state.multiSelectEnd) > lastStep) {
+                    this.state.isMultiSelecting = false;
                 }
-            } catch (error) {
-                Logger.error('Failed to stop granular playback:', error);
+                this.state.selectedStep = Math.min(this.state.selectedStep, lastStep);
             }
+            this._updateSequencerSelection();
         }
-        
-        _sequencerTick() {
-            try {
-                const slotMode = parseInt(this.domCache.getElementById('slotMode').value);
-                let targetSlots = [];
 
-                if (slotMode === 4) {
-                    targetSlots = Array.from({ length: this.config.SLOTS }, (_, i) => i);
-                } else if (slotMode === 5) {
-                    const randomSlot = this._pickRandomLoadedSlot();
-                    if (randomSlot !== null) targetSlots.push(randomSlot);
-                } else {
-                    targetSlots.push(slotMode);
-                }
+        _handleStepPointerDown(e) {
+            const slot = +e.target.dataset.slot;
+            const step = +e.target.dataset.step;
+            const held = this.state.heldStep;
 
-                targetSlots.forEach(s => {
-                    if (this.state.audioBuffers[s] &&
-                        this.sequencerController.getStep(s, this.state.currentSequencerStep) &&
-                        this._isSlotActiveForPlayback(s)) {
-                        this._triggerGrainForSlot(s);
-                    }
-                });
+            // Pressing a step also selects it for the trig editor
+            this.state.isMultiSelecting = false;
+            this.state.selectedSlot = slot;
+            this.state.selectedStep = step;
+            this._updateSequencerSelection();
 
-                this._updateStepUI();
-                this.state.currentSequencerStep = (this.state.currentSequencerStep + 1) % this.config.SEQUENCER_STEPS;
-            } catch (error) {
-                Logger.error('Sequencer tick error:', error);
+            if (e.shiftKey && held && held.latched && held.slot === slot && held.step === step) {
+                this._releaseHeldStep();
+                return;
             }
+
+            this._holdStep(slot, step, e.shiftKey, e.pointerId);
         }
 
-        _triggerGrainForSlot(targetSlot) {
-            const buffer = this.state.audioBuffers[targetSlot];
-            if (!buffer) return;
+        _handleStepPointerUp(e) {
+            const held = this.state.heldStep;
+            if (!held || held.latched || held.pointerId !== e.pointerId) return;
 
-            const params = {};
-            this.config.PER_SLOT_CONTROL_SPECS.forEach(spec => {
-                const elementId = `${spec.id}-slot${targetSlot}`;
-                params[spec.id] = this.parameterController.getKnobValue(elementId);
-            });
+            // Turning a knob while holding the step should not also toggle it
+            this.state.suppressStepClick = held.didLock;
+            this._releaseHeldStep();
+        }
 
-            const maxGrains = Math.min(params.grainsPerStep, 20);
-            const spreadAmount = params.spread / 100;
-            
-            for (let i = 0; i < maxGrains; i++) {
-                const now = this.audioContext.currentTime;
-                const lfoTime = now - this.state.lfoStartTime;
-                const lfoVal = this._getLFOValue(params.lfoWaveform, params.lfoRate, lfoTime);
-                
-                const grainDurSec = params.grainSize / 1000;
-                let baseStartPosition = (params.startOffset / 100) * buffer.duration;
-                baseStartPosition += lfoVal * (buffer.duration - baseStartPosition - grainDurSec);
-                
-                let positionSec = baseStartPosition;
-                if (spreadAmount > 0) {
-                    const positionSpread = spreadAmount * buffer.duration * 0.5;
-                    const randomOffset = (Math.random() - 0.5) * 2 * positionSpread;
-                    positionSec = baseStartPosition + randomOffset;
-                }
-                
-                positionSec = Math.max(0, Math.min(buffer.duration - grainDurSec, positionSec + (Math.random() - 0.5) * 0.05));
+        _holdStep(slot, step, latched, pointerId) {
+            this._releaseHeldStep();
+            this.state.heldStep = { slot, step, latched, pointerId, didLock: false };
 
-                const spreadParams = { ...params };
-                
-                if (spreadAmount > 0) {
-                    const pitchSpreadRange = spreadAmount * 0.5;
-                    const pitchVariation = 1 + (Math.random() - 0.5) * 2 * pitchSpreadRange;
-                    spreadParams.playbackRate = Math.max(0.1, Math.min(2.0, params.playbackRate * pitchVariation));
-                    
-                    const panSpreadRange = spreadAmount * 2;
-                    const panVariation = (Math.random() - 0.5) * 2 * panSpreadRange;
-                    spreadParams.panControl = Math.max(-1, Math.min(1, params.panControl + panVariation));
-                }
+            const cell = this.domCache.querySelector(`.step[data-slot='${slot}'][data-step='${step}']`, true);
+            if (cell) cell.classList.add('held');
+            this._refreshSlotKnobDisplays(slot);
+        }
 
-                if (i % 4 === 0) {
-                    this._flashSlot(targetSlot, positionSec);
-                }
+        _releaseHeldStep() {
+            const held = this.state.heldStep;
+            if (!held) return;
 
-                let grainStartTime = now;
-                if (spreadAmount > 0) {
-                    const timingSpread = spreadAmount * 0.02;
-                    grainStartTime += (Math.random() - 0.5) * 2 * timingSpread;
-                }
-                
-                this.grainVoiceManager.createGrain(buffer, spreadParams, grainStartTime, grainDurSec, positionSec);
-            }
+            this.state.heldStep = null;
+            this.domCache.querySelectorAll('.step.held', true).forEach(cell => cell.classList.remove('held'));
+            this._refreshSlotKnobDisplays(held.slot);
         }
-        
-        _getLFOValue(waveformType, rate, time) {
-            const waveformIndex = parseInt(waveformType);
-            switch (waveformIndex) {
-                case 0: return (Math.sin(2 * Math.PI * rate * time) + 1) / 2;
-                case 1: return 1 - Math.abs(((time * rate) % 2) - 1);
-                case 2: return ((time * rate) % 1) < 0.5 ? 0 : 1;
-                case 3: return Math.random();
-                default: return 0.5;
+
+        /**
+         * Sync the sequencer selection display with state
+         */
+        _updateSequencerSelection() {
+            if (!this.state.isMultiSelecting) {
+                this.domCache.querySelectorAll('.step.multi-selected', true).forEach(element => {
+                    element.classList.remove('multi-selected');
+                });
             }
+            this.sequencerController.setSelectedStep(this.state.selectedStep, this.state.selectedSlot);
+            this._refreshSelectionEditors();
         }
 
-        _pickRandomLoadedSlot() {
-            const available = this.state.audioBuffers
-                .map((b, i) => (b && this._isSlotActiveForPlayback(i) ? i : null))
-                .filter(i => i !== null);
-            if (available.length === 0) return null;
-            return available[Math.floor(Math.random() * available.length)];
+        /**
+         * Refresh the editors that follow the sequencer selection
+         */
+        _refreshSelectionEditors() {
+            this._refreshStepTrigEditor();
+            this._refreshGeneratorEditor();
+            this._refreshSamplePrepEditor();
+            this._refreshSampleEditor();
+            this._refreshSliceEditor();
+        }
+
+        /**
+         * Show the selected slot's preprocess settings in the PREP editor
+         */
+        _refreshSamplePrepEditor() {
+            if (!this.ui.samplePrepTarget) return;
+
+            const slot = this.state.selectedSlot;
+            const settings = this.state.preprocessSettings[slot];
+            this.ui.samplePrepTarget.textContent = `PREP S${slot + 1}`;
+            this.ui.prepTrimCheckbox.checked = settings.trim;
+            this.ui.prepTrimThresholdInput.value = settings.trimThresholdDb;
+            this.ui.prepPreRollInput.value = settings.trimPreRollMs;
+            this.ui.prepNormalizeSelect.value = settings.normalizeMode;
+            this.ui.prepTargetInput.value = settings.normalizeTargetDb;
+            this.ui.prepDcCheckbox.checked = settings.removeDc;
+            this.ui.prepFadeInInput.value = settings.fadeInMs;
+            this.ui.prepFadeOutInput.value = settings.fadeOutMs;
+            this.ui.prepResampleCheckbox.checked = settings.resample;
+            this.ui.prepMonoCheckbox.checked = settings.mono;
+            this.ui.reprocessSlotButton.disabled = !this.state.sourceBuffers[slot];
+        }
+
+        /**
+         * Store the PREP editor values for the selected slot and process its sample again
+         */
+        _applySamplePrepEdit() {
+            const slot = this.state.selectedSlot;
+            this.state.preprocessSettings[slot] = normalizePreprocessSettings({
+                trim: this.ui.prepTrimCheckbox.checked,
+                trimThresholdDb: +this.ui.prepTrimThresholdInput.value,
+                trimPreRollMs: +this.ui.prepPreRollInput.value,
+                normalizeMode: this.ui.prepNormalizeSelect.value,
+                normalizeTargetDb: +this.ui.prepTargetInput.value,
+                removeDc: this.ui.prepDcCheckbox.checked,
+                fadeInMs: +this.ui.prepFadeInInput.value,
+                fadeOutMs: +this.ui.prepFadeOutInput.value,
+                resample: this.ui.prepResampleCheckbox.checked,
+                mono: this.ui.prepMonoCheckbox.checked
+            });
+            // Markers were placed on the previous processing, which trim or resampling may have moved
+            if (this.fileLoaderController.reprocessSlot(slot)) {
+                this._setSliceMarkers(slot, [], false);
+            }
+            this._refreshSamplePrepEditor();
+            this.saveCurrentState();
+        }
+
+        /**
+         * Process the selected slot again from its original file
+         */
+        _reprocessSelectedSlot() {
+            const slot = this.state.selectedSlot;
+            if (this.fileLoaderController.reprocessSlot(slot)) {
+                Logger.log(`🎛️ Slot ${slot + 1}: reprocessed from the original file`);
+            }
+        }
+
+        /**
+         * Show the selected slot and its edit history state in the EDIT panel
+         */
+        _refreshSampleEditor() {
+            if (!this.ui.sampleEditTarget) return;
+
+            const slot = this.state.selectedSlot;
+            const history = this.state.sampleEditHistories[slot];
+            const hasSample = !!this.state.sourceBuffers[slot];
+            this.ui.sampleEditTarget.textContent = `EDIT S${slot + 1}`;
+            this.ui.sampleEditButtons.querySelectorAll('[data-edit]').forEach(button => {
+                button.disabled = !hasSample;
+            });
+            this.ui.sampleEditUndoButton.disabled = !hasSample || !history.canUndo();
+            this.ui.sampleEditRedoButton.disabled = !hasSample || !history.canRedo();
+        }
+
+        /**
+         * Add an edit over the selected slot's loop region and rebuild its sample
+         * @param {string} type - Edit type (SAMPLE_EDIT_TYPES id)
+         * @param {Object} dataset - Button data (channel for reverseChannel)
+         */
+        _applySampleEdit(type, dataset = {}) {
+            const slot = this.state.selectedSlot;
+            if (!this.state.sourceBuffers[slot]) return;
+
+            const { start, end } = this.state.loopRegions[slot];
+            const op = { type, start, end };
+            if (type === 'reverseChannel') {
+                op.channel = parseInt(dataset.channel) || 0;
+            } else if (type === 'pitch') {
+                op.semitones = Math.max(-MAX_EDIT_PITCH, Math.min(MAX_EDIT_PITCH, Math.round(+this.ui.sampleEditPitchInput.value || 0)));
+                if (op.semitones === 0) return;
+            }
+
+            this.state.sampleEditHistories[slot].push(op);
+            this._rebuildEditedSlot(slot, changesSampleLength(op));
+            Logger.log(`✂️ Slot ${slot + 1}: ${type} (${(start * 100).toFixed(1)}%-${(end * 100).toFixed(1)}%)`);
+        }
+
+        /**
+         * Take back the selected slot's last sample edit
+         */
+        _undoSampleEdit() {
+            const slot = this.state.selectedSlot;
+            const history = this.state.sampleEditHistories[slot];
+            const ops = history.getOperations();
+            if (history.undo()) {
+                this._rebuildEditedSlot(slot, changesSampleLength(ops[ops.length - 1]));
+            }
+        }
+
+        /**
+         * Apply the selected slot's last undone sample edit again
+         */
+        _redoSampleEdit() {
+            const slot = this.state.selectedSlot;
+            const history = this.state.sampleEditHistories[slot];
+            if (history.redo()) {
+                const ops = history.getOperations();
+                this._rebuildEditedSlot(slot, changesSampleLength(ops[ops.length - 1]));
+            }
+        }
+
+        /**
+         * Show the selected slot and its slice count in the SLICE panel
+         */
+        _refreshSliceEditor() {
+            if (!this.ui.sliceTarget) return;
+
+            const slot = this.state.selectedSlot;
+            const sliceCount = getSliceCount(this.state.sliceMarkers[slot]);
+            this.ui.sliceTarget.textContent = sliceCount > 0 ? `SLICE S${slot + 1} (${sliceCount})` : `SLICE S${slot + 1}`;
+            this.ui.detectSlicesButton.disabled = !this.state.audioBuffers[slot];
+            this.ui.mapSlicesButton.disabled = sliceCount === 0;
+            this.ui.clearSlicesButton.disabled = sliceCount === 0;
+        }
+
+        /**
+         * Replace the selected slot's slice markers with the transients of its sample
+         */
+        _detectSlices() {
+            const slot = this.state.selectedSlot;
+            const buffer = this.state.audioBuffers[slot];
+            if (!buffer) return;
+
+            const channels = Array.from({ length: buffer.numberOfChannels }, (_, ch) => buffer.getChannelData(ch));
+            const markers = detectOnsets(channels, buffer.sampleRate, {
+                sensitivity: +this.ui.sliceSensitivityInput.value,
+                minGapMs: +this.ui.sliceGapInput.value
+            });
+            this._setSliceMarkers(slot, markers);
+            Logger.log(`🔪 Slot ${slot + 1}: ${getSliceCount(markers)} slices detected`);
+        }
+
+        /**
+         * Make each step of the selected slot's pattern play the slice with its number
+         * (wrapping when there are more steps than slices)
+         */
+        _mapStepsToSlices() {
+            const slot = this.state.selectedSlot;
+            const sliceCount = getSliceCount(this.state.sliceMarkers[slot]);
+            if (sliceCount === 0) return;
+
+            for (let step = 0; step < this.state.patternLengths[slot]; step++) {
+                this.sequencerController.setStepTrig(slot, step, { slice: step % sliceCount });
+            }
+            this.state.stepTrigs = this.sequencerController.getAllStepTrigs();
+            this._refreshStepTrigEditor();
+            this.saveCurrentState();
+        }
+
+        /**
+         * Set a slot's slice markers and redraw them
+         * @param {number} slotIndex - Slot index
+         * @param {Array<number>} markers - Marker positions (normalized here)
+         * @param {boolean} [save=true] - Save the state (false when the caller saves it)
+         */
+        _setSliceMarkers(slotIndex, markers, save = true) {
+            this.state.sliceMarkers[slotIndex] = normalizeSliceMarkers(markers);
+            this._updateLoopRegionUI(slotIndex);
+            this._refreshSliceEditor();
+            if (save) {
+                this.saveCurrentState();
+            }
+        }
+
+        /**
+         * Replay a slot's edits and redraw it
+         * Loop region and slice marker fractions no longer point at the same audio once
+         * the length changes with a crop or a pitch edit, so the region is reset to the
+         * whole sample and the markers are dropped.
+         * @param {number} slot - Slot index
+         * @param {boolean} resetRegion - Reset the loop region and slice markers
+         */
+        _rebuildEditedSlot(slot, resetRegion) {
+            this.fileLoaderController.reprocessSlot(slot);
+            if (resetRegion) {
+                this._setLoopRegion(slot, FULL_REGION);
+                this._setSliceMarkers(slot, []);
+            } else {
+                this._updateLoopRegionUI(slot);
+            }
+            this._refreshSampleEditor();
+        }
+
+        /**
+         * Show the selected slot and its automaton state in the generator editor
+         */
+        _refreshGeneratorEditor() {
+            if (!this.ui.generatorTarget) return;
+
+            const slot = this.state.selectedSlot;
+            const rule = this.sequencerController.getAutomatonRules()[slot];
+            this.ui.generatorTarget.textContent = `S${slot + 1}`;
+            this.ui.genCaEvolve.checked = rule !== null;
+            if (rule !== null) {
+                this.ui.genCaRule.value = rule;
+            }
+        }
+
+        /**
+         * Show only the parameters of the chosen generator
+         */
+        _updateGeneratorParamsUI() {
+            const type = this.ui.generatorTypeSelect.value;
+            this.domCache.querySelectorAll('.generator-params', true).forEach(params => {
+                params.hidden = params.dataset.generator !== type;
+            });
+        }
+
+        /**
+         * Read the parameters of a generator from its inputs
+         * @param {string} type - Generator id
+         * @returns {Object} Generator parameters
+         */
+        _readGeneratorParams(type) {
+            const read = (input) => parseInt(input.value) || 0;
+            switch (type) {
+                case 'euclidean':
+                    return { hits: read(this.ui.genEuclidHits), steps: read(this.ui.genEuclidSteps), rotation: read(this.ui.genEuclidRotation) };
+                case 'grids':
+                    return { x: read(this.ui.genGridsX), y: read(this.ui.genGridsY), density: read(this.ui.genGridsDensity), part: read(this.ui.genGridsPart) };
+                case 'automaton':
+                    return { rule: read(this.ui.genCaRule) };
+                case 'markov':
+                    return { order: read(this.ui.genMarkovOrder) };
+                default:
+                    return {};
+            }
+        }
+
+        /**
+         * Run the chosen generator on the selected slot
+         */
+        _runGenerator() {
+            const slot = this.state.selectedSlot;
+            const type = this.ui.generatorTypeSelect.value;
+
+            if (!this.sequencerController.generatePattern(slot, type, this._readGeneratorParams(type))) return;
+
+            // Euclid sets the row length as well
+            this._syncSequencerGrid();
+            this.saveCurrentState();
+        }
+
+        /**
+         * Apply a row transform or clipboard action to the selected slot
+         * Each call is recorded as a single undo step.
+         * @param {string} action - rotate | shift | reverse | invert | double | copy | paste | copyTo | copyGrid | pasteGrid
+         * @param {number} [arg] - Offset for rotate / shift, destination slot for copyTo
+         */
+        async _transformSelectedRow(action, arg) {
+            const slot = this.state.selectedSlot;
+            const sequencer = this.sequencerController;
+            let changed = false;
+
+            switch (action) {
+                case 'rotate': changed = sequencer.rotateRow(slot, arg); break;
+                case 'shift': changed = sequencer.shiftRow(slot, arg); break;
+                case 'reverse': changed = sequencer.reverseRow(slot); break;
+                case 'invert': changed = sequencer.invertRow(slot); break;
+                case 'double': changed = sequencer.doubleRow(slot); break;
+                case 'copy':
+                    sequencer.copyRowToBuffer(slot);
+                    return;
+                case 'paste': changed = sequencer.pasteRowFromBuffer(slot); break;
+                case 'copyTo': changed = sequencer.copyRow(slot, arg); break;
+                case 'copyGrid':
+                    await this._copyGridToClipboard();
+                    return;
+                case 'pasteGrid':
+                    changed = await this._pasteGridFromClipboard();
+                    break;
+                default:
+                    Logger.warn(`Unknown row action: ${action}`);
+                    return;
+            }
+
+            if (changed) {
+                this._syncSequencerGrid();
+                this.saveCurrentState();
+            }
+        }
+
+        async _copyGridToClipboard() {
+            try {
+                await navigator.clipboard.writeText(this.sequencerController.serializeGrid());
+                Logger.log('📋 Grid copied to clipboard');
+            } catch (err) {
+                this._showErrorNotification('クリップボードエラー', 'クリップボードに書き込めませんでした。', err);
+            }
+        }
+
+        /**
+         * Load the step grid from clipboard text
+         * @returns {Promise<boolean>} Whether the grid changed
+         */
+        async _pasteGridFromClipboard() {
+            let text;
+            try {
+                text = await navigator.clipboard.readText();
+            } catch (err) {
+                this._showErrorNotification('クリップボードエラー', 'クリップボードを読み取れませんでした。', err);
+                return false;
+            }
+
+            if (!this.sequencerController.parseGrid(text)) {
+                this._showErrorNotification('クリップボードエラー', 'クリップボードの内容をパターンとして読み込めませんでした。');
+                return false;
+            }
+            return true;
+        }
+
+        /**
+         * Sync state and rebuild rows whose length changed after a grid edit
+         */
+        _syncSequencerGrid() {
+            const previousLengths = this.state.patternLengths;
+            this.state.patternLengths = this.sequencerController.getPatternLengths();
+            this.state.patternLengths.forEach((length, slot) => {
+                if (length !== previousLengths[slot]) {
+                    this._renderSequencerRow(slot, length);
+                    this.sequencerController.refreshRowDOM(slot);
+                }
+            });
+
+            this.state.sequencerPatterns = this.sequencerController.getPatterns();
+            this.state.parameterLocks = this.sequencerController.getAllParameterLocks();
+            this.state.stepTrigs = this.sequencerController.getAllStepTrigs();
+            this._refreshStepTrigEditor();
+        }
+
+        /**
+         * Open the row menu at the pointer for the row that was right-clicked
+         * @param {MouseEvent} e - contextmenu event
+         */
+        _openSequencerContextMenu(e) {
+            const row = e.target.closest('.seq-row');
+            const slotElement = row && row.querySelector('[data-slot]');
+            if (!slotElement) return;
+
+            e.preventDefault();
+            this.state.selectedSlot = +slotElement.dataset.slot;
+            if (e.target.classList.contains('step')) {
+                this.state.selectedStep = +e.target.dataset.step;
+            }
+            this.state.isMultiSelecting = false;
+            this._updateSequencerSelection();
+
+            const menu = this.ui.sequencerContextMenu;
+            menu.querySelector('[data-action="paste"]').disabled = !this.sequencerController.hasRowBuffer();
+            menu.querySelectorAll('[data-action="copyTo"]').forEach(item => {
+                item.disabled = +item.dataset.arg === this.state.selectedSlot;
+            });
+            menu.style.left = `${e.clientX}px`;
+            menu.style.top = `${e.clientY}px`;
+            menu.hidden = false;
+        }
+
+        _closeSequencerContextMenu() {
+            if (this.ui.sequencerContextMenu) {
+                this.ui.sequencerContextMenu.hidden = true;
+            }
+        }
+
+        /**
+         * Turn per-bar automaton evolution of the selected slot on or off
+         */
+        _setAutomatonEvolve() {
+            const rule = this.ui.genCaEvolve.checked ? parseInt(this.ui.genCaRule.value) || 0 : null;
+            this.sequencerController.setAutomatonRule(this.state.selectedSlot, rule);
+            this.saveCurrentState();
+        }
+
+        /**
+         * Get the steps the trig editor applies to (selection or multi-selection)
+         * @returns {Array<number>} Step indices in the selected slot
+         */
+        _getTrigEditSteps() {
+            if (!this.state.isMultiSelecting) {
+                return [this.state.selectedStep];
+            }
+            const start = Math.min(this.state.multiSelectStart, this.state.multiSelectEnd);
+            const end = Math.max(this.state.multiSelectStart, this.state.multiSelectEnd);
+            return Array.from({ length: end - start + 1 }, (_, i) => start + i);
+        }
+
+        /**
+         * Show the selected step's trig settings in the editor
+         */
+        _refreshStepTrigEditor() {
+            if (!this.ui.stepTrigTarget) return;
+
+            const slot = this.state.selectedSlot;
+            const steps = this._getTrigEditSteps();
+            const trig = this.sequencerController.getStepTrig(slot, steps[0]);
+
+            const stepLabel = (step) => String(step + 1).padStart(2, '0');
+            this.ui.stepTrigTarget.textContent = steps.length > 1
+                ? `S${slot + 1}:${stepLabel(steps[0])}-${stepLabel(steps[steps.length - 1])}`
+                : `S${slot + 1}:${stepLabel(steps[0])}`;
+            this.ui.stepProbInput.value = trig.probability;
+            this.ui.stepVelInput.value = trig.velocity;
+            this.ui.stepCondSelect.value = trig.condition;
+            this.ui.stepRatchetSelect.value = trig.ratchet;
+            this.ui.stepRatchetVolSelect.value = trig.ratchetVolume;
+            this.ui.stepRatchetPitchInput.value = trig.ratchetPitch;
+            this.ui.stepSliceInput.value = trig.slice + 1;
+        }
+
+        /**
+         * Apply a trig editor change to the selected step(s)
+         * @param {Object} changes - Any of { probability, velocity, condition, ratchet, ratchetVolume, ratchetPitch, slice }
+         */
+        _applyStepTrigEdit(changes) {
+            const slot = this.state.selectedSlot;
+            this._getTrigEditSteps().forEach(step => this.sequencerController.setStepTrig(slot, step, changes));
+            this.state.stepTrigs = this.sequencerController.getAllStepTrigs();
+            this._refreshStepTrigEditor();
+            this.saveCurrentState();
+        }
+
+        _setParameterLock(slot, step, paramId, value) {
+            this.sequencerController.setParameterLock(slot, step, paramId, value);
+            this.state.parameterLocks = this.sequencerController.getAllParameterLocks();
+            if (this.state.heldStep) {
+                this.state.heldStep.didLock = true;
+            }
+            this._refreshSlotKnobDisplays(slot);
+        }
+
+        _clearParameterLock(slot, step, paramId) {
+            this.sequencerController.clearParameterLock(slot, step, paramId);
+            this.state.parameterLocks = this.sequencerController.getAllParameterLocks();
+            this._refreshSlotKnobDisplays(slot);
+        }
+
+        /**
+         * Show a slot's knob values, using the held step's locks where it has them
+         * @param {number} slot - Slot index
+         */
+        _refreshSlotKnobDisplays(slot) {
+            const held = this.state.heldStep;
+            const locks = held && held.slot === slot ? this.sequencerController.getParameterLocks(slot, held.step) : null;
+
+            this.config.PER_SLOT_CONTROL_SPECS.forEach(spec => {
+                const elementId = `${spec.id}-slot${slot}`;
+                const isLocked = !!locks && locks[spec.id] !== undefined;
+                const value = isLocked ? locks[spec.id] : this.parameterController.getKnobValue(elementId);
+                this._updateKnobDisplay(elementId, spec, value);
+
+                const knobElement = this.domCache.getElementById(`${elementId}Knob`);
+                if (knobElement) knobElement.classList.toggle('p-locked', isLocked);
+            });
+        }
+
+        _handleSlotControlClick(button) {
+            const slot = parseInt(button.dataset.slot);
+            const type = button.dataset.type;
+            
+            switch (type) {
+                case 'solo':
+                    if (this.state.slotSoloStatus[slot]) {
+                        this.state.slotSoloStatus[slot] = false;
+                    } else {
+                        for (let i = 0; i < this.config.SLOTS; i++) {
+                            this.state.slotSoloStatus[i] = false;
+                        }
+                        this.state.slotSoloStatus[slot] = true;
+                        this.state.slotMuteStatus[slot] = false;
+                    }
+                    this._updateAllSlotControlButtons();
+                    break;
+                    
+                case 'mute':
+                    this.state.slotMuteStatus[slot] = !this.state.slotMuteStatus[slot];
+                    if (this.state.slotMuteStatus[slot]) {
+                        this.state.slotSoloStatus[slot] = false;
+                    }
+                    this._updateSlotControlButtons(slot);
+                    break;
+            }
+            
+            this.saveCurrentState();
+        }
+
+        _updateSlotControlButtons(slot) {
+            const soloBtn = this.domCache.getElementById(`soloBtn-${slot}`);
+            const muteBtn = this.domCache.getElementById(`muteBtn-${slot}`);
+            
+            if (this.state.slotSoloStatus[slot]) {
+                soloBtn.classList.add('solo-active');
+            } else {
+                soloBtn.classList.remove('solo-active');
+            }
+            
+            if (this.state.slotMuteStatus[slot]) {
+                muteBtn.classList.add('mute-active');
+            } else {
+                muteBtn.classList.remove('mute-active');
+            }
+        }
+
+        _updateAllSlotControlButtons() {
+            for (let s = 0; s < this.config.SLOTS; s++) {
+                this._updateSlotControlButtons(s);
+            }
+        }
+
+        _isSlotActiveForPlayback(slot) {
+            const hasSoloActive = this.state.slotSoloStatus.some(solo => solo);
+            if (hasSoloActive) {
+                return this.state.slotSoloStatus[slot];
+            }
+            return !this.state.slotMuteStatus[slot];
+        }
+
+        _onWaveformPlaybackStart(e, slotIndex) {
+            if (this.state.audioBuffers[slotIndex] && !this.state.previewSources[slotIndex]) {
+                const src = this.audioContext.createBufferSource();
+                src.buffer = this.state.audioBuffers[slotIndex];
+                
+                const volumeElementId = `volume-slot${slotIndex}`;
+                const volumeValue = this.parameterController.getKnobValue(volumeElementId) || 0.7;
+                
+                const previewGain = this.audioContext.createGain();
+                previewGain.gain.value = volumeValue;
+                
+                src.connect(previewGain);
+                previewGain.connect(this.grainVoiceManager.masterGain);
+
+                // The preview loops the loop region
+                const region = this.state.loopRegions[slotIndex];
+                src.loop = true;
+                src.loopStart = region.start * src.buffer.duration;
+                src.loopEnd = region.end * src.buffer.duration;
+                src.start(0, src.loopStart);
+                this.state.previewSources[slotIndex] = src;
+            }
+            e.preventDefault();
+        }
+
+        _onWaveformPlaybackStop(e, slotIndex) {
+            this._stopWaveformPreview(slotIndex);
+            e.preventDefault();
+        }
+
+        /**
+         * Stop the waveform preview of a slot, if any
+         * @param {number} slotIndex - Slot index
+         */
+        _stopWaveformPreview(slotIndex) {
+            if (this.state.previewSources[slotIndex]) {
+                this.state.previewSources[slotIndex].stop();
+                this.state.previewSources[slotIndex].disconnect();
+                this.state.previewSources[slotIndex] = null;
+            }
+        }
+
+        /**
+         * Press on a waveform: Shift / middle button scrolls a zoomed waveform, otherwise grab
+         * a loop region handle or start the preview (which turns into a new region once the
+         * pointer is dragged)
+         * @param {Event} e - Mouse or touch event
+         * @param {number} slotIndex - Slot index
+         */
+        _onWaveformPointerDown(e, slotIndex) {
+            if (this.state.audioBuffers[slotIndex] && (e.shiftKey || e.button === 1)) {
+                e.preventDefault();
+                this.state.waveformScroll = { slot: slotIndex, lastFraction: this._getCanvasFraction(e, slotIndex) };
+                return;
+            }
+            if (this.state.audioBuffers[slotIndex]) {
+                const position = this._getWaveformPosition(e, slotIndex);
+                const region = this.state.loopRegions[slotIndex];
+                const tolerance = this._getHandleTolerance(slotIndex);
+                const handle = hitTestRegionHandle(position, region, tolerance);
+                const markers = this.state.sliceMarkers[slotIndex];
+                const marker = handle ? -1 : hitTestSliceMarker(position, markers, tolerance);
+                if (e.altKey) {
+                    e.preventDefault();
+                    this._setSliceMarkers(slotIndex, marker === -1 ? [...markers, position] : markers.filter((_, i) => i !== marker));
+                    return;
+                }
+                if (marker !== -1) {
+                    e.preventDefault();
+                    this.state.sliceDrag = { slot: slotIndex, index: marker, moved: false };
+                    return;
+                }
+                this.state.regionDrag = { slot: slotIndex, handle, anchor: position, region };
+                if (handle) {
+                    e.preventDefault();
+                    return;
+                }
+            }
+            this._onWaveformPlaybackStart(e, slotIndex);
+        }
+
+        /**
+         * Move the dragged region handle, or draw a new region once the drag passes the threshold
+         * @param {Event} e - Mouse or touch event
+         */
+        _onRegionDragMove(e) {
+            const drag = this.state.regionDrag;
+            if (!drag) return;
+
+            const position = this._getWaveformPosition(e, drag.slot);
+            if (!drag.handle) {
+                const renderer = this.state.waveformRenderers[drag.slot];
+                const movedPx = Math.abs(renderer.positionToCanvas(position) - renderer.positionToCanvas(drag.anchor)) * renderer.canvas.width;
+                if (movedPx < CONSTANTS.REGION_DRAG_THRESHOLD_PX) return;
+                this._stopWaveformPreview(drag.slot);
+                drag.handle = 'new';
+            }
+            e.preventDefault();
+            this._setLoopRegion(drag.slot, dragRegion(drag.region, drag.handle, position, drag.anchor));
+        }
+
+        /**
+         * Finish a region drag (a press without a drag was only a preview)
+         */
+        _onRegionDragEnd() {
+            const drag = this.state.regionDrag;
+            this.state.regionDrag = null;
+            if (drag && drag.handle) {
+                this.saveCurrentState();
+            }
+        }
+
+        /**
+         * Move the dragged slice marker
+         * @param {Event} e - Mouse or touch event
+         */
+        _onSliceDragMove(e) {
+            const drag = this.state.sliceDrag;
+            if (!drag) return;
+
+            e.preventDefault();
+            const markers = moveSliceMarker(this.state.sliceMarkers[drag.slot], drag.index, this._getWaveformPosition(e, drag.slot));
+            this.state.sliceMarkers[drag.slot] = markers;
+            drag.moved = true;
+            this._updateLoopRegionUI(drag.slot);
+        }
+
+        /**
+         * Finish a slice marker drag
+         */
+        _onSliceDragEnd() {
+            const drag = this.state.sliceDrag;
+            this.state.sliceDrag = null;
+            if (drag && drag.moved) {
+                this.saveCurrentState();
+            }
+        }
+
+        /**
+         * Show a resize cursor over the region handles and slice markers
+         * @param {MouseEvent} e - Mouse event
+         * @param {number} slotIndex - Slot index
+         */
+        _updateWaveformCursor(e, slotIndex) {
+            if (this.state.regionDrag || this.state.sliceDrag) return;
+            const canvas = this.state.waveformRenderers[slotIndex].canvas;
+            let grabbable = false;
+            if (this.state.audioBuffers[slotIndex]) {
+                const position = this._getWaveformPosition(e, slotIndex);
+                const tolerance = this._getHandleTolerance(slotIndex);
+                grabbable = !!hitTestRegionHandle(position, this.state.loopRegions[slotIndex], tolerance) ||
+                    hitTestSliceMarker(position, this.state.sliceMarkers[slotIndex], tolerance) !== -1;
+            }
+            canvas.style.cursor = grabbable ? 'ew-resize' : '';
+        }
+
+        /**
+         * Pointer position on a waveform canvas as a fraction of the canvas width
+         * @param {Event} e - Mouse or touch event
+         * @param {number} slotIndex - Slot index
+         * @returns {number} Position (0-1)
+         */
+        _getCanvasFraction(e, slotIndex) {
+            const rect = this.state.waveformRenderers[slotIndex].canvas.getBoundingClientRect();
+            const point = e.touches && e.touches.length > 0 ? e.touches[0] : e;
+            return Math.max(0, Math.min(1, (point.clientX - rect.left) / rect.width));
+        }
+
+        /**
+         * Pointer position on a waveform canvas as a fraction of the sample (follows the zoom)
+         * @param {Event} e - Mouse or touch event
+         * @param {number} slotIndex - Slot index
+         * @returns {number} Position (0-1)
+         */
+        _getWaveformPosition(e, slotIndex) {
+            return this.state.waveformRenderers[slotIndex].canvasToPosition(this._getCanvasFraction(e, slotIndex));
+        }
+
+        /**
+         * Handle grab distance as a fraction of the sample at the current zoom
+         * @param {number} slotIndex - Slot index
+         * @returns {number} Tolerance
+         */
+        _getHandleTolerance(slotIndex) {
+            const renderer = this.state.waveformRenderers[slotIndex];
+            const view = renderer.getView();
+            return (CONSTANTS.REGION_HANDLE_GRAB_PX / renderer.canvas.width) * (view.end - view.start);
+        }
+
+        /**
+         * Zoom a waveform around the pointer with the wheel (horizontal wheel / trackpad scrolls)
+         * @param {WheelEvent} e - Wheel event
+         * @param {number} slotIndex - Slot index
+         */
+        _onWaveformWheel(e, slotIndex) {
+            const buffer = this.state.audioBuffers[slotIndex];
+            if (!buffer) return;
+            e.preventDefault();
+
+            const renderer = this.state.waveformRenderers[slotIndex];
+            if (Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+                const view = renderer.getView();
+                renderer.scrollBy((e.deltaX / renderer.canvas.width) * (view.end - view.start));
+            } else if (e.deltaY !== 0) {
+                renderer.zoomAt(this._getCanvasFraction(e, slotIndex), e.deltaY < 0 ? CONSTANTS.WAVEFORM_ZOOM_STEP : 1 / CONSTANTS.WAVEFORM_ZOOM_STEP);
+            }
+            renderer.drawWaveform(buffer);
+        }
+
+        /**
+         * Scroll a zoomed waveform while it is dragged with Shift / the middle button
+         * @param {MouseEvent} e - Mouse event
+         */
+        _onWaveformScrollMove(e) {
+            const scroll = this.state.waveformScroll;
+            if (!scroll) return;
+
+            const renderer = this.state.waveformRenderers[scroll.slot];
+            const fraction = this._getCanvasFraction(e, scroll.slot);
+            const view = renderer.getView();
+            renderer.scrollBy((scroll.lastFraction - fraction) * (view.end - view.start));
+            scroll.lastFraction = fraction;
+            renderer.drawWaveform(this.state.audioBuffers[scroll.slot]);
+        }
+
+        /**
+         * Set the loop region of a slot and redraw its waveform
+         * @param {number} slotIndex - Slot index
+         * @param {Object} region - { start, end } as fractions of the sample
+         */
+        _setLoopRegion(slotIndex, region) {
+            this.state.loopRegions[slotIndex] = normalizeRegion(region);
+            this._updateLoopRegionUI(slotIndex);
+        }
+
+        /**
+         * Reset a slot's loop region to the whole sample
+         * @param {number} slotIndex - Slot index
+         */
+        _resetLoopRegion(slotIndex) {
+            this._setLoopRegion(slotIndex, FULL_REGION);
+            this.saveCurrentState();
+        }
+
+        /**
+         * Draw a slot's loop region and slice markers over its waveform
+         * @param {number} slotIndex - Slot index
+         */
+        _updateLoopRegionUI(slotIndex) {
+            const renderer = this.state.waveformRenderers[slotIndex];
+            renderer.setRegion(this.state.loopRegions[slotIndex]);
+            renderer.setSliceMarkers(this.state.sliceMarkers[slotIndex]);
+            if (this.state.audioBuffers[slotIndex]) {
+                renderer.drawWaveform(this.state.audioBuffers[slotIndex]);
+            }
+        }
+
+        startGranularPlayback() {
+            try {
+                if (this.state.isPlaying) return;
+
+                this.state.isPlaying = true;
+                this.state.lfoStartTime = this.audioContext.currentTime;
+                this._resetPlayheads();
+                this.state.transportStep = 0;
+                this.state.transportBar = 0;
+                this.state.barStep = 0;
+                this.state.pendingStepUI = [];
+                this.trigState.reset();
+
+                if (this.spectrumAnalyzer) {
+                    this.spectrumAnalyzer.start();
+                }
+
+                this.sequencerScheduler.start();
+            } catch (error) {
+                Logger.error('Failed to start granular playback:', error);
+                this.state.isPlaying = false;
+            }
+        }
+
+        /**
+         * Switch between the AudioNode and AudioWorklet grain engines
+         */
+        async toggleGrainEngine() {
+            const button = this.ui.toggleEngineButton;
+            const target = this.grainVoiceManager.getEngine() === GRAIN_ENGINES.NODE
+                ? GRAIN_ENGINES.WORKLET
+                : GRAIN_ENGINES.NODE;
+
+            button.disabled = true;
+            const switched = await this.grainVoiceManager.setEngine(target);
+            button.disabled = false;
+
+            if (!switched) {
+                this._showErrorNotification('グレインエンジン切替エラー', 'AudioWorklet エンジンを初期化できませんでした。ノードエンジンを継続使用します。');
+            }
+
+            button.textContent = `ENGINE: ${this.grainVoiceManager.getEngine().toUpperCase()}`;
+            button.classList.toggle('active', this.grainVoiceManager.getEngine() === GRAIN_ENGINES.WORKLET);
+        }
+
+        /**
+         * Duration of one sequencer step at the current tempo
+         * @returns {number} Step duration in seconds
+         */
+        _getStepDurationSec() {
+            return getStepDuration(this.state.tempoBpm, this.sequencerController.getMeter().resolution);
+        }
+
+        stopGranularPlayback() {
+            try {
+                if (!this.state.isPlaying) return;
+                this.state.isPlaying = false;
+                this.sequencerScheduler.stop();
+                this.state.pendingStepUI = [];
+                this._updateStepUI();
+                if (this.ui.transportPosition) {
+                    this.ui.transportPosition.textContent = '1:1:1';
+                }
+
+                // A queued pattern change only makes sense while playing
+                this.songController.stop();
+                this.sequencerController.queuePattern(null);
+                this._updatePatternBankUI();
+                this._updateSongPosition();
+
+                this.grainVoiceManager.stopAll();
+
+                if (this.spectrumAnalyzer) {
+                    this.spectrumAnalyzer.stop();
+                }
+
+                for (let s = 0; s < this.config.SLOTS; s++) {
+                    const buffer = this.state.audioBuffers[s];
+                    this.state.waveformRenderers[s].clearGrainActivity();
+                    if (buffer) {
+                        this.state.waveformRenderers[s].drawWaveform(buffer);
+                    } else {
+                        this.state.waveformRenderers[s].ctx.clearRect(0, 0, this.state.waveformRenderers[s].canvas.width, this.state.waveformRenderers[s].canvas.height);
+                        this.domCache.getElementById(`fileName-slot${s}`).textContent = '';
+                    }
+                }
+            } catch (error) {
+                Logger.error('Failed to stop granular playback:', error);
+            }
+        }
+        
+        /**
+         * Schedule one sequencer step
+         * @param {number} time - AudioContext time at which the step starts
+         */
+        _sequencerTick(time) {
+            try {
+                if (this.state.barStep === 0) {
+                    this._handleBarStart();
+                }
+                this.state.transportStep++;
+                const barStep = this.state.barStep;
+                const meter = this.sequencerController.getMeter();
+
+                const slotMode = parseInt(this.domCache.getElementById('slotMode').value);
+                const targetSlots = selectTargetSlots(
+                    slotMode,
+                    this.config.SLOTS,
+                    (s) => this.state.audioBuffers[s] && this._isSlotActiveForPlayback(s),
+                    this.randomSource.stream(RANDOM_STREAMS.TRANSPORT)
+                );
+
+                const steps = this.state.sequencerPlayheads.map(playhead => playhead.step);
+
+                targetSlots.forEach(s => {
+                    const step = steps[s];
+                    if (this.state.audioBuffers[s] &&
+                        this.sequencerController.getStep(s, step) &&
+                        this._isSlotActiveForPlayback(s)) {
+                        const trig = this.sequencerController.getStepTrig(s, step);
+                        // Each slot draws from its own trig stream, so muting one never changes the others
+                        const trigRandom = this.randomSource.slotStream(s, RANDOM_STREAMS.TRIGS);
+                        if (this.trigState.shouldTrigger(s, trig, this.state.sequencerLoopCounts[s], trigRandom)) {
+                            this._triggerGrainForSlot(s, time, step, barStep);
+                        }
+                    }
+                });
+
+                // Highlight the steps when they are actually heard, not when they are queued
+                this.state.pendingStepUI.push({
+                    steps,
+                    time,
+                    position: formatTransportPosition(this.state.transportBar, barStep, meter)
+                });
+
+                // A shorter bar (meter changed mid-bar) ends right away
+                if (barStep + 1 >= getStepsPerBar(meter)) {
+                    this.state.barStep = 0;
+                    this.state.transportBar++;
+                } else {
+                    this.state.barStep = barStep + 1;
+                }
+
+                // Every row advances on its own length and direction, so rows drift against each other
+                const directionRandom = this.randomSource.stream(RANDOM_STREAMS.DIRECTION);
+                for (let s = 0; s < this.config.SLOTS; s++) {
+                    const playhead = advancePlayhead(
+                        this.state.sequencerPlayheads[s],
+                        this.sequencerController.getPlayDirection(s),
+                        this.sequencerController.getPatternLength(s),
+                        directionRandom
+                    );
+                    this.state.sequencerPlayheads[s] = playhead;
+                    if (playhead.wrapped) {
+                        this.state.sequencerLoopCounts[s]++;
+                    }
+                }
+            } catch (error) {
+                Logger.error('Sequencer tick error:', error);
+            }
+        }
+
+        /**
+         * Pattern changes happen on bar boundaries: the song position, otherwise a queued pattern
+         */
+        _handleBarStart() {
+            if (this.songController.isEnabled()) {
+                this.sequencerController.queuePattern(null);
+                const row = this.songController.isRunning()
+                    ? this.songController.advanceBar(index => this.sequencerController.getPatternBars(index))
+                    : this.songController.start();
+                if (row) {
+                    this._applySongRow(row);
+                }
+                this._updateSongPosition();
+            } else if (this.sequencerController.applyQueuedPattern()) {
+                this._syncPatternState();
+            }
+            this._updatePatternBankUI();
+
+            // Evolving rows advance one generation per bar after the first
+            if (this.state.transportStep > 0 && this.sequencerController.evolveAutomata().length > 0) {
+                this.state.sequencerPatterns = this.sequencerController.getPatterns();
+            }
+        }
+
+        /**
+         * Apply the pattern, tempo and Slot Mode of a song row
+         * @param {Object} row - { pattern, repeats, tempo, slotMode }
+         */
+        _applySongRow(row) {
+            this._switchPattern(row.pattern);
+            if (row.tempo !== null) {
+                this._updateBpmKnob(row.tempo);
+            }
+            if (row.slotMode !== null) {
+                this.domCache.getElementById('slotMode').value = row.slotMode;
+            }
+        }
+
+        /**
+         * Switch patterns right away when stopped, or at the next bar while playing
+         * @param {number} index - Pattern index
+         */
+        _requestPattern(index) {
+            if (this.state.isPlaying) {
+                const queued = this.sequencerController.getQueuedPattern();
+                this.sequencerController.queuePattern(queued === index ? null : index);
+                this._updatePatternBankUI();
+            } else if (this._switchPattern(index)) {
+                this.saveCurrentState();
+            }
+        }
+
+        /**
+         * Switch the edited / played pattern
+         * @param {number} index - Pattern index
+         * @returns {boolean} Whether the pattern changed
+         */
+        _switchPattern(index) {
+            this._releaseHeldStep();
+            if (!this.sequencerController.selectPattern(index)) return false;
+
+            this._syncPatternState();
+            return true;
+        }
+
+        /**
+         * Sync state, rows and playback counters after the pattern changed
+         */
+        _syncPatternState() {
+            this.state.patternLengths = this.sequencerController.getPatternLengths();
+            this.state.patternLengths.forEach((length, slot) => {
+                this._renderSequencerRow(slot, length);
+                this.sequencerController.refreshRowDOM(slot);
+            });
+            this.state.sequencerPatterns = this.sequencerController.getPatterns();
+            this.state.parameterLocks = this.sequencerController.getAllParameterLocks();
+            this.state.stepTrigs = this.sequencerController.getAllStepTrigs();
+
+            // The new pattern starts from its first step
+            this._updatePlayDirectionUI();
+            this._updateMeterUI();
+            this._resetPlayheads();
+            this.trigState.reset();
+
+            this.state.displayedBank = Math.floor(this.sequencerController.getActivePattern() / this.config.PATTERNS_PER_BANK);
+            this._refreshStepTrigEditor();
+            this._updatePatternBankUI();
+        }
+
+        /**
+         * Show the active, queued and used patterns of the displayed bank
+         */
+        _updatePatternBankUI() {
+            if (!this.ui.patternButtons) return;
+
+            const perBank = this.config.PATTERNS_PER_BANK;
+            const active = this.sequencerController.getActivePattern();
+            const queued = this.sequencerController.getQueuedPattern();
+
+            this.ui.patternBankSelect.value = this.state.displayedBank;
+            this.domCache.querySelectorAll('.pattern-button', true).forEach(button => {
+                const index = this.state.displayedBank * perBank + +button.dataset.pattern;
+                button.classList.toggle('active', index === active);
+                button.classList.toggle('queued', index === queued);
+                button.classList.toggle('has-data', this.sequencerController.hasPatternData(index));
+            });
+
+            this.ui.patternStatus.textContent = queued !== null
+                ? `${formatPatternName(active, perBank)} → ${formatPatternName(queued, perBank)}`
+                : formatPatternName(active, perBank);
+        }
+
+        _toggleSongMode() {
+            this.songController.setEnabled(!this.songController.isEnabled());
+            this._renderSongEditor();
+            this.saveCurrentState();
+        }
+
+        /**
+         * Rebuild the song editor and its mode button
+         */
+        _renderSongEditor() {
+            if (!this.ui.songRows) return;
+
+            const enabled = this.songController.isEnabled();
+            this.ui.songModeButton.textContent = `SONG: ${enabled ? 'ON' : 'OFF'}`;
+            this.ui.songModeButton.classList.toggle('active', enabled);
+            this.uiBuilder.renderSongRows(this.songController.getRows());
+            this._updateSongPosition();
+        }
+
+        /**
+         * Highlight the song row being played
+         */
+        _updateSongPosition() {
+            const playingRow = this.songController.isRunning() ? this.songController.getPosition().row : -1;
+            this.domCache.querySelectorAll('.song-row', true).forEach(row => {
+                row.classList.toggle('playing', +row.dataset.row === playingRow);
+            });
+        }
+
+        /**
+         * Apply an edit made in the song editor
+         * @param {HTMLElement} target - Changed input or select
+         */
+        _handleSongRowChange(target) {
+            const field = target.dataset.field;
+            if (!field) return;
+
+            // Empty tempo / Slot Mode means "keep the current setting"
+            const value = target.value === '' ? null : parseInt(target.value);
+            this.songController.updateRow(+target.dataset.row, { [field]: value });
+            this._renderSongEditor();
+            this.saveCurrentState();
+        }
+
+        /**
+         * Play one step of a slot
+         * @param {number} targetSlot - Slot index
+         * @param {number} time - Grid time of the step
+         * @param {number|null} step - Pattern step (null plays the slot knobs without locks or timing)
+         * @param {number} barStep - Step inside the bar, swing alternates on it
+         */
+        _triggerGrainForSlot(targetSlot, time, step = null, barStep = 0) {
+            const buffer = this.state.audioBuffers[targetSlot];
+            if (!buffer) return;
+
+            const knobParams = {};
+            this.config.PER_SLOT_CONTROL_SPECS.forEach(spec => {
+                const elementId = `${spec.id}-slot${targetSlot}`;
+                knobParams[spec.id] = this.parameterController.getKnobValue(elementId);
+            });
+
+            // Step parameter locks override the slot knobs for this step only, velocity scales the volume
+            const trig = step !== null ? this.sequencerController.getStepTrig(targetSlot, step) : null;
+            const params = trig
+                ? resolveStepParams(knobParams, this.sequencerController.getParameterLocks(targetSlot, step), trig.velocity)
+                : knobParams;
+
+            // Swing, slot offset and humanize move the onset off the grid; an early step
+            // cannot start before now, so large negative offsets are limited by the look-ahead
+            const stepDuration = this._getStepDurationSec();
+            let onset = time;
+            if (trig) {
+                onset += getStepTimeOffset(barStep, stepDuration, {
+                    swing: this.parameterController.getKnobValue('swing'),
+                    timingOffset: params.timingOffset,
+                    humanize: this.parameterController.getKnobValue('humanize')
+                }, this.randomSource.slotStream(targetSlot, RANDOM_STREAMS.TIMING));
+                onset = Math.max(this.audioContext.currentTime, onset);
+            }
+
+            // Each slot draws from its own stream, matching the offline renderer
+            const random = this.randomSource.slotStream(targetSlot);
+            this.grainVoiceManager.setRandomSource(random);
+
+            // A step mapped to a slice plays inside that slice instead of the loop region
+            const region = (trig && getSliceRegion(this.state.sliceMarkers[targetSlot], trig.slice)) || this.state.loopRegions[targetSlot];
+
+            // Ratchets retrigger the burst at even subdivisions of the step
+            const bursts = trig ? getRatchetBursts(params, trig, stepDuration) : [{ offset: 0, params }];
+            bursts.forEach(burst => {
+                triggerGrainBurst(this.grainVoiceManager, buffer, burst.params, onset + burst.offset, {
+                    lfoStartTime: this.state.lfoStartTime,
+                    random,
+                    region,
+                    onGrain: (grainIndex, positionSec, grain) => this._flashSlot(targetSlot, positionSec, grain)
+                });
+            });
         }
 
-        _flashSlot(slotIndex, positionSec) {
+        /**
+         * Add a scheduled grain to the slot's activity overlay (drawn once it starts)
+         * @param {number} slotIndex - Slot index
+         * @param {number} positionSec - Read position in the sample
+         * @param {Object} grain - { time, duration, playbackRate }
+         */
+        _flashSlot(slotIndex, positionSec, grain) {
             const buffer = this.state.audioBuffers[slotIndex];
             if (buffer) {
-                this.state.waveformRenderers[slotIndex].drawPlayhead(buffer, positionSec);
+                this.state.waveformRenderers[slotIndex].addGrain({
+                    position: positionSec / buffer.duration,
+                    duration: grain.duration / buffer.duration,
+                    playbackRate: grain.playbackRate,
+                    time: grain.time
+                });
+            }
+        }
+
+        /**
+         * Redraw the waveforms that have grains to show or fade out
+         * @param {number} now - Current AudioContext time
+         */
+        _drawGrainActivity(now) {
+            for (let s = 0; s < this.config.SLOTS; s++) {
+                const renderer = this.state.waveformRenderers[s];
+                if (this.state.audioBuffers[s] && renderer.hasGrainActivity()) {
+                    renderer.drawGrainActivity(this.state.audioBuffers[s], now);
+                }
+            }
+        }
+
+        /**
+         * Switch every waveform between the min / max waveform and the spectrogram
+         */
+        toggleWaveformDisplay() {
+            this.state.waveformDisplayMode = this.state.waveformDisplayMode === WAVEFORM_DISPLAY_MODES.SPECTROGRAM
+                ? WAVEFORM_DISPLAY_MODES.WAVEFORM
+                : WAVEFORM_DISPLAY_MODES.SPECTROGRAM;
+            this._applyWaveformDisplayMode();
+        }
+
+        /**
+         * Apply the display mode to every waveform and its button
+         */
+        _applyWaveformDisplayMode() {
+            const isSpectrogram = this.state.waveformDisplayMode === WAVEFORM_DISPLAY_MODES.SPECTROGRAM;
+            for (let s = 0; s < this.config.SLOTS; s++) {
+                const renderer = this.state.waveformRenderers[s];
+                renderer.setDisplayMode(this.state.waveformDisplayMode);
+                if (this.state.audioBuffers[s]) {
+                    renderer.drawWaveform(this.state.audioBuffers[s]);
+                }
+            }
+            if (this.ui.waveformDisplayButton) {
+                this.ui.waveformDisplayButton.textContent = isSpectrogram ? 'VIEW: SPEC' : 'VIEW: WAVE';
+                this.ui.waveformDisplayButton.classList.toggle('active', isSpectrogram);
             }
         }
         
-        _updateStepUI() {
-            const currentSteps = this.domCache.querySelectorAll('.step.current', true);
-            currentSteps.forEach(step => step.classList.remove('current'));
+        /**
+         * Show the most recent step whose start time has passed
+         * @param {number} now - Current AudioContext time
+         */
+        _flushStepUI(now) {
+            const pending = this.state.pendingStepUI;
+            let latest = null;
+            while (pending.length > 0 && pending[0].time <= now) {
+                latest = pending.shift();
+            }
+            if (latest) {
+                this._updateStepUI(latest.steps);
+                if (this.ui.transportPosition) {
+                    this.ui.transportPosition.textContent = latest.position;
+                }
+            }
+        }
+
+        /**
+         * Highlight the playing step of every row
+         * @param {Array<number>|null} currentSteps - Step index per slot
+         */
+        _updateStepUI(currentSteps = null) {
+            const previousSteps = this.domCache.querySelectorAll('.step.current', true);
+            previousSteps.forEach(step => step.classList.remove('current'));
             
-            if (this.state.isPlaying) {
-                const newCurrentSteps = this.domCache.querySelectorAll(`.step[data-step='${this.state.currentSequencerStep}']`, true);
-                newCurrentSteps.forEach(step => step.classList.add('current'));
+            if (this.state.isPlaying && currentSteps !== null) {
+                currentSteps.forEach((step, slot) => {
+                    const cell = this.domCache.querySelector(`.step[data-slot='${slot}'][data-step='${step}']`, true);
+                    if (cell) cell.classList.add('current');
+                });
             }
         }
 
@@ -1274,10 +2844,7 @@ export class OptimizedMultigrainPlayer {
             }
             
             this._updateKnobDisplay('bpm', this.config.BPM_SPEC, this.state.tempoBpm);
-            
-            if (this.state.isPlaying) {
-                this.startGranularPlayback();
-            }
+            // No restart needed: the scheduler reads the tempo at every step boundary
         }
         
         _updateRandomDensityKnob(value) {
@@ -1291,6 +2858,28 @@ export class OptimizedMultigrainPlayer {
             this._updateKnobDisplay('randomDensity', this.config.RANDOM_DENSITY_SPEC, randomDensityValue);
         }
         
+        /**
+         * Set the seed of every random stream (sequencer, parameters, grains)
+         * @param {number} seed - New seed
+         */
+        setRandomSeed(seed) {
+            if (!Number.isFinite(seed)) {
+                this._updateSeedDisplay();
+                return;
+            }
+
+            this.randomSource.setSeed(seed);
+            this._updateSeedDisplay();
+            this.saveCurrentState();
+            Logger.log(`🎲 Seed: ${this.randomSource.getSeed()}`);
+        }
+
+        _updateSeedDisplay() {
+            if (this.ui && this.ui.randomSeedInput) {
+                this.ui.randomSeedInput.value = this.randomSource.getSeed();
+            }
+        }
+
         _updateUndoRedoButtons() {
             this.ui.undoButton.disabled = !this.stateManager.canUndo();
             this.ui.redoButton.disabled = !this.stateManager.canRedo();
@@ -1306,6 +2895,7 @@ export class OptimizedMultigrainPlayer {
         }
 
         randomizeAllSlotParams() {
+            const random = this.randomSource.stream(RANDOM_STREAMS.PARAMETERS);
             let randomizedCount = 0;
             let lockedCount = 0;
             
@@ -1318,7 +2908,8 @@ export class OptimizedMultigrainPlayer {
                         return;
                     }
                     
-                    if (spec.id === 'volume') {
+                    // Volume and timing are left alone so a randomize does not blow up the mix or the groove
+                    if (spec.id === 'volume' || spec.id === 'timingOffset') {
                         return;
                     }
                     
@@ -1326,7 +2917,7 @@ export class OptimizedMultigrainPlayer {
                     const min = spec.min;
                     const max = spec.max;
                     const step = spec.step || 1;
-                    randomValue = Math.random() * (max - min) + min;
+                    randomValue = random() * (max - min) + min;
                     randomValue = Math.round(randomValue / step) * step;
                     
                     if (this.state.knobDragStates[elementId]) {
@@ -1354,7 +2945,12 @@ export class OptimizedMultigrainPlayer {
             }
             
             return {
-                globalControls: { slotMode: this.domCache.getElementById('slotMode').value },
+                slotCount: this.config.SLOTS,
+                globalControls: {
+                    slotMode: this.domCache.getElementById('slotMode').value,
+                    swing: this.parameterController.getKnobValue('swing'),
+                    humanize: this.parameterController.getKnobValue('humanize')
+                },
                 perSlotControls: Array.from({ length: this.config.SLOTS }, (_, s) => {
                     const slotState = {};
                     this.config.PER_SLOT_CONTROL_SPECS.forEach(spec => {
@@ -1364,9 +2960,22 @@ export class OptimizedMultigrainPlayer {
                     return slotState;
                 }),
                 sequencerPatterns: deepClone(this.state.sequencerPatterns),
+                patternLengths: [...this.state.patternLengths],
+                playDirections: this.sequencerController.getPlayDirections(),
+                loopRegions: this.state.loopRegions.map(region => ({ ...region })),
+                sliceMarkers: this.state.sliceMarkers.map(markers => [...markers]),
+                preprocessSettings: this.state.preprocessSettings.map(settings => ({ ...settings })),
+                meter: this.sequencerController.getMeter(),
+                patternBank: this.sequencerController.getPatternBank(),
+                activePattern: this.sequencerController.getActivePattern(),
+                automatonRules: this.sequencerController.getAutomatonRules(),
+                song: { enabled: this.songController.isEnabled(), rows: this.songController.getRows() },
+                parameterLocks: this.sequencerController.getAllParameterLocks(),
+                stepTrigs: this.sequencerController.getAllStepTrigs(),
                 slotSoloStatus: deepClone(this.state.slotSoloStatus),
                 slotMuteStatus: deepClone(this.state.slotMuteStatus),
                 tempoBpm: this.state.tempoBpm,
+                randomSeed: this.randomSource.getSeed(),
                 randomDensity: this.parameterController.getKnobValue('randomDensity'),
                 knobLockStates: deepClone(this.state.knobLockStates),
                 collapsedStates: collapsedStates
@@ -1374,7 +2983,16 @@ export class OptimizedMultigrainPlayer {
         }
 
         _applyState(state) {
+            // States saved with another slot count are padded or truncated to the current one
+            state = migrateControlState(state, this.config.SLOTS, this.config);
+
             this.domCache.getElementById('slotMode').value = state.globalControls.slotMode;
+            this.config.GLOBAL_CONTROL_SPECS.forEach(spec => {
+                if (spec.type !== 'knob' || !this.state.knobDragStates[spec.id]) return;
+                const value = state.globalControls[spec.id] !== undefined ? state.globalControls[spec.id] : spec.value;
+                this.state.knobDragStates[spec.id].currentValue = value;
+                this._updateKnobDisplay(spec.id, spec, value);
+            });
             
             state.perSlotControls.forEach((slotState, s) => {
                 for (const id in slotState) {
@@ -1388,9 +3006,48 @@ export class OptimizedMultigrainPlayer {
                 }
             });
 
+            // States from before loop regions play the whole sample
+            this.state.loopRegions = Array.from({ length: this.config.SLOTS }, (_, s) =>
+                normalizeRegion(state.loopRegions ? state.loopRegions[s] : FULL_REGION));
+            this.state.sliceMarkers = Array.from({ length: this.config.SLOTS }, (_, s) =>
+                normalizeSliceMarkers(state.sliceMarkers ? state.sliceMarkers[s] : null));
+            this.state.loopRegions.forEach((_, s) => this._updateLoopRegionUI(s));
+
+            // Slots whose preprocess settings change are processed again from their source
+            for (let s = 0; s < this.config.SLOTS; s++) {
+                const settings = normalizePreprocessSettings(state.preprocessSettings ? state.preprocessSettings[s] : null);
+                const changed = JSON.stringify(settings) !== JSON.stringify(this.state.preprocessSettings[s]);
+                this.state.preprocessSettings[s] = settings;
+                if (changed) {
+                    this.fileLoaderController.reprocessSlot(s);
+                }
+            }
+
             // Delegate to SequencerController
+            this.sequencerController.initializePatternBank(state.patternBank, state.activePattern);
+            this.state.displayedBank = Math.floor(this.sequencerController.getActivePattern() / this.config.PATTERNS_PER_BANK);
+            this.sequencerController.initializeMeter(state.meter);
+            this._updateMeterUI();
+            this.sequencerController.initializePatternLengths(state.patternLengths);
+            this.state.patternLengths = this.sequencerController.getPatternLengths();
+            this.state.patternLengths.forEach((length, slot) => this._renderSequencerRow(slot, length));
+            this.sequencerController.initializePlayDirections(state.playDirections);
+            this._updatePlayDirectionUI();
             this.sequencerController.initializePatterns(state.sequencerPatterns);
             this.state.sequencerPatterns = this.sequencerController.getPatterns();
+            this.sequencerController.initializeParameterLocks(state.parameterLocks);
+            this.state.parameterLocks = this.sequencerController.getAllParameterLocks();
+            this.sequencerController.initializeStepTrigs(state.stepTrigs);
+            this.state.stepTrigs = this.sequencerController.getAllStepTrigs();
+            this.sequencerController.initializeAutomatonRules(state.automatonRules);
+            this._refreshSelectionEditors();
+
+            if (state.song) {
+                this.songController.setRows(state.song.rows);
+                this.songController.setEnabled(state.song.enabled);
+            }
+            this._renderSongEditor();
+            this._updatePatternBankUI();
 
             // Update DOM for all sequencer steps
             this.state.sequencerPatterns.forEach((pattern, slot) => {
@@ -1434,6 +3091,12 @@ export class OptimizedMultigrainPlayer {
                 });
             }
             
+            // Only rewind the streams when the seed actually changes
+            if (state.randomSeed !== undefined && state.randomSeed !== this.randomSource.getSeed()) {
+                this.randomSource.setSeed(state.randomSeed);
+            }
+            this._updateSeedDisplay();
+
             this._updateRandomDensityKnob(state.randomDensity);
             this._updateBpmKnob(state.tempoBpm);
             this._updateUndoRedoButtons();
@@ -1448,14 +3111,28 @@ export class OptimizedMultigrainPlayer {
         undo() {
             const previousState = this.stateManager.undo();
             if (previousState) {
-                this._applyState(previousState);
+                this._applyHistoryState(previousState);
             }
         }
 
         redo() {
             const nextState = this.stateManager.redo();
             if (nextState) {
-                this._applyState(nextState);
+                this._applyHistoryState(nextState);
+            }
+        }
+
+        /**
+         * Show an undo / redo state, switching back to the slot count it was saved with
+         * States from before the slot count setting keep the current count.
+         * @param {Object} state - Control state from the history
+         */
+        _applyHistoryState(state) {
+            const slotCount = state.slotCount ? clampSlotCount(state.slotCount) : this.config.SLOTS;
+            if (slotCount !== this.config.SLOTS) {
+                this.setSlotCount(slotCount, state);
+            } else {
+                this._applyState(state);
             }
         }
 
@@ -1471,12 +3148,21 @@ export class OptimizedMultigrainPlayer {
                     this.stopGranularPlayback();
                 }
 
+                if (this.sequencerScheduler) {
+                    this.sequencerScheduler.destroy();
+                }
+
                 // Stop auto-scaling
                 this._stopAutoScaling();
 
                 // Stop LED meter loop
                 this._stopLEDMeterLoop();
 
+                // Stop recording before the voice manager goes away
+                if (this.recordingController) {
+                    this.recordingController.destroy();
+                }
+
                 // Clean up audio resources
                 if (this.grainVoiceManager) {
                     this.grainVoiceManager.destroy();
@@ -1557,6 +3243,74 @@ export class OptimizedMultigrainPlayer {
                 loadPathButton: { type: 'id', value: 'loadPathButton' },
                 loadPathInput: { type: 'id', value: 'loadPathInput' },
                 togglePerfMonitor: { type: 'id', value: 'togglePerfMonitor' },
+                toggleEngineButton: { type: 'id', value: 'toggleEngineButton' },
+                waveformDisplayButton: { type: 'id', value: 'waveformDisplayButton' },
+                samplePrepTarget: { type: 'id', value: 'samplePrepTarget' },
+                prepTrimCheckbox: { type: 'id', value: 'prepTrimCheckbox' },
+                prepTrimThresholdInput: { type: 'id', value: 'prepTrimThresholdInput' },
+                prepPreRollInput: { type: 'id', value: 'prepPreRollInput' },
+                prepNormalizeSelect: { type: 'id', value: 'prepNormalizeSelect' },
+                prepTargetInput: { type: 'id', value: 'prepTargetInput' },
+                prepDcCheckbox: { type: 'id', value: 'prepDcCheckbox' },
+                prepFadeInInput: { type: 'id', value: 'prepFadeInInput' },
+                prepFadeOutInput: { type: 'id', value: 'prepFadeOutInput' },
+                prepResampleCheckbox: { type: 'id', value: 'prepResampleCheckbox' },
+                prepMonoCheckbox: { type: 'id', value: 'prepMonoCheckbox' },
+                reprocessSlotButton: { type: 'id', value: 'reprocessSlotButton' },
+                sampleEditTarget: { type: 'id', value: 'sampleEditTarget' },
+                sampleEditButtons: { type: 'id', value: 'sampleEditButtons' },
+                sampleEditPitchInput: { type: 'id', value: 'sampleEditPitchInput' },
+                sampleEditUndoButton: { type: 'id', value: 'sampleEditUndoButton' },
+                sampleEditRedoButton: { type: 'id', value: 'sampleEditRedoButton' },
+                sliceTarget: { type: 'id', value: 'sliceTarget' },
+                sliceSensitivityInput: { type: 'id', value: 'sliceSensitivityInput' },
+                sliceGapInput: { type: 'id', value: 'sliceGapInput' },
+                detectSlicesButton: { type: 'id', value: 'detectSlicesButton' },
+                mapSlicesButton: { type: 'id', value: 'mapSlicesButton' },
+                clearSlicesButton: { type: 'id', value: 'clearSlicesButton' },
+                exportWavButton: { type: 'id', value: 'exportWavButton' },
+                exportStemsButton: { type: 'id', value: 'exportStemsButton' },
+                exportBarsInput: { type: 'id', value: 'exportBarsInput' },
+                exportBitDepthSelect: { type: 'id', value: 'exportBitDepthSelect' },
+                randomSeedInput: { type: 'id', value: 'randomSeedInput' },
+                stepTrigTarget: { type: 'id', value: 'stepTrigTarget' },
+                stepProbInput: { type: 'id', value: 'stepProbInput' },
+                stepVelInput: { type: 'id', value: 'stepVelInput' },
+                stepCondSelect: { type: 'id', value: 'stepCondSelect' },
+                stepRatchetSelect: { type: 'id', value: 'stepRatchetSelect' },
+                stepRatchetVolSelect: { type: 'id', value: 'stepRatchetVolSelect' },
+                stepRatchetPitchInput: { type: 'id', value: 'stepRatchetPitchInput' },
+                stepSliceInput: { type: 'id', value: 'stepSliceInput' },
+                timeSignatureSelect: { type: 'id', value: 'timeSignatureSelect' },
+                stepResolutionSelect: { type: 'id', value: 'stepResolutionSelect' },
+                transportPosition: { type: 'id', value: 'transportPosition' },
+                newSeedButton: { type: 'id', value: 'newSeedButton' },
+                exportLoopCheckbox: { type: 'id', value: 'exportLoopCheckbox' },
+                recordButton: { type: 'id', value: 'recordButton' },
+                saveTakeButton: { type: 'id', value: 'saveTakeButton' },
+                takeToSlotButton: { type: 'id', value: 'takeToSlotButton' },
+                recordSlotSelect: { type: 'id', value: 'recordSlotSelect' },
+                slotCountInput: { type: 'id', value: 'slotCountInput' },
+                patternBankSelect: { type: 'id', value: 'patternBankSelect' },
+                patternButtons: { type: 'id', value: 'patternButtons' },
+                patternStatus: { type: 'id', value: 'patternStatus' },
+                songModeButton: { type: 'id', value: 'songModeButton' },
+                addSongRowButton: { type: 'id', value: 'addSongRowButton' },
+                songRows: { type: 'id', value: 'songRows' },
+                generatorTarget: { type: 'id', value: 'generatorTarget' },
+                generatorTypeSelect: { type: 'id', value: 'generatorTypeSelect' },
+                genEuclidHits: { type: 'id', value: 'genEuclidHits' },
+                genEuclidSteps: { type: 'id', value: 'genEuclidSteps' },
+                genEuclidRotation: { type: 'id', value: 'genEuclidRotation' },
+                genGridsX: { type: 'id', value: 'genGridsX' },
+                genGridsY: { type: 'id', value: 'genGridsY' },
+                genGridsDensity: { type: 'id', value: 'genGridsDensity' },
+                genGridsPart: { type: 'id', value: 'genGridsPart' },
+                genCaRule: { type: 'id', value: 'genCaRule' },
+                genCaEvolve: { type: 'id', value: 'genCaEvolve' },
+                genMarkovOrder: { type: 'id', value: 'genMarkovOrder' },
+                generateButton: { type: 'id', value: 'generateButton' },
+                sequencerContextMenu: { type: 'id', value: 'sequencerContextMenu' },
 
                 // Knobs
                 bpmKnob: { type: 'id', value: 'bpmKnob' },
@@ -0,0 +1,120 @@
+/**
+ * LookAheadScheduler - Sample-accurate step scheduling on the AudioContext clock
+ * A coarse JS timer wakes up periodically and queues every step that falls
+ * inside the look-ahead window, so main thread jank does not move the audio.
+ */
+
+import { Logger } from '../utils/logger.js';
+
+// Constants
+const DEFAULT_TIMER_INTERVAL_MS = 25;
+const DEFAULT_SCHEDULE_AHEAD_SEC = 0.1;
+const DEFAULT_START_DELAY_SEC = 0.05;
+
+/**
+ * LookAheadScheduler class
+ * Calls onStep(stepIndex, time) for each step slightly before it is due
+ */
+export class LookAheadScheduler {
+  /**
+   * Constructor
+   * @param {BaseAudioContext} audioContext - Clock source
+   * @param {ResourceManager} resourceManager - Timer tracking for cleanup
+   * @param {Object} options - Scheduler options
+   * @param {Function} options.getStepDuration - Returns the duration (sec) of the given step index
+   * @param {Function} options.onStep - Called with (stepIndex, time) for each scheduled step
+   * @param {Function} [options.onTick] - Called after every timer wake-up (for UI sync)
+   * @param {number} [options.timerIntervalMs=25] - How often the scheduler wakes up
+   * @param {number} [options.scheduleAheadSec=0.1] - How far ahead steps are queued
+   */
+  constructor(audioContext, resourceManager, options = {}) {
+    if (typeof options.getStepDuration !== 'function' || typeof options.onStep !== 'function') {
+      throw new Error('getStepDuration and onStep callbacks are required');
+    }
+
+    this.audioContext = audioContext;
+    this.resourceManager = resourceManager;
+    this.getStepDuration = options.getStepDuration;
+    this.onStep = options.onStep;
+    this.onTick = options.onTick || null;
+    this.timerIntervalMs = options.timerIntervalMs || DEFAULT_TIMER_INTERVAL_MS;
+    this.scheduleAheadSec = options.scheduleAheadSec || DEFAULT_SCHEDULE_AHEAD_SEC;
+
+    this.timerId = null;
+    this.stepIndex = 0;
+    this.nextStepTime = 0;
+  }
+
+  /**
+   * Start scheduling from step 0
+   * @param {number} [startTime] - Context time of the first step (defaults to slightly in the future)
+   */
+  start(startTime) {
+    this.stop();
+
+    this.stepIndex = 0;
+    this.nextStepTime = typeof startTime === 'number'
+      ? startTime
+      : this.audioContext.currentTime + DEFAULT_START_DELAY_SEC;
+
+    this.tick();
+    this.timerId = this.resourceManager.setInterval(() => this.tick(), this.timerIntervalMs);
+  }
+
+  /**
+   * Stop scheduling. Steps already queued on the audio clock still play.
+   */
+  stop() {
+    if (this.timerId !== null) {
+      this.resourceManager.clearInterval(this.timerId);
+      this.timerId = null;
+    }
+  }
+
+  /**
+   * Check whether the scheduler is running
+   * @returns {boolean}
+   */
+  isRunning() {
+    return this.timerId !== null;
+  }
+
+  /**
+   * Queue all steps that start before the look-ahead horizon
+   */
+  tick() {
+    const now = this.audioContext.currentTime;
+
+    // After a long stall, drop the missed steps instead of firing them in a burst
+    if (now - this.nextStepTime > this.scheduleAheadSec) {
+      Logger.debug(`Scheduler late by ${((now - this.nextStepTime) * 1000).toFixed(1)}ms, resyncing`);
+      this.nextStepTime = now;
+    }
+
+    const horizon = now + this.scheduleAheadSec;
+    while (this.nextStepTime < horizon) {
+      try {
+        this.onStep(this.stepIndex, this.nextStepTime);
+      } catch (error) {
+        Logger.error('Scheduler step error:', error);
+      }
+
+      // Read the duration per step so tempo changes land on the next boundary
+      this.nextStepTime += this.getStepDuration(this.stepIndex);
+      this.stepIndex++;
+    }
+
+    if (this.onTick) {
+      this.onTick(now);
+    }
+  }
+
+  /**
+   * Destroy and stop the timer
+   */
+  destroy() {
+    this.stop();
+  }
+}
+
+export default LookAheadScheduler;
@@ -0,0 +1,210 @@
+/**
+ * MasterRecorder - Records an AudioNode's output as raw PCM
+ * Taps the source node with RecorderWorkletProcessor, so takes are captured
+ * sample-exact without going through a lossy MediaRecorder codec.
+ */
+
+import { Logger } from '../utils/logger.js';
+
+// Constants
+const PROCESSOR_NAME = 'recorder-processor';
+const PROCESSOR_URL = new URL('./worklets/RecorderWorkletProcessor.js', import.meta.url);
+const RECORD_CHANNELS = 2;
+// Ten minutes of stereo float PCM is roughly 200 MB at 44.1 kHz
+const MAX_RECORD_SECONDS = 600;
+
+/**
+ * Concatenate recorded chunks into one array per channel
+ * @param {Array<Array<Float32Array>>} chunks - Chunks as posted by the processor
+ * @param {number} channelCount - Number of channels
+ * @returns {Array<Float32Array>} Channel data
+ */
+export function joinChunks(chunks, channelCount) {
+  const length = chunks.reduce((sum, chunk) => sum + chunk[0].length, 0);
+  const channels = Array.from({ length: channelCount }, () => new Float32Array(length));
+
+  let offset = 0;
+  chunks.forEach(chunk => {
+    channels.forEach((data, ch) => data.set(chunk[ch], offset));
+    offset += chunk[0].length;
+  });
+
+  return channels;
+}
+
+/**
+ * MasterRecorder class
+ */
+export class MasterRecorder {
+  /**
+   * Constructor
+   * @param {AudioContext} audioContext - Web Audio API context
+   * @param {AudioNode} source - Node to record (e.g. the voice manager's master gain)
+   * @param {Object} callbacks - { onProgress(seconds), onLimit() }
+   */
+  constructor(audioContext, source, callbacks = {}) {
+    this.audioContext = audioContext;
+    this.source = source;
+    this.callbacks = callbacks;
+    this.node = null;
+    this.isReady = false;
+    this.recording = false;
+    this.chunks = [];
+    this.recordedFrames = 0;
+    this.stopResolver = null;
+  }
+
+  /**
+   * Check whether the context supports AudioWorklet
+   * @param {BaseAudioContext} audioContext - Context to check
+   * @returns {boolean}
+   */
+  static isSupported(audioContext) {
+    return !!(audioContext && audioContext.audioWorklet) && typeof AudioWorkletNode !== 'undefined';
+  }
+
+  /**
+   * Load the processor module and connect the tap
+   * @returns {Promise<boolean>} Whether the recorder is ready
+   */
+  async init() {
+    if (this.isReady) return true;
+
+    if (!MasterRecorder.isSupported(this.audioContext)) {
+      Logger.warn('AudioWorklet is not supported in this browser');
+      return false;
+    }
+
+    try {
+      await this.audioContext.audioWorklet.addModule(PROCESSOR_URL);
+
+      this.node = new AudioWorkletNode(this.audioContext, PROCESSOR_NAME, {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        channelCount: RECORD_CHANNELS,
+        channelCountMode: 'explicit',
+        processorOptions: { channelCount: RECORD_CHANNELS }
+      });
+
+      this.node.port.onmessage = (event) => this.handleMessage(event.data);
+
+      this.source.connect(this.node);
+      // The processor only runs while it is pulled; its output is silent
+      this.node.connect(this.audioContext.destination);
+      this.isReady = true;
+
+      Logger.info('MasterRecorder initialized');
+      return true;
+    } catch (error) {
+      Logger.error('Failed to initialize MasterRecorder:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Handle messages from the processor
+   * @param {Object} message - { type, channels? }
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case 'chunk':
+        this.chunks.push(message.channels);
+        this.recordedFrames += message.channels[0].length;
+
+        if (this.callbacks.onProgress) {
+          this.callbacks.onProgress(this.getDuration());
+        }
+        if (this.recording && this.getDuration() >= MAX_RECORD_SECONDS && this.callbacks.onLimit) {
+          this.callbacks.onLimit();
+        }
+        break;
+
+      case 'stopped':
+        if (this.stopResolver) {
+          this.stopResolver();
+          this.stopResolver = null;
+        }
+        break;
+    }
+  }
+
+  /**
+   * Start a new take
+   * @returns {Promise<boolean>} Whether recording started
+   */
+  async start() {
+    if (this.recording) return true;
+
+    const ready = await this.init();
+    if (!ready) return false;
+
+    this.chunks = [];
+    this.recordedFrames = 0;
+    this.recording = true;
+    this.node.port.postMessage({ type: 'start' });
+
+    Logger.log('⏺️ Recording started');
+    return true;
+  }
+
+  /**
+   * Stop the current take
+   * @returns {Promise<Object|null>} { channels, sampleRate } or null if nothing was recorded
+   */
+  async stop() {
+    if (!this.recording) return null;
+
+    this.recording = false;
+    const stopped = new Promise(resolve => {
+      this.stopResolver = resolve;
+    });
+    this.node.port.postMessage({ type: 'stop' });
+    await stopped;
+
+    const take = this.recordedFrames > 0
+      ? { channels: joinChunks(this.chunks, RECORD_CHANNELS), sampleRate: this.audioContext.sampleRate }
+      : null;
+
+    this.chunks = [];
+    Logger.log(`⏹️ Recording stopped (${(this.recordedFrames / this.audioContext.sampleRate).toFixed(2)}s)`);
+    return take;
+  }
+
+  /**
+   * Whether a take is being recorded
+   * @returns {boolean}
+   */
+  isRecording() {
+    return this.recording;
+  }
+
+  /**
+   * Get the length of the current take
+   * @returns {number} Seconds
+   */
+  getDuration() {
+    return this.recordedFrames / this.audioContext.sampleRate;
+  }
+
+  /**
+   * Destroy and cleanup all resources
+   */
+  destroy() {
+    try {
+      if (this.node) {
+        this.node.port.postMessage({ type: 'stop' });
+        this.node.port.onmessage = null;
+        this.source.disconnect(this.node);
+        this.node.disconnect();
+        this.node = null;
+      }
+      this.chunks = [];
+      this.recording = false;
+      this.isReady = false;
+    } catch (error) {
+      Logger.error('Error during MasterRecorder destruction:', error);
+    }
+  }
+}
+
+export default MasterRecorder;
@@ -0,0 +1,290 @@
+/**
+ * OfflineRenderer - Bounces the sequencer pattern through an OfflineAudioContext
+ * Replays the same step logic as live playback (slot mode, solo/mute, per-slot
+ * knobs) with grains created by OptimizedGrainVoiceManager, so a render sounds
+ * like the loop heard in the browser. All random draws come from seeded
+ * streams, which makes a render reproducible from its seed.
+ *
+ * Every slot plays through its own voice manager. For stem renders each
+ * manager feeds its own channel pair of a multichannel context, and the master
+ * mix is the sum of those pairs, so stems line up with the mix sample for sample.
+ */
+
+import { Logger } from '../utils/logger.js';
+import { RandomSource, RANDOM_STREAMS } from '../utils/randomSource.js';
+import { OptimizedGrainVoiceManager } from './OptimizedGrainVoiceManager.js';
+import { triggerGrainBurst, selectTargetSlots, resolveStepParams, getRatchetBursts, getStepTimeOffset, MAX_TIMING_OFFSET_RATIO } from './grainTrigger.js';
+import { TrigState, DEFAULT_TRIG } from '../utils/trigConditions.js';
+import { DEFAULT_PLAY_DIRECTION, createPlayhead, advancePlayhead } from '../utils/playDirections.js';
+import { DEFAULT_METER, normalizeMeter, getStepDuration, getStepsPerBar } from '../utils/timeSignatures.js';
+import { FULL_REGION } from '../utils/loopRegion.js';
+import { getSliceRegion } from '../utils/sliceMarkers.js';
+
+// Constants
+const CHANNELS_PER_SLOT = 2;
+const DEFAULT_SAMPLE_RATE = 44100;
+const DEFAULT_MAX_VOICES = 128;
+// Grains are queued this far ahead of their step, like the live look-ahead scheduler
+const SCHEDULE_AHEAD_SEC = 0.1;
+// Room for the longest grain (1000 ms) plus timing spread to ring out
+const TAIL_SEC = 1.1;
+const RENDER_QUANTUM_FRAMES = 128;
+
+/**
+ * Fold the audio after the loop end back onto the start so the loop repeats seamlessly
+ * @param {Array<Float32Array>} channels - Rendered channel data (loop + tail)
+ * @param {number} loopFrames - Loop length in frames
+ * @returns {Array<Float32Array>} Channel data trimmed to loopFrames
+ */
+export function foldLoopTail(channels, loopFrames) {
+  return channels.map(data => {
+    const folded = data.slice(0, loopFrames);
+    for (let i = loopFrames; i < data.length; i++) {
+      folded[(i - loopFrames) % loopFrames] += data[i];
+    }
+    return folded;
+  });
+}
+
+/**
+ * Sum stereo stems into a master mix
+ * @param {Array<Array<Float32Array>>} stems - Channel data per stem
+ * @param {number} length - Length in frames
+ * @returns {Array<Float32Array>} Mixed channel data
+ */
+export function mixStems(stems, length) {
+  const mix = Array.from({ length: CHANNELS_PER_SLOT }, () => new Float32Array(length));
+  stems.forEach(channels => {
+    mix.forEach((data, ch) => {
+      const source = channels[ch];
+      for (let i = 0; i < length; i++) {
+        data[i] += source[i];
+      }
+    });
+  });
+  return mix;
+}
+
+/**
+ * OfflineRenderer class
+ */
+export class OfflineRenderer {
+  /**
+   * Constructor
+   * @param {Object} config - Player config (SLOTS, SEQUENCER_STEPS)
+   * @param {Object} options - Renderer options
+   * @param {number} [options.sampleRate=44100] - Output sample rate
+   * @param {number} [options.maxVoices=128] - Voice limit of each slot's voice manager
+   */
+  constructor(config, { sampleRate = DEFAULT_SAMPLE_RATE, maxVoices = DEFAULT_MAX_VOICES } = {}) {
+    this.config = config;
+    this.sampleRate = sampleRate;
+    this.maxVoices = maxVoices;
+  }
+
+  /**
+   * Check whether the browser can run offline renders
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof OfflineAudioContext !== 'undefined' &&
+      typeof OfflineAudioContext.prototype.suspend === 'function';
+  }
+
+  /**
+   * Get the length of one sequencer step
+   * @param {number} tempoBpm - Tempo in BPM
+   * @param {Object} [meter] - { timeSignature, resolution } of the pattern
+   * @returns {number} Step duration in seconds
+   */
+  getStepDuration(tempoBpm, meter = DEFAULT_METER) {
+    return getStepDuration(tempoBpm, normalizeMeter(meter).resolution);
+  }
+
+  /**
+   * Render the pattern
+   * @param {Object} options - Render options
+   * @param {Array<AudioBuffer|null>} options.buffers - Slot buffers
+   * @param {Object} options.controlState - Snapshot from _getControlState()
+   * @param {number} options.bars - Number of bars (in the pattern's time signature) to render
+   * @param {number} options.seed - Seed for every random element
+   * @param {boolean} [options.wrapTail=false] - Fold the release tail onto the start for seamless loops
+   * @param {boolean} [options.stems=false] - Also return one stereo stem per playing slot
+   * @returns {Promise<Object>} { sampleRate, master: Float32Array[], stems: [{ slot, channels }] | null }
+   */
+  async render({ buffers, controlState, bars, seed, wrapTail = false, stems = false }) {
+    const { SLOTS, SEQUENCER_STEPS } = this.config;
+    const meter = normalizeMeter(controlState.meter);
+    const stepsPerBar = getStepsPerBar(meter);
+    const stepDuration = this.getStepDuration(controlState.tempoBpm, meter);
+    const totalSteps = bars * stepsPerBar;
+    const loopFrames = Math.round(totalSteps * stepDuration * this.sampleRate);
+    const totalFrames = loopFrames + Math.ceil(TAIL_SEC * this.sampleRate);
+
+    const patternLengths = controlState.patternLengths || Array(SLOTS).fill(SEQUENCER_STEPS);
+    const playDirections = controlState.playDirections || Array(SLOTS).fill(DEFAULT_PLAY_DIRECTION);
+    const slotParams = controlState.perSlotControls;
+    const loopRegions = controlState.loopRegions || Array(SLOTS).fill(FULL_REGION);
+    const sliceMarkers = controlState.sliceMarkers || Array(SLOTS).fill([]);
+    const slotMode = parseInt(controlState.globalControls.slotMode);
+    const isSlotActive = this._createSlotFilter(controlState);
+    const playingSlots = Array.from({ length: SLOTS }, (_, s) => s).filter(s => buffers[s] && isSlotActive(s));
+
+    const channelCount = stems ? Math.max(1, playingSlots.length) * CHANNELS_PER_SLOT : CHANNELS_PER_SLOT;
+    const offlineContext = new OfflineAudioContext(channelCount, totalFrames, this.sampleRate);
+    offlineContext.destination.channelInterpretation = 'discrete';
+
+    // One stream for slot selection and per-slot grain, trig and timing streams,
+    // so muting or isolating a slot never changes what the other slots play
+    const randomSource = new RandomSource(seed);
+    const transportRandom = randomSource.stream(RANDOM_STREAMS.TRANSPORT);
+    const slotRandoms = Array.from({ length: SLOTS }, (_, s) => randomSource.slotStream(s));
+    const trigRandoms = Array.from({ length: SLOTS }, (_, s) => randomSource.slotStream(s, RANDOM_STREAMS.TRIGS));
+    const timingRandoms = Array.from({ length: SLOTS }, (_, s) => randomSource.slotStream(s, RANDOM_STREAMS.TIMING));
+    const directionRandom = randomSource.stream(RANDOM_STREAMS.DIRECTION);
+    const swing = controlState.globalControls.swing !== undefined ? controlState.globalControls.swing : 50;
+    const humanize = controlState.globalControls.humanize || 0;
+    const trigState = new TrigState(SLOTS);
+    const voiceManagers = this._createSlotVoiceManagers(offlineContext, playingSlots, slotRandoms, stems);
+
+    // Each slot loops over its own pattern length in its own direction
+    const playheads = Array.from({ length: SLOTS }, (_, s) => createPlayhead(playDirections[s], patternLengths[s]));
+    const loopCounts = Array(SLOTS).fill(0);
+
+    const scheduleStep = (stepIndex, time) => {
+      const targetSlots = selectTargetSlots(
+        slotMode,
+        SLOTS,
+        (s) => buffers[s] && isSlotActive(s),
+        transportRandom
+      );
+
+      targetSlots.forEach(s => {
+        const patternStep = playheads[s].step;
+        const loopIndex = loopCounts[s];
+        if (buffers[s] && controlState.sequencerPatterns[s][patternStep] && isSlotActive(s)) {
+          const trig = { ...DEFAULT_TRIG, ...(controlState.stepTrigs && controlState.stepTrigs[s][patternStep]) };
+          if (!trigState.shouldTrigger(s, trig, loopIndex, trigRandoms[s])) return;
+
+          const locks = controlState.parameterLocks && controlState.parameterLocks[s][patternStep];
+          const params = resolveStepParams(slotParams[s], locks, trig.velocity);
+          const offset = getStepTimeOffset(stepIndex % stepsPerBar, stepDuration, { swing, timingOffset: params.timingOffset, humanize }, timingRandoms[s]);
+          const onset = Math.max(0, time + offset);
+          const region = getSliceRegion(sliceMarkers[s], trig.slice) || loopRegions[s];
+          getRatchetBursts(params, trig, stepDuration).forEach(burst => {
+            triggerGrainBurst(voiceManagers.get(s), buffers[s], burst.params, onset + burst.offset, { random: slotRandoms[s], region });
+          });
+        }
+      });
+
+      for (let s = 0; s < SLOTS; s++) {
+        playheads[s] = advancePlayhead(playheads[s], playDirections[s], patternLengths[s], directionRandom);
+        if (playheads[s].wrapped) {
+          loopCounts[s]++;
+        }
+      }
+    };
+
+    // Group steps by the render quantum they are queued in; suspend() allows one call per quantum
+    // The lead covers the earliest a step can be pulled by its timing offset and humanize
+    const stepsBySuspendFrame = new Map();
+    const scheduleLead = SCHEDULE_AHEAD_SEC + stepDuration * MAX_TIMING_OFFSET_RATIO + humanize / 2000;
+    for (let i = 0; i < totalSteps; i++) {
+      const time = i * stepDuration;
+      const queueFrame = Math.max(0, Math.round((time - scheduleLead) * this.sampleRate));
+      const suspendFrame = Math.floor(queueFrame / RENDER_QUANTUM_FRAMES) * RENDER_QUANTUM_FRAMES;
+      if (!stepsBySuspendFrame.has(suspendFrame)) {
+        stepsBySuspendFrame.set(suspendFrame, []);
+      }
+      stepsBySuspendFrame.get(suspendFrame).push({ index: i, time });
+    }
+
+    for (const [suspendFrame, steps] of stepsBySuspendFrame) {
+      if (suspendFrame === 0) {
+        steps.forEach(step => scheduleStep(step.index, step.time));
+        continue;
+      }
+      offlineContext.suspend(suspendFrame / this.sampleRate).then(() => {
+        try {
+          steps.forEach(step => scheduleStep(step.index, step.time));
+        } catch (error) {
+          Logger.error('Offline step scheduling error:', error);
+        } finally {
+          offlineContext.resume();
+        }
+      });
+    }
+
+    Logger.info('Offline render started', { bars, seed, tempoBpm: controlState.tempoBpm, totalSteps });
+
+    try {
+      const rendered = await offlineContext.startRendering();
+
+      let channels = Array.from({ length: rendered.numberOfChannels }, (_, ch) => rendered.getChannelData(ch));
+      if (wrapTail) {
+        channels = foldLoopTail(channels, loopFrames);
+      }
+
+      if (!stems) {
+        return { sampleRate: rendered.sampleRate, master: channels, stems: null };
+      }
+
+      const slotStems = playingSlots.map((slot, i) => ({
+        slot,
+        channels: channels.slice(i * CHANNELS_PER_SLOT, (i + 1) * CHANNELS_PER_SLOT)
+      }));
+
+      return {
+        sampleRate: rendered.sampleRate,
+        master: mixStems(slotStems.map(stem => stem.channels), channels[0].length),
+        stems: slotStems
+      };
+    } finally {
+      voiceManagers.forEach(voiceManager => voiceManager.destroy());
+    }
+  }
+
+  /**
+   * Create one voice manager per playing slot
+   * In stem mode each manager is routed to its own channel pair of the destination.
+   * @private
+   */
+  _createSlotVoiceManagers(offlineContext, playingSlots, slotRandoms, stems) {
+    const voiceManagers = new Map();
+    const merger = stems ? offlineContext.createChannelMerger(offlineContext.destination.channelCount) : null;
+    if (merger) {
+      merger.connect(offlineContext.destination);
+    }
+
+    playingSlots.forEach((slot, i) => {
+      const voiceManager = new OptimizedGrainVoiceManager(offlineContext, this.maxVoices, { preAllocate: false });
+      voiceManager.setRandomSource(slotRandoms[slot]);
+
+      if (merger) {
+        const splitter = offlineContext.createChannelSplitter(CHANNELS_PER_SLOT);
+        voiceManager.masterGain.disconnect();
+        voiceManager.masterGain.connect(splitter);
+        for (let ch = 0; ch < CHANNELS_PER_SLOT; ch++) {
+          splitter.connect(merger, ch, i * CHANNELS_PER_SLOT + ch);
+        }
+      }
+
+      voiceManagers.set(slot, voiceManager);
+    });
+
+    return voiceManagers;
+  }
+
+  /**
+   * Build the solo/mute filter from a control state snapshot
+   * @private
+   */
+  _createSlotFilter(controlState) {
+    const solo = controlState.slotSoloStatus;
+    const mute = controlState.slotMuteStatus;
+    const hasSoloActive = solo.some(isSolo => isSolo);
+    return (slot) => hasSoloActive ? !!solo[slot] : !mute[slot];
+  }
+}
+
+export default OfflineRenderer;
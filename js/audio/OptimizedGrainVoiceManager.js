@@ -5,6 +5,8 @@
 
 import { Logger } from '../utils/logger.js';
 import { ResourceManager } from '../utils/resourceManager.js';
+import { WorkletGrainEngine } from './WorkletGrainEngine.js';
+import { getEnvelopeTimes, getPeakGain, resolveGrainPan, getVoiceLayers } from './grainMath.js';
 
 // Constants
 const DEFAULT_MAX_VOICES = 128;
@@ -15,8 +17,17 @@ const DEFAULT_SMOOTHING = 0.8;
 const LEFT_ANALYSER_SMOOTHING = 0.1;
 const MIN_DECIBELS = -90;
 const MAX_DECIBELS = -10;
-const BASE_GAIN = 0.2;
 const DEFAULT_FILTER_FREQUENCY = 350;
+const WORKLET_MAX_VOICES = 512;
+
+/**
+ * Available grain engines
+ */
+export const GRAIN_ENGINES = {
+  NODE: 'node',
+  WORKLET: 'worklet'
+};
+
 const ENVELOPE_STEPS = {
   LOGARITHMIC: 10,
   SIGMOID: 15,
@@ -34,16 +45,23 @@ export class OptimizedGrainVoiceManager {
    * Constructor
    * @param {AudioContext} audioContext - Web Audio API context
    * @param {number} maxVoices - Maximum number of concurrent voices
+   * @param {Object} options - Manager options
+   * @param {boolean} [options.preAllocate=true] - Pre-allocate pooled nodes (off for short-lived offline renders)
    */
-  constructor(audioContext, maxVoices = DEFAULT_MAX_VOICES) {
+  constructor(audioContext, maxVoices = DEFAULT_MAX_VOICES, { preAllocate = true } = {}) {
     try {
       this.audioContext = audioContext;
       this.maxVoices = maxVoices;
+      this.random = Math.random;
       this.activeVoices = new Set();
       this.voicePool = [];
       this.cleanupQueue = [];
       this.lastCleanup = 0;
 
+      // Grain engine: per-grain node graphs by default, AudioWorklet on demand
+      this.engineType = GRAIN_ENGINES.NODE;
+      this.workletEngine = null;
+
       // Resource manager for cleanup tracking
       this.resourceManager = new ResourceManager();
 
@@ -88,7 +106,9 @@ export class OptimizedGrainVoiceManager {
       };
 
       // Pre-allocate nodes for better performance
-      this.preAllocateNodes();
+      if (preAllocate) {
+        this.preAllocateNodes();
+      }
 
       Logger.info('OptimizedGrainVoiceManager initialized', {
         maxVoices,
@@ -124,6 +144,63 @@ export class OptimizedGrainVoiceManager {
     return this.leftAnalyser;
   }
 
+  /**
+   * Get the active grain engine
+   * @returns {string} One of GRAIN_ENGINES
+   */
+  getEngine() {
+    return this.engineType;
+  }
+
+  /**
+   * Switch between the node-based and AudioWorklet grain engines at runtime
+   * Grains already scheduled on the previous engine play out normally.
+   * @param {string} engineType - One of GRAIN_ENGINES
+   * @returns {Promise<boolean>} Whether the requested engine is now active
+   */
+  async setEngine(engineType) {
+    if (engineType === this.engineType) return true;
+
+    if (engineType === GRAIN_ENGINES.WORKLET) {
+      if (!this.workletEngine) {
+        this.workletEngine = new WorkletGrainEngine(this.audioContext, this.masterGain, WORKLET_MAX_VOICES);
+        this.workletEngine.random = this.random;
+      }
+
+      const ready = await this.workletEngine.init();
+      if (!ready) {
+        Logger.warn('Falling back to node grain engine');
+        return false;
+      }
+    } else if (engineType !== GRAIN_ENGINES.NODE) {
+      Logger.warn(`Unknown grain engine: ${engineType}`);
+      return false;
+    }
+
+    this.engineType = engineType;
+    Logger.info(`Grain engine switched to ${engineType}`);
+    return true;
+  }
+
+  /**
+   * Set the random source used for per-grain pan randomization
+   * @param {Function} random - Function returning [0, 1)
+   */
+  setRandomSource(random) {
+    this.random = random || Math.random;
+    if (this.workletEngine) {
+      this.workletEngine.random = this.random;
+    }
+  }
+
+  /**
+   * Get the voice capacity of the active engine
+   * @returns {number} Maximum concurrent grains
+   */
+  getMaxVoices() {
+    return this.engineType === GRAIN_ENGINES.WORKLET ? WORKLET_MAX_VOICES : this.maxVoices;
+  }
+
   /**
    * Pre-allocate audio nodes for the pool
    * Improves performance by reducing GC pressure
@@ -206,7 +283,9 @@ export class OptimizedGrainVoiceManager {
    */
   createGrain(buffer, params, startTime, duration, position) {
     try {
-      const now = this.audioContext.currentTime;
+      if (this.engineType === GRAIN_ENGINES.WORKLET) {
+        return this.workletEngine.createGrain(buffer, params, startTime, duration, position);
+      }
 
       // Periodic cleanup
       if (++this.lastCleanup % CLEANUP_INTERVAL === 0) {
@@ -231,6 +310,40 @@ export class OptimizedGrainVoiceManager {
     }
   }
 
+  /**
+   * Create one grain per G Voices layer, stacked at the same buffer position
+   * Each layer is pitched by the V Interval / V Detune settings and spread
+   * across the stereo field by V Spread.
+   * @param {AudioBuffer} buffer - Audio buffer to play
+   * @param {Object} params - Grain parameters (grainVoices, voiceDetune, voiceInterval, voiceSpread)
+   * @param {number} startTime - Start time in audio context time
+   * @param {number} duration - Duration of the grain
+   * @param {number} position - Position in the buffer to start from
+   * @returns {Array<Object>} Created grains
+   */
+  createGrainStack(buffer, params, startTime, duration, position) {
+    const layers = getVoiceLayers(params.grainVoices, {
+      detune: params.voiceDetune,
+      interval: params.voiceInterval,
+      spread: params.voiceSpread
+    });
+
+    const grains = [];
+    for (const layer of layers) {
+      const layerParams = layers.length === 1 ? params : {
+        ...params,
+        playbackRate: params.playbackRate * layer.rateMultiplier,
+        panControl: Math.max(-1, Math.min(1, params.panControl + layer.panOffset)),
+        volume: params.volume * layer.gain
+      };
+
+      const grain = this.createGrain(buffer, layerParams, startTime, duration, position);
+      if (grain) grains.push(grain);
+    }
+
+    return grains;
+  }
+
   /**
    * Create an optimized grain with audio nodes
    * @param {AudioBuffer} buffer - Audio buffer to play
@@ -255,10 +368,7 @@ export class OptimizedGrainVoiceManager {
       nodes.filterNode.frequency.value = params.cutoffFreq;
 
       // Configure panner with randomization
-      const randomAmount = params.panRandom || 0;
-      const panValue = Math.max(-1, Math.min(1,
-        params.panControl + (Math.random() - 0.5) * randomAmount));
-      nodes.pannerNode.pan.value = panValue;
+      nodes.pannerNode.pan.value = resolveGrainPan(params, this.random);
 
       // Apply envelope
       this.applyOptimizedEnvelope(nodes.gainNode, startTime, duration, params);
@@ -303,10 +413,8 @@ export class OptimizedGrainVoiceManager {
    */
   applyOptimizedEnvelope(gainNode, startTime, duration, params) {
     try {
-      const attackTime = Math.min(duration * 0.3, params.attackTime / 1000);
-      const releaseTime = Math.min(duration * 0.7, params.decayTime / 1000);
-      const sustainTime = Math.max(0, duration - attackTime - releaseTime);
-      const peakGain = BASE_GAIN * (params.volume || 0.7);
+      const { attackTime, sustainTime } = getEnvelopeTimes(duration, params);
+      const peakGain = getPeakGain(params.volume);
 
       gainNode.gain.setValueAtTime(0, startTime);
 
@@ -581,6 +689,9 @@ export class OptimizedGrainVoiceManager {
         this.cleanupGrain(grain);
       }
       this.cleanupQueue.length = 0;
+      if (this.workletEngine) {
+        this.workletEngine.stopAll();
+      }
       Logger.debug('All grains stopped');
     } catch (error) {
       Logger.error('Failed to stop all grains:', error);
@@ -592,7 +703,8 @@ export class OptimizedGrainVoiceManager {
    * @returns {number} Number of active voices
    */
   getActiveVoiceCount() {
-    return this.activeVoices.size;
+    const workletVoices = this.workletEngine ? this.workletEngine.getActiveVoiceCount() : 0;
+    return this.activeVoices.size + workletVoices;
   }
 
   /**
@@ -625,6 +737,11 @@ export class OptimizedGrainVoiceManager {
       // Stop all active grains
       this.stopAll();
 
+      if (this.workletEngine) {
+        this.workletEngine.destroy();
+        this.workletEngine = null;
+      }
+
       // Disconnect all audio nodes
       if (this.masterGain) {
         this.masterGain.disconnect();
@@ -0,0 +1,198 @@
+/**
+ * WorkletGrainEngine - Main thread side of the AudioWorklet grain engine
+ * Uploads sample data to GrainWorkletProcessor once per buffer and posts one
+ * small message per grain instead of building a node graph for each grain.
+ */
+
+import { Logger } from '../utils/logger.js';
+import { getEnvelopeTimes, getPeakGain, resolveGrainPan } from './grainMath.js';
+
+// Constants
+const PROCESSOR_NAME = 'grain-processor';
+const PROCESSOR_URL = new URL('./worklets/GrainWorkletProcessor.js', import.meta.url);
+const DEFAULT_MAX_VOICES = 512;
+const MAX_CACHED_BUFFERS = 32;
+
+/**
+ * WorkletGrainEngine class
+ * Exposes the same createGrain() signature as OptimizedGrainVoiceManager
+ */
+export class WorkletGrainEngine {
+  /**
+   * Constructor
+   * @param {BaseAudioContext} audioContext - Web Audio API context
+   * @param {AudioNode} destination - Node the rendered grains are connected to
+   * @param {number} maxVoices - Maximum number of concurrent grains in the processor
+   */
+  constructor(audioContext, destination, maxVoices = DEFAULT_MAX_VOICES) {
+    this.audioContext = audioContext;
+    this.destination = destination;
+    this.maxVoices = maxVoices;
+    this.node = null;
+    this.isReady = false;
+    this.activeVoiceCount = 0;
+    this.random = Math.random;
+
+    // AudioBuffer -> id, insertion order doubles as LRU order
+    this.bufferIds = new Map();
+    this.nextBufferId = 1;
+  }
+
+  /**
+   * Check whether the context supports AudioWorklet
+   * @param {BaseAudioContext} audioContext - Context to check
+   * @returns {boolean}
+   */
+  static isSupported(audioContext) {
+    return !!(audioContext && audioContext.audioWorklet) && typeof AudioWorkletNode !== 'undefined';
+  }
+
+  /**
+   * Load the processor module and create the worklet node
+   * @returns {Promise<boolean>} Whether the engine is ready
+   */
+  async init() {
+    if (this.isReady) return true;
+
+    if (!WorkletGrainEngine.isSupported(this.audioContext)) {
+      Logger.warn('AudioWorklet is not supported in this browser');
+      return false;
+    }
+
+    try {
+      await this.audioContext.audioWorklet.addModule(PROCESSOR_URL);
+
+      this.node = new AudioWorkletNode(this.audioContext, PROCESSOR_NAME, {
+        numberOfInputs: 0,
+        numberOfOutputs: 1,
+        outputChannelCount: [2],
+        processorOptions: { maxVoices: this.maxVoices }
+      });
+
+      this.node.port.onmessage = (event) => {
+        if (event.data && event.data.type === 'voices') {
+          this.activeVoiceCount = event.data.count;
+        }
+      };
+
+      this.node.connect(this.destination);
+      this.isReady = true;
+
+      Logger.info('WorkletGrainEngine initialized', { maxVoices: this.maxVoices });
+      return true;
+    } catch (error) {
+      Logger.error('Failed to initialize WorkletGrainEngine:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Send a buffer's sample data to the processor if it has not been sent yet
+   * @param {AudioBuffer} buffer - Source buffer
+   * @returns {number} Buffer id known by the processor
+   */
+  ensureBuffer(buffer) {
+    const existingId = this.bufferIds.get(buffer);
+    if (existingId !== undefined) {
+      // Refresh LRU position
+      this.bufferIds.delete(buffer);
+      this.bufferIds.set(buffer, existingId);
+      return existingId;
+    }
+
+    if (this.bufferIds.size >= MAX_CACHED_BUFFERS) {
+      const [oldestBuffer, oldestId] = this.bufferIds.entries().next().value;
+      this.bufferIds.delete(oldestBuffer);
+      this.node.port.postMessage({ type: 'release', id: oldestId });
+    }
+
+    const id = this.nextBufferId++;
+    const channels = [];
+    for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+      channels.push(buffer.getChannelData(ch).slice());
+    }
+
+    this.node.port.postMessage(
+      { type: 'buffer', id, channels, sampleRate: buffer.sampleRate },
+      channels.map(data => data.buffer)
+    );
+    this.bufferIds.set(buffer, id);
+
+    Logger.debug(`Uploaded buffer #${id} to grain worklet (${buffer.numberOfChannels}ch, ${buffer.length} frames)`);
+    return id;
+  }
+
+  /**
+   * Schedule a grain in the processor
+   * @param {AudioBuffer} buffer - Audio buffer to play
+   * @param {Object} params - Grain parameters
+   * @param {number} startTime - Start time in audio context time
+   * @param {number} duration - Duration of the grain
+   * @param {number} position - Position in the buffer to start from
+   * @returns {Object|null} Grain descriptor or null if the engine is not ready
+   */
+  createGrain(buffer, params, startTime, duration, position) {
+    if (!this.isReady || !buffer) return null;
+
+    try {
+      const bufferId = this.ensureBuffer(buffer);
+
+      this.node.port.postMessage({
+        type: 'grain',
+        bufferId,
+        startTime,
+        duration,
+        position,
+        playbackRate: params.playbackRate,
+        cutoffFreq: params.cutoffFreq,
+        pan: resolveGrainPan(params, this.random),
+        peakGain: getPeakGain(params.volume),
+        envelopeShape: parseInt(params.envelopeShape),
+        envelopeTimes: getEnvelopeTimes(duration, params)
+      });
+
+      return { bufferId, endTime: startTime + duration };
+    } catch (error) {
+      Logger.warn('Worklet grain creation failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Stop all grains in the processor
+   */
+  stopAll() {
+    if (this.node) {
+      this.node.port.postMessage({ type: 'stopAll' });
+    }
+    this.activeVoiceCount = 0;
+  }
+
+  /**
+   * Get the number of grains currently rendering (reported by the processor)
+   * @returns {number}
+   */
+  getActiveVoiceCount() {
+    return this.activeVoiceCount;
+  }
+
+  /**
+   * Destroy and cleanup all resources
+   */
+  destroy() {
+    try {
+      this.stopAll();
+      if (this.node) {
+        this.node.port.onmessage = null;
+        this.node.disconnect();
+        this.node = null;
+      }
+      this.bufferIds.clear();
+      this.isReady = false;
+    } catch (error) {
+      Logger.error('Error during WorkletGrainEngine destruction:', error);
+    }
+  }
+}
+
+export default WorkletGrainEngine;
@@ -0,0 +1,67 @@
+/**
+ * Channel Modes
+ * Which channels of a slot's sample its grains read (Channel knob): the whole
+ * buffer, one side, or a random side per grain
+ */
+
+// Index = Channel knob value
+export const CHANNEL_MODES = [
+  { id: 'stereo', name: 'Stereo' },
+  { id: 'left', name: 'Left' },
+  { id: 'right', name: 'Right' },
+  { id: 'random', name: 'Random' }
+];
+
+// Mono copies of each buffer's channels, built on first use
+const channelBufferCache = new WeakMap();
+
+/**
+ * Channel a grain reads for a channel mode
+ * Mono samples always play as they are; Random draws from the random source only
+ * when there is more than one channel.
+ * @param {number} channelMode - Channel knob value (index into CHANNEL_MODES)
+ * @param {number} channelCount - Channels in the sample
+ * @param {Function} random - Random source returning [0, 1)
+ * @returns {number|null} Channel index, or null for all channels
+ */
+export function getGrainChannel(channelMode, channelCount, random = Math.random) {
+  if (!channelCount || channelCount < 2) return null;
+
+  const mode = CHANNEL_MODES[Math.round(channelMode)] || CHANNEL_MODES[0];
+  switch (mode.id) {
+    case 'left': return 0;
+    case 'right': return 1;
+    case 'random': return Math.floor(random() * 2);
+    default: return null;
+  }
+}
+
+/**
+ * Buffer a grain plays for a channel mode
+ * @param {AudioBuffer} buffer - Slot buffer
+ * @param {number} channelMode - Channel knob value
+ * @param {Function} random - Random source returning [0, 1)
+ * @returns {AudioBuffer} The buffer itself or a cached mono copy of one channel
+ */
+export function getGrainBuffer(buffer, channelMode, random = Math.random) {
+  const channel = getGrainChannel(channelMode, buffer.numberOfChannels, random);
+  if (channel === null) return buffer;
+
+  let channels = channelBufferCache.get(buffer);
+  if (!channels) {
+    channels = [];
+    channelBufferCache.set(buffer, channels);
+  }
+  if (!channels[channel]) {
+    const mono = new AudioBuffer({ numberOfChannels: 1, length: buffer.length, sampleRate: buffer.sampleRate });
+    mono.copyToChannel(buffer.getChannelData(channel), 0);
+    channels[channel] = mono;
+  }
+  return channels[channel];
+}
+
+export default {
+  CHANNEL_MODES,
+  getGrainChannel,
+  getGrainBuffer
+};
@@ -0,0 +1,155 @@
+/**
+ * Grain Math
+ * Envelope, gain and pan calculations shared by the node-based grain engine
+ * and the AudioWorklet grain processor. Must stay free of DOM/Web Audio
+ * dependencies so it can be imported inside AudioWorkletGlobalScope.
+ */
+
+// Constants
+export const GRAIN_BASE_GAIN = 0.2;
+const DEFAULT_VOLUME = 0.7;
+const MAX_ATTACK_RATIO = 0.3;
+const MAX_RELEASE_RATIO = 0.7;
+const EXPONENTIAL_FLOOR = 0.001;
+const SIGMOID_STEEPNESS = 12;
+
+/**
+ * Semitone sets for the V Interval knob (index = knob value)
+ * Layers beyond the set wrap around an octave below/above in turn.
+ */
+export const VOICE_INTERVALS = [
+  { name: 'Unison', semitones: [0] },
+  { name: 'Octave', semitones: [0, 12] },
+  { name: 'Fifth', semitones: [0, 7] },
+  { name: 'Oct+5th', semitones: [0, 7, 12] },
+  { name: 'Major', semitones: [0, 4, 7] },
+  { name: 'Minor', semitones: [0, 3, 7] }
+];
+
+/**
+ * Split a grain into attack / sustain / release segments
+ * @param {number} duration - Grain duration in seconds
+ * @param {Object} params - Grain parameters (attackTime, decayTime in ms)
+ * @returns {Object} { attackTime, sustainTime, releaseTime } in seconds
+ */
+export function getEnvelopeTimes(duration, params) {
+  const attackTime = Math.min(duration * MAX_ATTACK_RATIO, params.attackTime / 1000);
+  const decayTime = Math.min(duration * MAX_RELEASE_RATIO, params.decayTime / 1000);
+  const sustainTime = Math.max(0, duration - attackTime - decayTime);
+  const releaseTime = duration - attackTime - sustainTime;
+
+  return { attackTime, sustainTime, releaseTime };
+}
+
+/**
+ * Peak gain of a grain for the given slot volume
+ * @param {number} volume - Slot volume (0-1)
+ * @returns {number} Peak gain
+ */
+export function getPeakGain(volume) {
+  return GRAIN_BASE_GAIN * (typeof volume === 'number' ? volume : DEFAULT_VOLUME);
+}
+
+/**
+ * Resolve the final pan position including pan randomization
+ * @param {Object} params - Grain parameters (panControl, panRandom)
+ * @param {Function} random - Random source returning [0, 1)
+ * @returns {number} Pan value (-1 to 1)
+ */
+export function resolveGrainPan(params, random = Math.random) {
+  const randomAmount = params.panRandom || 0;
+  return Math.max(-1, Math.min(1, params.panControl + (random() - 0.5) * randomAmount));
+}
+
+/**
+ * Normalized envelope value (0-1) at a point in the grain
+ * Shape indices match the Env Shape knob:
+ * 0 Linear, 1 Exponential, 2 Logarithmic, 3 S-Curve, 4 Cosine, 5 Gaussian, 6 Hanning, 7 Triangular
+ * @param {number} shape - Envelope shape index
+ * @param {number} time - Time since grain start in seconds
+ * @param {number} duration - Grain duration in seconds
+ * @param {Object} times - Segment times from getEnvelopeTimes()
+ * @returns {number} Envelope value
+ */
+export function getEnvelopeValue(shape, time, duration, times) {
+  if (time < 0 || time >= duration || duration <= 0) return 0;
+
+  // Whole-grain windows ignore attack/decay
+  if (shape === 5) {
+    const sigma = duration / 6;
+    const x = time - duration / 2;
+    return Math.exp(-(x * x) / (2 * sigma * sigma));
+  }
+  if (shape === 6) {
+    return 0.5 * (1 - Math.cos(2 * Math.PI * time / duration));
+  }
+
+  const { attackTime, sustainTime, releaseTime } = times;
+  const releaseStart = attackTime + sustainTime;
+
+  if (time < attackTime) {
+    const t = time / attackTime;
+    switch (shape) {
+      case 1: return Math.pow(EXPONENTIAL_FLOOR, 1 - t);
+      case 2: return Math.log(1 + t * (Math.E - 1));
+      case 3: return 1 / (1 + Math.exp(-(t - 0.5) * SIGMOID_STEEPNESS));
+      case 4: return Math.sin(t * Math.PI / 2);
+      default: return t;
+    }
+  }
+
+  if (time < releaseStart || releaseTime <= 0) return 1;
+
+  const u = (time - releaseStart) / releaseTime;
+  switch (shape) {
+    case 1: return Math.pow(EXPONENTIAL_FLOOR, u);
+    case 2: return 1 - Math.log(1 + u * (Math.E - 1));
+    case 3: return 1 / (1 + Math.exp(-(0.5 - u) * SIGMOID_STEEPNESS));
+    case 4: return Math.cos(u * Math.PI / 2);
+    default: return 1 - u;
+  }
+}
+
+/**
+ * Describe the stacked layers played for one grain trigger
+ * @param {number} voiceCount - Number of layers (G Voices)
+ * @param {Object} options - Layer options
+ * @param {number} [options.detune=0] - Total detune spread in cents
+ * @param {number} [options.interval=0] - Index into VOICE_INTERVALS
+ * @param {number} [options.spread=0] - Stereo spread (0-1)
+ * @returns {Array<Object>} [{ rateMultiplier, panOffset, gain }] per layer
+ */
+export function getVoiceLayers(voiceCount, { detune = 0, interval = 0, spread = 0 } = {}) {
+  const count = Math.max(1, Math.round(voiceCount) || 1);
+  const intervalSet = (VOICE_INTERVALS[Math.round(interval)] || VOICE_INTERVALS[0]).semitones;
+  // Equal-power sum keeps a thick stack at roughly the level of a single grain
+  const gain = 1 / Math.sqrt(count);
+  const layers = [];
+
+  for (let i = 0; i < count; i++) {
+    // -1 .. 1 across the stack, 0 for a single layer
+    const spreadPosition = count === 1 ? 0 : (i / (count - 1)) * 2 - 1;
+
+    const wrap = Math.floor(i / intervalSet.length);
+    const octaveShift = wrap === 0 ? 0 : (wrap % 2 === 1 ? -1 : 1) * Math.ceil(wrap / 2) * 12;
+    const semitones = intervalSet[i % intervalSet.length] + octaveShift + (detune * spreadPosition / 2) / 100;
+
+    layers.push({
+      rateMultiplier: Math.pow(2, semitones / 12),
+      panOffset: spread * spreadPosition,
+      gain
+    });
+  }
+
+  return layers;
+}
+
+export default {
+  GRAIN_BASE_GAIN,
+  VOICE_INTERVALS,
+  getVoiceLayers,
+  getEnvelopeTimes,
+  getPeakGain,
+  resolveGrainPan,
+  getEnvelopeValue
+};
@@ -0,0 +1,221 @@
+/**
+ * Grain Trigger
+ * Turns one sequencer step of one slot into a burst of grains.
+ * Shared by live playback and the offline renderer so both produce the same
+ * grains for the same parameters and random source.
+ */
+
+import { FULL_REGION, normalizeRegion } from '../utils/loopRegion.js';
+import { getGrainBuffer } from './channelModes.js';
+
+// Constants
+export const MAX_GRAINS_PER_TRIGGER = 20;
+const POSITION_JITTER_SEC = 0.05;
+const POSITION_SPREAD_RATIO = 0.5;
+const PITCH_SPREAD_RATIO = 0.5;
+const PAN_SPREAD_RATIO = 2;
+const TIMING_SPREAD_SEC = 0.02;
+const MIN_PLAYBACK_RATE = 0.1;
+const MAX_PLAYBACK_RATE = 2.0;
+const STRAIGHT_SWING = 50;
+export const MAX_TIMING_OFFSET_RATIO = 0.5;
+
+/**
+ * Evaluate the slot LFO
+ * @param {number} waveformType - 0 Sine, 1 Triangle, 2 Square, 3 Random
+ * @param {number} rate - LFO rate in Hz
+ * @param {number} time - Seconds since playback start
+ * @param {Function} random - Random source returning [0, 1)
+ * @returns {number} LFO value (0-1)
+ */
+export function getLFOValue(waveformType, rate, time, random = Math.random) {
+  const waveformIndex = parseInt(waveformType);
+  switch (waveformIndex) {
+    case 0: return (Math.sin(2 * Math.PI * rate * time) + 1) / 2;
+    case 1: return 1 - Math.abs(((time * rate) % 2) - 1);
+    case 2: return ((time * rate) % 1) < 0.5 ? 0 : 1;
+    case 3: return random();
+    default: return 0.5;
+  }
+}
+
+/**
+ * Resolve which slots a step is played on for the current Slot Mode
+ * Slot Mode options are one "Fixed (Slot N)" entry per slot, then "All", then "Random".
+ * @param {number} slotMode - Selected Slot Mode index
+ * @param {number} slotCount - Number of slots
+ * @param {Function} isEligible - (slot) => boolean, candidates for Random mode
+ * @param {Function} random - Random source returning [0, 1)
+ * @returns {Array<number>} Target slot indices
+ */
+export function selectTargetSlots(slotMode, slotCount, isEligible, random = Math.random) {
+  if (slotMode === slotCount) {
+    return Array.from({ length: slotCount }, (_, i) => i);
+  }
+
+  if (slotMode === slotCount + 1) {
+    const available = [];
+    for (let s = 0; s < slotCount; s++) {
+      if (isEligible(s)) available.push(s);
+    }
+    if (available.length === 0) return [];
+    return [available[Math.floor(random() * available.length)]];
+  }
+
+  return [slotMode];
+}
+
+/**
+ * Build the params a step plays with
+ * @param {Object} params - Per-slot knob values
+ * @param {Object|null} locks - Parameter locks of the step
+ * @param {number} [velocity=100] - Step velocity in percent, scales the slot volume
+ * @returns {Object} Params for triggerGrainBurst
+ */
+export function resolveStepParams(params, locks, velocity = 100) {
+  const stepParams = locks ? { ...params, ...locks } : { ...params };
+  if (velocity !== 100 && typeof stepParams.volume === 'number') {
+    stepParams.volume *= velocity / 100;
+  }
+  return stepParams;
+}
+
+/**
+ * Split a step into evenly spaced ratchet sub-bursts
+ * The volume ramp fades the sub-bursts in ("up") or out ("down"); the pitch ramp
+ * bends them linearly so the last one plays ratchetPitch semitones away.
+ * @param {Object} params - Step params (after resolveStepParams)
+ * @param {Object} trig - Step trig with { ratchet, ratchetVolume, ratchetPitch }
+ * @param {number} stepDuration - Step duration in seconds
+ * @returns {Array<Object>} [{ offset, params }] one entry per sub-burst
+ */
+export function getRatchetBursts(params, trig, stepDuration) {
+  const count = Math.max(1, Math.round(trig.ratchet || 1));
+  if (count === 1) {
+    return [{ offset: 0, params }];
+  }
+
+  return Array.from({ length: count }, (_, i) => {
+    const burstParams = { ...params };
+    const position = i / (count - 1);
+
+    if (typeof burstParams.volume === 'number') {
+      if (trig.ratchetVolume === 'up') {
+        burstParams.volume *= (i + 1) / count;
+      } else if (trig.ratchetVolume === 'down') {
+        burstParams.volume *= (count - i) / count;
+      }
+    }
+
+    if (trig.ratchetPitch && typeof burstParams.playbackRate === 'number') {
+      const rate = burstParams.playbackRate * Math.pow(2, (trig.ratchetPitch * position) / 12);
+      burstParams.playbackRate = Math.max(MIN_PLAYBACK_RATE, Math.min(MAX_PLAYBACK_RATE, rate));
+    }
+
+    return { offset: (i * stepDuration) / count, params: burstParams };
+  });
+}
+
+/**
+ * Offset of a step's onset from the straight grid
+ * Swing delays every second step of the bar (50 = straight, 66 = triplet feel,
+ * 75 = hard shuffle). The slot timing offset moves the step by a fraction of a step
+ * (-50 to +50 %) and humanize adds a random shift inside a window of that many ms.
+ * @param {number} stepInBar - Zero-based step position inside the bar
+ * @param {number} stepDuration - Step duration in seconds
+ * @param {Object} timing - { swing, timingOffset, humanize }
+ * @param {Function} [random=Math.random] - Random source, only drawn when humanize is on
+ * @returns {number} Offset in seconds (negative = early)
+ */
+export function getStepTimeOffset(stepInBar, stepDuration, { swing = STRAIGHT_SWING, timingOffset = 0, humanize = 0 }, random = Math.random) {
+  let offset = 0;
+  if (stepInBar % 2 === 1) {
+    offset += ((swing - STRAIGHT_SWING) / STRAIGHT_SWING) * stepDuration;
+  }
+
+  const slotRatio = Math.max(-MAX_TIMING_OFFSET_RATIO, Math.min(MAX_TIMING_OFFSET_RATIO, timingOffset / 100));
+  offset += slotRatio * stepDuration;
+
+  if (humanize > 0) {
+    offset += (random() - 0.5) * (humanize / 1000);
+  }
+  return offset;
+}
+
+/**
+ * Schedule the grains of one slot trigger
+ * @param {OptimizedGrainVoiceManager} voiceManager - Voice manager to schedule on
+ * @param {AudioBuffer} buffer - Slot buffer
+ * @param {Object} params - Per-slot knob values (channelMode picks the channels each grain reads)
+ * @param {number} time - Context time of the trigger
+ * @param {Object} options - Trigger options
+ * @param {number} [options.lfoStartTime=0] - Context time the LFO phase is measured from
+ * @param {Function} [options.random=Math.random] - Random source for spread and jitter
+ * @param {Function} [options.onGrain] - Called with (grainIndex, positionSec, { time, duration, playbackRate })
+ *   for each grain
+ * @param {Object} [options.region] - Loop region { start, end } (fractions of the sample); S.Pos, LFO
+ *   and spread move grains inside it and no grain starts outside it
+ */
+export function triggerGrainBurst(voiceManager, buffer, params, time, { lfoStartTime = 0, random = Math.random, onGrain = null, region = FULL_REGION } = {}) {
+  const maxGrains = Math.min(params.grainsPerStep, MAX_GRAINS_PER_TRIGGER);
+  const spreadAmount = params.spread / 100;
+  const { start, end } = normalizeRegion(region);
+  const windowStart = start * buffer.duration;
+  const windowLength = (end - start) * buffer.duration;
+
+  for (let i = 0; i < maxGrains; i++) {
+    const lfoTime = time - lfoStartTime;
+    const lfoVal = getLFOValue(params.lfoWaveform, params.lfoRate, lfoTime, random);
+
+    const grainDurSec = params.grainSize / 1000;
+    let baseStartPosition = windowStart + (params.startOffset / 100) * windowLength;
+    baseStartPosition += lfoVal * (windowStart + windowLength - baseStartPosition - grainDurSec);
+
+    let positionSec = baseStartPosition;
+    if (spreadAmount > 0) {
+      const positionSpread = spreadAmount * windowLength * POSITION_SPREAD_RATIO;
+      const randomOffset = (random() - 0.5) * 2 * positionSpread;
+      positionSec = baseStartPosition + randomOffset;
+    }
+
+    positionSec = Math.max(windowStart, Math.min(windowStart + windowLength - grainDurSec, positionSec + (random() - 0.5) * POSITION_JITTER_SEC));
+
+    const spreadParams = { ...params };
+
+    if (spreadAmount > 0) {
+      const pitchSpreadRange = spreadAmount * PITCH_SPREAD_RATIO;
+      const pitchVariation = 1 + (random() - 0.5) * 2 * pitchSpreadRange;
+      spreadParams.playbackRate = Math.max(MIN_PLAYBACK_RATE, Math.min(MAX_PLAYBACK_RATE, params.playbackRate * pitchVariation));
+
+      const panSpreadRange = spreadAmount * PAN_SPREAD_RATIO;
+      const panVariation = (random() - 0.5) * 2 * panSpreadRange;
+      spreadParams.panControl = Math.max(-1, Math.min(1, params.panControl + panVariation));
+    }
+
+    let grainStartTime = time;
+    if (spreadAmount > 0) {
+      const timingSpread = spreadAmount * TIMING_SPREAD_SEC;
+      grainStartTime += (random() - 0.5) * 2 * timingSpread;
+    }
+
+    if (onGrain) {
+      onGrain(i, positionSec, { time: grainStartTime, duration: grainDurSec, playbackRate: spreadParams.playbackRate });
+    }
+
+    const grainBuffer = getGrainBuffer(buffer, params.channelMode, random);
+
+    // AudioScheduledSourceNode.start() rejects negative times
+    voiceManager.createGrainStack(grainBuffer, spreadParams, Math.max(0, grainStartTime), grainDurSec, Math.max(0, positionSec));
+  }
+}
+
+export default {
+  MAX_GRAINS_PER_TRIGGER,
+  getLFOValue,
+  selectTargetSlots,
+  MAX_TIMING_OFFSET_RATIO,
+  resolveStepParams,
+  getRatchetBursts,
+  getStepTimeOffset,
+  triggerGrainBurst
+};
@@ -0,0 +1,225 @@
+/**
+ * GrainWorkletProcessor - Renders grains inside the audio thread
+ * Receives sample data once per buffer and grain events through the port,
+ * then mixes every grain with a per-sample window, high-pass filter and pan.
+ * Loaded with audioWorklet.addModule() by WorkletGrainEngine.
+ */
+
+import { getEnvelopeValue } from '../grainMath.js';
+
+// Constants
+const PROCESSOR_NAME = 'grain-processor';
+const DEFAULT_MAX_VOICES = 512;
+const VOICE_REPORT_INTERVAL_BLOCKS = 16;
+// BiquadFilterNode treats Q as dB for highpass; its default of 1 dB in linear terms
+const HIGHPASS_Q = Math.pow(10, 1 / 20);
+
+/**
+ * Compute RBJ high-pass biquad coefficients
+ * @param {number} frequency - Cutoff in Hz
+ * @param {number} rate - Sample rate
+ * @returns {Object|null} Normalized coefficients, or null when the filter is bypassed
+ */
+function computeHighpassCoefficients(frequency, rate) {
+  if (!(frequency > 0)) return null;
+
+  const nyquist = rate / 2;
+  const w0 = 2 * Math.PI * Math.min(frequency, nyquist * 0.99) / rate;
+  const cosW0 = Math.cos(w0);
+  const alpha = Math.sin(w0) / (2 * HIGHPASS_Q);
+  const a0 = 1 + alpha;
+
+  return {
+    b0: ((1 + cosW0) / 2) / a0,
+    b1: (-(1 + cosW0)) / a0,
+    b2: ((1 + cosW0) / 2) / a0,
+    a1: (-2 * cosW0) / a0,
+    a2: (1 - alpha) / a0
+  };
+}
+
+class GrainWorkletProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+
+    const processorOptions = (options && options.processorOptions) || {};
+    this.maxVoices = processorOptions.maxVoices || DEFAULT_MAX_VOICES;
+    this.buffers = new Map();
+    this.voices = [];
+    this.blockCount = 0;
+    this.lastReportedCount = -1;
+
+    this.port.onmessage = (event) => this.handleMessage(event.data);
+  }
+
+  /**
+   * Handle messages from the main thread
+   * @param {Object} message - { type, ... }
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case 'buffer':
+        this.buffers.set(message.id, {
+          channels: message.channels,
+          sampleRate: message.sampleRate,
+          length: message.channels[0].length
+        });
+        break;
+
+      case 'release':
+        this.buffers.delete(message.id);
+        this.voices = this.voices.filter(voice => voice.bufferId !== message.id);
+        break;
+
+      case 'grain':
+        this.addVoice(message);
+        break;
+
+      case 'stopAll':
+        this.voices.length = 0;
+        break;
+    }
+  }
+
+  /**
+   * Create a voice from a grain event
+   * @param {Object} grain - Grain event posted by WorkletGrainEngine
+   */
+  addVoice(grain) {
+    const source = this.buffers.get(grain.bufferId);
+    if (!source) return;
+
+    if (this.voices.length >= this.maxVoices) {
+      this.voices.shift();
+    }
+
+    const rateRatio = source.sampleRate / sampleRate;
+    const coefficients = computeHighpassCoefficients(grain.cutoffFreq, sampleRate);
+    const x = grain.pan <= 0 ? grain.pan + 1 : grain.pan;
+
+    this.voices.push({
+      bufferId: grain.bufferId,
+      source,
+      startFrame: Math.round(grain.startTime * sampleRate),
+      lengthFrames: Math.max(1, Math.round(grain.duration * sampleRate)),
+      duration: grain.duration,
+      readStart: grain.position * source.sampleRate,
+      // A BufferSource plays at most `duration` seconds of buffer time
+      readEnd: Math.min(source.length - 1, (grain.position + grain.duration) * source.sampleRate),
+      readStep: grain.playbackRate * rateRatio,
+      peakGain: grain.peakGain,
+      envelopeShape: grain.envelopeShape,
+      envelopeTimes: grain.envelopeTimes,
+      pan: grain.pan,
+      panGainL: Math.cos(x * Math.PI / 2),
+      panGainR: Math.sin(x * Math.PI / 2),
+      monoPanGainL: Math.cos((grain.pan + 1) / 2 * Math.PI / 2),
+      monoPanGainR: Math.sin((grain.pan + 1) / 2 * Math.PI / 2),
+      coefficients,
+      filterState: [new Float64Array(4), new Float64Array(4)]
+    });
+  }
+
+  /**
+   * Run one sample through a voice's high-pass filter
+   * @param {Object} voice - Voice
+   * @param {number} channel - Filter state index
+   * @param {number} input - Input sample
+   * @returns {number} Filtered sample
+   */
+  filterSample(voice, channel, input) {
+    const c = voice.coefficients;
+    if (!c) return input;
+
+    const s = voice.filterState[channel];
+    const output = c.b0 * input + c.b1 * s[0] + c.b2 * s[1] - c.a1 * s[2] - c.a2 * s[3];
+    s[1] = s[0];
+    s[0] = input;
+    s[3] = s[2];
+    s[2] = output;
+    return output;
+  }
+
+  /**
+   * Read a linearly interpolated sample
+   * @param {Float32Array} data - Channel data
+   * @param {number} position - Fractional frame index
+   * @returns {number} Sample value
+   */
+  readSample(data, position) {
+    const index = Math.floor(position);
+    const frac = position - index;
+    const a = data[index] || 0;
+    const b = data[index + 1] || 0;
+    return a + (b - a) * frac;
+  }
+
+  /**
+   * Mix one voice into the output block
+   * @returns {boolean} Whether the voice is still alive
+   */
+  renderVoice(voice, left, right, blockStartFrame, blockSize) {
+    const offset = voice.startFrame - blockStartFrame;
+    if (offset >= blockSize) return true; // Not started yet
+
+    const startIndex = Math.max(0, offset);
+    const channels = voice.source.channels;
+    const isStereo = channels.length > 1;
+
+    for (let i = startIndex; i < blockSize; i++) {
+      const elapsed = blockStartFrame + i - voice.startFrame;
+      const readPosition = voice.readStart + elapsed * voice.readStep;
+
+      if (elapsed >= voice.lengthFrames || readPosition > voice.readEnd) {
+        return false;
+      }
+
+      const envelope = voice.peakGain * getEnvelopeValue(
+        voice.envelopeShape, elapsed / sampleRate, voice.duration, voice.envelopeTimes
+      );
+
+      const inL = this.filterSample(voice, 0, this.readSample(channels[0], readPosition));
+
+      if (isStereo) {
+        // Same equal-power law as StereoPannerNode for stereo input
+        const inR = this.filterSample(voice, 1, this.readSample(channels[1], readPosition));
+        if (voice.pan <= 0) {
+          left[i] += (inL + inR * voice.panGainL) * envelope;
+          right[i] += inR * voice.panGainR * envelope;
+        } else {
+          left[i] += inL * voice.panGainL * envelope;
+          right[i] += (inR + inL * voice.panGainR) * envelope;
+        }
+      } else {
+        left[i] += inL * voice.monoPanGainL * envelope;
+        right[i] += inL * voice.monoPanGainR * envelope;
+      }
+    }
+
+    return true;
+  }
+
+  process(inputs, outputs) {
+    const output = outputs[0];
+    const left = output[0];
+    const right = output[1] || output[0];
+    const blockSize = left.length;
+    const blockStartFrame = currentFrame;
+
+    if (this.voices.length > 0) {
+      this.voices = this.voices.filter(voice =>
+        this.renderVoice(voice, left, right, blockStartFrame, blockSize)
+      );
+    }
+
+    if (++this.blockCount % VOICE_REPORT_INTERVAL_BLOCKS === 0 &&
+        this.voices.length !== this.lastReportedCount) {
+      this.lastReportedCount = this.voices.length;
+      this.port.postMessage({ type: 'voices', count: this.voices.length });
+    }
+
+    return true;
+  }
+}
+
+registerProcessor(PROCESSOR_NAME, GrainWorkletProcessor);
@@ -0,0 +1,86 @@
+/**
+ * RecorderWorkletProcessor - Captures its input as raw PCM
+ * Collects render quanta into larger chunks and posts them to the main thread,
+ * where MasterRecorder assembles the take. Output is silent.
+ * Loaded with audioWorklet.addModule() by MasterRecorder.
+ */
+
+// Constants
+const PROCESSOR_NAME = 'recorder-processor';
+const DEFAULT_CHANNELS = 2;
+const CHUNK_FRAMES = 8192;
+
+class RecorderWorkletProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+
+    const processorOptions = (options && options.processorOptions) || {};
+    this.channelCount = processorOptions.channelCount || DEFAULT_CHANNELS;
+    this.isRecording = false;
+    this.resetChunk();
+
+    this.port.onmessage = (event) => this.handleMessage(event.data);
+  }
+
+  /**
+   * Start a new chunk buffer
+   */
+  resetChunk() {
+    this.chunk = Array.from({ length: this.channelCount }, () => new Float32Array(CHUNK_FRAMES));
+    this.chunkFrames = 0;
+  }
+
+  /**
+   * Handle messages from the main thread
+   * @param {Object} message - { type }
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case 'start':
+        this.resetChunk();
+        this.isRecording = true;
+        break;
+
+      case 'stop':
+        this.isRecording = false;
+        this.flush();
+        this.port.postMessage({ type: 'stopped' });
+        break;
+    }
+  }
+
+  /**
+   * Post the collected frames to the main thread
+   */
+  flush() {
+    if (this.chunkFrames === 0) return;
+
+    const channels = this.chunk.map(data => data.slice(0, this.chunkFrames));
+    this.port.postMessage({ type: 'chunk', channels }, channels.map(data => data.buffer));
+    this.resetChunk();
+  }
+
+  process(inputs) {
+    if (!this.isRecording) return true;
+
+    const input = inputs[0];
+    const blockSize = input.length > 0 ? input[0].length : 128;
+
+    for (let ch = 0; ch < this.channelCount; ch++) {
+      // Mono input is copied to every channel, a disconnected input records silence
+      const source = input[ch] || input[0];
+      if (source) {
+        this.chunk[ch].set(source, this.chunkFrames);
+      }
+    }
+
+    this.chunkFrames += blockSize;
+    if (this.chunkFrames + blockSize > CHUNK_FRAMES) {
+      this.flush();
+    }
+
+    return true;
+  }
+}
+
+registerProcessor(PROCESSOR_NAME, RecorderWorkletProcessor);
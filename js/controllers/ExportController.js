@@ -0,0 +1,186 @@
+import { Logger } from '../utils/logger.js';
+import { OfflineRenderer } from '../audio/OfflineRenderer.js';
+import { encodeWav, downloadBlob } from '../utils/wavEncoder.js';
+import { createZip } from '../utils/zipUtils.js';
+import { DEFAULT_PLAY_DIRECTION } from '../utils/playDirections.js';
+import { normalizeMeter, getStepsPerBar } from '../utils/timeSignatures.js';
+import { FULL_REGION } from '../utils/loopRegion.js';
+
+// Constants
+const MIN_EXPORT_BARS = 1;
+const MAX_EXPORT_BARS = 64;
+const DEFAULT_EXPORT_BARS = 4;
+const FILE_PREFIX = 'matrix-ssg95';
+const MANIFEST_FILENAME = 'manifest.json';
+
+/**
+ * ExportController
+ * Handles offline rendering of the current pattern and WAV / stem export
+ */
+export class ExportController {
+    constructor(config, domCache, audioContext, state, callbacks) {
+        this.config = config;
+        this.domCache = domCache;
+        this.audioContext = audioContext;
+        this.state = state;
+        this.callbacks = callbacks; // { getControlState, getSeed, showErrorNotification }
+        this.isExporting = false;
+    }
+
+    /**
+     * Render the current pattern and download it as a WAV file
+     */
+    async exportMixdown(ui) {
+        await this._runExport(ui, ui.exportWavButton, async (settings) => {
+            const rendered = await this._render(settings, false);
+            const wav = encodeWav({ channels: rendered.master, sampleRate: rendered.sampleRate }, { bitDepth: settings.bitDepth });
+            const filename = `${settings.baseName}.wav`;
+            downloadBlob(new Blob([wav], { type: 'audio/wav' }), filename);
+            return filename;
+        });
+    }
+
+    /**
+     * Render the master mix plus one stem per playing slot and download them
+     * together with a JSON manifest as a ZIP file
+     */
+    async exportStems(ui) {
+        await this._runExport(ui, ui.exportStemsButton, async (settings) => {
+            const rendered = await this._render(settings, true);
+            const encode = (channels) => encodeWav({ channels, sampleRate: rendered.sampleRate }, { bitDepth: settings.bitDepth });
+
+            const files = [{ name: `${settings.baseName}_master.wav`, data: encode(rendered.master) }];
+            const stemEntries = rendered.stems.map(stem => {
+                const name = `${settings.baseName}_slot${stem.slot + 1}.wav`;
+                files.push({ name, data: encode(stem.channels) });
+                return { slot: stem.slot, file: name };
+            });
+
+            const manifest = this._buildManifest(settings, rendered, files[0].name, stemEntries);
+            files.push({ name: MANIFEST_FILENAME, data: JSON.stringify(manifest, null, 2) });
+
+            const filename = `${settings.baseName}_stems.zip`;
+            downloadBlob(new Blob([createZip(files)], { type: 'application/zip' }), filename);
+            return filename;
+        });
+    }
+
+    /**
+     * Shared export flow: validation, button state and error reporting
+     * @private
+     */
+    async _runExport(ui, button, exportFn) {
+        if (this.isExporting) return;
+
+        if (!OfflineRenderer.isSupported()) {
+            this.callbacks.showErrorNotification('書き出しエラー', 'このブラウザはオフラインレンダリングに対応していません。');
+            return;
+        }
+
+        if (!this.state.audioBuffers.some(buffer => buffer)) {
+            alert("No samples loaded");
+            return;
+        }
+
+        const bars = this._readBars(ui);
+        const seed = this.callbacks.getSeed();
+        const controlState = this.callbacks.getControlState();
+        const settings = {
+            bars,
+            seed,
+            controlState,
+            bitDepth: parseInt(ui.exportBitDepthSelect.value),
+            wrapTail: ui.exportLoopCheckbox.checked,
+            baseName: `${FILE_PREFIX}_${controlState.tempoBpm}bpm_${bars}bars_seed${seed}`
+        };
+
+        const label = button.textContent;
+        this.isExporting = true;
+        ui.exportWavButton.disabled = true;
+        ui.exportStemsButton.disabled = true;
+        button.textContent = 'Rendering...';
+
+        try {
+            const filename = await exportFn(settings);
+            Logger.log(`✅ Exported ${filename} (${settings.bitDepth}bit)`);
+        } catch (err) {
+            Logger.error("❌ Export error:", err);
+            this.callbacks.showErrorNotification('書き出しエラー', 'WAV ファイルの書き出しに失敗しました。', err);
+        } finally {
+            this.isExporting = false;
+            ui.exportWavButton.disabled = false;
+            ui.exportStemsButton.disabled = false;
+            button.textContent = label;
+        }
+    }
+
+    /**
+     * Run the offline renderer with the export settings
+     * @private
+     */
+    _render(settings, stems) {
+        const renderer = new OfflineRenderer(this.config, { sampleRate: this.audioContext.sampleRate });
+        return renderer.render({
+            buffers: this.state.audioBuffers,
+            controlState: settings.controlState,
+            bars: settings.bars,
+            seed: settings.seed,
+            wrapTail: settings.wrapTail,
+            stems
+        });
+    }
+
+    /**
+     * Describe the render so the stems can be rebuilt or arranged later
+     * @private
+     */
+    _buildManifest(settings, rendered, masterFile, stemEntries) {
+        const { controlState } = settings;
+        const meter = normalizeMeter(controlState.meter);
+        return {
+            app: 'Matrix-SSG-95',
+            exportedAt: new Date().toISOString(),
+            tempoBpm: controlState.tempoBpm,
+            bars: settings.bars,
+            timeSignature: meter.timeSignature,
+            stepResolution: meter.resolution,
+            stepsPerBar: getStepsPerBar(meter),
+            seed: settings.seed,
+            sampleRate: rendered.sampleRate,
+            bitDepth: settings.bitDepth,
+            loopTailWrapped: settings.wrapTail,
+            lengthFrames: rendered.master[0].length,
+            slotMode: parseInt(controlState.globalControls.slotMode),
+            master: masterFile,
+            stems: stemEntries.map(({ slot, file }) => {
+                const fileNameElement = this.domCache.getElementById(`fileName-slot${slot}`);
+                const patternLength = controlState.patternLengths ? controlState.patternLengths[slot] : this.config.SEQUENCER_STEPS;
+                return {
+                    slot: slot + 1,
+                    file,
+                    sample: fileNameElement ? fileNameElement.textContent : null,
+                    solo: !!controlState.slotSoloStatus[slot],
+                    mute: !!controlState.slotMuteStatus[slot],
+                    patternLength,
+                    playDirection: controlState.playDirections ? controlState.playDirections[slot] : DEFAULT_PLAY_DIRECTION,
+                    loopRegion: controlState.loopRegions ? controlState.loopRegions[slot] : FULL_REGION,
+                    sliceMarkers: controlState.sliceMarkers ? controlState.sliceMarkers[slot] : [],
+                    pattern: controlState.sequencerPatterns[slot].slice(0, patternLength).map(isActive => isActive ? 1 : 0),
+                    params: controlState.perSlotControls[slot]
+                };
+            })
+        };
+    }
+
+    /**
+     * Read and clamp the bar count input
+     */
+    _readBars(ui) {
+        const bars = parseInt(ui.exportBarsInput.value);
+        const clamped = Number.isFinite(bars)
+            ? Math.max(MIN_EXPORT_BARS, Math.min(MAX_EXPORT_BARS, bars))
+            : DEFAULT_EXPORT_BARS;
+        ui.exportBarsInput.value = clamped;
+        return clamped;
+    }
+}
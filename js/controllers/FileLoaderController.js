@@ -1,17 +1,37 @@
 import { Logger } from '../utils/logger.js';
-import { loadAudioFile, trimSilence } from '../utils/audioFileLoader.js';
+import { loadAudioFile, getChannels } from '../utils/audioFileUtils.js';
+import { preprocessChannels } from '../utils/samplePreprocess.js';
+import { applySampleEdits } from '../utils/sampleEdits.js';
 
 /**
  * FileLoaderController
  * Handles all file loading operations (folder selection, individual files)
  */
 export class FileLoaderController {
-    constructor(config, domCache, audioContext, state, callbacks) {
+    constructor(config, domCache, audioContext, state, callbacks, random = Math.random) {
         this.config = config;
         this.domCache = domCache;
         this.audioContext = audioContext;
         this.state = state;
-        this.callbacks = callbacks; // { saveCurrentState, showErrorNotification, updateUI }
+        this.callbacks = callbacks; // { saveCurrentState, showErrorNotification, updateUI, clearSliceMarkers }
+        this.random = random;
+
+        // Preprocessed channels per source buffer, so sample edits do not rerun the pipeline
+        this.preprocessCache = new WeakMap();
+    }
+
+    /**
+     * Shuffle file handles in place (Fisher-Yates)
+     * Draws from the seeded file-load stream, so a seed assigns the same files to
+     * the same slots.
+     * @private
+     */
+    _shuffleFileHandles(handles) {
+        for (let i = handles.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [handles[i], handles[j]] = [handles[j], handles[i]];
+        }
+        return handles;
     }
 
     /**
@@ -45,16 +65,15 @@ export class FileLoaderController {
             // Clear all slots
             for (let s = 0; s < this.config.SLOTS; s++) {
                 this.state.audioBuffers[s] = null;
+                this.state.sourceBuffers[s] = null;
+                this.state.sampleEditHistories[s].clear();
+                this.callbacks.clearSliceMarkers(s);
                 this.state.waveformRenderers[s].invalidateCache();
                 this.state.waveformRenderers[s].ctx.clearRect(0, 0, this.config.WAVEFORM_CANVAS_WIDTH, this.config.WAVEFORM_CANVAS_HEIGHT);
                 this.domCache.getElementById(`fileName-slot${s}`).textContent = '';
             }
 
-            // Shuffle file handles
-            for (let i = allFileHandles.length - 1; i > 0; i--) {
-                const j = Math.floor(Math.random() * (i + 1));
-                [allFileHandles[i], allFileHandles[j]] = [allFileHandles[j], allFileHandles[i]];
-            }
+            this._shuffleFileHandles(allFileHandles);
 
             // Load files in parallel
             const loadPromises = allFileHandles.slice(0, this.config.SLOTS).map((fileHandle, index) =>
@@ -114,24 +133,10 @@ export class FileLoaderController {
             }
 
             // Load file with validation and error handling
-            let decodedData = await loadAudioFile(file, this.audioContext);
-
-            // Trim silence
-            const trimmedBuffer = trimSilence(decodedData, this.audioContext, 0.01);
-
-            // Normalize audio
-            const data = trimmedBuffer.getChannelData(0);
-            const max = data.reduce((max, val) => Math.max(max, Math.abs(val)), 0);
-            if (max > 0) {
-                for (let i = 0; i < data.length; i++) {
-                    data[i] /= max;
-                }
-            }
+            const decodedData = await loadAudioFile(file, this.audioContext);
 
-            // Store buffer and update UI
-            this.state.audioBuffers[slotIndex] = trimmedBuffer;
-            this.state.waveformRenderers[slotIndex].drawWaveform(trimmedBuffer);
-            this.domCache.getElementById(`fileName-slot${slotIndex}`).textContent = file.name;
+            // Process with the slot's settings, store buffer and update UI
+            this._setSlotSource(decodedData, slotIndex, file.name);
 
             Logger.log(`✅ Slot ${slotIndex}: ${file.name} processed successfully`);
         } catch (error) {
@@ -141,6 +146,7 @@ export class FileLoaderController {
             if (this.state.audioBuffers[slotIndex]) {
                 this.state.audioBuffers[slotIndex] = null;
             }
+            this.state.sourceBuffers[slotIndex] = null;
 
             const fileNameElement = this.domCache.getElementById(`fileName-slot${slotIndex}`);
             if (fileNameElement) {
@@ -157,10 +163,7 @@ export class FileLoaderController {
             // Validate and load file with proper error handling
             const decoded = await loadAudioFile(file, this.audioContext);
 
-            this.state.audioBuffers[slot] = decoded;
-            this.state.waveformRenderers[slot].drawWaveform(decoded);
-            this.domCache.getElementById(`fileName-slot${slot}`).textContent = file.name;
-            this.callbacks.saveCurrentState();
+            this.assignBufferToSlot(decoded, slot, file.name);
 
             Logger.log(`✅ Slot ${slot}: ${file.name} loaded successfully`);
             return true;
@@ -170,4 +173,78 @@ export class FileLoaderController {
             return false;
         }
     }
+
+    /**
+     * Use an already decoded buffer as a slot's source
+     */
+    assignBufferToSlot(buffer, slot, name) {
+        this._setSlotSource(buffer, slot, name);
+        this.callbacks.saveCurrentState();
+    }
+
+    /**
+     * Build a slot's buffer again from its decoded source with its current preprocess
+     * settings and sample edits
+     * @param {number} slot - Slot index
+     * @returns {boolean} False when the slot has no source
+     */
+    reprocessSlot(slot) {
+        const source = this.state.sourceBuffers[slot];
+        if (!source) return false;
+
+        this.state.audioBuffers[slot] = this._buildSlotBuffer(source, slot);
+        this.state.waveformRenderers[slot].invalidateCache();
+        this.state.waveformRenderers[slot].drawWaveform(this.state.audioBuffers[slot]);
+        return true;
+    }
+
+    /**
+     * Keep a decoded buffer as the slot's source and play a processed copy
+     * Edits and slice markers made for the previous sample are dropped.
+     */
+    _setSlotSource(source, slot, name) {
+        this.state.sourceBuffers[slot] = source;
+        this.state.sampleEditHistories[slot].clear();
+        this.callbacks.clearSliceMarkers(slot);
+        this.state.audioBuffers[slot] = this._buildSlotBuffer(source, slot);
+        this.state.waveformRenderers[slot].invalidateCache();
+        this.state.waveformRenderers[slot].drawWaveform(this.state.audioBuffers[slot]);
+        this.domCache.getElementById(`fileName-slot${slot}`).textContent = name;
+        this.callbacks.updateUI();
+    }
+
+    /**
+     * Preprocess the source and replay the slot's sample edits on it
+     */
+    _buildSlotBuffer(source, slot) {
+        const { channels: prepared, sampleRate } = this._preprocess(source, slot);
+        const channels = applySampleEdits(prepared, this.state.sampleEditHistories[slot].getOperations());
+
+        const buffer = this.audioContext.createBuffer(channels.length, channels[0].length, sampleRate);
+        channels.forEach((data, ch) => buffer.copyToChannel(data, ch));
+        return buffer;
+    }
+
+    /**
+     * Run the preprocess pipeline on a decoded buffer (cached per source and settings)
+     */
+    _preprocess(source, slot) {
+        const settingsKey = JSON.stringify(this.state.preprocessSettings[slot]);
+        const cached = this.preprocessCache.get(source);
+        if (cached && cached.settingsKey === settingsKey) {
+            return cached.result;
+        }
+
+        const result = preprocessChannels(
+            getChannels(source),
+            source.sampleRate,
+            this.state.preprocessSettings[slot],
+            this.audioContext.sampleRate
+        );
+        this.preprocessCache.set(source, { settingsKey, result });
+
+        const duration = result.channels[0].length / result.sampleRate;
+        Logger.log(`🎛️ Slot ${slot}: preprocessed (${source.duration.toFixed(2)}s → ${duration.toFixed(2)}s, gain ${(20 * Math.log10(result.gain)).toFixed(1)}dB)`);
+        return result;
+    }
 }
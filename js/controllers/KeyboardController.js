@@ -1,5 +1,24 @@
 import { Logger } from '../utils/logger.js';
 
+// Alt+digit reaches the slots after the first ten
+const ALT_DIGIT_SLOT_OFFSET = 10;
+
+/**
+ * Slot a digit key stands for
+ * 1-9 and 0 are slots 1-10; with Alt held they are slots 11-20.
+ * @param {string} code - KeyboardEvent.code
+ * @param {boolean} altKey - Whether Alt is held
+ * @returns {number} Zero-based slot, or -1 for other keys
+ */
+export function getDigitSlot(code, altKey) {
+    const match = /^Digit(\d)$/.exec(code);
+    if (!match) return -1;
+
+    const digit = parseInt(match[1]);
+    const slot = digit === 0 ? 9 : digit - 1;
+    return altKey ? slot + ALT_DIGIT_SLOT_OFFSET : slot;
+}
+
 /**
  * KeyboardController
  * Handles all keyboard shortcuts and key-based interactions
@@ -74,80 +93,67 @@ export class KeyboardController {
                     }
                     break;
 
-                case 'Digit1':
-                    if (e.shiftKey) {
-                        e.preventDefault();
-                        this._handleSlotShortcut(0, 'solo');
-                    } else if (this.state.isMKeyPressed && this.state.isOKeyPressed) {
-                        e.preventDefault();
-                        this._handleModeShortcut(0); // Fixed (Slot 1)
-                    } else if (this.state.isMKeyPressed) {
+                case 'KeyA':
+                    if (this.state.isMKeyPressed && this.state.isOKeyPressed) {
                         e.preventDefault();
-                        this._handleSlotShortcut(0, 'mute'); // Mute (Slot 1)
+                        this._handleModeShortcut(this.config.SLOTS); // All
                     }
                     break;
 
-                case 'Digit2':
-                    if (e.shiftKey) {
-                        e.preventDefault();
-                        this._handleSlotShortcut(1, 'solo');
-                    } else if (this.state.isMKeyPressed && this.state.isOKeyPressed) {
+                case 'KeyR':
+                    if (this.state.isMKeyPressed && this.state.isOKeyPressed) {
                         e.preventDefault();
-                        this._handleModeShortcut(1); // Fixed (Slot 2)
-                    } else if (this.state.isMKeyPressed) {
+                        this._handleModeShortcut(this.config.SLOTS + 1); // Random
+                    } else if (e.altKey) {
                         e.preventDefault();
-                        this._handleSlotShortcut(1, 'mute'); // Mute (Slot 2)
+                        this.callbacks.transformSequencerRow('reverse');
                     }
                     break;
 
-                case 'Digit3':
-                    if (e.shiftKey) {
-                        e.preventDefault();
-                        this._handleSlotShortcut(2, 'solo');
-                    } else if (this.state.isMKeyPressed && this.state.isOKeyPressed) {
+                case 'KeyI':
+                    if (e.altKey) {
                         e.preventDefault();
-                        this._handleModeShortcut(2); // Fixed (Slot 3)
-                    } else if (this.state.isMKeyPressed) {
-                        e.preventDefault();
-                        this._handleSlotShortcut(2, 'mute'); // Mute (Slot 3)
+                        this.callbacks.transformSequencerRow('invert');
                     }
                     break;
 
-                case 'Digit4':
-                    if (e.shiftKey) {
-                        e.preventDefault();
-                        this._handleSlotShortcut(3, 'solo');
-                    } else if (this.state.isMKeyPressed && this.state.isOKeyPressed) {
+                case 'KeyD':
+                    if (e.altKey) {
                         e.preventDefault();
-                        this._handleModeShortcut(3); // Fixed (Slot 4)
-                    } else if (this.state.isMKeyPressed) {
-                        e.preventDefault();
-                        this._handleSlotShortcut(3, 'mute'); // Mute (Slot 4)
+                        this.callbacks.transformSequencerRow('double');
                     }
                     break;
 
-                case 'KeyA':
-                    if (this.state.isMKeyPressed && this.state.isOKeyPressed) {
+                case 'KeyC':
+                    if (e.ctrlKey) {
                         e.preventDefault();
-                        this._handleModeShortcut(4); // All
+                        this.callbacks.transformSequencerRow(e.shiftKey ? 'copyGrid' : 'copy');
                     }
                     break;
 
-                case 'KeyR':
-                    if (this.state.isMKeyPressed && this.state.isOKeyPressed) {
+                case 'KeyV':
+                    if (e.ctrlKey) {
                         e.preventDefault();
-                        this._handleModeShortcut(5); // Random
+                        this.callbacks.transformSequencerRow(e.shiftKey ? 'pasteGrid' : 'paste');
                     }
                     break;
 
                 case 'ArrowLeft':
                     e.preventDefault();
-                    this._handleSequencerNavigation('left', e.shiftKey);
+                    if (e.altKey) {
+                        this.callbacks.transformSequencerRow(e.shiftKey ? 'shift' : 'rotate', -1);
+                    } else {
+                        this._handleSequencerNavigation('left', e.shiftKey);
+                    }
                     break;
 
                 case 'ArrowRight':
                     e.preventDefault();
-                    this._handleSequencerNavigation('right', e.shiftKey);
+                    if (e.altKey) {
+                        this.callbacks.transformSequencerRow(e.shiftKey ? 'shift' : 'rotate', 1);
+                    } else {
+                        this._handleSequencerNavigation('right', e.shiftKey);
+                    }
                     break;
 
                 case 'ArrowUp':
@@ -169,6 +175,10 @@ export class KeyboardController {
                     e.preventDefault();
                     this._handleSequencerDelete();
                     break;
+
+                default:
+                    this._handleDigitKey(e);
+                    break;
             }
         });
 
@@ -183,7 +193,28 @@ export class KeyboardController {
     }
 
     /**
-     * Handle mode selection shortcuts (M+O+1-4, M+O+A, M+O+R)
+     * Handle slot digit shortcuts (1-9 and 0 for slot 10, Alt+1-6 for slots 11-16)
+     * Shift+digit solos, M+digit mutes and M+O+digit selects the fixed slot mode.
+     * Digits past the slot count are ignored.
+     */
+    _handleDigitKey(e) {
+        const slot = getDigitSlot(e.code, e.altKey);
+        if (slot === -1 || slot >= this.config.SLOTS) return;
+
+        if (e.shiftKey) {
+            e.preventDefault();
+            this._handleSlotShortcut(slot, 'solo');
+        } else if (this.state.isMKeyPressed && this.state.isOKeyPressed) {
+            e.preventDefault();
+            this._handleModeShortcut(slot); // Fixed (Slot n)
+        } else if (this.state.isMKeyPressed) {
+            e.preventDefault();
+            this._handleSlotShortcut(slot, 'mute'); // Mute (Slot n)
+        }
+    }
+
+    /**
+     * Handle mode selection shortcuts (M+O+digit, M+O+A, M+O+R)
      */
     _handleModeShortcut(modeValue) {
         const slotModeSelect = this.domCache.getElementById('slotMode');
@@ -204,11 +235,8 @@ export class KeyboardController {
             }
 
             // Console feedback
-            const modeNames = [
-                'Fixed (Slot 1)', 'Fixed (Slot 2)', 'Fixed (Slot 3)',
-                'Fixed (Slot 4)', 'All', 'Random'
-            ];
-            Logger.log(`🎛️ Mode changed to: ${modeNames[modeValue]}`);
+            const slotModeSpec = this.config.GLOBAL_CONTROL_SPECS.find(spec => spec.id === 'slotMode');
+            Logger.log(`🎛️ Mode changed to: ${slotModeSpec.options[modeValue]}`);
 
             this.callbacks.saveCurrentState();
         }
@@ -232,6 +260,9 @@ export class KeyboardController {
         if (this.state.isMultiSelecting) {
             this._clearMultiSelect();
             this._updateSequencerSelection();
+            if (this.callbacks.onSelectionChange) {
+                this.callbacks.onSelectionChange();
+            }
             return;
         }
 
@@ -249,7 +280,7 @@ export class KeyboardController {
     }
 
     /**
-     * Handle slot shortcuts (Shift+1-4 for solo, M+1-4 for mute)
+     * Handle slot shortcuts (Shift+digit for solo, M+digit for mute)
      */
     _handleSlotShortcut(slot, type) {
         switch (type) {
@@ -282,7 +313,7 @@ export class KeyboardController {
      * Handle sequencer navigation (arrow keys)
      */
     _handleSequencerNavigation(direction, isShiftPressed) {
-        const maxStep = this.config.SEQUENCER_STEPS - 1;
+        const maxStep = this.state.patternLengths[this.state.selectedSlot] - 1;
         const maxSlot = this.config.SLOTS - 1;
 
         switch (direction) {
@@ -315,7 +346,13 @@ export class KeyboardController {
                 break;
         }
 
+        // Rows can be shorter than the one the selection came from
+        this.state.selectedStep = Math.min(this.state.selectedStep, this.state.patternLengths[this.state.selectedSlot] - 1);
+
         this._updateSequencerSelection();
+        if (this.callbacks.onSelectionChange) {
+            this.callbacks.onSelectionChange();
+        }
     }
 
     /**
@@ -330,7 +367,7 @@ export class KeyboardController {
 
         if (direction === 'left' && this.state.multiSelectEnd > 0) {
             this.state.multiSelectEnd--;
-        } else if (direction === 'right' && this.state.multiSelectEnd < this.config.SEQUENCER_STEPS - 1) {
+        } else if (direction === 'right' && this.state.multiSelectEnd < this.state.patternLengths[this.state.selectedSlot] - 1) {
             this.state.multiSelectEnd++;
         }
 
@@ -6,13 +6,14 @@ import { CONSTANTS } from '../config/constants.js';
  * Manages all parameter operations (randomize, reset, lock/unlock, preset application)
  */
 export class ParameterController {
-    constructor(config, domCache, resourceManager, knobDragStates, knobLockStates, callbacks) {
+    constructor(config, domCache, resourceManager, knobDragStates, knobLockStates, callbacks, random = Math.random) {
         this.config = config;
         this.domCache = domCache;
         this.resourceManager = resourceManager;
         this.knobDragStates = knobDragStates;
         this.knobLockStates = knobLockStates;
-        this.callbacks = callbacks; // { updateKnobDisplay, saveCurrentState }
+        this.callbacks = callbacks; // { updateKnobDisplay, saveCurrentState, randomizeSequencer, updateBpm, getLockTarget, getParameterLock, setParameterLock, clearParameterLock }
+        this.random = random;
     }
 
     /**
@@ -134,13 +135,13 @@ export class ParameterController {
             let randomValue;
             if (spec.id === 'volume') {
                 // Volume has special randomization range
-                randomValue = Math.random() * (CONSTANTS.VOLUME_RANDOM_MAX - CONSTANTS.VOLUME_RANDOM_MIN) + CONSTANTS.VOLUME_RANDOM_MIN;
-            } else if (spec.id === 'envelopeShape' || spec.id === 'lfoWaveform') {
+                randomValue = this.random() * (CONSTANTS.VOLUME_RANDOM_MAX - CONSTANTS.VOLUME_RANDOM_MIN) + CONSTANTS.VOLUME_RANDOM_MIN;
+            } else if (spec.id === 'envelopeShape' || spec.id === 'lfoWaveform' || spec.id === 'voiceInterval' || spec.id === 'channelMode') {
                 // Integer parameters
-                randomValue = Math.floor(Math.random() * (spec.max - spec.min + 1)) + spec.min;
+                randomValue = Math.floor(this.random() * (spec.max - spec.min + 1)) + spec.min;
             } else {
                 // Normal parameters
-                randomValue = Math.random() * (spec.max - spec.min) + spec.min;
+                randomValue = this.random() * (spec.max - spec.min) + spec.min;
                 if (spec.step) {
                     randomValue = Math.round(randomValue / spec.step) * spec.step;
                 }
@@ -194,11 +195,24 @@ export class ParameterController {
         let touchEndHandler = null;
         let touchCancelHandler = null;
 
+        // A held sequencer step of this slot turns knob moves into parameter locks
+        const getLockTarget = () => (
+            slotIndex !== null && this.callbacks.getLockTarget ? this.callbacks.getLockTarget(slotIndex) : null
+        );
+
         const onDragStart = (clientY) => {
-            this.knobDragStates[elementId].isDragging = true;
+            const dragState = this.knobDragStates[elementId];
+            dragState.isDragging = true;
             knobElement.style.cursor = 'ns-resize';
-            this.knobDragStates[elementId].startY = clientY;
-            this.knobDragStates[elementId].startValue = this.knobDragStates[elementId].currentValue;
+            dragState.startY = clientY;
+            dragState.lockTarget = getLockTarget();
+
+            if (dragState.lockTarget) {
+                const lockedValue = this.callbacks.getParameterLock(slotIndex, dragState.lockTarget.step, spec.id);
+                dragState.startValue = lockedValue !== undefined ? lockedValue : dragState.currentValue;
+            } else {
+                dragState.startValue = dragState.currentValue;
+            }
 
             // Add global event listeners only during drag
             mouseMoveHandler = (e) => onDragMove(e.clientY);
@@ -232,6 +246,12 @@ export class ParameterController {
                 newValue = Math.round(newValue / spec.step) * spec.step;
             }
 
+            if (dragState.lockTarget) {
+                this.callbacks.setParameterLock(slotIndex, dragState.lockTarget.step, spec.id, newValue);
+                this.callbacks.updateKnobDisplay(elementId, spec, newValue);
+                return;
+            }
+
             dragState.currentValue = newValue;
             this.callbacks.updateKnobDisplay(elementId, spec, newValue);
 
@@ -240,6 +260,11 @@ export class ParameterController {
                 Logger.debug(`SEQ PROB knob dragged to: ${newValue}`);
                 this.callbacks.randomizeSequencer();
             }
+
+            // Tempo is picked up by the scheduler on the next step boundary
+            if (elementId === 'bpm' && this.callbacks.updateBpm) {
+                this.callbacks.updateBpm(newValue);
+            }
         };
 
         const onDragEnd = () => {
@@ -267,8 +292,21 @@ export class ParameterController {
 
         const onDoubleAction = () => {
             const dragState = this.knobDragStates[elementId];
+            const lockTarget = getLockTarget();
+
+            // With a step held, double-click removes that step's lock instead of resetting the knob
+            if (lockTarget) {
+                this.callbacks.clearParameterLock(slotIndex, lockTarget.step, spec.id);
+                this.callbacks.updateKnobDisplay(elementId, spec, dragState.currentValue);
+                this.callbacks.saveCurrentState();
+                return;
+            }
+
             dragState.currentValue = spec.value;
             this.callbacks.updateKnobDisplay(elementId, spec, spec.value);
+            if (elementId === 'bpm' && this.callbacks.updateBpm) {
+                this.callbacks.updateBpm(spec.value);
+            }
             this.callbacks.saveCurrentState();
 
             knobElement.style.transition = 'transform 0.1s ease';
@@ -374,7 +412,7 @@ export class ParameterController {
         }
 
         // Unlock global knobs
-        const globalKnobs = ['bpm', 'randomDensity'];
+        const globalKnobs = ['bpm', 'randomDensity', 'swing', 'humanize'];
         globalKnobs.forEach(knobId => {
             if (this.isKnobLocked(knobId)) {
                 this.setKnobLocked(knobId, false);
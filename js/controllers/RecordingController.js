@@ -0,0 +1,145 @@
+import { Logger } from '../utils/logger.js';
+import { MasterRecorder } from '../audio/MasterRecorder.js';
+import { encodeWav, downloadBlob } from '../utils/wavEncoder.js';
+
+// Constants
+const RECORD_BUTTON_LABEL = '● REC';
+const TAKE_FILE_PREFIX = 'matrix-ssg95_take';
+
+/**
+ * RecordingController
+ * Handles real-time recording of the master output and what happens to the take
+ */
+export class RecordingController {
+    constructor(config, domCache, audioContext, state, callbacks) {
+        this.config = config;
+        this.domCache = domCache;
+        this.audioContext = audioContext;
+        this.state = state;
+        this.callbacks = callbacks; // { getRecordSource, assignBufferToSlot, showErrorNotification }
+        this.recorder = null;
+        this.lastTake = null;
+        this.takeCount = 0;
+    }
+
+    /**
+     * Start or stop recording
+     */
+    async toggleRecording(ui) {
+        if (this.recorder && this.recorder.isRecording()) {
+            await this.stopRecording(ui);
+        } else {
+            await this.startRecording(ui);
+        }
+    }
+
+    /**
+     * Start a new take
+     */
+    async startRecording(ui) {
+        if (!this.recorder) {
+            this.recorder = new MasterRecorder(this.audioContext, this.callbacks.getRecordSource(), {
+                onProgress: (seconds) => {
+                    if (this.recorder.isRecording()) {
+                        ui.recordButton.textContent = `■ ${this._formatTime(seconds)}`;
+                    }
+                },
+                onLimit: () => this.stopRecording(ui)
+            });
+        }
+
+        if (this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+
+        const started = await this.recorder.start();
+        if (!started) {
+            this.callbacks.showErrorNotification('録音エラー', 'AudioWorklet を初期化できませんでした。このブラウザでは録音できません。');
+            return;
+        }
+
+        ui.recordButton.textContent = `■ ${this._formatTime(0)}`;
+        ui.recordButton.classList.add('active', 'recording');
+    }
+
+    /**
+     * Stop the current take and keep it for download / slot loading
+     */
+    async stopRecording(ui) {
+        if (!this.recorder || !this.recorder.isRecording()) return;
+
+        try {
+            const take = await this.recorder.stop();
+            if (take) {
+                this.lastTake = take;
+                this.takeCount++;
+            }
+        } catch (err) {
+            Logger.error("❌ Recording stop error:", err);
+            this.callbacks.showErrorNotification('録音エラー', '録音の停止に失敗しました。', err);
+        } finally {
+            ui.recordButton.textContent = RECORD_BUTTON_LABEL;
+            ui.recordButton.classList.remove('active', 'recording');
+            this._updateTakeButtons(ui);
+        }
+    }
+
+    /**
+     * Download the last take as a WAV file
+     */
+    saveTake(ui) {
+        if (!this.lastTake) return;
+
+        try {
+            const bitDepth = parseInt(ui.exportBitDepthSelect.value);
+            const wav = encodeWav(this.lastTake, { bitDepth });
+            downloadBlob(new Blob([wav], { type: 'audio/wav' }), `${TAKE_FILE_PREFIX}${this.takeCount}.wav`);
+        } catch (err) {
+            this.callbacks.showErrorNotification('録音エラー', 'WAV ファイルの書き出しに失敗しました。', err);
+        }
+    }
+
+    /**
+     * Load the last take into the selected slot as a new source buffer
+     */
+    loadTakeIntoSlot(ui) {
+        if (!this.lastTake) return;
+
+        const slot = parseInt(ui.recordSlotSelect.value);
+        const { channels, sampleRate } = this.lastTake;
+        const buffer = this.audioContext.createBuffer(channels.length, channels[0].length, sampleRate);
+        channels.forEach((data, ch) => buffer.copyToChannel(data, ch));
+
+        this.callbacks.assignBufferToSlot(buffer, slot, `${TAKE_FILE_PREFIX}${this.takeCount}.wav`);
+        Logger.log(`✅ Slot ${slot}: recorded take ${this.takeCount} loaded`);
+    }
+
+    /**
+     * Enable the take buttons once a take exists
+     */
+    _updateTakeButtons(ui) {
+        const hasTake = !!this.lastTake;
+        ui.saveTakeButton.disabled = !hasTake;
+        ui.takeToSlotButton.disabled = !hasTake;
+    }
+
+    /**
+     * Format seconds as m:ss
+     */
+    _formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${minutes}:${String(secs).padStart(2, '0')}`;
+    }
+
+    /**
+     * Clean up recorder resources
+     */
+    destroy() {
+        if (this.recorder) {
+            this.recorder.destroy();
+            this.recorder = null;
+        }
+        this.lastTake = null;
+    }
+}
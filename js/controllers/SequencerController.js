@@ -7,17 +7,45 @@
 import { Logger } from '../utils/logger.js';
 import { debounce } from '../utils/mathUtils.js';
 import { DOMCache } from '../utils/DOMCache.js';
+import { DEFAULT_TRIG, TRIG_CONDITIONS, isDefaultTrig } from '../utils/trigConditions.js';
+import { DEFAULT_PLAY_DIRECTION, isPlayDirection } from '../utils/playDirections.js';
+import { DEFAULT_METER, normalizeMeter, getStepsPerBar } from '../utils/timeSignatures.js';
+import { euclidean, gridsPattern, stepAutomaton, markovPattern } from '../utils/rhythmGenerators.js';
+import { formatGridText, parseGridText } from '../utils/patternUtils.js';
+
+// A step with nothing on it, used when transforms open up empty steps
+const EMPTY_STEP = Object.freeze({ active: false, locks: null, trig: null });
 
 export class SequencerController {
-    constructor(config, domCache = null) {
+    constructor(config, domCache = null, random = Math.random) {
         this.config = config;
         this.domCache = domCache || new DOMCache();
+        this.random = random;
 
-        // Sequencer state
-        this.patterns = Array.from(
-            { length: this.config.SLOTS },
-            () => Array(this.config.SEQUENCER_STEPS).fill(true)
-        );
+        // Sequencer state (every row stores MAX_PATTERN_LENGTH steps, only the first patternLengths[slot] play)
+        this.patterns = this._createDefaultPatterns();
+        this.patternLengths = Array(this.config.SLOTS).fill(this.config.SEQUENCER_STEPS);
+        this.playDirections = Array(this.config.SLOTS).fill(DEFAULT_PLAY_DIRECTION);
+
+        // Time signature and step resolution of the pattern
+        this.meter = normalizeMeter(null);
+
+        // Per-step parameter locks: parameterLocks[slot][step] = { paramId: value } or null
+        this.parameterLocks = this._createEmptyLocks();
+
+        // Per-step trig settings: stepTrigs[slot][step] = { probability, velocity, condition, ratchet, ... } or null (defaults)
+        this.stepTrigs = this._createEmptyLocks();
+
+        // Pattern bank: stored snapshots of the patterns that are not being edited (null = never used)
+        this.patternBank = Array(this.config.PATTERN_BANKS * this.config.PATTERNS_PER_BANK).fill(null);
+        this.activePattern = 0;
+        this.queuedPattern = null;
+
+        // Cellular automaton rule per slot that evolves the row every bar (null = off)
+        this.automatonRules = Array(this.config.SLOTS).fill(null);
+
+        // Row copied with copyRowToBuffer: { length, steps } or null
+        this.rowBuffer = null;
 
         this.currentStep = 0;
         this.selectedStep = 0;
@@ -39,7 +67,8 @@ export class SequencerController {
      */
     initializePatterns(patterns) {
         if (patterns && patterns.length === this.config.SLOTS) {
-            this.patterns = patterns.map(p => [...p]);
+            // Shorter saved rows are padded with empty steps
+            this.patterns = patterns.map(p => Array.from({ length: this.config.MAX_PATTERN_LENGTH }, (_, step) => !!p[step]));
         }
     }
 
@@ -51,6 +80,381 @@ export class SequencerController {
         return this.patterns.map(p => [...p]);
     }
 
+    /**
+     * Initialize pattern lengths from existing state
+     * @param {Array<number>} lengths - Steps per slot (missing lengths use SEQUENCER_STEPS)
+     */
+    initializePatternLengths(lengths) {
+        this.patternLengths = Array(this.config.SLOTS).fill(this.config.SEQUENCER_STEPS);
+        if (lengths && lengths.length === this.config.SLOTS) {
+            lengths.forEach((length, slot) => this.setPatternLength(slot, length));
+        }
+    }
+
+    /**
+     * Get a copy of all pattern lengths
+     * @returns {Array<number>} Steps per slot
+     */
+    getPatternLengths() {
+        return [...this.patternLengths];
+    }
+
+    /**
+     * Get the number of steps one slot plays
+     * @param {number} slot - Slot index
+     * @returns {number} Pattern length
+     */
+    getPatternLength(slot) {
+        return this.patternLengths[slot] || this.config.SEQUENCER_STEPS;
+    }
+
+    /**
+     * Set the number of steps one slot plays
+     * Steps beyond the length keep their contents and come back when the row is extended.
+     * @param {number} slot - Slot index
+     * @param {number} length - Requested length
+     * @returns {number} Clamped length
+     */
+    setPatternLength(slot, length) {
+        if (slot < 0 || slot >= this.config.SLOTS) {
+            return this.config.SEQUENCER_STEPS;
+        }
+
+        const parsed = parseInt(length);
+        this.patternLengths[slot] = Number.isFinite(parsed)
+            ? Math.max(this.config.MIN_PATTERN_LENGTH, Math.min(this.config.MAX_PATTERN_LENGTH, parsed))
+            : this.config.SEQUENCER_STEPS;
+        return this.patternLengths[slot];
+    }
+
+    /**
+     * Initialize play directions from existing state
+     * @param {Array<string>} directions - Direction id per slot (missing or unknown ids play forward)
+     */
+    initializePlayDirections(directions) {
+        this.playDirections = Array(this.config.SLOTS).fill(DEFAULT_PLAY_DIRECTION);
+        if (directions) {
+            directions.slice(0, this.config.SLOTS).forEach((direction, slot) => this.setPlayDirection(slot, direction));
+        }
+    }
+
+    /**
+     * Get a copy of all play directions
+     * @returns {Array<string>} Direction id per slot
+     */
+    getPlayDirections() {
+        return [...this.playDirections];
+    }
+
+    /**
+     * Get the play direction of one slot
+     * @param {number} slot - Slot index
+     * @returns {string} Direction id
+     */
+    getPlayDirection(slot) {
+        return this.playDirections[slot] || DEFAULT_PLAY_DIRECTION;
+    }
+
+    /**
+     * Set the play direction of one slot
+     * @param {number} slot - Slot index
+     * @param {string} direction - Direction id (see PLAY_DIRECTIONS)
+     * @returns {string} Applied direction
+     */
+    setPlayDirection(slot, direction) {
+        if (slot < 0 || slot >= this.config.SLOTS) {
+            return DEFAULT_PLAY_DIRECTION;
+        }
+
+        this.playDirections[slot] = isPlayDirection(direction) ? direction : DEFAULT_PLAY_DIRECTION;
+        return this.playDirections[slot];
+    }
+
+    /**
+     * Initialize the meter from existing state
+     * @param {Object|null} meter - { timeSignature, resolution } (missing values use 4/4 in 1/16)
+     */
+    initializeMeter(meter) {
+        this.meter = normalizeMeter(meter);
+    }
+
+    /**
+     * Get the meter of the pattern being edited
+     * @returns {Object} { timeSignature, resolution }
+     */
+    getMeter() {
+        return { ...this.meter };
+    }
+
+    /**
+     * Change the time signature or step resolution
+     * @param {Object} changes - Any of { timeSignature, resolution }
+     * @returns {Object} Applied meter
+     */
+    setMeter(changes) {
+        this.meter = normalizeMeter({ ...this.meter, ...changes });
+        return this.getMeter();
+    }
+
+    /**
+     * Steps in one bar of the pattern being edited
+     * @returns {number} Steps per bar
+     */
+    getStepsPerBar() {
+        return getStepsPerBar(this.meter);
+    }
+
+    /**
+     * Re-apply step state to the cells of one row (after the row was rebuilt)
+     * @param {number} slot - Slot index
+     */
+    refreshRowDOM(slot) {
+        for (let step = 0; step < this.patternLengths[slot]; step++) {
+            this._updateStepDOM(slot, step);
+        }
+        this._updateSelectionDOM();
+    }
+
+    /**
+     * Initialize the pattern bank from existing state
+     * The grid of the active pattern is restored separately (initializePatterns etc.).
+     * @param {Array} bank - Pattern snapshots (null for unused patterns)
+     * @param {number} activePattern - Index of the pattern being edited
+     */
+    initializePatternBank(bank, activePattern = 0) {
+        this.patternBank = Array(this.patternBank.length).fill(null);
+        if (Array.isArray(bank)) {
+            bank.slice(0, this.patternBank.length).forEach((snapshot, index) => {
+                this.patternBank[index] = snapshot ? this._copySnapshot(snapshot) : null;
+            });
+        }
+        this.activePattern = this._isValidPattern(activePattern) ? activePattern : 0;
+        this.queuedPattern = null;
+    }
+
+    /**
+     * Get a copy of the pattern bank with the active pattern included
+     * @returns {Array} Pattern snapshots (null for unused patterns)
+     */
+    getPatternBank() {
+        const bank = this.patternBank.map(snapshot => snapshot ? this._copySnapshot(snapshot) : null);
+        bank[this.activePattern] = this._captureSnapshot();
+        return bank;
+    }
+
+    /**
+     * Get the index of the pattern being edited / played
+     * @returns {number}
+     */
+    getActivePattern() {
+        return this.activePattern;
+    }
+
+    /**
+     * Check whether a pattern has been used
+     * @param {number} index - Pattern index
+     * @returns {boolean}
+     */
+    hasPatternData(index) {
+        return index === this.activePattern || !!this.patternBank[index];
+    }
+
+    /**
+     * Switch to another pattern immediately
+     * The current grid is stored in the bank, an unused pattern starts from the default grid.
+     * @param {number} index - Pattern index
+     * @returns {boolean} Whether the pattern changed
+     */
+    selectPattern(index) {
+        if (!this._isValidPattern(index) || index === this.activePattern) {
+            this.queuedPattern = null;
+            return false;
+        }
+
+        this.patternBank[this.activePattern] = this._captureSnapshot();
+        this._restoreSnapshot(this.patternBank[index]);
+        this.patternBank[index] = null;
+        this.activePattern = index;
+        this.queuedPattern = null;
+
+        Logger.log(`🔀 Pattern ${index} selected`);
+        return true;
+    }
+
+    /**
+     * Queue a pattern to start at the next bar (null cancels)
+     * @param {number|null} index - Pattern index
+     */
+    queuePattern(index) {
+        this.queuedPattern = index !== null && this._isValidPattern(index) ? index : null;
+    }
+
+    /**
+     * Get the queued pattern
+     * @returns {number|null}
+     */
+    getQueuedPattern() {
+        return this.queuedPattern;
+    }
+
+    /**
+     * Switch to the queued pattern, if any
+     * @returns {boolean} Whether the pattern changed
+     */
+    applyQueuedPattern() {
+        if (this.queuedPattern === null) return false;
+        return this.selectPattern(this.queuedPattern);
+    }
+
+    /**
+     * Number of bars one pass of a pattern takes (its longest row, rounded up to whole bars)
+     * @param {number} index - Pattern index
+     * @returns {number} Bars
+     */
+    getPatternBars(index) {
+        let lengths = Array(this.config.SLOTS).fill(this.config.SEQUENCER_STEPS);
+        let meter = DEFAULT_METER;
+        if (index === this.activePattern) {
+            lengths = this.patternLengths;
+            meter = this.meter;
+        } else if (this.patternBank[index]) {
+            lengths = this.patternBank[index].patternLengths;
+            meter = normalizeMeter(this.patternBank[index].meter);
+        }
+        return Math.max(1, Math.ceil(Math.max(...lengths) / getStepsPerBar(meter)));
+    }
+
+    /**
+     * Initialize parameter locks from existing state
+     * @param {Array} locks - Existing locks (missing or mismatched locks are cleared)
+     */
+    initializeParameterLocks(locks) {
+        this.parameterLocks = this._createEmptyLocks();
+        if (locks && locks.length === this.config.SLOTS) {
+            locks.forEach((slotLocks, slot) => {
+                (slotLocks || []).slice(0, this.config.MAX_PATTERN_LENGTH).forEach((stepLocks, step) => {
+                    this.parameterLocks[slot][step] = stepLocks ? { ...stepLocks } : null;
+                });
+            });
+        }
+
+        for (let slot = 0; slot < this.config.SLOTS; slot++) {
+            this.refreshRowDOM(slot);
+        }
+    }
+
+    /**
+     * Initialize trig settings from existing state
+     * @param {Array} trigs - Existing trig settings (missing or mismatched settings are cleared)
+     */
+    initializeStepTrigs(trigs) {
+        this.stepTrigs = this._createEmptyLocks();
+        if (trigs && trigs.length === this.config.SLOTS) {
+            trigs.forEach((slotTrigs, slot) => {
+                (slotTrigs || []).slice(0, this.config.MAX_PATTERN_LENGTH).forEach((trig, step) => {
+                    this.stepTrigs[slot][step] = isDefaultTrig(trig) ? null : { ...trig };
+                });
+            });
+        }
+
+        for (let slot = 0; slot < this.config.SLOTS; slot++) {
+            this.refreshRowDOM(slot);
+        }
+    }
+
+    /**
+     * Get a copy of all trig settings
+     * @returns {Array} stepTrigs[slot][step]
+     */
+    getAllStepTrigs() {
+        return this.stepTrigs.map(slotTrigs => slotTrigs.map(trig => trig ? { ...trig } : null));
+    }
+
+    /**
+     * Get the trig settings of one step, filled with defaults
+     * @param {number} slot - Slot index
+     * @param {number} step - Step index
+     * @returns {Object} { probability, velocity, condition, ratchet, ratchetVolume, ratchetPitch }
+     */
+    getStepTrig(slot, step) {
+        if (!this._isValidStep(slot, step)) {
+            return { ...DEFAULT_TRIG };
+        }
+        return { ...DEFAULT_TRIG, ...this.stepTrigs[slot][step] };
+    }
+
+    /**
+     * Change trig settings of one step
+     * @param {number} slot - Slot index
+     * @param {number} step - Step index
+     * @param {Object} changes - Any of { probability, velocity, condition, ratchet, ratchetVolume, ratchetPitch }
+     */
+    setStepTrig(slot, step, changes) {
+        if (!this._isValidStep(slot, step)) {
+            return;
+        }
+
+        const trig = { ...this.getStepTrig(slot, step), ...changes };
+        this.stepTrigs[slot][step] = isDefaultTrig(trig) ? null : trig;
+        this._updateStepDOM(slot, step);
+    }
+
+    /**
+     * Get a copy of all parameter locks
+     * @returns {Array} parameterLocks[slot][step]
+     */
+    getAllParameterLocks() {
+        return this.parameterLocks.map(slotLocks => slotLocks.map(stepLocks => stepLocks ? { ...stepLocks } : null));
+    }
+
+    /**
+     * Get the parameter overrides of one step
+     * @param {number} slot - Slot index
+     * @param {number} step - Step index
+     * @returns {Object|null} { paramId: value } or null when the step has no locks
+     */
+    getParameterLocks(slot, step) {
+        if (!this._isValidStep(slot, step)) {
+            return null;
+        }
+        return this.parameterLocks[slot][step];
+    }
+
+    /**
+     * Store a parameter override for one step
+     * @param {number} slot - Slot index
+     * @param {number} step - Step index
+     * @param {string} paramId - Per-slot parameter id
+     * @param {number} value - Value used when the step plays
+     */
+    setParameterLock(slot, step, paramId, value) {
+        if (!this._isValidStep(slot, step)) {
+            return;
+        }
+
+        this.parameterLocks[slot][step] = { ...this.parameterLocks[slot][step], [paramId]: value };
+        this._updateStepDOM(slot, step);
+    }
+
+    /**
+     * Remove parameter overrides from one step
+     * @param {number} slot - Slot index
+     * @param {number} step - Step index
+     * @param {string} [paramId] - Parameter to clear (all parameters when omitted)
+     */
+    clearParameterLock(slot, step, paramId = null) {
+        const locks = this.getParameterLocks(slot, step);
+        if (!locks) return;
+
+        if (paramId === null) {
+            this.parameterLocks[slot][step] = null;
+        } else {
+            const { [paramId]: _removed, ...rest } = locks;
+            this.parameterLocks[slot][step] = Object.keys(rest).length > 0 ? rest : null;
+        }
+        this._updateStepDOM(slot, step);
+    }
+
     /**
      * Toggle step on/off
      * @param {number} slot - Slot index
@@ -58,7 +462,7 @@ export class SequencerController {
      * @returns {boolean} New state
      */
     toggleStep(slot, step) {
-        if (slot < 0 || slot >= this.config.SLOTS || step < 0 || step >= this.config.SEQUENCER_STEPS) {
+        if (!this._isValidStep(slot, step)) {
             Logger.warn(`Invalid step toggle: slot ${slot}, step ${step}`);
             return false;
         }
@@ -76,7 +480,7 @@ export class SequencerController {
      * @param {boolean} isActive - Active state
      */
     setStep(slot, step, isActive) {
-        if (slot < 0 || slot >= this.config.SLOTS || step < 0 || step >= this.config.SEQUENCER_STEPS) {
+        if (!this._isValidStep(slot, step)) {
             return;
         }
 
@@ -91,7 +495,7 @@ export class SequencerController {
      * @returns {boolean} Step active state
      */
     getStep(slot, step) {
-        if (slot < 0 || slot >= this.config.SLOTS || step < 0 || step >= this.config.SEQUENCER_STEPS) {
+        if (!this._isValidStep(slot, step)) {
             return false;
         }
         return this.patterns[slot][step];
@@ -127,24 +531,236 @@ export class SequencerController {
         let generatedSteps = 0;
 
         for (let slot = 0; slot < this.config.SLOTS; slot++) {
-            for (let step = 0; step < this.config.SEQUENCER_STEPS; step++) {
-                const on = Math.random() < threshold;
+            for (let step = 0; step < this.patternLengths[slot]; step++) {
+                const on = this.random() < threshold;
                 this.patterns[slot][step] = on;
                 this._updateStepDOM(slot, step);
                 if (on) generatedSteps++;
             }
         }
 
-        const totalSteps = this.config.SLOTS * this.config.SEQUENCER_STEPS;
+        const totalSteps = this.patternLengths.reduce((sum, length) => sum + length, 0);
         Logger.log(`🎲 ランダムシーケンス生成: ${Math.round(threshold * 100)}% Density → ${generatedSteps}/${totalSteps} ステップON`);
     }
 
     /**
-     * Clear all steps
+     * Replace a slot row with the output of a rhythm generator
+     * @param {number} slot - Slot index
+     * @param {string} type - 'euclidean' | 'grids' | 'automaton' | 'markov'
+     * @param {Object} params - Generator parameters
+     *   euclidean: { hits, steps, rotation } (steps also sets the pattern length)
+     *   grids: { x, y, density, part }
+     *   automaton: { rule } (one generation from the current row)
+     *   markov: { order } (trained on the current row)
+     * @returns {Array<boolean>|null} Generated row, or null for an unknown type
+     */
+    generatePattern(slot, type, params = {}) {
+        if (slot < 0 || slot >= this.config.SLOTS) return null;
+
+        let row;
+        switch (type) {
+            case 'euclidean': {
+                const length = this.setPatternLength(slot, params.steps);
+                row = euclidean(Math.min(params.hits, length), length, params.rotation);
+                break;
+            }
+            case 'grids':
+                row = gridsPattern(this.patternLengths[slot], params);
+                break;
+            case 'automaton':
+                row = this._evolveRow(slot, params.rule);
+                break;
+            case 'markov':
+                row = markovPattern(this._getRow(slot), this.patternLengths[slot], params.order, this.random);
+                break;
+            default:
+                Logger.warn(`Unknown generator: ${type}`);
+                return null;
+        }
+
+        this._setRow(slot, row);
+        Logger.log(`🧬 Slot ${slot}: ${type} → ${row.filter(Boolean).length}/${row.length} ステップON`);
+        return row;
+    }
+
+    /**
+     * Let a slot row evolve by a cellular automaton rule every bar
+     * @param {number} slot - Slot index
+     * @param {number|null} rule - Wolfram rule (0-255), null turns evolution off
+     */
+    setAutomatonRule(slot, rule) {
+        if (slot < 0 || slot >= this.config.SLOTS) return;
+        const parsed = parseInt(rule);
+        this.automatonRules[slot] = Number.isFinite(parsed) ? Math.max(0, Math.min(255, parsed)) : null;
+    }
+
+    /**
+     * Get a copy of the automaton rules
+     * @returns {Array<number|null>} Rule per slot
+     */
+    getAutomatonRules() {
+        return [...this.automatonRules];
+    }
+
+    /**
+     * Initialize automaton rules from existing state
+     * @param {Array<number|null>} rules - Rule per slot
+     */
+    initializeAutomatonRules(rules) {
+        this.automatonRules = Array(this.config.SLOTS).fill(null);
+        if (rules && rules.length === this.config.SLOTS) {
+            rules.forEach((rule, slot) => this.setAutomatonRule(slot, rule));
+        }
+    }
+
+    /**
+     * Advance every evolving row by one generation (called once per bar)
+     * @returns {Array<number>} Slots that changed
+     */
+    evolveAutomata() {
+        const evolved = [];
+        this.automatonRules.forEach((rule, slot) => {
+            if (rule === null) return;
+            this._setRow(slot, this._evolveRow(slot, rule));
+            evolved.push(slot);
+        });
+        return evolved;
+    }
+
+    /**
+     * Rotate a row; steps pushed off one end come back at the other
+     * Parameter locks and trig settings move with their steps.
+     * @param {number} slot - Slot index
+     * @param {number} offset - Steps to move (negative = left)
+     * @returns {boolean} Whether the row changed
+     */
+    rotateRow(slot, offset) {
+        return this._transformRow(slot, steps => {
+            const n = steps.length;
+            const shift = ((offset % n) + n) % n;
+            return steps.map((_, i) => steps[(i - shift + n) % n]);
+        });
+    }
+
+    /**
+     * Shift a row; steps pushed off the end are dropped and empty steps come in
+     * @param {number} slot - Slot index
+     * @param {number} offset - Steps to move (negative = left)
+     * @returns {boolean} Whether the row changed
+     */
+    shiftRow(slot, offset) {
+        return this._transformRow(slot, steps =>
+            steps.map((_, i) => steps[i - offset] || EMPTY_STEP)
+        );
+    }
+
+    /**
+     * Play a row backwards
+     * @param {number} slot - Slot index
+     * @returns {boolean} Whether the row changed
+     */
+    reverseRow(slot) {
+        return this._transformRow(slot, steps => [...steps].reverse());
+    }
+
+    /**
+     * Turn active steps off and empty steps on
+     * @param {number} slot - Slot index
+     * @returns {boolean} Whether the row changed
+     */
+    invertRow(slot) {
+        return this._transformRow(slot, steps => steps.map(step => ({ ...step, active: !step.active })));
+    }
+
+    /**
+     * Double a row's length by repeating it (up to MAX_PATTERN_LENGTH)
+     * @param {number} slot - Slot index
+     * @returns {boolean} Whether the row changed
+     */
+    doubleRow(slot) {
+        if (slot < 0 || slot >= this.config.SLOTS) return false;
+
+        const steps = this._getStepRecords(slot);
+        const length = this.setPatternLength(slot, steps.length * 2);
+        this._setStepRecords(slot, Array.from({ length }, (_, i) => steps[i % steps.length]));
+        return true;
+    }
+
+    /**
+     * Copy a row (steps, locks, trigs and length) onto another slot
+     * @param {number} fromSlot - Source slot
+     * @param {number} toSlot - Destination slot
+     * @returns {boolean} Whether the row changed
+     */
+    copyRow(fromSlot, toSlot) {
+        if (fromSlot < 0 || fromSlot >= this.config.SLOTS || fromSlot === toSlot) return false;
+        this.copyRowToBuffer(fromSlot);
+        return this.pasteRowFromBuffer(toSlot);
+    }
+
+    /**
+     * Keep a copy of a row for pasteRowFromBuffer
+     * @param {number} slot - Slot index
+     */
+    copyRowToBuffer(slot) {
+        if (slot < 0 || slot >= this.config.SLOTS) return;
+        this.rowBuffer = { length: this.patternLengths[slot], steps: this._getStepRecords(slot) };
+    }
+
+    /**
+     * Whether a row has been copied
+     * @returns {boolean}
+     */
+    hasRowBuffer() {
+        return this.rowBuffer !== null;
+    }
+
+    /**
+     * Paste the copied row onto a slot
+     * @param {number} slot - Slot index
+     * @returns {boolean} Whether the row changed
+     */
+    pasteRowFromBuffer(slot) {
+        if (!this.rowBuffer || slot < 0 || slot >= this.config.SLOTS) return false;
+
+        this.setPatternLength(slot, this.rowBuffer.length);
+        this._setStepRecords(slot, this.rowBuffer.steps);
+        return true;
+    }
+
+    /**
+     * Get the step grid as text for the clipboard
+     * @returns {string} One line per slot, "x" for active and "." for empty steps
+     */
+    serializeGrid() {
+        return formatGridText(this.patterns, this.patternLengths);
+    }
+
+    /**
+     * Load step rows from grid text; rows take the length of their line
+     * Locks and trig settings of the rows are kept.
+     * @param {string} text - Grid text
+     * @returns {boolean} Whether anything was loaded
+     */
+    parseGrid(text) {
+        const rows = parseGridText(text, this.config.SLOTS, this.config.MAX_PATTERN_LENGTH);
+        if (!rows) return false;
+
+        rows.forEach((row, slot) => {
+            if (!row || row.length === 0) return;
+            this.setPatternLength(slot, row.length);
+            this._setRow(slot, row);
+        });
+        Logger.log('📋 Grid pasted');
+        return true;
+    }
+
+    /**
+     * Clear all steps (including steps hidden beyond the pattern length)
      */
     clearAll() {
         for (let slot = 0; slot < this.config.SLOTS; slot++) {
-            for (let step = 0; step < this.config.SEQUENCER_STEPS; step++) {
+            for (let step = 0; step < this.config.MAX_PATTERN_LENGTH; step++) {
                 this.patterns[slot][step] = false;
                 this._updateStepDOM(slot, step);
             }
@@ -157,7 +773,7 @@ export class SequencerController {
      */
     fillAll() {
         for (let slot = 0; slot < this.config.SLOTS; slot++) {
-            for (let step = 0; step < this.config.SEQUENCER_STEPS; step++) {
+            for (let step = 0; step < this.patternLengths[slot]; step++) {
                 this.patterns[slot][step] = true;
                 this._updateStepDOM(slot, step);
             }
@@ -192,7 +808,185 @@ export class SequencerController {
 
         if (stepElement) {
             stepElement.classList.toggle('active', this.patterns[slot][step]);
+
+            const locks = this.parameterLocks[slot][step];
+            stepElement.classList.toggle('has-lock', !!locks);
+
+            // Condition or probability is printed on the cell, everything is listed in the tooltip
+            const trig = this.getStepTrig(slot, step);
+            const condition = TRIG_CONDITIONS.find(c => c.id === trig.condition);
+            const titleParts = [];
+            if (trig.condition !== DEFAULT_TRIG.condition) titleParts.push(`COND: ${condition ? condition.label : trig.condition}`);
+            if (trig.probability !== DEFAULT_TRIG.probability) titleParts.push(`PROB: ${trig.probability}%`);
+            if (trig.velocity !== DEFAULT_TRIG.velocity) titleParts.push(`VEL: ${trig.velocity}%`);
+            if (trig.ratchet !== DEFAULT_TRIG.ratchet) {
+                const ramps = [];
+                if (trig.ratchetVolume !== DEFAULT_TRIG.ratchetVolume) ramps.push(`VOL ${trig.ratchetVolume.toUpperCase()}`);
+                if (trig.ratchetPitch !== DEFAULT_TRIG.ratchetPitch) ramps.push(`PITCH ${trig.ratchetPitch > 0 ? '+' : ''}${trig.ratchetPitch}`);
+                titleParts.push(`RATCHET: x${trig.ratchet}${ramps.length > 0 ? ` (${ramps.join(', ')})` : ''}`);
+            }
+            if (trig.slice !== DEFAULT_TRIG.slice) titleParts.push(`SLICE: ${trig.slice + 1}`);
+            if (locks) titleParts.push(`P-LOCK: ${Object.keys(locks).join(', ')}`);
+
+            stepElement.classList.toggle('has-trig', !!this.stepTrigs[slot][step]);
+            if (trig.condition !== DEFAULT_TRIG.condition) {
+                stepElement.textContent = trig.condition;
+            } else if (trig.probability !== DEFAULT_TRIG.probability) {
+                stepElement.textContent = `${trig.probability}`;
+            } else {
+                stepElement.textContent = trig.ratchet !== DEFAULT_TRIG.ratchet ? `x${trig.ratchet}` : '';
+            }
+            stepElement.title = titleParts.join('\n');
+        }
+    }
+
+    /**
+     * Get the playing part of a row
+     * @private
+     */
+    _getRow(slot) {
+        return this.patterns[slot].slice(0, this.patternLengths[slot]);
+    }
+
+    /**
+     * Write the playing part of a row
+     * @private
+     */
+    _setRow(slot, row) {
+        row.forEach((isActive, step) => {
+            this.patterns[slot][step] = isActive;
+            this._updateStepDOM(slot, step);
+        });
+    }
+
+    /**
+     * Get the playing part of a row with locks and trigs
+     * @private
+     */
+    _getStepRecords(slot) {
+        return Array.from({ length: this.patternLengths[slot] }, (_, step) => ({
+            active: this.patterns[slot][step],
+            locks: this.parameterLocks[slot][step] ? { ...this.parameterLocks[slot][step] } : null,
+            trig: this.stepTrigs[slot][step] ? { ...this.stepTrigs[slot][step] } : null
+        }));
+    }
+
+    /**
+     * Write steps with locks and trigs to the start of a row
+     * @private
+     */
+    _setStepRecords(slot, steps) {
+        steps.forEach((step, i) => {
+            this.patterns[slot][i] = step.active;
+            this.parameterLocks[slot][i] = step.locks ? { ...step.locks } : null;
+            this.stepTrigs[slot][i] = step.trig ? { ...step.trig } : null;
+            this._updateStepDOM(slot, i);
+        });
+    }
+
+    /**
+     * Replace the playing part of a row with a transformed copy
+     * @private
+     */
+    _transformRow(slot, transform) {
+        if (slot < 0 || slot >= this.config.SLOTS) return false;
+        this._setStepRecords(slot, transform(this._getStepRecords(slot)));
+        return true;
+    }
+
+    /**
+     * Next automaton generation of a row (an empty row starts from a single cell)
+     * @private
+     */
+    _evolveRow(slot, rule) {
+        const row = this._getRow(slot);
+        if (!row.some(Boolean)) {
+            row[Math.floor(row.length / 2)] = true;
         }
+        return stepAutomaton(row, rule);
+    }
+
+    /**
+     * Create the grid of a new pattern (all steps on)
+     * @private
+     */
+    _createDefaultPatterns() {
+        return Array.from(
+            { length: this.config.SLOTS },
+            () => Array(this.config.MAX_PATTERN_LENGTH).fill(true)
+        );
+    }
+
+    /**
+     * Capture the grid being edited
+     * @private
+     */
+    _captureSnapshot() {
+        return {
+            patterns: this.getPatterns(),
+            patternLengths: this.getPatternLengths(),
+            playDirections: this.getPlayDirections(),
+            meter: this.getMeter(),
+            parameterLocks: this.getAllParameterLocks(),
+            stepTrigs: this.getAllStepTrigs()
+        };
+    }
+
+    /**
+     * Load a snapshot into the grid being edited (null loads a new pattern)
+     * @private
+     */
+    _restoreSnapshot(snapshot) {
+        this.initializePatternLengths(snapshot ? snapshot.patternLengths : null);
+        this.initializePlayDirections(snapshot ? snapshot.playDirections : null);
+        this.initializeMeter(snapshot ? snapshot.meter : null);
+        this.patterns = this._createDefaultPatterns();
+        this.initializePatterns(snapshot ? snapshot.patterns : null);
+        this.initializeParameterLocks(snapshot ? snapshot.parameterLocks : null);
+        this.initializeStepTrigs(snapshot ? snapshot.stepTrigs : null);
+    }
+
+    /**
+     * Deep copy a snapshot
+     * @private
+     */
+    _copySnapshot(snapshot) {
+        const copyGrid = (grid) => (grid || []).map(row => (row || []).map(cell => cell ? { ...cell } : null));
+        return {
+            patterns: (snapshot.patterns || []).map(row => [...row]),
+            patternLengths: [...(snapshot.patternLengths || [])],
+            playDirections: [...(snapshot.playDirections || [])],
+            meter: normalizeMeter(snapshot.meter),
+            parameterLocks: copyGrid(snapshot.parameterLocks),
+            stepTrigs: copyGrid(snapshot.stepTrigs)
+        };
+    }
+
+    /**
+     * Check that a pattern index is inside the bank
+     * @private
+     */
+    _isValidPattern(index) {
+        return Number.isInteger(index) && index >= 0 && index < this.patternBank.length;
+    }
+
+    /**
+     * Create an empty lock grid
+     * @private
+     */
+    _createEmptyLocks() {
+        return Array.from(
+            { length: this.config.SLOTS },
+            () => Array(this.config.MAX_PATTERN_LENGTH).fill(null)
+        );
+    }
+
+    /**
+     * Check that a slot / step pair is inside the stored grid
+     * @private
+     */
+    _isValidStep(slot, step) {
+        return slot >= 0 && slot < this.config.SLOTS && step >= 0 && step < this.config.MAX_PATTERN_LENGTH;
     }
 
     /**
@@ -254,7 +1048,8 @@ export class SequencerController {
 
         for (let slot = 0; slot < this.config.SLOTS; slot++) {
             let slotActive = 0;
-            for (let step = 0; step < this.config.SEQUENCER_STEPS; step++) {
+            const length = this.patternLengths[slot];
+            for (let step = 0; step < length; step++) {
                 if (this.patterns[slot][step]) {
                     slotActive++;
                     totalActive++;
@@ -262,12 +1057,13 @@ export class SequencerController {
             }
             slotStats.push({
                 slot,
+                length,
                 activeSteps: slotActive,
-                density: (slotActive / this.config.SEQUENCER_STEPS * 100).toFixed(1) + '%'
+                density: (slotActive / length * 100).toFixed(1) + '%'
             });
         }
 
-        const totalSteps = this.config.SLOTS * this.config.SEQUENCER_STEPS;
+        const totalSteps = this.patternLengths.reduce((sum, length) => sum + length, 0);
 
         return {
             totalSteps,
@@ -283,6 +1079,14 @@ export class SequencerController {
      */
     destroy() {
         this.patterns = null;
+        this.patternLengths = null;
+        this.playDirections = null;
+        this.meter = null;
+        this.patternBank = null;
+        this.automatonRules = null;
+        this.rowBuffer = null;
+        this.parameterLocks = null;
+        this.stepTrigs = null;
         this.domCache.clear();
     }
 }
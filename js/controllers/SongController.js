@@ -0,0 +1,158 @@
+/**
+ * Song Controller
+ * Holds the song arrangement (a chain of patterns) and the play position in it
+ */
+
+import { Logger } from '../utils/logger.js';
+import { createSongRow, normalizeSongRow } from '../utils/patternUtils.js';
+
+export class SongController {
+    constructor(config) {
+        this.config = config;
+        this.rows = [createSongRow()];
+        this.enabled = false;
+        this.running = false;
+        this.rowIndex = 0;
+        this.barInRow = 0;
+    }
+
+    /**
+     * Get a copy of the song rows
+     * @returns {Array<Object>} [{ pattern, repeats, tempo, slotMode }]
+     */
+    getRows() {
+        return this.rows.map(row => ({ ...row }));
+    }
+
+    /**
+     * Replace the song rows (an empty song keeps one default row)
+     * @param {Array<Object>} rows - Song rows
+     */
+    setRows(rows) {
+        const normalized = (rows || []).map(row => normalizeSongRow(row, this._getLimits()));
+        this.rows = normalized.length > 0 ? normalized : [createSongRow()];
+        this.rowIndex = Math.min(this.rowIndex, this.rows.length - 1);
+    }
+
+    /**
+     * Append a row
+     * @param {Object} row - Row settings
+     */
+    addRow(row = {}) {
+        this.rows.push(normalizeSongRow(row, this._getLimits()));
+    }
+
+    /**
+     * Change one row
+     * @param {number} index - Row index
+     * @param {Object} changes - Any of { pattern, repeats, tempo, slotMode }
+     */
+    updateRow(index, changes) {
+        if (index < 0 || index >= this.rows.length) return;
+        this.rows[index] = normalizeSongRow({ ...this.rows[index], ...changes }, this._getLimits());
+    }
+
+    /**
+     * Remove one row (the last row cannot be removed)
+     * @param {number} index - Row index
+     */
+    removeRow(index) {
+        if (this.rows.length <= 1 || index < 0 || index >= this.rows.length) return;
+        this.rows.splice(index, 1);
+        if (this.rowIndex >= this.rows.length) {
+            this.rowIndex = 0;
+            this.barInRow = 0;
+        }
+    }
+
+    /**
+     * Whether song mode is on
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * Turn song mode on or off
+     * @param {boolean} enabled - Song mode state
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        if (!this.enabled) {
+            this.stop();
+        }
+    }
+
+    /**
+     * Whether the song is being played
+     * @returns {boolean}
+     */
+    isRunning() {
+        return this.running;
+    }
+
+    /**
+     * Start the song from the first row
+     * @returns {Object} First row
+     */
+    start() {
+        this.running = true;
+        this.rowIndex = 0;
+        this.barInRow = 0;
+        Logger.log(`🎼 Song started (${this.rows.length} rows)`);
+        return { ...this.rows[0] };
+    }
+
+    /**
+     * Stop playing the song
+     */
+    stop() {
+        this.running = false;
+        this.barInRow = 0;
+    }
+
+    /**
+     * Count one finished bar and move to the next row when the current one is done
+     * The song loops back to the first row after the last one.
+     * @param {Function} getPatternBars - (patternIndex) => bars one pass of the pattern takes
+     * @returns {Object|null} The row that starts now, or null when the current row continues
+     */
+    advanceBar(getPatternBars) {
+        if (!this.running) return null;
+
+        this.barInRow++;
+        const row = this.rows[this.rowIndex];
+        if (this.barInRow < row.repeats * getPatternBars(row.pattern)) {
+            return null;
+        }
+
+        this.rowIndex = (this.rowIndex + 1) % this.rows.length;
+        this.barInRow = 0;
+        return { ...this.rows[this.rowIndex] };
+    }
+
+    /**
+     * Get the play position
+     * @returns {Object} { row, bar }
+     */
+    getPosition() {
+        return { row: this.rowIndex, bar: this.barInRow };
+    }
+
+    /**
+     * Limits for row values
+     * @private
+     */
+    _getLimits() {
+        const slotModeSpec = this.config.GLOBAL_CONTROL_SPECS.find(spec => spec.id === 'slotMode');
+        return {
+            patternCount: this.config.PATTERN_BANKS * this.config.PATTERNS_PER_BANK,
+            minBpm: this.config.MIN_BPM,
+            maxBpm: this.config.MAX_BPM,
+            slotModeCount: slotModeSpec ? slotModeSpec.options.length : this.config.SLOTS + 2
+        };
+    }
+}
+
+export default SongController;
@@ -4,13 +4,38 @@
  */
 
 import { Logger } from '../utils/logger.js';
+import { FULL_REGION, isFullRegion } from '../utils/loopRegion.js';
+import { buildPeakPyramid, getPeakColumns } from '../utils/waveformPeaks.js';
+import { computeSpectrogram, getSpectrogramColor, SPECTROGRAM_FFT_SIZE } from '../utils/spectrogram.js';
+import { getGrainHue, getGrainAlpha, pruneGrainActivity, MAX_ACTIVITY_GRAINS } from '../utils/grainActivity.js';
 
 // Constants
 const DEFAULT_STROKE_STYLE = '#0f0';
 const DEFAULT_LINE_WIDTH = 1;
+const RMS_FILL_STYLE = '#9f9';
+const CHANNEL_DIVIDER_STYLE = '#030';
+const FULL_VIEW = Object.freeze({ start: 0, end: 1 });
+const MAX_ZOOM = 512;
 const PLAYHEAD_COLOR = 'red';
 const PLAYHEAD_LINE_WIDTH = 2;
 const MAX_CACHE_SIZE = 1024 * 1024; // 1MB limit for cache
+const REGION_SHADE_COLOR = 'rgba(0, 0, 0, 0.6)';
+const REGION_HANDLE_COLOR = '#ff0';
+const REGION_HANDLE_LINE_WIDTH = 2;
+const REGION_HANDLE_TAB_WIDTH = 6;
+const REGION_HANDLE_TAB_HEIGHT = 8;
+const SLICE_MARKER_COLOR = '#0ff';
+const SLICE_MARKER_LINE_WIDTH = 1;
+const SLICE_LABEL_FONT = '9px monospace';
+const SLICE_LABEL_MIN_WIDTH = 14;
+const GRAIN_FILL_ALPHA = 0.35;
+const GRAIN_MIN_WIDTH = 1;
+
+// Display modes
+export const WAVEFORM_DISPLAY_MODES = Object.freeze({
+  WAVEFORM: 'waveform',
+  SPECTROGRAM: 'spectrogram'
+});
 
 /**
  * OptimizedWaveformRenderer class
@@ -49,6 +74,28 @@ export class OptimizedWaveformRenderer {
       // Cache state
       this.lastBuffer = null;
       this.cachedWaveform = null;
+      this.cachedView = null;
+      this.cachedMode = null;
+
+      // Peak pyramid per channel of the buffer being shown, rebuilt when the buffer changes
+      this.peakBuffer = null;
+      this.peakChannels = null;
+      this.peakPyramids = null;
+
+      // Visible part of the sample (fractions), changed by zoom and scroll
+      this.view = { ...FULL_VIEW };
+
+      // Loop region drawn over the waveform (fractions of the sample)
+      this.region = { ...FULL_REGION };
+
+      // Slice markers drawn over the waveform (fractions of the sample, sorted)
+      this.sliceMarkers = [];
+
+      // Min / max waveform or spectrogram
+      this.displayMode = WAVEFORM_DISPLAY_MODES.WAVEFORM;
+
+      // Recent grains { position, duration, playbackRate, time }, oldest first
+      this.grainActivity = [];
 
       Logger.info('OptimizedWaveformRenderer initialized', {
         width: canvas.width,
@@ -62,14 +109,19 @@ export class OptimizedWaveformRenderer {
 
   /**
    * Draw waveform to canvas
-   * Uses caching to avoid redrawing if buffer hasn't changed
+   * In waveform mode each pixel column shows the min / max of each channel with the
+   * RMS inside it, read from the channel's peak pyramid; in spectrogram mode each column is a
+   * short-time spectrum. Uses caching to avoid redrawing if neither the buffer, the
+   * view nor the display mode has changed.
    * @param {AudioBuffer} buffer - Audio buffer to render
    */
   drawWaveform(buffer) {
     try {
-      // Use cached waveform if buffer hasn't changed
-      if (buffer === this.lastBuffer && this.cachedWaveform) {
+      // Use cached waveform if buffer, view and mode haven't changed
+      if (buffer === this.lastBuffer && this.cachedWaveform && this._isCachedView()) {
         this.ctx.putImageData(this.cachedWaveform, 0, 0);
+        this._drawRegionOverlay();
+        this._drawSliceMarkers();
         return;
       }
 
@@ -83,33 +135,25 @@ export class OptimizedWaveformRenderer {
         return;
       }
 
-      // Get audio data from first channel
-      const data = buffer.getChannelData(0);
+      // A new buffer gets its peak pyramid built once and starts fully zoomed out
+      if (buffer !== this.peakBuffer) {
+        this.peakChannels = Array.from({ length: buffer.numberOfChannels }, (_, ch) => buffer.getChannelData(ch));
+        this.peakPyramids = this.peakChannels.map(data => buildPeakPyramid([data]));
+        this.peakBuffer = buffer;
+        this.view = { ...FULL_VIEW };
+      }
+
       const width = this.canvas.width;
       const height = this.canvas.height;
-      const step = Math.max(1, Math.floor(data.length / width));
-      const amp = height / 2;
 
       // Draw to offscreen canvas
       this.offscreenCtx.clearRect(0, 0, width, height);
-      this.offscreenCtx.strokeStyle = DEFAULT_STROKE_STYLE;
-      this.offscreenCtx.lineWidth = DEFAULT_LINE_WIDTH;
-      this.offscreenCtx.beginPath();
-
-      // Draw waveform line
-      for (let i = 0; i < width; i++) {
-        const sampleIndex = i * step;
-        const y = amp + data[sampleIndex] * amp;
-
-        if (i === 0) {
-          this.offscreenCtx.moveTo(i, y);
-        } else {
-          this.offscreenCtx.lineTo(i, y);
-        }
+      if (this.displayMode === WAVEFORM_DISPLAY_MODES.SPECTROGRAM) {
+        this._renderSpectrogram(width, height);
+      } else {
+        this._renderPeaks(width, height);
       }
 
-      this.offscreenCtx.stroke();
-
       // Cache the rendered waveform with size limit
       const imageDataSize = width * height * 4; // 4 bytes per pixel (RGBA)
       if (imageDataSize > MAX_CACHE_SIZE) {
@@ -121,14 +165,159 @@ export class OptimizedWaveformRenderer {
       } else {
         this.cachedWaveform = this.offscreenCtx.getImageData(0, 0, width, height);
         this.lastBuffer = buffer;
+        this.cachedView = { ...this.view };
+        this.cachedMode = this.displayMode;
         // Draw cached waveform to main canvas
         this.ctx.putImageData(this.cachedWaveform, 0, 0);
       }
+      this._drawRegionOverlay();
+      this._drawSliceMarkers();
     } catch (error) {
       Logger.error('Failed to draw waveform:', error);
     }
   }
 
+  /**
+   * Draw the min / max peaks to the offscreen canvas, one column per pixel with the RMS on top
+   * Every channel gets its own lane (left on top for stereo).
+   * @private
+   */
+  _renderPeaks(width, height) {
+    const laneHeight = height / this.peakChannels.length;
+    const amp = laneHeight / 2;
+
+    this.peakPyramids.forEach((pyramid, ch) => {
+      const center = laneHeight * ch + amp;
+      const length = pyramid.length;
+      const peaks = getPeakColumns(pyramid, [this.peakChannels[ch]], this.view.start * length, this.view.end * length, width);
+
+      for (let x = 0; x < width; x++) {
+        const top = center - peaks.max[x] * amp;
+        const bottom = center - peaks.min[x] * amp;
+        this.offscreenCtx.fillStyle = DEFAULT_STROKE_STYLE;
+        this.offscreenCtx.fillRect(x, top, DEFAULT_LINE_WIDTH, Math.max(DEFAULT_LINE_WIDTH, bottom - top));
+
+        const rmsHeight = Math.min(peaks.rms[x], Math.max(peaks.max[x], -peaks.min[x])) * amp;
+        this.offscreenCtx.fillStyle = RMS_FILL_STYLE;
+        this.offscreenCtx.fillRect(x, center - rmsHeight, DEFAULT_LINE_WIDTH, rmsHeight * 2);
+      }
+
+      if (ch > 0) {
+        this.offscreenCtx.fillStyle = CHANNEL_DIVIDER_STYLE;
+        this.offscreenCtx.fillRect(0, Math.round(laneHeight * ch), width, 1);
+      }
+    });
+  }
+
+  /**
+   * Draw the spectrogram to the offscreen canvas
+   * Frequency runs up the canvas on a log scale so the low end gets as much room as the highs.
+   * @private
+   */
+  _renderSpectrogram(width, height) {
+    const length = this.peakChannels[0].length;
+    const frames = computeSpectrogram(this.peakChannels, this.view.start * length, this.view.end * length, width);
+    const maxBin = SPECTROGRAM_FFT_SIZE / 2 - 1;
+    const rowBins = Array.from({ length: height }, (_, y) => Math.round(Math.pow(maxBin, 1 - (y + 0.5) / height)));
+
+    const image = this.offscreenCtx.createImageData(width, height);
+    for (let x = 0; x < width; x++) {
+      for (let y = 0; y < height; y++) {
+        const [r, g, b] = getSpectrogramColor(frames[x][rowBins[y]]);
+        const offset = (y * width + x) * 4;
+        image.data[offset] = r;
+        image.data[offset + 1] = g;
+        image.data[offset + 2] = b;
+        image.data[offset + 3] = 255;
+      }
+    }
+    this.offscreenCtx.putImageData(image, 0, 0);
+  }
+
+  /**
+   * Switch between the waveform and the spectrogram
+   * Takes effect on the next draw.
+   * @param {string} mode - One of WAVEFORM_DISPLAY_MODES
+   */
+  setDisplayMode(mode) {
+    this.displayMode = Object.values(WAVEFORM_DISPLAY_MODES).includes(mode) ? mode : WAVEFORM_DISPLAY_MODES.WAVEFORM;
+  }
+
+  /**
+   * Get the display mode
+   * @returns {string} One of WAVEFORM_DISPLAY_MODES
+   */
+  getDisplayMode() {
+    return this.displayMode;
+  }
+
+  /**
+   * Get the visible part of the sample
+   * @returns {Object} { start, end } as fractions of the sample
+   */
+  getView() {
+    return { ...this.view };
+  }
+
+  /**
+   * Set the visible part of the sample
+   * The span is kept between 1 / MAX_ZOOM and the whole sample and the view inside it.
+   * Takes effect on the next draw.
+   * @param {number} start - View start (fraction of the sample)
+   * @param {number} end - View end (fraction of the sample)
+   */
+  setView(start, end) {
+    const span = Math.max(1 / MAX_ZOOM, Math.min(1, end - start));
+    const clampedStart = Math.max(0, Math.min(1 - span, start));
+    this.view = { start: clampedStart, end: clampedStart + span };
+  }
+
+  /**
+   * Zoom around a point of the canvas, keeping the sample under it in place
+   * @param {number} canvasFraction - Zoom anchor as a fraction of the canvas width
+   * @param {number} factor - Zoom factor (> 1 zooms in, < 1 zooms out)
+   */
+  zoomAt(canvasFraction, factor) {
+    const anchor = this.canvasToPosition(canvasFraction);
+    const span = (this.view.end - this.view.start) / factor;
+    this.setView(anchor - canvasFraction * span, anchor - canvasFraction * span + span);
+  }
+
+  /**
+   * Scroll the view
+   * @param {number} delta - Distance as a fraction of the sample (negative = left)
+   */
+  scrollBy(delta) {
+    this.setView(this.view.start + delta, this.view.end + delta);
+  }
+
+  /**
+   * Convert a canvas position to a sample position
+   * @param {number} canvasFraction - Position as a fraction of the canvas width
+   * @returns {number} Position as a fraction of the sample
+   */
+  canvasToPosition(canvasFraction) {
+    return this.view.start + canvasFraction * (this.view.end - this.view.start);
+  }
+
+  /**
+   * Convert a sample position to a canvas position
+   * @param {number} position - Position as a fraction of the sample
+   * @returns {number} Position as a fraction of the canvas width (outside 0-1 when off screen)
+   */
+  positionToCanvas(position) {
+    return (position - this.view.start) / (this.view.end - this.view.start);
+  }
+
+  /**
+   * Whether the cached image was drawn with the current view and display mode
+   * @private
+   */
+  _isCachedView() {
+    return this.cachedView && this.cachedView.start === this.view.start && this.cachedView.end === this.view.end &&
+      this.cachedMode === this.displayMode;
+  }
+
   /**
    * Draw waveform with playhead indicator
    * @param {AudioBuffer} buffer - Audio buffer to render
@@ -137,11 +326,7 @@ export class OptimizedWaveformRenderer {
   drawPlayhead(buffer, positionSec) {
     try {
       // Draw cached waveform or redraw if needed
-      if (this.cachedWaveform) {
-        this.ctx.putImageData(this.cachedWaveform, 0, 0);
-      } else {
-        this.drawWaveform(buffer);
-      }
+      this.drawWaveform(buffer);
 
       if (!buffer) return;
 
@@ -151,19 +336,178 @@ export class OptimizedWaveformRenderer {
         return;
       }
 
-      // Calculate playhead x position
-      const x = (positionSec / buffer.duration) * this.canvas.width;
+      this._drawPlayheadLine(this.positionToCanvas(positionSec / buffer.duration) * this.canvas.width);
+    } catch (error) {
+      Logger.error('Failed to draw playhead:', error);
+    }
+  }
+
+  /**
+   * Draw the playhead line (positions outside the zoomed view are not shown)
+   * @private
+   */
+  _drawPlayheadLine(x) {
+    if (x < 0 || x > this.canvas.width) return;
+
+    this.ctx.strokeStyle = PLAYHEAD_COLOR;
+    this.ctx.lineWidth = PLAYHEAD_LINE_WIDTH;
+    this.ctx.beginPath();
+    this.ctx.moveTo(x, 0);
+    this.ctx.lineTo(x, this.canvas.height);
+    this.ctx.stroke();
+  }
+
+  /**
+   * Remember a grain for the activity overlay
+   * @param {Object} grain - { position, duration } as fractions of the sample, playbackRate,
+   *   and time (start time in seconds, on the same clock as drawGrainActivity's now)
+   */
+  addGrain(grain) {
+    this.grainActivity.push(grain);
+    if (this.grainActivity.length > MAX_ACTIVITY_GRAINS) {
+      this.grainActivity.shift();
+    }
+  }
+
+  /**
+   * Whether there are grains left to draw or fade out
+   * @returns {boolean}
+   */
+  hasGrainActivity() {
+    return this.grainActivity.length > 0;
+  }
+
+  /**
+   * Forget all grains
+   */
+  clearGrainActivity() {
+    this.grainActivity = [];
+  }
+
+  /**
+   * Draw the waveform with the grains that have started, fading with age
+   * Each grain covers the part of the sample it reads, colored by its pitch, and the
+   * newest one is marked with the playhead.
+   * @param {AudioBuffer} buffer - Audio buffer to render
+   * @param {number} now - Current time in seconds
+   */
+  drawGrainActivity(buffer, now) {
+    try {
+      this.grainActivity = pruneGrainActivity(this.grainActivity, now);
+      this.drawWaveform(buffer);
+      if (!buffer) return;
+
+      const { width, height } = this.canvas;
+      let newest = null;
+      this.grainActivity.forEach(grain => {
+        const alpha = getGrainAlpha(grain.time, now);
+        if (alpha <= 0) return;
+        newest = grain;
+
+        const x = this.positionToCanvas(grain.position) * width;
+        const grainWidth = Math.max(GRAIN_MIN_WIDTH, this.positionToCanvas(grain.position + grain.duration) * width - x);
+        if (x > width || x + grainWidth < 0) return;
+
+        const hue = getGrainHue(grain.playbackRate);
+        this.ctx.fillStyle = `hsla(${hue}, 100%, 50%, ${alpha * GRAIN_FILL_ALPHA})`;
+        this.ctx.fillRect(x, 0, grainWidth, height);
+        this.ctx.fillStyle = `hsla(${hue}, 100%, 60%, ${alpha})`;
+        this.ctx.fillRect(x, 0, GRAIN_MIN_WIDTH, height);
+      });
+
+      if (newest) {
+        this._drawPlayheadLine(this.positionToCanvas(newest.position) * width);
+      }
+    } catch (error) {
+      Logger.error('Failed to draw grain activity:', error);
+    }
+  }
+
+  /**
+   * Set the loop region drawn over the waveform
+   * Takes effect on the next draw.
+   * @param {Object} region - { start, end } as fractions of the sample
+   */
+  setRegion(region) {
+    this.region = { ...region };
+  }
 
-      // Draw playhead line
-      this.ctx.strokeStyle = PLAYHEAD_COLOR;
-      this.ctx.lineWidth = PLAYHEAD_LINE_WIDTH;
+  /**
+   * Shade the parts outside the loop region and draw its handles
+   * Handles are drawn even for a full region so they can be grabbed at the edges.
+   * @private
+   */
+  _drawRegionOverlay() {
+    const { width, height } = this.canvas;
+    const startX = Math.max(0, Math.min(width, this.positionToCanvas(this.region.start) * width));
+    const endX = Math.max(0, Math.min(width, this.positionToCanvas(this.region.end) * width));
+
+    if (!isFullRegion(this.region)) {
+      this.ctx.fillStyle = REGION_SHADE_COLOR;
+      this.ctx.fillRect(0, 0, startX, height);
+      this.ctx.fillRect(endX, 0, width - endX, height);
+    }
+
+    // Keep the handle lines inside the canvas at the edges, skip handles scrolled out of view
+    const half = REGION_HANDLE_LINE_WIDTH / 2;
+    const handles = [this.region.start, this.region.end].map(position => ({
+      x: Math.max(half, Math.min(width - half, this.positionToCanvas(position) * width)),
+      visible: position >= this.view.start && position <= this.view.end
+    }));
+    this.ctx.strokeStyle = REGION_HANDLE_COLOR;
+    this.ctx.fillStyle = REGION_HANDLE_COLOR;
+    this.ctx.lineWidth = REGION_HANDLE_LINE_WIDTH;
+    handles.forEach(({ x, visible }, i) => {
+      if (!visible) return;
       this.ctx.beginPath();
       this.ctx.moveTo(x, 0);
-      this.ctx.lineTo(x, this.canvas.height);
+      this.ctx.lineTo(x, height);
       this.ctx.stroke();
-    } catch (error) {
-      Logger.error('Failed to draw playhead:', error);
-    }
+      // Tabs point into the region
+      const tabX = i === 0 ? x : x - REGION_HANDLE_TAB_WIDTH;
+      this.ctx.fillRect(tabX, 0, REGION_HANDLE_TAB_WIDTH, REGION_HANDLE_TAB_HEIGHT);
+    });
+  }
+
+  /**
+   * Set the slice markers drawn over the waveform
+   * Takes effect on the next draw.
+   * @param {Array<number>} markers - Marker positions as fractions of the sample, sorted
+   */
+  setSliceMarkers(markers) {
+    this.sliceMarkers = [...markers];
+  }
+
+  /**
+   * Draw the slice markers with the number of the slice starting at each
+   * Numbers are left out where slices are too narrow on screen to hold them.
+   * @private
+   */
+  _drawSliceMarkers() {
+    if (this.sliceMarkers.length === 0) return;
+
+    const { width, height } = this.canvas;
+    const boundaries = [0, ...this.sliceMarkers];
+    this.ctx.strokeStyle = SLICE_MARKER_COLOR;
+    this.ctx.fillStyle = SLICE_MARKER_COLOR;
+    this.ctx.lineWidth = SLICE_MARKER_LINE_WIDTH;
+    this.ctx.font = SLICE_LABEL_FONT;
+    this.ctx.textBaseline = 'bottom';
+    boundaries.forEach((position, slice) => {
+      const x = this.positionToCanvas(position) * width;
+      const nextX = this.positionToCanvas(slice + 1 < boundaries.length ? boundaries[slice + 1] : 1) * width;
+      if (nextX < 0 || x > width) return;
+
+      if (slice > 0) {
+        this.ctx.beginPath();
+        this.ctx.moveTo(x, 0);
+        this.ctx.lineTo(x, height);
+        this.ctx.stroke();
+      }
+      if (nextX - x >= SLICE_LABEL_MIN_WIDTH) {
+        this.ctx.fillText(String(slice + 1), Math.max(0, x) + 2, height - 1);
+      }
+    });
   }
 
   /**
@@ -247,6 +591,10 @@ export class OptimizedWaveformRenderer {
       this.ctx = null;
       this.offscreenCanvas = null;
       this.offscreenCtx = null;
+      this.peakBuffer = null;
+      this.peakChannels = null;
+      this.peakPyramids = null;
+      this.grainActivity = [];
 
       Logger.info('OptimizedWaveformRenderer destroyed');
     } catch (error) {
@@ -6,6 +6,32 @@
 
 import { Logger } from '../utils/logger.js';
 import { OptimizedWaveformRenderer } from './OptimizedWaveformRenderer.js';
+import { VOICE_INTERVALS } from '../audio/grainMath.js';
+import { CHANNEL_MODES } from '../audio/channelModes.js';
+import { TRIG_CONDITIONS, RATCHET_COUNTS, RATCHET_RAMPS, MAX_RATCHET_PITCH } from '../utils/trigConditions.js';
+import { formatPatternName, getBankLetter } from '../utils/patternUtils.js';
+import { GENERATOR_TYPES, GRIDS_PARTS } from '../utils/rhythmGenerators.js';
+import { PLAY_DIRECTIONS } from '../utils/playDirections.js';
+import { MIN_SLOTS, MAX_SLOTS } from '../utils/slotCount.js';
+import { NORMALIZE_MODES, DEFAULT_PREPROCESS_SETTINGS } from '../utils/samplePreprocess.js';
+import { SAMPLE_EDIT_TYPES, MAX_EDIT_PITCH } from '../utils/sampleEdits.js';
+import { MAX_SLICE_MARKERS, DEFAULT_ONSET_SETTINGS } from '../utils/sliceMarkers.js';
+import { STEP_RESOLUTIONS, TIME_SIGNATURES, DEFAULT_METER, getStepGridMarks } from '../utils/timeSignatures.js';
+
+// Row transforms offered by the sequencer context menu (action / arg are passed to the player)
+const SEQUENCER_MENU_ITEMS = [
+    { action: 'rotate', arg: -1, label: 'Nudge ←', shortcut: 'Alt+←' },
+    { action: 'rotate', arg: 1, label: 'Nudge →', shortcut: 'Alt+→' },
+    { action: 'shift', arg: -1, label: 'Shift ←', shortcut: 'Alt+Shift+←' },
+    { action: 'shift', arg: 1, label: 'Shift →', shortcut: 'Alt+Shift+→' },
+    { action: 'reverse', label: 'Reverse', shortcut: 'Alt+R' },
+    { action: 'invert', label: 'Invert', shortcut: 'Alt+I' },
+    { action: 'double', label: 'Double', shortcut: 'Alt+D' },
+    { action: 'copy', label: 'Copy row', shortcut: 'Ctrl+C' },
+    { action: 'paste', label: 'Paste row', shortcut: 'Ctrl+V' },
+    { action: 'copyGrid', label: 'Copy grid as text', shortcut: 'Ctrl+Shift+C' },
+    { action: 'pasteGrid', label: 'Paste grid text', shortcut: 'Ctrl+Shift+V' }
+];
 
 export class UIBuilder {
     constructor(config, domCache, resourceManager) {
@@ -56,22 +82,32 @@ export class UIBuilder {
 
         const mainGroup = this.createPanelGroup('MAIN:', 'main-content');
         const waveformDisplayContainer = document.createElement('div');
+        waveformDisplayContainer.id = 'waveformDisplayContainer';
         waveformDisplayContainer.className = 'waveform-display-container';
 
         for (let s = 0; s < this.config.SLOTS; s++) {
-            const canvas = document.createElement('canvas');
-            canvas.id = `waveform-${s}`;
-            canvas.width = this.config.WAVEFORM_CANVAS_WIDTH;
-            canvas.height = this.config.WAVEFORM_CANVAS_HEIGHT;
-            canvas.className = 'waveform-canvas';
-            waveformDisplayContainer.appendChild(canvas);
-
-            this.waveformRenderers.push(new OptimizedWaveformRenderer(canvas));
+            waveformDisplayContainer.appendChild(this.createWaveformCanvas(s));
         }
         mainGroup.content.appendChild(waveformDisplayContainer);
         controlsContainer.appendChild(mainGroup.group);
     }
 
+    /**
+     * Create the waveform canvas of a slot and its renderer
+     * @param {number} slot - Slot index
+     * @returns {HTMLCanvasElement} Canvas
+     */
+    createWaveformCanvas(slot) {
+        const canvas = document.createElement('canvas');
+        canvas.id = `waveform-${slot}`;
+        canvas.width = this.config.WAVEFORM_CANVAS_WIDTH;
+        canvas.height = this.config.WAVEFORM_CANVAS_HEIGHT;
+        canvas.className = 'waveform-canvas';
+
+        this.waveformRenderers[slot] = new OptimizedWaveformRenderer(canvas);
+        return canvas;
+    }
+
     /**
      * Create CTRL section (slot matrix)
      */
@@ -161,74 +197,85 @@ export class UIBuilder {
         slotMatrixContainer.className = 'slot-matrix';
 
         for (let slot = 0; slot < this.config.SLOTS; slot++) {
-            const slotBlock = document.createElement('div');
-            slotBlock.className = 'slot-block';
-
-            const slotHeader = document.createElement('div');
-            slotHeader.className = 'slot-header';
-            slotHeader.innerHTML = `
-                <span class="slot-label">SLOT ${slot + 1}</span>
-                <button class="solo-btn" id="soloBtn-${slot}">S</button>
-                <button class="mute-btn" id="muteBtn-${slot}">M</button>
-                <span class="file-name" id="fileName-slot${slot}">No file loaded</span>
-            `;
-            slotBlock.appendChild(slotHeader);
-
-            const hiddenFileInput = document.createElement('input');
-            hiddenFileInput.type = 'file';
-            hiddenFileInput.accept = 'audio/*';
-            hiddenFileInput.id = `hiddenFileInput-slot${slot}`;
-            hiddenFileInput.style.display = 'none';
-            slotBlock.appendChild(hiddenFileInput);
-
-            const paramControlsContainer = document.createElement('div');
-            paramControlsContainer.className = 'param-controls-container';
-
-            this.config.PER_SLOT_CONTROL_SPECS.forEach(spec => {
-                const paramGroup = document.createElement('div');
-                paramGroup.className = 'param-group';
-
-                const controlElement = this.createControlElement(spec, slot);
-                paramGroup.appendChild(controlElement);
-
-                const buttonGroup = document.createElement('div');
-                buttonGroup.className = 'param-button-group';
-
-                const randomBtn = document.createElement('button');
-                randomBtn.className = 'param-random-btn';
-                randomBtn.dataset.param = spec.id;
-                randomBtn.dataset.slot = slot;
-                randomBtn.textContent = '?';
-                randomBtn.title = `Randomize ${spec.label}`;
-                buttonGroup.appendChild(randomBtn);
-
-                const resetBtn = document.createElement('button');
-                resetBtn.className = 'param-reset-btn';
-                resetBtn.dataset.param = spec.id;
-                resetBtn.dataset.slot = slot;
-                resetBtn.textContent = '↺';
-                resetBtn.title = `Reset ${spec.label}`;
-                buttonGroup.appendChild(resetBtn);
-
-                const lockBtn = document.createElement('button');
-                lockBtn.className = 'param-lock-btn';
-                lockBtn.dataset.param = spec.id;
-                lockBtn.dataset.slot = slot;
-                lockBtn.textContent = '🔓';
-                lockBtn.title = `Lock ${spec.label}`;
-                buttonGroup.appendChild(lockBtn);
-
-                paramGroup.appendChild(buttonGroup);
-                paramControlsContainer.appendChild(paramGroup);
-            });
-
-            slotBlock.appendChild(paramControlsContainer);
-            slotMatrixContainer.appendChild(slotBlock);
+            slotMatrixContainer.appendChild(this.createSlotBlock(slot));
         }
 
         return slotMatrixContainer;
     }
 
+    /**
+     * Create the slot matrix block of one slot (header, hidden file input, knobs)
+     * @param {number} slot - Slot index
+     * @returns {HTMLElement} Slot block
+     */
+    createSlotBlock(slot) {
+        const slotBlock = document.createElement('div');
+        slotBlock.id = `slotBlock-${slot}`;
+        slotBlock.className = 'slot-block';
+
+        const slotHeader = document.createElement('div');
+        slotHeader.className = 'slot-header';
+        slotHeader.innerHTML = `
+            <span class="slot-label">SLOT ${slot + 1}</span>
+            <button class="solo-btn" id="soloBtn-${slot}">S</button>
+            <button class="mute-btn" id="muteBtn-${slot}">M</button>
+            <span class="file-name" id="fileName-slot${slot}">No file loaded</span>
+        `;
+        slotBlock.appendChild(slotHeader);
+
+        const hiddenFileInput = document.createElement('input');
+        hiddenFileInput.type = 'file';
+        hiddenFileInput.accept = 'audio/*';
+        hiddenFileInput.id = `hiddenFileInput-slot${slot}`;
+        hiddenFileInput.dataset.slot = slot;
+        hiddenFileInput.style.display = 'none';
+        slotBlock.appendChild(hiddenFileInput);
+
+        const paramControlsContainer = document.createElement('div');
+        paramControlsContainer.className = 'param-controls-container';
+
+        this.config.PER_SLOT_CONTROL_SPECS.forEach(spec => {
+            const paramGroup = document.createElement('div');
+            paramGroup.className = 'param-group';
+
+            const controlElement = this.createControlElement(spec, slot);
+            paramGroup.appendChild(controlElement);
+
+            const buttonGroup = document.createElement('div');
+            buttonGroup.className = 'param-button-group';
+
+            const randomBtn = document.createElement('button');
+            randomBtn.className = 'param-random-btn';
+            randomBtn.dataset.param = spec.id;
+            randomBtn.dataset.slot = slot;
+            randomBtn.textContent = '?';
+            randomBtn.title = `Randomize ${spec.label}`;
+            buttonGroup.appendChild(randomBtn);
+
+            const resetBtn = document.createElement('button');
+            resetBtn.className = 'param-reset-btn';
+            resetBtn.dataset.param = spec.id;
+            resetBtn.dataset.slot = slot;
+            resetBtn.textContent = '↺';
+            resetBtn.title = `Reset ${spec.label}`;
+            buttonGroup.appendChild(resetBtn);
+
+            const lockBtn = document.createElement('button');
+            lockBtn.className = 'param-lock-btn';
+            lockBtn.dataset.param = spec.id;
+            lockBtn.dataset.slot = slot;
+            lockBtn.textContent = '🔓';
+            lockBtn.title = `Lock ${spec.label}`;
+            buttonGroup.appendChild(lockBtn);
+
+            paramGroup.appendChild(buttonGroup);
+            paramControlsContainer.appendChild(paramGroup);
+        });
+
+        slotBlock.appendChild(paramControlsContainer);
+        return slotBlock;
+    }
+
     /**
      * Create SEQUENCER section
      */
@@ -236,26 +283,352 @@ export class UIBuilder {
         const sequencerDiv = this.domCache.getElementById("sequencers");
         const seqGroup = this.createPanelGroup('SEQ (TRG):', 'sequencer-content');
 
+        // Meter of the pattern and the transport position (bars:beats:steps)
+        const meterBar = document.createElement("div");
+        meterBar.className = "sequencer-meter";
+        meterBar.innerHTML = `
+            <label for="timeSignatureSelect">TIME</label>
+            <select id="timeSignatureSelect">
+                ${TIME_SIGNATURES.map(sig => `<option value="${sig}"${sig === DEFAULT_METER.timeSignature ? ' selected' : ''}>${sig}</option>`).join('')}
+            </select>
+            <label for="stepResolutionSelect">STEP</label>
+            <select id="stepResolutionSelect">
+                ${STEP_RESOLUTIONS.map(r => `<option value="${r.id}"${r.id === DEFAULT_METER.resolution ? ' selected' : ''}>${r.label}</option>`).join('')}
+            </select>
+            <span id="transportPosition" class="transport-position" title="Bars:Beats:Steps">1:1:1</span>
+        `;
+        seqGroup.content.appendChild(meterBar);
+
+        const defaultMarks = getStepGridMarks(this.config.SEQUENCER_STEPS, DEFAULT_METER);
         for (let s = 0; s < this.config.SLOTS; s++) {
-            const row = document.createElement("div");
-            row.className = "seq-row";
-
-            const rowLabel = document.createElement("span");
-            rowLabel.className = "seq-row-label";
-            rowLabel.textContent = `S${s + 1}`;
-            row.appendChild(rowLabel);
-
-            for (let step = 0; step < this.config.SEQUENCER_STEPS; step++) {
-                const stepDiv = document.createElement("div");
-                stepDiv.className = "step active";
-                stepDiv.dataset.slot = s;
-                stepDiv.dataset.step = step;
-                row.appendChild(stepDiv);
-            }
-            seqGroup.content.appendChild(row);
+            seqGroup.content.appendChild(this.createSequencerRow(s, defaultMarks));
         }
 
+        // Trig editor for the selected step(s)
+        const trigEditor = document.createElement("div");
+        trigEditor.className = "step-trig-editor";
+        trigEditor.innerHTML = `
+            <span id="stepTrigTarget" class="step-trig-target">S1:01</span>
+            <label for="stepProbInput">PROB%</label>
+            <input type="number" id="stepProbInput" min="0" max="100" step="5" value="100" />
+            <label for="stepVelInput">VEL%</label>
+            <input type="number" id="stepVelInput" min="0" max="100" step="5" value="100" />
+            <label for="stepCondSelect">COND</label>
+            <select id="stepCondSelect">
+                ${TRIG_CONDITIONS.map(c => `<option value="${c.id}">${c.label}</option>`).join('')}
+            </select>
+            <label for="stepRatchetSelect">RATCH</label>
+            <select id="stepRatchetSelect">
+                ${RATCHET_COUNTS.map(n => `<option value="${n}">${n === 1 ? '---' : `x${n}`}</option>`).join('')}
+            </select>
+            <label for="stepRatchetVolSelect">VOL</label>
+            <select id="stepRatchetVolSelect">
+                ${RATCHET_RAMPS.map(r => `<option value="${r.id}">${r.label}</option>`).join('')}
+            </select>
+            <label for="stepRatchetPitchInput">PITCH</label>
+            <input type="number" id="stepRatchetPitchInput" min="-${MAX_RATCHET_PITCH}" max="${MAX_RATCHET_PITCH}" step="1" value="0" title="Pitch ramp across the ratchets (semitones)" />
+            <label for="stepSliceInput">SLICE</label>
+            <input type="number" id="stepSliceInput" min="0" max="${MAX_SLICE_MARKERS + 1}" step="1" value="0" title="Slice of the sample the step plays (0 = S.Pos over the loop region)" />
+        `;
+        seqGroup.content.appendChild(trigEditor);
+
+        // Rhythm generators for the selected slot
+        const generatorEditor = document.createElement("div");
+        generatorEditor.className = "generator-editor";
+        generatorEditor.innerHTML = `
+            <span id="generatorTarget" class="generator-target">S1</span>
+            <select id="generatorTypeSelect">
+                ${GENERATOR_TYPES.map(g => `<option value="${g.id}">${g.label}</option>`).join('')}
+            </select>
+            <span class="generator-params" data-generator="euclidean">
+                <label for="genEuclidHits">HITS</label>
+                <input type="number" id="genEuclidHits" min="0" max="${this.config.MAX_PATTERN_LENGTH}" value="5" />
+                <label for="genEuclidSteps">STEPS</label>
+                <input type="number" id="genEuclidSteps" min="${this.config.MIN_PATTERN_LENGTH}" max="${this.config.MAX_PATTERN_LENGTH}" value="${this.config.SEQUENCER_STEPS}" />
+                <label for="genEuclidRotation">ROT</label>
+                <input type="number" id="genEuclidRotation" min="0" max="${this.config.MAX_PATTERN_LENGTH - 1}" value="0" />
+            </span>
+            <span class="generator-params" data-generator="grids" hidden>
+                <label for="genGridsX">X</label>
+                <input type="number" id="genGridsX" min="0" max="100" value="50" />
+                <label for="genGridsY">Y</label>
+                <input type="number" id="genGridsY" min="0" max="100" value="50" />
+                <label for="genGridsDensity">DENS</label>
+                <input type="number" id="genGridsDensity" min="0" max="100" value="50" />
+                <select id="genGridsPart">
+                    ${GRIDS_PARTS.map((part, i) => `<option value="${i}">${part}</option>`).join('')}
+                </select>
+            </span>
+            <span class="generator-params" data-generator="automaton" hidden>
+                <label for="genCaRule">RULE</label>
+                <input type="number" id="genCaRule" min="0" max="255" value="90" />
+                <label><input type="checkbox" id="genCaEvolve" /> EVOLVE</label>
+            </span>
+            <span class="generator-params" data-generator="markov" hidden>
+                <label for="genMarkovOrder">ORDER</label>
+                <input type="number" id="genMarkovOrder" min="1" max="4" value="2" />
+            </span>
+            <button id="generateButton" class="styled-button">GEN</button>
+        `;
+        seqGroup.content.appendChild(generatorEditor);
+
+        // Pattern bank: click a pattern to switch (queued to the next bar while playing)
+        const bankOptions = Array.from({ length: this.config.PATTERN_BANKS }, (_, bank) =>
+            `<option value="${bank}">${getBankLetter(bank)}</option>`).join('');
+        const patternButtons = Array.from({ length: this.config.PATTERNS_PER_BANK }, (_, n) =>
+            `<button class="pattern-button" data-pattern="${n}">${n + 1}</button>`).join('');
+        const patternBank = document.createElement("div");
+        patternBank.className = "pattern-bank";
+        patternBank.innerHTML = `
+            <label for="patternBankSelect">PTN</label>
+            <select id="patternBankSelect">${bankOptions}</select>
+            <div id="patternButtons" class="pattern-buttons">${patternButtons}</div>
+            <span id="patternStatus" class="pattern-status">A01</span>
+        `;
+        seqGroup.content.appendChild(patternBank);
+
+        // Song / chain editor
+        const songEditor = document.createElement("div");
+        songEditor.className = "song-editor";
+        songEditor.innerHTML = `
+            <div class="song-editor-controls">
+                <button id="songModeButton" class="styled-button">SONG: OFF</button>
+                <button id="addSongRowButton" class="styled-button">+ ROW</button>
+            </div>
+            <div id="songRows" class="song-rows"></div>
+        `;
+        seqGroup.content.appendChild(songEditor);
+
         sequencerDiv.appendChild(seqGroup.group);
+        this.createSequencerContextMenu();
+    }
+
+    /**
+     * Create the sequencer row of one slot (label, length, direction, step cells)
+     * @param {number} slot - Slot index
+     * @param {Array<string|null>} [marks] - Bar / beat mark per step (see getStepGridMarks)
+     * @returns {HTMLElement} Row
+     */
+    createSequencerRow(slot, marks = null) {
+        const row = document.createElement("div");
+        row.className = "seq-row";
+
+        const rowLabel = document.createElement("span");
+        rowLabel.className = "seq-row-label";
+        rowLabel.textContent = `S${slot + 1}`;
+        row.appendChild(rowLabel);
+
+        const lengthInput = document.createElement("input");
+        lengthInput.type = "number";
+        lengthInput.id = `patternLength-slot${slot}`;
+        lengthInput.className = "seq-length-input";
+        lengthInput.min = this.config.MIN_PATTERN_LENGTH;
+        lengthInput.max = this.config.MAX_PATTERN_LENGTH;
+        lengthInput.value = this.config.SEQUENCER_STEPS;
+        lengthInput.dataset.slot = slot;
+        lengthInput.title = "Pattern length (steps)";
+        row.appendChild(lengthInput);
+
+        const directionSelect = document.createElement("select");
+        directionSelect.id = `playDirection-slot${slot}`;
+        directionSelect.className = "seq-direction-select";
+        directionSelect.dataset.slot = slot;
+        directionSelect.title = "Play direction";
+        directionSelect.innerHTML = PLAY_DIRECTIONS.map(d => `<option value="${d.id}">${d.label}</option>`).join('');
+        row.appendChild(directionSelect);
+
+        const stepsDiv = document.createElement("div");
+        stepsDiv.id = `seqSteps-slot${slot}`;
+        stepsDiv.className = "seq-steps";
+        row.appendChild(stepsDiv);
+
+        this.createStepCells(stepsDiv, slot, this.config.SEQUENCER_STEPS, marks);
+        return row;
+    }
+
+    /**
+     * Create the (hidden) right-click menu of the sequencer rows
+     */
+    createSequencerContextMenu() {
+        const menu = document.createElement("div");
+        menu.id = "sequencerContextMenu";
+        menu.className = "context-menu";
+        menu.hidden = true;
+        document.body.appendChild(menu);
+
+        this.renderSequencerContextMenu();
+    }
+
+    /**
+     * Fill the sequencer context menu (the copy-to items follow the slot count)
+     */
+    renderSequencerContextMenu() {
+        const menu = this.domCache.getElementById("sequencerContextMenu", true);
+        if (!menu) return;
+
+        const items = SEQUENCER_MENU_ITEMS.map(item => `
+            <button class="context-menu-item" data-action="${item.action}"${item.arg !== undefined ? ` data-arg="${item.arg}"` : ''}>
+                <span>${item.label}</span><span class="context-menu-shortcut">${item.shortcut}</span>
+            </button>
+        `);
+        const copyToItems = Array.from({ length: this.config.SLOTS }, (_, s) => `
+            <button class="context-menu-item" data-action="copyTo" data-arg="${s}"><span>Copy row to S${s + 1}</span></button>
+        `);
+        menu.innerHTML = [...items, '<hr />', ...copyToItems].join('');
+    }
+
+    /**
+     * Add or remove the per-slot UI (waveform, slot block, sequencer row) to match config.SLOTS
+     * and rebuild the slot lists (slot mode, context menu, record slot).
+     * Knobs, file inputs and waveform canvases of added slots still need their events bound.
+     * @param {number} previousCount - Slot count the UI was built for
+     */
+    resizeSlots(previousCount) {
+        const slotCount = this.config.SLOTS;
+        const removeElement = (id) => {
+            const element = this.domCache.getElementById(id, true);
+            if (element) element.remove();
+        };
+
+        for (let s = previousCount - 1; s >= slotCount; s--) {
+            const renderer = this.waveformRenderers.pop();
+            if (renderer && renderer.destroy) renderer.destroy();
+            removeElement(`waveform-${s}`);
+            removeElement(`slotBlock-${s}`);
+            const stepsDiv = this.domCache.getElementById(`seqSteps-slot${s}`, true);
+            if (stepsDiv) stepsDiv.closest('.seq-row').remove();
+        }
+
+        const waveformContainer = this.domCache.getElementById('waveformDisplayContainer', true);
+        const slotMatrix = this.domCache.getElementById('slotMatrix', true);
+        const sequencerContent = this.domCache.getElementById('sequencer-content', true);
+        const trigEditor = sequencerContent.querySelector('.step-trig-editor');
+        for (let s = previousCount; s < slotCount; s++) {
+            waveformContainer.appendChild(this.createWaveformCanvas(s));
+            slotMatrix.appendChild(this.createSlotBlock(s));
+            sequencerContent.insertBefore(this.createSequencerRow(s), trigEditor);
+        }
+
+        this.renderSlotOptions();
+    }
+
+    /**
+     * Rebuild the selects and menus that list the slots
+     */
+    renderSlotOptions() {
+        const slotModeSpec = this.config.GLOBAL_CONTROL_SPECS.find(spec => spec.id === 'slotMode');
+        const slotModeSelect = this.domCache.getElementById('slotMode', true);
+        if (slotModeSpec && slotModeSelect) {
+            slotModeSelect.innerHTML = slotModeSpec.options.map((label, i) =>
+                `<option value="${i}"${i === slotModeSpec.selected ? ' selected' : ''}>${label}</option>`).join('');
+        }
+
+        const recordSlotSelect = this.domCache.getElementById('recordSlotSelect', true);
+        if (recordSlotSelect) {
+            const selected = Math.min(parseInt(recordSlotSelect.value) || 0, this.config.SLOTS - 1);
+            recordSlotSelect.innerHTML = this.createSlotOptions(selected);
+        }
+
+        this.renderSequencerContextMenu();
+    }
+
+    /**
+     * Option list with one entry per slot
+     * @param {number} selected - Selected slot
+     * @returns {string} Option HTML
+     */
+    createSlotOptions(selected = 0) {
+        return Array.from({ length: this.config.SLOTS }, (_, s) =>
+            `<option value="${s}"${s === selected ? ' selected' : ''}>Slot ${s + 1}</option>`).join('');
+    }
+
+    /**
+     * Sample editor buttons, one per edit type (reverseChannel once per channel)
+     * The PITCH button comes last so it sits next to its semitone input.
+     * @returns {string} Button HTML
+     */
+    createSampleEditButtons() {
+        return SAMPLE_EDIT_TYPES.map(edit => {
+            if (edit.id === 'reverseChannel') {
+                return ['L', 'R'].map((side, channel) =>
+                    `<button class="styled-button" data-edit="${edit.id}" data-channel="${channel}" title="Reverse the ${side === 'L' ? 'left' : 'right'} channel of the region">${edit.label} ${side}</button>`).join('');
+            }
+            return `<button class="styled-button" data-edit="${edit.id}">${edit.label}</button>`;
+        }).join('');
+    }
+
+    /**
+     * Rebuild the song editor rows
+     * @param {Array<Object>} rows - Song rows { pattern, repeats, tempo, slotMode }
+     */
+    renderSongRows(rows) {
+        const container = this.domCache.getElementById('songRows', true);
+        if (!container) return;
+
+        const patternCount = this.config.PATTERN_BANKS * this.config.PATTERNS_PER_BANK;
+        const slotModeSpec = this.config.GLOBAL_CONTROL_SPECS.find(spec => spec.id === 'slotMode');
+        const slotModeOptions = slotModeSpec ? slotModeSpec.options : [];
+
+        container.innerHTML = rows.map((row, index) => {
+            const patternOptions = Array.from({ length: patternCount }, (_, p) =>
+                `<option value="${p}"${p === row.pattern ? ' selected' : ''}>${formatPatternName(p, this.config.PATTERNS_PER_BANK)}</option>`).join('');
+            const modeOptions = ['---', ...slotModeOptions].map((label, i) => {
+                const value = i === 0 ? '' : i - 1;
+                const selected = (row.slotMode === null ? '' : row.slotMode) === value ? ' selected' : '';
+                return `<option value="${value}"${selected}>${label}</option>`;
+            }).join('');
+
+            return `
+                <div class="song-row" data-row="${index}">
+                    <span class="song-row-index">${index + 1}</span>
+                    <select data-row="${index}" data-field="pattern" title="Pattern">${patternOptions}</select>
+                    <span>x</span>
+                    <input type="number" data-row="${index}" data-field="repeats" min="1" max="64" value="${row.repeats}" title="Repeats" />
+                    <input type="number" data-row="${index}" data-field="tempo" min="${this.config.MIN_BPM}" max="${this.config.MAX_BPM}" value="${row.tempo === null ? '' : row.tempo}" placeholder="BPM" title="Tempo (empty = keep)" />
+                    <select data-row="${index}" data-field="slotMode" title="Slot Mode (--- = keep)">${modeOptions}</select>
+                    <button class="song-row-delete" data-row="${index}" title="Delete row">✕</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Rebuild the step cells of one sequencer row
+     * @param {number} slot - Slot index
+     * @param {number} length - Number of steps in the row
+     * @param {Array<string|null>} [marks] - Bar / beat mark per step (see getStepGridMarks)
+     */
+    renderSequencerRow(slot, length, marks = null) {
+        const stepsDiv = this.domCache.getElementById(`seqSteps-slot${slot}`, true);
+        if (!stepsDiv) return;
+
+        stepsDiv.textContent = '';
+        this.createStepCells(stepsDiv, slot, length, marks);
+
+        const lengthInput = this.domCache.getElementById(`patternLength-slot${slot}`, true);
+        if (lengthInput) {
+            lengthInput.value = length;
+        }
+    }
+
+    /**
+     * Append step cells to a sequencer row
+     * @param {HTMLElement} stepsDiv - Row cell container
+     * @param {number} slot - Slot index
+     * @param {number} length - Number of steps
+     * @param {Array<string|null>} [marks] - Bar / beat mark per step (see getStepGridMarks)
+     */
+    createStepCells(stepsDiv, slot, length, marks = null) {
+        for (let step = 0; step < length; step++) {
+            const stepDiv = document.createElement("div");
+            stepDiv.className = "step active";
+            if (marks && marks[step]) {
+                stepDiv.classList.add(`${marks[step]}-start`);
+            }
+            stepDiv.dataset.slot = slot;
+            stepDiv.dataset.step = step;
+            stepsDiv.appendChild(stepDiv);
+        }
     }
 
     /**
@@ -285,6 +658,73 @@ export class UIBuilder {
                 <button id="undoButton" class="styled-button" disabled>UNDO</button>
                 <button id="redoButton" class="styled-button" disabled>REDO</button>
                 <button id="togglePerfMonitor" class="styled-button">PERF</button>
+                <button id="toggleEngineButton" class="styled-button" title="Switch grain engine (AudioNode graph / AudioWorklet)">ENGINE: NODE</button>
+                <button id="waveformDisplayButton" class="styled-button" title="Show the samples as waveforms or spectrograms">VIEW: WAVE</button>
+            </div>
+            <div class="load-input-group export-input-group">
+                <label for="randomSeedInput">SEED</label>
+                <input type="number" id="randomSeedInput" min="0" max="4294967295" title="Seed for randomize buttons, grain jitter and exports" />
+                <button id="newSeedButton" class="styled-button" title="New random seed">🎲</button>
+                <label for="exportBarsInput">BARS</label>
+                <input type="number" id="exportBarsInput" min="1" max="64" value="4" />
+                <select id="exportBitDepthSelect" title="WAV bit depth">
+                    <option value="16" selected>16bit</option>
+                    <option value="24">24bit</option>
+                    <option value="32">32bit</option>
+                </select>
+                <label><input type="checkbox" id="exportLoopCheckbox" /> LOOP</label>
+                <button id="exportWavButton" class="styled-button" title="Render the pattern offline and download a WAV file">EXPORT WAV</button>
+                <button id="exportStemsButton" class="styled-button" title="Download the master mix, one WAV per slot and a JSON manifest as a ZIP file">EXPORT STEMS</button>
+            </div>
+            <div class="load-input-group slot-count-group">
+                <label for="slotCountInput">SLOTS</label>
+                <input type="number" id="slotCountInput" min="${MIN_SLOTS}" max="${MAX_SLOTS}" value="${this.config.SLOTS}" title="Number of sample slots" />
+            </div>
+            <div class="load-input-group sample-prep-group" title="Processing of the selected slot's sample (applied to the original file)">
+                <span id="samplePrepTarget" class="sample-prep-target">PREP S1</span>
+                <label><input type="checkbox" id="prepTrimCheckbox"${DEFAULT_PREPROCESS_SETTINGS.trim ? ' checked' : ''} /> TRIM</label>
+                <input type="number" id="prepTrimThresholdInput" min="-96" max="0" step="1" value="${DEFAULT_PREPROCESS_SETTINGS.trimThresholdDb}" title="Silence threshold (dBFS)" />
+                <label for="prepPreRollInput">PRE</label>
+                <input type="number" id="prepPreRollInput" min="0" max="500" step="1" value="${DEFAULT_PREPROCESS_SETTINGS.trimPreRollMs}" title="Pre-roll kept before the first sound (ms)" />
+                <label for="prepNormalizeSelect">NORM</label>
+                <select id="prepNormalizeSelect">
+                    ${NORMALIZE_MODES.map(mode => `<option value="${mode.id}"${mode.id === DEFAULT_PREPROCESS_SETTINGS.normalizeMode ? ' selected' : ''}>${mode.label}</option>`).join('')}
+                </select>
+                <input type="number" id="prepTargetInput" min="-60" max="0" step="0.5" value="${DEFAULT_PREPROCESS_SETTINGS.normalizeTargetDb}" title="Normalize target (dBFS peak / dB RMS / LUFS)" />
+                <label><input type="checkbox" id="prepDcCheckbox" /> DC</label>
+                <label for="prepFadeInInput">FADE</label>
+                <input type="number" id="prepFadeInInput" min="0" max="5000" step="1" value="${DEFAULT_PREPROCESS_SETTINGS.fadeInMs}" title="Fade in (ms)" />
+                <input type="number" id="prepFadeOutInput" min="0" max="5000" step="1" value="${DEFAULT_PREPROCESS_SETTINGS.fadeOutMs}" title="Fade out (ms)" />
+                <label><input type="checkbox" id="prepResampleCheckbox" /> RESAMPLE</label>
+                <label><input type="checkbox" id="prepMonoCheckbox" /> MONO</label>
+                <button id="reprocessSlotButton" class="styled-button" title="Process the selected slot again from its original file">REPROCESS</button>
+            </div>
+            <div class="load-input-group sample-edit-group" title="Edits of the selected slot's sample over its loop region (kept as a list, replayed on the processed file)">
+                <span id="sampleEditTarget" class="sample-prep-target">EDIT S1</span>
+                <span id="sampleEditButtons" class="sample-edit-buttons">
+                    ${this.createSampleEditButtons()}
+                    <input type="number" id="sampleEditPitchInput" min="${-MAX_EDIT_PITCH}" max="${MAX_EDIT_PITCH}" step="1" value="12" title="Pitch shift of the region (semitones, tape-style)" />
+                </span>
+                <button id="sampleEditUndoButton" class="styled-button" title="Undo the last sample edit" disabled>↶</button>
+                <button id="sampleEditRedoButton" class="styled-button" title="Redo the last undone sample edit" disabled>↷</button>
+            </div>
+            <div class="load-input-group slice-group" title="Transient slices of the selected slot's sample (Alt+click a waveform to add or remove a marker, drag a marker to move it)">
+                <span id="sliceTarget" class="sample-prep-target">SLICE S1</span>
+                <label for="sliceSensitivityInput">SENS</label>
+                <input type="number" id="sliceSensitivityInput" min="0" max="100" step="5" value="${DEFAULT_ONSET_SETTINGS.sensitivity}" title="Onset sensitivity (higher finds more slices)" />
+                <label for="sliceGapInput">GAP</label>
+                <input type="number" id="sliceGapInput" min="10" max="1000" step="10" value="${DEFAULT_ONSET_SETTINGS.minGapMs}" title="Minimum time between slices (ms)" />
+                <button id="detectSlicesButton" class="styled-button" title="Find the transients of the selected slot's sample">DETECT</button>
+                <button id="mapSlicesButton" class="styled-button" title="Make step N of the selected slot play slice N">MAP STEPS</button>
+                <button id="clearSlicesButton" class="styled-button" title="Remove the selected slot's slice markers">CLEAR</button>
+            </div>
+            <div class="load-input-group record-input-group">
+                <button id="recordButton" class="styled-button" title="Record the master output (raw PCM)">● REC</button>
+                <button id="saveTakeButton" class="styled-button" disabled>SAVE TAKE</button>
+                <button id="takeToSlotButton" class="styled-button" disabled>TAKE → SLOT</button>
+                <select id="recordSlotSelect" title="Slot the take is loaded into">
+                    ${this.createSlotOptions()}
+                </select>
             </div>
             <div id="loadingStatus" class="loading-status"></div>
         `;
@@ -404,12 +844,27 @@ export class UIBuilder {
         } else if (spec.id === 'lfoWaveform') {
             const waveforms = ['Sine', 'Triangle', 'Square', 'Random'];
             return waveforms[value] || 'Sine';
+        } else if (spec.id === 'voiceInterval') {
+            const interval = VOICE_INTERVALS[Math.round(value)];
+            return interval ? interval.name : VOICE_INTERVALS[0].name;
+        } else if (spec.id === 'channelMode') {
+            const mode = CHANNEL_MODES[Math.round(value)];
+            return mode ? mode.name : CHANNEL_MODES[0].name;
+        } else if (spec.id === 'voiceSpread') {
+            return `${Math.round(value * 100)}%`;
         } else if (spec.id === 'panRandom') {
             const percentage = Math.round(value * 100);
             return `${percentage}% (±${(value * 100).toFixed(1)}%)`;
         } else if (spec.id === 'randomDensity') {
             const percentage = Math.round(value);
             return `${percentage}% SEQ PROB`;
+        } else if (spec.id === 'swing') {
+            return `${Math.round(value)}% SWING`;
+        } else if (spec.id === 'humanize') {
+            return `±${Math.round(value) / 2}ms HUMAN`;
+        } else if (spec.id === 'timingOffset') {
+            const percentage = Math.round(value);
+            return `${percentage > 0 ? '+' : ''}${percentage}%`;
         } else {
             if (spec.step >= 1) {
                 return parseFloat(value).toFixed(0);
@@ -167,8 +167,70 @@ export async function loadAudioFiles(files, audioContext, onProgress = null) {
     return results;
 }
 
+/**
+ * Get the channel data of every channel
+ * @param {AudioBuffer} buffer - Audio buffer
+ * @returns {Array<Float32Array>} Channel data
+ */
+export function getChannels(buffer) {
+    return Array.from({ length: buffer.numberOfChannels }, (_, ch) => buffer.getChannelData(ch));
+}
+
+/**
+ * Find the first and last frame louder than a threshold on any channel
+ * @param {Array<Float32Array>} channels - Channel data
+ * @param {number} threshold - Silence threshold (linear)
+ * @returns {Object} { start, end } frame indices (inclusive); the whole range when nothing is louder
+ */
+export function findAudibleRange(channels, threshold) {
+    const length = channels.length > 0 ? channels[0].length : 0;
+    const isAudible = (i) => channels.some(data => Math.abs(data[i]) > threshold);
+
+    let start = 0;
+    let end = length - 1;
+
+    // Find start of audio
+    for (let i = 0; i < length; i++) {
+        if (isAudible(i)) {
+            start = i;
+            break;
+        }
+    }
+
+    // Find end of audio
+    for (let i = length - 1; i >= 0; i--) {
+        if (isAudible(i)) {
+            end = i;
+            break;
+        }
+    }
+
+    return { start, end };
+}
+
+/**
+ * Peak-normalize all channels with one linked gain, so the stereo balance is kept
+ * @param {Array<Float32Array>} channels - Channel data (modified in place)
+ * @param {number} [target=1] - Peak level after normalization
+ * @returns {number} Gain applied (1 for silence)
+ */
+export function normalizePeak(channels, target = 1) {
+    const peak = channels.reduce((max, data) => data.reduce((m, val) => Math.max(m, Math.abs(val)), max), 0);
+    if (peak === 0) return 1;
+
+    const gain = target / peak;
+    channels.forEach(data => {
+        for (let i = 0; i < data.length; i++) {
+            data[i] *= gain;
+        }
+    });
+    return gain;
+}
+
 /**
  * Trim silence from audio buffer
+ * A frame counts as audio when any channel is above the threshold, so a sound
+ * that starts on one side is not cut.
  * @param {AudioBuffer} buffer - Audio buffer to trim
  * @param {AudioContext} audioContext - Web Audio API context
  * @param {number} threshold - Silence threshold (default: 0.01)
@@ -176,31 +238,12 @@ export async function loadAudioFiles(files, audioContext, onProgress = null) {
  */
 export function trimSilence(buffer, audioContext, threshold = 0.01) {
     try {
-        const rawData = buffer.getChannelData(0);
         const sampleRate = buffer.sampleRate;
-
-        let startIdx = 0;
-        let endIdx = rawData.length - 1;
-
-        // Find start of audio
-        for (let i = 0; i < rawData.length; i++) {
-            if (Math.abs(rawData[i]) > threshold) {
-                startIdx = i;
-                break;
-            }
-        }
-
-        // Find end of audio
-        for (let i = rawData.length - 1; i >= 0; i--) {
-            if (Math.abs(rawData[i]) > threshold) {
-                endIdx = i;
-                break;
-            }
-        }
+        const { start: startIdx, end: endIdx } = findAudibleRange(getChannels(buffer), threshold);
 
         const trimmedLength = endIdx - startIdx + 1;
 
-        if (trimmedLength <= 0 || trimmedLength === rawData.length) {
+        if (trimmedLength <= 0 || trimmedLength === buffer.length) {
             return buffer; // No trimming needed
         }
 
@@ -239,5 +282,8 @@ export default {
     formatFileSize,
     loadAudioFile,
     loadAudioFiles,
+    getChannels,
+    findAudibleRange,
+    normalizePeak,
     trimSilence
 };
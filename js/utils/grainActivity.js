@@ -0,0 +1,56 @@
+/**
+ * Grain Activity
+ * Recent grains of a slot as drawn over its waveform: where they read, how long
+ * they are and how they are pitched. Grains fade out GRAIN_FADE_SEC after they start.
+ */
+
+export const GRAIN_FADE_SEC = 0.6;
+export const MAX_ACTIVITY_GRAINS = 128;
+
+const UNISON_HUE = 120;
+const HUE_PER_OCTAVE = 120;
+
+/**
+ * Color hue of a grain's pitch
+ * Unison is green, an octave up red, an octave down (and below) blue.
+ * @param {number} playbackRate - Grain playback rate
+ * @returns {number} Hue in degrees (0-240)
+ */
+export function getGrainHue(playbackRate) {
+    const octaves = Math.log2(playbackRate > 0 ? playbackRate : 1);
+    return Math.max(0, Math.min(2 * UNISON_HUE, UNISON_HUE - octaves * HUE_PER_OCTAVE));
+}
+
+/**
+ * Opacity of a grain at a point in time
+ * Scheduled grains that have not started yet are not shown.
+ * @param {number} startTime - Grain start time in seconds
+ * @param {number} now - Current time in seconds
+ * @param {number} [fadeSec=GRAIN_FADE_SEC] - Fade length
+ * @returns {number} Opacity (0-1)
+ */
+export function getGrainAlpha(startTime, now, fadeSec = GRAIN_FADE_SEC) {
+    const age = now - startTime;
+    if (age < 0) return 0;
+    return Math.max(0, 1 - age / fadeSec);
+}
+
+/**
+ * Drop grains that have faded out and keep at most MAX_ACTIVITY_GRAINS of the rest
+ * @param {Array<Object>} grains - Grains with a start time, oldest first
+ * @param {number} now - Current time in seconds
+ * @param {number} [fadeSec=GRAIN_FADE_SEC] - Fade length
+ * @returns {Array<Object>} Remaining grains, oldest first
+ */
+export function pruneGrainActivity(grains, now, fadeSec = GRAIN_FADE_SEC) {
+    const alive = grains.filter(grain => now - grain.time < fadeSec);
+    return alive.slice(Math.max(0, alive.length - MAX_ACTIVITY_GRAINS));
+}
+
+export default {
+    GRAIN_FADE_SEC,
+    MAX_ACTIVITY_GRAINS,
+    getGrainHue,
+    getGrainAlpha,
+    pruneGrainActivity
+};
@@ -0,0 +1,81 @@
+/**
+ * Loop Region
+ * Start / end window of a slot's sample that grain positions are confined to.
+ * Regions are stored as fractions of the sample length so they survive resampling
+ * and are independent of the canvas size.
+ */
+
+export const FULL_REGION = Object.freeze({ start: 0, end: 1 });
+export const MIN_REGION_WIDTH = 0.01;
+
+/**
+ * Clamp a region to 0-1 with start before end and at least MIN_REGION_WIDTH between them
+ * @param {Object|null} region - { start, end }
+ * @returns {Object} Normalized region
+ */
+export function normalizeRegion(region) {
+    const toUnit = (value, fallback) => Number.isFinite(value) ? Math.max(0, Math.min(1, value)) : fallback;
+    let start = toUnit(region && region.start, FULL_REGION.start);
+    let end = toUnit(region && region.end, FULL_REGION.end);
+    if (start > end) {
+        [start, end] = [end, start];
+    }
+    if (end - start < MIN_REGION_WIDTH) {
+        start = Math.min(start, 1 - MIN_REGION_WIDTH);
+        end = start + MIN_REGION_WIDTH;
+    }
+    return { start, end };
+}
+
+/**
+ * Whether a region covers the whole sample
+ * @param {Object} region - { start, end }
+ * @returns {boolean}
+ */
+export function isFullRegion(region) {
+    return !region || (region.start <= FULL_REGION.start && region.end >= FULL_REGION.end);
+}
+
+/**
+ * Find the region handle under a position
+ * @param {number} position - Position as a fraction of the sample (0-1)
+ * @param {Object} region - { start, end }
+ * @param {number} tolerance - Grab distance as a fraction of the sample
+ * @returns {string|null} 'start', 'end' or null
+ */
+export function hitTestRegionHandle(position, region, tolerance) {
+    const toStart = Math.abs(position - region.start);
+    const toEnd = Math.abs(position - region.end);
+    if (Math.min(toStart, toEnd) > tolerance) return null;
+    return toStart < toEnd ? 'start' : 'end';
+}
+
+/**
+ * Region after a drag
+ * A handle drag moves that edge and stops MIN_REGION_WIDTH short of the other one;
+ * a 'new' drag spans from where the drag started to the pointer.
+ * @param {Object} region - Region before the drag
+ * @param {string} handle - 'start', 'end' or 'new'
+ * @param {number} position - Pointer position (0-1)
+ * @param {number} anchor - Position the drag started at (0-1)
+ * @returns {Object} Normalized region
+ */
+export function dragRegion(region, handle, position, anchor) {
+    switch (handle) {
+        case 'start':
+            return normalizeRegion({ start: Math.min(position, region.end - MIN_REGION_WIDTH), end: region.end });
+        case 'end':
+            return normalizeRegion({ start: region.start, end: Math.max(position, region.start + MIN_REGION_WIDTH) });
+        default:
+            return normalizeRegion({ start: Math.min(anchor, position), end: Math.max(anchor, position) });
+    }
+}
+
+export default {
+    FULL_REGION,
+    MIN_REGION_WIDTH,
+    normalizeRegion,
+    isFullRegion,
+    hitTestRegionHandle,
+    dragRegion
+};
@@ -12,22 +12,23 @@
  * @param {string} spec.id - Parameter ID (for special cases like 'volume')
  * @param {number} [volumeMin=0.3] - Minimum volume for volume randomization
  * @param {number} [volumeMax=0.8] - Maximum volume for volume randomization
+ * @param {Function} [random=Math.random] - Random source returning [0, 1)
  * @returns {number} Generated random value
  */
-export function generateRandomValue(spec, volumeMin = 0.3, volumeMax = 0.8) {
+export function generateRandomValue(spec, volumeMin = 0.3, volumeMax = 0.8, random = Math.random) {
     let randomValue;
 
     // Special case for volume parameter
     if (spec.id === 'volume') {
-        randomValue = Math.random() * (volumeMax - volumeMin) + volumeMin;
+        randomValue = random() * (volumeMax - volumeMin) + volumeMin;
     }
     // Integer values (step >= 1)
     else if (spec.step >= 1) {
-        randomValue = Math.floor(Math.random() * (spec.max - spec.min + 1)) + spec.min;
+        randomValue = Math.floor(random() * (spec.max - spec.min + 1)) + spec.min;
     }
     // Float values
     else {
-        randomValue = Math.random() * (spec.max - spec.min) + spec.min;
+        randomValue = random() * (spec.max - spec.min) + spec.min;
     }
 
     return randomValue;
@@ -37,20 +38,22 @@ export function generateRandomValue(spec, volumeMin = 0.3, volumeMax = 0.8) {
  * Generate random integer within range (inclusive)
  * @param {number} min - Minimum value
  * @param {number} max - Maximum value
+ * @param {Function} [random=Math.random] - Random source returning [0, 1)
  * @returns {number} Random integer
  */
-export function randomInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+export function randomInt(min, max, random = Math.random) {
+    return Math.floor(random() * (max - min + 1)) + min;
 }
 
 /**
  * Generate random float within range
  * @param {number} min - Minimum value
  * @param {number} max - Maximum value
+ * @param {Function} [random=Math.random] - Random source returning [0, 1)
  * @returns {number} Random float
  */
-export function randomFloat(min, max) {
-    return Math.random() * (max - min) + min;
+export function randomFloat(min, max, random = Math.random) {
+    return random() * (max - min) + min;
 }
 
 /**
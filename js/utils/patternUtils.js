@@ -0,0 +1,120 @@
+/**
+ * Pattern Utilities
+ * Pattern names and song arrangement rows
+ */
+
+const BANK_LETTERS = 'ABCDEFGHIJKLMNOP';
+const MIN_SONG_REPEATS = 1;
+const MAX_SONG_REPEATS = 64;
+
+/**
+ * Format a pattern index as bank letter + number (e.g. 17 -> "B02")
+ * @param {number} index - Pattern index across all banks
+ * @param {number} patternsPerBank - Patterns in one bank
+ * @returns {string} Pattern name
+ */
+export function formatPatternName(index, patternsPerBank) {
+    const bank = Math.floor(index / patternsPerBank);
+    const number = (index % patternsPerBank) + 1;
+    return `${BANK_LETTERS[bank] || '?'}${String(number).padStart(2, '0')}`;
+}
+
+/**
+ * Get the letter of a bank
+ * @param {number} bank - Bank index
+ * @returns {string} Bank letter
+ */
+export function getBankLetter(bank) {
+    return BANK_LETTERS[bank] || '?';
+}
+
+/**
+ * Create a song row
+ * tempo and slotMode are null when the row keeps the current setting.
+ * @param {Object} overrides - Any of { pattern, repeats, tempo, slotMode }
+ * @returns {Object} { pattern, repeats, tempo, slotMode }
+ */
+export function createSongRow(overrides = {}) {
+    return {
+        pattern: 0,
+        repeats: 1,
+        tempo: null,
+        slotMode: null,
+        ...overrides
+    };
+}
+
+/**
+ * Clamp a song row to valid values
+ * @param {Object} row - Song row (possibly from an older or hand-edited state)
+ * @param {Object} limits - { patternCount, minBpm, maxBpm, slotModeCount }
+ * @returns {Object} Normalized song row
+ */
+export function normalizeSongRow(row, limits) {
+    const toInt = (value) => {
+        const parsed = parseInt(value);
+        return Number.isFinite(parsed) ? parsed : null;
+    };
+    const clampInt = (value, min, max, fallback) => {
+        const parsed = toInt(value);
+        return parsed === null ? fallback : Math.max(min, Math.min(max, parsed));
+    };
+
+    const { pattern, repeats, tempo, slotMode } = createSongRow(row || {});
+    return {
+        pattern: clampInt(pattern, 0, limits.patternCount - 1, 0),
+        repeats: clampInt(repeats, MIN_SONG_REPEATS, MAX_SONG_REPEATS, MIN_SONG_REPEATS),
+        tempo: toInt(tempo) === null ? null : clampInt(tempo, limits.minBpm, limits.maxBpm, null),
+        slotMode: toInt(slotMode) === null ? null : clampInt(slotMode, 0, limits.slotModeCount - 1, null)
+    };
+}
+
+/**
+ * Format step rows as text, one line per slot ("S1 x..x..x.")
+ * @param {Array<Array<boolean>>} patterns - Step rows
+ * @param {Array<number>} lengths - Steps per slot
+ * @returns {string} Grid text
+ */
+export function formatGridText(patterns, lengths) {
+    return patterns.map((row, slot) =>
+        `S${slot + 1} ${row.slice(0, lengths[slot]).map(isActive => isActive ? 'x' : '.').join('')}`
+    ).join('\n');
+}
+
+/**
+ * Parse grid text written by formatGridText (or typed by hand)
+ * Lines may start with a slot label ("S3", "S3:"); unlabelled lines fill slots in order.
+ * "x", "X", "o" and "1" are active steps, "." "-" and "0" are empty steps.
+ * @param {string} text - Grid text
+ * @param {number} slotCount - Number of slots
+ * @param {number} maxLength - Longest allowed row
+ * @returns {Array<Array<boolean>|null>|null} Row per slot (null where the text has no row), or null if nothing parsed
+ */
+export function parseGridText(text, slotCount, maxLength) {
+    const rows = Array(slotCount).fill(null);
+    let nextSlot = 0;
+    let parsedAny = false;
+
+    String(text || '').split(/\r?\n/).forEach(line => {
+        const match = /^\s*(?:S(\d+)\s*:?)?\s*([xXo1.\-0]+)\s*$/.exec(line);
+        if (!match) return;
+
+        const slot = match[1] !== undefined ? parseInt(match[1]) - 1 : nextSlot;
+        if (slot < 0 || slot >= slotCount) return;
+
+        rows[slot] = match[2].slice(0, maxLength).split('').map(char => 'xXo1'.includes(char));
+        nextSlot = slot + 1;
+        parsedAny = true;
+    });
+
+    return parsedAny ? rows : null;
+}
+
+export default {
+    formatPatternName,
+    getBankLetter,
+    createSongRow,
+    normalizeSongRow,
+    formatGridText,
+    parseGridText
+};
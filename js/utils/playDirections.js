@@ -0,0 +1,123 @@
+/**
+ * Play Directions
+ * How a slot's playhead moves through its row: forward, reverse, ping-pong,
+ * random and drunk walk
+ */
+
+export const PLAY_DIRECTIONS = [
+    { id: 'forward', label: 'FWD' },
+    { id: 'reverse', label: 'REV' },
+    { id: 'pingpong', label: 'PING' },
+    { id: 'pingpongRepeat', label: 'PING+' },
+    { id: 'random', label: 'RND' },
+    { id: 'drunk', label: 'DRUNK' }
+];
+
+export const DEFAULT_PLAY_DIRECTION = 'forward';
+
+/**
+ * Check whether a direction id exists
+ * @param {string} direction - Direction id
+ * @returns {boolean}
+ */
+export function isPlayDirection(direction) {
+    return PLAY_DIRECTIONS.some(d => d.id === direction);
+}
+
+/**
+ * Steps one loop of the row takes in a direction
+ * A ping-pong loop goes there and back; "pingpongRepeat" plays both end steps twice.
+ * @param {string} direction - Direction id
+ * @param {number} length - Row length
+ * @returns {number} Steps per loop
+ */
+export function getLoopSteps(direction, length) {
+    switch (direction) {
+        case 'pingpong': return Math.max(1, 2 * (length - 1));
+        case 'pingpongRepeat': return 2 * length;
+        default: return length;
+    }
+}
+
+/**
+ * Create a playhead at the start of a row
+ * @param {string} direction - Direction id
+ * @param {number} length - Row length
+ * @returns {Object} { step, heading, ticks }
+ */
+export function createPlayhead(direction, length) {
+    const isReverse = direction === 'reverse';
+    return {
+        step: isReverse ? length - 1 : 0,
+        heading: isReverse ? -1 : 1,
+        ticks: 0
+    };
+}
+
+/**
+ * Move a playhead by one step
+ * wrapped is true when the step just played finished a loop of the row, which
+ * is what loop conditions (1:2, 1ST...) count.
+ * @param {Object} playhead - { step, heading, ticks }
+ * @param {string} direction - Direction id
+ * @param {number} length - Row length
+ * @param {Function} random - Random source returning [0, 1) for random / drunk
+ * @returns {Object} { step, heading, ticks, wrapped }
+ */
+export function advancePlayhead(playhead, direction, length, random = Math.random) {
+    const step = Math.min(playhead.step, length - 1);
+    let heading = playhead.heading || 1;
+    let next;
+
+    switch (direction) {
+        case 'reverse':
+            next = (step - 1 + length) % length;
+            break;
+        case 'pingpong':
+            if (length === 1) {
+                next = 0;
+                break;
+            }
+            if (step + heading < 0 || step + heading >= length) {
+                heading = -heading;
+            }
+            next = step + heading;
+            break;
+        case 'pingpongRepeat':
+            next = step + heading;
+            if (next < 0 || next >= length) {
+                heading = -heading;
+                next = step;
+            }
+            break;
+        case 'random':
+            next = Math.floor(random() * length);
+            break;
+        case 'drunk':
+            next = (step + (random() < 0.5 ? -1 : 1) + length) % length;
+            break;
+        default:
+            next = (step + 1) % length;
+    }
+
+    // Forward and reverse loop at the row end even after the length changed mid-loop
+    const ticks = playhead.ticks + 1;
+    let wrapped;
+    if (direction === 'reverse') {
+        wrapped = next === length - 1;
+    } else if (!isPlayDirection(direction) || direction === 'forward') {
+        wrapped = next === 0;
+    } else {
+        wrapped = ticks >= getLoopSteps(direction, length);
+    }
+    return { step: next, heading, ticks: wrapped ? 0 : ticks, wrapped };
+}
+
+export default {
+    PLAY_DIRECTIONS,
+    DEFAULT_PLAY_DIRECTION,
+    isPlayDirection,
+    getLoopSteps,
+    createPlayhead,
+    advancePlayhead
+};
@@ -0,0 +1,131 @@
+/**
+ * Random Source Utilities
+ * Small seeded PRNG so renders and randomizations can be reproduced
+ */
+
+const UINT32_RANGE = 4294967296;
+
+/**
+ * Stream ids for RandomSource.stream()
+ * Slot streams use slot + 1, and per-slot copies of these ids start at
+ * SLOT_STREAM_BASE (see slotStream), so they never collide with these.
+ */
+export const RANDOM_STREAMS = {
+    TRANSPORT: 0,
+    SEQUENCER: 0x100,
+    PARAMETERS: 0x101,
+    TRIGS: 0x102,
+    TIMING: 0x103,
+    DIRECTION: 0x104,
+    FILE_LOAD: 0x105
+};
+
+// Per-slot copies of a stream id: SLOT_STREAM_BASE + id * SLOT_STREAM_SPAN + slot
+const SLOT_STREAM_BASE = 0x10000;
+const SLOT_STREAM_SPAN = 0x100;
+
+/**
+ * Create a seeded random function (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning a float in [0, 1)
+ */
+export function createSeededRandom(seed) {
+    let state = (seed >>> 0) || 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / UINT32_RANGE;
+    };
+}
+
+/**
+ * Derive an independent seed from a base seed and a salt
+ * Used to give each slot its own stream so one slot's draws never shift another's
+ * @param {number} seed - Base seed
+ * @param {number} salt - Stream identifier
+ * @returns {number} Derived 32-bit seed
+ */
+export function deriveSeed(seed, salt) {
+    let h = (seed >>> 0) ^ Math.imul((salt >>> 0) + 1, 0x9E3779B1);
+    h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Pick a fresh seed for a new session
+ * @returns {number} Random 32-bit seed
+ */
+export function generateSeed() {
+    return Math.floor(Math.random() * UINT32_RANGE) >>> 0;
+}
+
+/**
+ * RandomSource
+ * One seed, many independent streams. Stream functions stay valid across
+ * setSeed(), which rewinds every stream to the start of the new seed.
+ */
+export class RandomSource {
+    constructor(seed = generateSeed()) {
+        this.seed = seed >>> 0;
+        this.generators = new Map();
+        this.streams = new Map();
+    }
+
+    /**
+     * Get the current seed
+     * @returns {number}
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Change the seed and rewind all streams
+     * @param {number} seed - New seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.generators.clear();
+    }
+
+    /**
+     * Get a random function for a stream
+     * @param {number} id - Stream id (see RANDOM_STREAMS)
+     * @returns {Function} Function returning a float in [0, 1)
+     */
+    stream(id) {
+        if (!this.streams.has(id)) {
+            this.streams.set(id, () => {
+                if (!this.generators.has(id)) {
+                    this.generators.set(id, createSeededRandom(deriveSeed(this.seed, id)));
+                }
+                return this.generators.get(id)();
+            });
+        }
+        return this.streams.get(id);
+    }
+
+    /**
+     * Get a stream of a slot
+     * Without an id this is the slot's grain stream. With one it is the slot's own copy
+     * of that stream, for draws made slot by slot, so muting or isolating a slot never
+     * shifts what the other slots draw.
+     * @param {number} slot - Slot index
+     * @param {number} [id] - Stream id (see RANDOM_STREAMS)
+     * @returns {Function} Function returning a float in [0, 1)
+     */
+    slotStream(slot, id) {
+        return this.stream(id === undefined ? slot + 1 : SLOT_STREAM_BASE + id * SLOT_STREAM_SPAN + slot);
+    }
+}
+
+export default {
+    RANDOM_STREAMS,
+    createSeededRandom,
+    deriveSeed,
+    generateSeed,
+    RandomSource
+};
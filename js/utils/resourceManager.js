@@ -36,6 +36,25 @@ export class ResourceManager {
     }
   }
 
+  /**
+   * Remove the listeners on an element and everything inside it
+   * Used when part of the UI is torn down, so its handlers do not stay registered.
+   */
+  removeEventListenersWithin(root) {
+    if (!root) return;
+    this.eventListeners = this.eventListeners.filter(({ element, event, handler, options }) => {
+      const isInside = element === root || (element.nodeType !== undefined && root.contains(element));
+      if (isInside) {
+        try {
+          element.removeEventListener(event, handler, options);
+        } catch (error) {
+          console.error('Failed to remove event listener:', error);
+        }
+      }
+      return !isInside;
+    });
+  }
+
   /**
    * Set a timeout and track it for cleanup
    */
@@ -0,0 +1,168 @@
+/**
+ * Rhythm Generators
+ * Algorithmic step patterns: Euclidean, Grids-style density maps,
+ * elementary cellular automata and Markov chains
+ */
+
+export const GENERATOR_TYPES = [
+    { id: 'euclidean', label: 'EUCLID' },
+    { id: 'grids', label: 'GRIDS' },
+    { id: 'automaton', label: 'CELL AUTO' },
+    { id: 'markov', label: 'MARKOV' }
+];
+
+export const GRIDS_PARTS = ['LOW', 'MID', 'HIGH'];
+
+const GRIDS_MAP_STEPS = 16;
+const MAX_LEVEL = 255;
+
+/**
+ * Density map corners, one 16-step level map per part (LOW / MID / HIGH)
+ * Higher levels appear first as the density goes up. X morphs from straight to
+ * four-on-the-floor, Y from even to broken / syncopated.
+ */
+const GRIDS_NODES = {
+    // x = 0, y = 0: straight
+    '0,0': [
+        [255, 0, 40, 0, 200, 0, 60, 0, 230, 0, 40, 0, 200, 0, 80, 0],
+        [0, 20, 40, 10, 255, 30, 50, 20, 0, 20, 60, 10, 255, 40, 70, 90],
+        [120, 40, 200, 40, 120, 40, 200, 40, 120, 40, 200, 40, 120, 60, 200, 80]
+    ],
+    // x = 1, y = 0: four on the floor
+    '1,0': [
+        [255, 0, 0, 30, 255, 0, 0, 30, 255, 0, 0, 30, 255, 0, 60, 30],
+        [0, 0, 30, 0, 230, 0, 40, 60, 0, 0, 30, 0, 230, 40, 0, 100],
+        [30, 60, 255, 60, 30, 60, 255, 60, 30, 60, 255, 60, 30, 80, 255, 120]
+    ],
+    // x = 0, y = 1: breakbeat
+    '0,1': [
+        [255, 0, 60, 0, 0, 40, 0, 200, 0, 0, 230, 0, 0, 100, 40, 0],
+        [0, 40, 0, 60, 255, 0, 40, 120, 0, 80, 0, 40, 255, 0, 160, 60],
+        [200, 80, 150, 60, 200, 80, 150, 60, 200, 80, 150, 100, 200, 120, 150, 80]
+    ],
+    // x = 1, y = 1: syncopated
+    '1,1': [
+        [255, 20, 0, 180, 0, 60, 200, 0, 40, 180, 0, 60, 0, 220, 0, 100],
+        [0, 120, 60, 0, 230, 0, 100, 180, 0, 60, 160, 0, 240, 0, 120, 200],
+        [180, 220, 40, 160, 180, 240, 60, 140, 200, 220, 40, 180, 160, 240, 80, 220]
+    ]
+};
+
+/**
+ * Euclidean rhythm: spread hits as evenly as possible over the steps
+ * @param {number} hits - Number of active steps
+ * @param {number} steps - Pattern length
+ * @param {number} rotation - Steps to rotate the pattern to the right
+ * @returns {Array<boolean>} Step pattern
+ */
+export function euclidean(hits, steps, rotation = 0) {
+    if (steps <= 0) return [];
+    const k = Math.max(0, Math.min(steps, Math.round(hits)));
+    const shift = ((Math.round(rotation) % steps) + steps) % steps;
+
+    const pattern = Array(steps).fill(false);
+    for (let i = 0; i < steps; i++) {
+        pattern[(i + shift) % steps] = (i * k) % steps < k;
+    }
+    return pattern;
+}
+
+/**
+ * Interpolated level of one step in the density map
+ * @param {number} step - Step index (wraps every 16 steps)
+ * @param {number} x - Map X (0-1)
+ * @param {number} y - Map Y (0-1)
+ * @param {number} part - Part index (0 = LOW, 1 = MID, 2 = HIGH)
+ * @returns {number} Level (0-255)
+ */
+export function getGridsLevel(step, x, y, part) {
+    const i = step % GRIDS_MAP_STEPS;
+    const at = (key) => GRIDS_NODES[key][part][i];
+    const bottom = at('0,0') * (1 - x) + at('1,0') * x;
+    const top = at('0,1') * (1 - x) + at('1,1') * x;
+    return bottom * (1 - y) + top * y;
+}
+
+/**
+ * Grids-style pattern: steps whose map level passes the density threshold
+ * @param {number} steps - Pattern length
+ * @param {Object} params - { x, y, density } in 0-100, part index
+ * @returns {Array<boolean>} Step pattern
+ */
+export function gridsPattern(steps, { x = 50, y = 50, density = 50, part = 0 }) {
+    const clampUnit = (value) => Math.max(0, Math.min(1, value / 100));
+    const partIndex = Math.max(0, Math.min(GRIDS_PARTS.length - 1, Math.round(part)));
+    const threshold = MAX_LEVEL * (1 - clampUnit(density));
+
+    return Array.from({ length: steps }, (_, step) =>
+        density > 0 && getGridsLevel(step, clampUnit(x), clampUnit(y), partIndex) >= threshold
+    );
+}
+
+/**
+ * One generation of an elementary cellular automaton (edges wrap around)
+ * @param {Array<boolean>} cells - Current generation
+ * @param {number} rule - Wolfram rule number (0-255)
+ * @returns {Array<boolean>} Next generation
+ */
+export function stepAutomaton(cells, rule) {
+    const n = cells.length;
+    return cells.map((_, i) => {
+        const left = cells[(i - 1 + n) % n] ? 4 : 0;
+        const center = cells[i] ? 2 : 0;
+        const right = cells[(i + 1) % n] ? 1 : 0;
+        return ((rule >> (left | center | right)) & 1) === 1;
+    });
+}
+
+/**
+ * Generate a pattern from a Markov chain trained on another pattern
+ * The chain looks at the previous `order` steps; the source is treated as a loop.
+ * @param {Array<boolean>} source - Training pattern
+ * @param {number} steps - Length of the generated pattern
+ * @param {number} order - Context length (1-4)
+ * @param {Function} random - Random source returning [0, 1)
+ * @returns {Array<boolean>} Step pattern
+ */
+export function markovPattern(source, steps, order = 1, random = Math.random) {
+    const n = source.length;
+    if (n === 0 || steps <= 0) return Array(Math.max(0, steps)).fill(false);
+
+    const k = Math.max(1, Math.min(4, Math.round(order), n));
+    const contextKey = (cells, end) => {
+        let key = '';
+        for (let j = k; j > 0; j--) {
+            key += cells[(end - j + cells.length) % cells.length] ? '1' : '0';
+        }
+        return key;
+    };
+
+    // Count what follows each context in the source loop
+    const transitions = new Map();
+    for (let i = 0; i < n; i++) {
+        const key = contextKey(source, i);
+        const counts = transitions.get(key) || [0, 0];
+        counts[source[i] ? 1 : 0]++;
+        transitions.set(key, counts);
+    }
+    const density = source.filter(Boolean).length / n;
+
+    // Start from the source's opening so the result keeps its downbeat
+    const pattern = source.slice(0, Math.min(k, steps));
+    for (let i = pattern.length; i < steps; i++) {
+        const counts = transitions.get(contextKey(pattern, i));
+        const onProbability = counts ? counts[1] / (counts[0] + counts[1]) : density;
+        pattern.push(random() < onProbability);
+    }
+    return pattern;
+}
+
+export default {
+    GENERATOR_TYPES,
+    GRIDS_PARTS,
+    euclidean,
+    getGridsLevel,
+    gridsPattern,
+    stepAutomaton,
+    markovPattern
+};
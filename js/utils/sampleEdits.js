@@ -0,0 +1,214 @@
+/**
+ * Sample Edits
+ * Non-destructive edits of a slot's sample. Each edit is an operation
+ * { type, start, end, ... } over a range given as fractions of the sample; the
+ * slot keeps the list and replays it on the preprocessed buffer whenever it changes.
+ */
+
+import { resampleChannels } from './samplePreprocess.js';
+
+export const SAMPLE_EDIT_TYPES = [
+    { id: 'crop', label: 'CROP' },
+    { id: 'reverse', label: 'REV' },
+    { id: 'normalize', label: 'NORM' },
+    { id: 'fadeIn', label: 'FADE IN' },
+    { id: 'fadeOut', label: 'FADE OUT' },
+    { id: 'silence', label: 'SILENCE' },
+    { id: 'reverseChannel', label: 'REV CH' },
+    { id: 'pitch', label: 'PITCH' }
+];
+
+export const MAX_EDIT_PITCH = 24;
+
+// Edits that make the sample shorter or longer
+const LENGTH_CHANGING_EDITS = ['crop', 'pitch'];
+
+/**
+ * Whether an edit changes the sample length, so fractions of the sample (loop
+ * region, slice markers) no longer point at the same audio after it
+ * @param {Object} op - Edit operation
+ * @returns {boolean}
+ */
+export function changesSampleLength(op) {
+    return LENGTH_CHANGING_EDITS.includes(op.type);
+}
+
+/**
+ * Sample range of an operation
+ * @private
+ */
+function getRange(length, op) {
+    const from = Math.max(0, Math.min(length - 1, Math.floor((op.start || 0) * length)));
+    const to = Math.max(from + 1, Math.min(length, Math.round((op.end === undefined ? 1 : op.end) * length)));
+    return { from, to };
+}
+
+/**
+ * Apply one edit
+ * Channels without the edited range (reverseChannel on another channel) are copied as they are.
+ * @param {Array<Float32Array>} channels - Channel data (not modified)
+ * @param {Object} op - { type, start, end } plus channel (reverseChannel) or semitones (pitch)
+ * @returns {Array<Float32Array>} Edited channel data
+ */
+export function applySampleEdit(channels, op) {
+    const length = channels[0].length;
+    if (length === 0) return channels.map(data => data.slice());
+    const { from, to } = getRange(length, op);
+
+    switch (op.type) {
+        case 'crop':
+            return channels.map(data => data.slice(from, to));
+
+        case 'reverse':
+        case 'reverseChannel':
+            return channels.map((data, ch) => {
+                const edited = data.slice();
+                if (op.type === 'reverse' || ch === op.channel) {
+                    edited.subarray(from, to).reverse();
+                }
+                return edited;
+            });
+
+        case 'normalize': {
+            let peak = 0;
+            channels.forEach(data => {
+                for (let i = from; i < to; i++) {
+                    peak = Math.max(peak, Math.abs(data[i]));
+                }
+            });
+            return channels.map(data => {
+                const edited = data.slice();
+                if (peak > 0) {
+                    for (let i = from; i < to; i++) {
+                        edited[i] /= peak;
+                    }
+                }
+                return edited;
+            });
+        }
+
+        case 'fadeIn':
+        case 'fadeOut':
+            return channels.map(data => {
+                const edited = data.slice();
+                const span = to - from;
+                for (let i = from; i < to; i++) {
+                    const t = (i - from) / span;
+                    edited[i] *= op.type === 'fadeIn' ? t : 1 - t;
+                }
+                return edited;
+            });
+
+        case 'silence':
+            return channels.map(data => {
+                const edited = data.slice();
+                edited.fill(0, from, to);
+                return edited;
+            });
+
+        case 'pitch': {
+            // Tape-style: the range plays faster / slower, so it gets shorter / longer
+            const ratio = Math.pow(2, Math.max(-MAX_EDIT_PITCH, Math.min(MAX_EDIT_PITCH, op.semitones || 0)) / 12);
+            const shifted = resampleChannels(channels.map(data => data.slice(from, to)), ratio, 1);
+            return channels.map((data, ch) => {
+                const edited = new Float32Array(from + shifted[ch].length + (length - to));
+                edited.set(data.subarray(0, from), 0);
+                edited.set(shifted[ch], from);
+                edited.set(data.subarray(to), from + shifted[ch].length);
+                return edited;
+            });
+        }
+
+        default:
+            return channels.map(data => data.slice());
+    }
+}
+
+/**
+ * Replay an edit list
+ * @param {Array<Float32Array>} channels - Channel data (not modified)
+ * @param {Array<Object>} ops - Edits, oldest first
+ * @returns {Array<Float32Array>} Edited channel data
+ */
+export function applySampleEdits(channels, ops) {
+    return ops.reduce((result, op) => applySampleEdit(result, op), channels.map(data => data.slice()));
+}
+
+/**
+ * SampleEditHistory
+ * The edit list of one slot with its own undo / redo
+ */
+export class SampleEditHistory {
+    constructor() {
+        this.ops = [];
+        this.undone = [];
+    }
+
+    /**
+     * Add an edit (clears the redo list)
+     * @param {Object} op - Edit operation
+     */
+    push(op) {
+        this.ops.push({ ...op });
+        this.undone = [];
+    }
+
+    /**
+     * Take back the last edit
+     * @returns {boolean} False when there is nothing to undo
+     */
+    undo() {
+        if (this.ops.length === 0) return false;
+        this.undone.push(this.ops.pop());
+        return true;
+    }
+
+    /**
+     * Apply the last undone edit again
+     * @returns {boolean} False when there is nothing to redo
+     */
+    redo() {
+        if (this.undone.length === 0) return false;
+        this.ops.push(this.undone.pop());
+        return true;
+    }
+
+    /**
+     * Drop all edits (a new sample was loaded)
+     */
+    clear() {
+        this.ops = [];
+        this.undone = [];
+    }
+
+    /**
+     * @returns {boolean} Whether there is an edit to undo
+     */
+    canUndo() {
+        return this.ops.length > 0;
+    }
+
+    /**
+     * @returns {boolean} Whether there is an undone edit to redo
+     */
+    canRedo() {
+        return this.undone.length > 0;
+    }
+
+    /**
+     * Get the edit list
+     * @returns {Array<Object>} Copies of the edits, oldest first
+     */
+    getOperations() {
+        return this.ops.map(op => ({ ...op }));
+    }
+}
+
+export default {
+    SAMPLE_EDIT_TYPES,
+    MAX_EDIT_PITCH,
+    changesSampleLength,
+    applySampleEdit,
+    applySampleEdits,
+    SampleEditHistory
+};
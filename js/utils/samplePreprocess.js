@@ -0,0 +1,363 @@
+/**
+ * Sample Preprocess
+ * The processing a slot's sample gets on load: resampling, mono fold-down, DC offset
+ * removal, silence trim, normalization and fades. Works on plain channel arrays and
+ * never modifies its input, so a slot can be processed again from the decoded file.
+ */
+
+import { findAudibleRange } from './audioFileUtils.js';
+
+export const NORMALIZE_MODES = [
+    { id: 'off', label: 'OFF' },
+    { id: 'peak', label: 'PEAK' },
+    { id: 'rms', label: 'RMS' },
+    { id: 'lufs', label: 'LUFS' }
+];
+
+// Matches what the folder loader always did: trim at 0.01 (-40 dB) and peak-normalize to 1.0
+export const DEFAULT_PREPROCESS_SETTINGS = Object.freeze({
+    trim: true,
+    trimThresholdDb: -40,
+    trimPreRollMs: 0,
+    normalizeMode: 'peak',
+    normalizeTargetDb: 0,
+    removeDc: false,
+    fadeInMs: 0,
+    fadeOutMs: 0,
+    resample: false,
+    mono: false
+});
+
+const SETTING_RANGES = {
+    trimThresholdDb: [-96, 0],
+    trimPreRollMs: [0, 500],
+    normalizeTargetDb: [-60, 0],
+    fadeInMs: [0, 5000],
+    fadeOutMs: [0, 5000]
+};
+
+// ITU-R BS.1770 loudness measurement
+const LOUDNESS_OFFSET = -0.691;
+const LOUDNESS_BLOCK_SEC = 0.4;
+const LOUDNESS_HOP_SEC = 0.1;
+const ABSOLUTE_GATE_LUFS = -70;
+const RELATIVE_GATE_LU = -10;
+
+/**
+ * Convert decibels to a linear gain
+ * @param {number} db - Level in dB
+ * @returns {number} Gain
+ */
+export function dbToGain(db) {
+    return Math.pow(10, db / 20);
+}
+
+/**
+ * Fill in missing preprocess settings and clamp the rest
+ * @param {Object|null} settings - Partial settings
+ * @returns {Object} Settings
+ */
+export function normalizePreprocessSettings(settings) {
+    const merged = { ...DEFAULT_PREPROCESS_SETTINGS, ...settings };
+    const result = {};
+    Object.keys(DEFAULT_PREPROCESS_SETTINGS).forEach(key => {
+        const fallback = DEFAULT_PREPROCESS_SETTINGS[key];
+        const value = merged[key];
+        if (typeof fallback === 'boolean') {
+            result[key] = !!value;
+        } else if (SETTING_RANGES[key]) {
+            const [min, max] = SETTING_RANGES[key];
+            result[key] = Number.isFinite(+value) ? Math.max(min, Math.min(max, +value)) : fallback;
+        } else {
+            result[key] = value;
+        }
+    });
+    if (!NORMALIZE_MODES.some(mode => mode.id === result.normalizeMode)) {
+        result.normalizeMode = DEFAULT_PREPROCESS_SETTINGS.normalizeMode;
+    }
+    return result;
+}
+
+/**
+ * Resample with linear interpolation
+ * @param {Array<Float32Array>} channels - Channel data
+ * @param {number} fromRate - Sample rate of the data
+ * @param {number} toRate - Target sample rate
+ * @returns {Array<Float32Array>} Resampled channel data
+ */
+export function resampleChannels(channels, fromRate, toRate) {
+    const ratio = fromRate / toRate;
+    return channels.map(data => {
+        const length = Math.max(1, Math.round(data.length / ratio));
+        return Float32Array.from({ length }, (_, i) => {
+            const position = i * ratio;
+            const index = Math.floor(position);
+            const next = Math.min(data.length - 1, index + 1);
+            const t = position - index;
+            return data[Math.min(index, data.length - 1)] * (1 - t) + data[next] * t;
+        });
+    });
+}
+
+/**
+ * Mix all channels down to one
+ * @param {Array<Float32Array>} channels - Channel data
+ * @returns {Array<Float32Array>} One channel
+ */
+export function foldToMono(channels) {
+    const mono = new Float32Array(channels[0].length);
+    channels.forEach(data => {
+        for (let i = 0; i < mono.length; i++) {
+            mono[i] += data[i] / channels.length;
+        }
+    });
+    return [mono];
+}
+
+/**
+ * Subtract each channel's mean (in place)
+ * @param {Array<Float32Array>} channels - Channel data
+ */
+export function removeDcOffset(channels) {
+    channels.forEach(data => {
+        const mean = data.reduce((sum, value) => sum + value, 0) / (data.length || 1);
+        for (let i = 0; i < data.length; i++) {
+            data[i] -= mean;
+        }
+    });
+}
+
+/**
+ * Cut silence at both ends, keeping a pre-roll before the first sound
+ * @param {Array<Float32Array>} channels - Channel data
+ * @param {number} thresholdDb - Silence threshold in dBFS
+ * @param {number} preRollSamples - Samples kept before the first sound
+ * @returns {Array<Float32Array>} Trimmed channel data
+ */
+export function trimChannels(channels, thresholdDb, preRollSamples = 0) {
+    const { start, end } = findAudibleRange(channels, dbToGain(thresholdDb));
+    const from = Math.max(0, start - preRollSamples);
+    return channels.map(data => data.slice(from, end + 1));
+}
+
+/**
+ * Highest absolute sample of all channels
+ * @param {Array<Float32Array>} channels - Channel data
+ * @returns {number} Peak (linear)
+ */
+export function measurePeak(channels) {
+    return channels.reduce((max, data) => data.reduce((m, value) => Math.max(m, Math.abs(value)), max), 0);
+}
+
+/**
+ * RMS of all channels together
+ * @param {Array<Float32Array>} channels - Channel data
+ * @returns {number} RMS (linear)
+ */
+export function measureRms(channels) {
+    let sumSquares = 0;
+    let count = 0;
+    channels.forEach(data => {
+        for (let i = 0; i < data.length; i++) {
+            sumSquares += data[i] * data[i];
+        }
+        count += data.length;
+    });
+    return count > 0 ? Math.sqrt(sumSquares / count) : 0;
+}
+
+/**
+ * Run a biquad over a signal (direct form I)
+ * @private
+ */
+function applyBiquad(data, { b0, b1, b2, a1, a2 }) {
+    const out = new Float32Array(data.length);
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    for (let i = 0; i < data.length; i++) {
+        const y = b0 * data[i] + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+        x2 = x1;
+        x1 = data[i];
+        y2 = y1;
+        y1 = y;
+        out[i] = y;
+    }
+    return out;
+}
+
+/**
+ * K-weighting filters (BS.1770 high shelf and high-pass) for a sample rate
+ * @private
+ */
+function getKWeightingFilters(sampleRate) {
+    const shelfK = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    const shelfQ = 0.7071752369554196;
+    const vh = Math.pow(10, 3.999843853973347 / 20);
+    const vb = Math.pow(vh, 0.4996667741545416);
+    const shelfA0 = 1 + shelfK / shelfQ + shelfK * shelfK;
+
+    const passK = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    const passQ = 0.5003270373238773;
+    const passA0 = 1 + passK / passQ + passK * passK;
+
+    return [
+        {
+            b0: (vh + vb * shelfK / shelfQ + shelfK * shelfK) / shelfA0,
+            b1: 2 * (shelfK * shelfK - vh) / shelfA0,
+            b2: (vh - vb * shelfK / shelfQ + shelfK * shelfK) / shelfA0,
+            a1: 2 * (shelfK * shelfK - 1) / shelfA0,
+            a2: (1 - shelfK / shelfQ + shelfK * shelfK) / shelfA0
+        },
+        {
+            b0: 1,
+            b1: -2,
+            b2: 1,
+            a1: 2 * (passK * passK - 1) / passA0,
+            a2: (1 - passK / passQ + passK * passK) / passA0
+        }
+    ];
+}
+
+/**
+ * Integrated loudness (ITU-R BS.1770 with absolute and relative gating)
+ * Samples shorter than one 400 ms block are measured as a single block.
+ * @param {Array<Float32Array>} channels - Channel data
+ * @param {number} sampleRate - Sample rate
+ * @returns {number} Loudness in LUFS (-Infinity for silence)
+ */
+export function measureLoudness(channels, sampleRate) {
+    const filters = getKWeightingFilters(sampleRate);
+    const weighted = channels.map(data => filters.reduce((signal, filter) => applyBiquad(signal, filter), data));
+    const length = weighted.length > 0 ? weighted[0].length : 0;
+    const blockSize = Math.min(length, Math.round(LOUDNESS_BLOCK_SEC * sampleRate));
+    const hop = Math.max(1, Math.round(LOUDNESS_HOP_SEC * sampleRate));
+    if (blockSize === 0) return -Infinity;
+
+    // Mean square of each block, summed over channels
+    const blockPowers = [];
+    for (let start = 0; start + blockSize <= length; start += hop) {
+        let power = 0;
+        weighted.forEach(data => {
+            let sum = 0;
+            for (let i = start; i < start + blockSize; i++) {
+                sum += data[i] * data[i];
+            }
+            power += sum / blockSize;
+        });
+        blockPowers.push(power);
+    }
+
+    const toLoudness = (power) => LOUDNESS_OFFSET + 10 * Math.log10(power);
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    const aboveAbsolute = blockPowers.filter(power => toLoudness(power) > ABSOLUTE_GATE_LUFS);
+    if (aboveAbsolute.length === 0) return -Infinity;
+    const relativeGate = toLoudness(mean(aboveAbsolute)) + RELATIVE_GATE_LU;
+    const gated = aboveAbsolute.filter(power => toLoudness(power) > relativeGate);
+    return toLoudness(mean(gated));
+}
+
+/**
+ * Scale all channels so their peak, RMS or loudness hits a target (in place)
+ * RMS and LUFS gains are limited so the peak never goes over full scale.
+ * @param {Array<Float32Array>} channels - Channel data
+ * @param {string} mode - One of NORMALIZE_MODES
+ * @param {number} targetDb - Target in dBFS (peak), dB (RMS) or LUFS
+ * @param {number} sampleRate - Sample rate (for LUFS)
+ * @returns {number} Gain applied (1 when off or silent)
+ */
+export function normalizeChannels(channels, mode, targetDb, sampleRate) {
+    const peak = measurePeak(channels);
+    if (mode === 'off' || peak === 0) return 1;
+
+    let gain;
+    switch (mode) {
+        case 'rms':
+            gain = dbToGain(targetDb) / measureRms(channels);
+            break;
+        case 'lufs': {
+            const loudness = measureLoudness(channels, sampleRate);
+            gain = Number.isFinite(loudness) ? dbToGain(targetDb - loudness) : 1;
+            break;
+        }
+        default:
+            gain = dbToGain(targetDb) / peak;
+    }
+    gain = Math.min(gain, 1 / peak);
+
+    channels.forEach(data => {
+        for (let i = 0; i < data.length; i++) {
+            data[i] *= gain;
+        }
+    });
+    return gain;
+}
+
+/**
+ * Linear fade in and out (in place)
+ * @param {Array<Float32Array>} channels - Channel data
+ * @param {number} fadeInSamples - Fade-in length
+ * @param {number} fadeOutSamples - Fade-out length
+ */
+export function applyFades(channels, fadeInSamples, fadeOutSamples) {
+    channels.forEach(data => {
+        const fadeIn = Math.min(data.length, Math.round(fadeInSamples));
+        const fadeOut = Math.min(data.length, Math.round(fadeOutSamples));
+        for (let i = 0; i < fadeIn; i++) {
+            data[i] *= i / fadeIn;
+        }
+        for (let i = 0; i < fadeOut; i++) {
+            data[data.length - 1 - i] *= i / fadeOut;
+        }
+    });
+}
+
+/**
+ * Run the preprocess pipeline
+ * Order: resample, mono, DC offset, trim, normalize, fades, so the trim and the
+ * normalization see the signal without its offset and the fades land on the final ends.
+ * @param {Array<Float32Array>} channels - Decoded channel data (not modified)
+ * @param {number} sampleRate - Sample rate of the data
+ * @param {Object} settings - Preprocess settings
+ * @param {number} targetSampleRate - Rate to resample to when settings.resample is on
+ * @returns {Object} { channels, sampleRate, gain }
+ */
+export function preprocessChannels(channels, sampleRate, settings, targetSampleRate = sampleRate) {
+    const options = normalizePreprocessSettings(settings);
+    let rate = sampleRate;
+    let result = channels.map(data => data.slice());
+
+    if (options.resample && targetSampleRate !== sampleRate) {
+        result = resampleChannels(result, sampleRate, targetSampleRate);
+        rate = targetSampleRate;
+    }
+    if (options.mono && result.length > 1) {
+        result = foldToMono(result);
+    }
+    if (options.removeDc) {
+        removeDcOffset(result);
+    }
+    if (options.trim) {
+        result = trimChannels(result, options.trimThresholdDb, Math.round((options.trimPreRollMs / 1000) * rate));
+    }
+    const gain = normalizeChannels(result, options.normalizeMode, options.normalizeTargetDb, rate);
+    applyFades(result, (options.fadeInMs / 1000) * rate, (options.fadeOutMs / 1000) * rate);
+
+    return { channels: result, sampleRate: rate, gain };
+}
+
+export default {
+    NORMALIZE_MODES,
+    DEFAULT_PREPROCESS_SETTINGS,
+    dbToGain,
+    normalizePreprocessSettings,
+    resampleChannels,
+    foldToMono,
+    removeDcOffset,
+    trimChannels,
+    measurePeak,
+    measureRms,
+    measureLoudness,
+    normalizeChannels,
+    applyFades,
+    preprocessChannels
+};
@@ -0,0 +1,246 @@
+/**
+ * Slice Markers
+ * Onset detection and the slices it cuts a slot's sample into. Markers are stored
+ * as fractions of the sample, like loop regions; slice n runs from marker n - 1
+ * (or the sample start) to marker n (or the sample end).
+ */
+
+import { fft } from './spectrogram.js';
+
+export const ONSET_FFT_SIZE = 1024;
+export const ONSET_HOP_SIZE = 256;
+export const MAX_SLICE_MARKERS = 63;
+export const MIN_SLICE_WIDTH = 0.002;
+export const DEFAULT_ONSET_SETTINGS = Object.freeze({
+    sensitivity: 50, // 0-100
+    minGapMs: 60
+});
+
+// Magnitudes are log-compressed so quiet hits after loud ones still register
+const FLUX_COMPRESSION = 100;
+// Frames on each side the adaptive threshold averages over
+const THRESHOLD_RADIUS = 8;
+// Threshold above the local mean at 100 % and 0 % sensitivity (flux scaled to 0-1)
+const MIN_THRESHOLD_OFFSET = 0.02;
+const MAX_THRESHOLD_OFFSET = 0.4;
+// A refined onset is the first sample reaching this share of the frame's peak
+const ONSET_RISE_RATIO = 0.5;
+
+/**
+ * Mix channels down to one
+ * @private
+ */
+function mixDown(channels) {
+    if (channels.length === 1) return channels[0];
+    const mono = new Float32Array(channels[0].length);
+    channels.forEach(data => {
+        for (let i = 0; i < mono.length; i++) {
+            mono[i] += data[i] / channels.length;
+        }
+    });
+    return mono;
+}
+
+/**
+ * Spectral flux per frame: the summed rise of the log-compressed magnitudes
+ * against the previous frame
+ * @param {Float32Array} mono - Sample data
+ * @param {number} [fftSize=ONSET_FFT_SIZE] - Frame length (power of two)
+ * @param {number} [hopSize=ONSET_HOP_SIZE] - Samples between frames
+ * @returns {Float32Array} Flux per frame (frame n starts at n * hopSize)
+ */
+export function computeSpectralFlux(mono, fftSize = ONSET_FFT_SIZE, hopSize = ONSET_HOP_SIZE) {
+    const frameCount = Math.max(0, Math.ceil(mono.length / hopSize));
+    const window = Float32Array.from({ length: fftSize }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (fftSize - 1)));
+    const re = new Float32Array(fftSize);
+    const im = new Float32Array(fftSize);
+    let previous = new Float32Array(fftSize / 2);
+    let current = new Float32Array(fftSize / 2);
+    const flux = new Float32Array(frameCount);
+
+    for (let frame = 0; frame < frameCount; frame++) {
+        const from = frame * hopSize;
+        for (let i = 0; i < fftSize; i++) {
+            const index = from + i;
+            re[i] = index < mono.length ? mono[index] * window[i] : 0;
+            im[i] = 0;
+        }
+        fft(re, im);
+
+        let sum = 0;
+        for (let bin = 0; bin < current.length; bin++) {
+            current[bin] = Math.log1p(FLUX_COMPRESSION * Math.hypot(re[bin], im[bin]));
+            sum += Math.max(0, current[bin] - previous[bin]);
+        }
+        flux[frame] = sum;
+        [previous, current] = [current, previous];
+    }
+    return flux;
+}
+
+/**
+ * Pick onset frames from a flux curve
+ * A frame is an onset when it is a local maximum above the local mean plus an
+ * offset set by the sensitivity, at least minGapFrames after the previous onset.
+ * @param {Float32Array} flux - Flux per frame
+ * @param {number} sensitivity - 0-100 (higher finds more onsets)
+ * @param {number} minGapFrames - Minimum frames between onsets
+ * @returns {Array<number>} Onset frames
+ */
+export function pickOnsets(flux, sensitivity, minGapFrames) {
+    const peak = flux.reduce((max, value) => Math.max(max, value), 0);
+    if (peak <= 0) return [];
+
+    const ratio = Math.max(0, Math.min(100, sensitivity)) / 100;
+    const offset = MAX_THRESHOLD_OFFSET - ratio * (MAX_THRESHOLD_OFFSET - MIN_THRESHOLD_OFFSET);
+    const onsets = [];
+    let lastOnset = -Infinity;
+
+    for (let i = 0; i < flux.length; i++) {
+        const value = flux[i] / peak;
+        if (i > 0 && flux[i] < flux[i - 1]) continue;
+        if (i < flux.length - 1 && flux[i] <= flux[i + 1]) continue;
+
+        const from = Math.max(0, i - THRESHOLD_RADIUS);
+        const to = Math.min(flux.length, i + THRESHOLD_RADIUS + 1);
+        let sum = 0;
+        for (let j = from; j < to; j++) {
+            sum += flux[j];
+        }
+        const threshold = sum / (to - from) / peak + offset;
+
+        if (value >= threshold && i - lastOnset >= minGapFrames) {
+            onsets.push(i);
+            lastOnset = i;
+        }
+    }
+    return onsets;
+}
+
+/**
+ * Find the transients of a sample
+ * Each onset frame is refined to the first sample inside it that rises to half the
+ * frame's peak, so slices start on the attack rather than on the frame grid.
+ * @param {Array<Float32Array>} channels - Channel data
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [settings=DEFAULT_ONSET_SETTINGS] - { sensitivity, minGapMs }
+ * @returns {Array<number>} Slice markers (fractions of the sample, sorted)
+ */
+export function detectOnsets(channels, sampleRate, settings = DEFAULT_ONSET_SETTINGS) {
+    const { sensitivity, minGapMs } = { ...DEFAULT_ONSET_SETTINGS, ...settings };
+    const mono = mixDown(channels);
+    if (mono.length === 0) return [];
+
+    const flux = computeSpectralFlux(mono);
+    const minGapFrames = Math.max(1, Math.round((minGapMs / 1000) * sampleRate / ONSET_HOP_SIZE));
+    const positions = pickOnsets(flux, sensitivity, minGapFrames).map(frame => {
+        const from = frame * ONSET_HOP_SIZE;
+        const to = Math.min(mono.length, from + ONSET_FFT_SIZE);
+        let peak = 0;
+        for (let i = from; i < to; i++) {
+            peak = Math.max(peak, Math.abs(mono[i]));
+        }
+        let onset = from;
+        while (onset < to - 1 && Math.abs(mono[onset]) < peak * ONSET_RISE_RATIO) {
+            onset++;
+        }
+        return onset / mono.length;
+    });
+    return normalizeSliceMarkers(positions);
+}
+
+/**
+ * Sort markers, drop those outside the sample or closer than MIN_SLICE_WIDTH to the
+ * sample edges or the previous marker, and keep at most MAX_SLICE_MARKERS
+ * @param {Array<number>|null} markers - Marker positions (0-1)
+ * @returns {Array<number>} Normalized markers
+ */
+export function normalizeSliceMarkers(markers) {
+    if (!Array.isArray(markers)) return [];
+    const sorted = markers.filter(Number.isFinite).sort((a, b) => a - b);
+    const result = [];
+    sorted.forEach(position => {
+        const previous = result.length > 0 ? result[result.length - 1] : 0;
+        if (position - previous >= MIN_SLICE_WIDTH && 1 - position >= MIN_SLICE_WIDTH && result.length < MAX_SLICE_MARKERS) {
+            result.push(position);
+        }
+    });
+    return result;
+}
+
+/**
+ * Number of slices the markers cut the sample into
+ * @param {Array<number>} markers - Normalized markers
+ * @returns {number} Slice count (0 without markers)
+ */
+export function getSliceCount(markers) {
+    return markers && markers.length > 0 ? markers.length + 1 : 0;
+}
+
+/**
+ * Region of a slice
+ * Slice numbers past the last slice wrap around, so a step mapping stays usable
+ * after markers are removed.
+ * @param {Array<number>} markers - Normalized markers
+ * @param {number} slice - Zero-based slice, negative for none
+ * @returns {Object|null} { start, end } or null when the step plays the loop region
+ */
+export function getSliceRegion(markers, slice) {
+    const count = getSliceCount(markers);
+    if (count === 0 || !Number.isInteger(slice) || slice < 0) return null;
+
+    const index = slice % count;
+    return {
+        start: index === 0 ? 0 : markers[index - 1],
+        end: index === count - 1 ? 1 : markers[index]
+    };
+}
+
+/**
+ * Find the marker under a position
+ * @param {number} position - Position (0-1)
+ * @param {Array<number>} markers - Normalized markers
+ * @param {number} tolerance - Grab distance as a fraction of the sample
+ * @returns {number} Marker index, or -1
+ */
+export function hitTestSliceMarker(position, markers, tolerance) {
+    let nearest = -1;
+    markers.forEach((marker, i) => {
+        const distance = Math.abs(position - marker);
+        if (distance <= tolerance && (nearest === -1 || distance < Math.abs(position - markers[nearest]))) {
+            nearest = i;
+        }
+    });
+    return nearest;
+}
+
+/**
+ * Markers after dragging one of them; it stops MIN_SLICE_WIDTH short of its neighbours
+ * @param {Array<number>} markers - Normalized markers
+ * @param {number} index - Dragged marker
+ * @param {number} position - Pointer position (0-1)
+ * @returns {Array<number>} New markers
+ */
+export function moveSliceMarker(markers, index, position) {
+    const min = (index === 0 ? 0 : markers[index - 1]) + MIN_SLICE_WIDTH;
+    const max = (index === markers.length - 1 ? 1 : markers[index + 1]) - MIN_SLICE_WIDTH;
+    const moved = [...markers];
+    moved[index] = Math.max(min, Math.min(max, position));
+    return moved;
+}
+
+export default {
+    ONSET_FFT_SIZE,
+    ONSET_HOP_SIZE,
+    MAX_SLICE_MARKERS,
+    MIN_SLICE_WIDTH,
+    DEFAULT_ONSET_SETTINGS,
+    computeSpectralFlux,
+    pickOnsets,
+    detectOnsets,
+    normalizeSliceMarkers,
+    getSliceCount,
+    getSliceRegion,
+    hitTestSliceMarker,
+    moveSliceMarker
+};
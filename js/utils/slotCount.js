@@ -0,0 +1,152 @@
+/**
+ * Slot Count
+ * Slot mode options for a slot count and migration of saved states made with
+ * another number of slots
+ */
+
+import { DEFAULT_PLAY_DIRECTION } from './playDirections.js';
+import { FULL_REGION } from './loopRegion.js';
+import { DEFAULT_PREPROCESS_SETTINGS } from './samplePreprocess.js';
+
+export const MIN_SLOTS = 2;
+export const MAX_SLOTS = 16;
+
+/**
+ * Clamp a slot count to the supported range
+ * @param {number} count - Requested slot count
+ * @returns {number} Slot count (MIN_SLOTS-MAX_SLOTS)
+ */
+export function clampSlotCount(count) {
+    const parsed = parseInt(count);
+    return Number.isFinite(parsed) ? Math.max(MIN_SLOTS, Math.min(MAX_SLOTS, parsed)) : MIN_SLOTS;
+}
+
+/**
+ * Slot mode select options: one fixed mode per slot, then All and Random
+ * @param {number} slotCount - Number of slots
+ * @returns {Array<string>} Option labels (the option value is the index)
+ */
+export function buildSlotModeOptions(slotCount) {
+    return [
+        ...Array.from({ length: slotCount }, (_, s) => `Fixed (Slot ${s + 1})`),
+        'All',
+        'Random'
+    ];
+}
+
+/**
+ * Move a slot mode to another slot count
+ * All and Random keep their meaning; a fixed slot that no longer exists becomes All.
+ * @param {number|string|null} mode - Slot mode index
+ * @param {number} fromCount - Slot count the mode was chosen with
+ * @param {number} toCount - New slot count
+ * @returns {number|null} Slot mode index (null stays null)
+ */
+export function migrateSlotMode(mode, fromCount, toCount) {
+    const index = parseInt(mode);
+    if (!Number.isFinite(index)) return null;
+    if (index === fromCount + 1) return toCount + 1;
+    if (index < fromCount && index < toCount) return index;
+    return toCount;
+}
+
+/**
+ * Truncate or pad a per-slot array
+ * @param {Array|null} values - Per-slot values
+ * @param {number} slotCount - New slot count
+ * @param {Function} createDefault - (slot) => value for added slots
+ * @returns {Array} Per-slot values
+ */
+export function resizeSlotArray(values, slotCount, createDefault) {
+    const source = Array.isArray(values) ? values : [];
+    return Array.from({ length: slotCount }, (_, s) => s < source.length ? source[s] : createDefault(s));
+}
+
+/**
+ * Resize the per-slot rows of a pattern snapshot (added slots get a new, all-on row)
+ * @param {Object|null} snapshot - { patterns, patternLengths, playDirections, meter, parameterLocks, stepTrigs }
+ * @param {number} slotCount - New slot count
+ * @param {Object} config - Player config (SEQUENCER_STEPS, MAX_PATTERN_LENGTH)
+ * @returns {Object|null} Resized snapshot
+ */
+export function migrateSnapshot(snapshot, slotCount, config) {
+    if (!snapshot) return snapshot;
+    const emptyRow = () => Array(config.MAX_PATTERN_LENGTH).fill(null);
+    return {
+        ...snapshot,
+        patterns: resizeSlotArray(snapshot.patterns, slotCount, () => Array(config.MAX_PATTERN_LENGTH).fill(true)),
+        patternLengths: resizeSlotArray(snapshot.patternLengths, slotCount, () => config.SEQUENCER_STEPS),
+        playDirections: resizeSlotArray(snapshot.playDirections, slotCount, () => DEFAULT_PLAY_DIRECTION),
+        parameterLocks: resizeSlotArray(snapshot.parameterLocks, slotCount, emptyRow),
+        stepTrigs: resizeSlotArray(snapshot.stepTrigs, slotCount, emptyRow)
+    };
+}
+
+/**
+ * Move a player control state to another slot count
+ * States without slotCount count their perSlotControls. Removed slots are dropped,
+ * added slots start from the control defaults with an all-on row.
+ * @param {Object} state - Control state
+ * @param {number} slotCount - New slot count
+ * @param {Object} config - Player config (PER_SLOT_CONTROL_SPECS, SEQUENCER_STEPS, MAX_PATTERN_LENGTH)
+ * @returns {Object} Control state with slotCount set
+ */
+export function migrateControlState(state, slotCount, config) {
+    const fromCount = state.slotCount || (state.perSlotControls || []).length || slotCount;
+    if (fromCount === slotCount) return { ...state, slotCount };
+
+    const defaultControls = () => Object.fromEntries(config.PER_SLOT_CONTROL_SPECS.map(spec => [spec.id, spec.value]));
+    const grid = migrateSnapshot({
+        patterns: state.sequencerPatterns,
+        patternLengths: state.patternLengths,
+        playDirections: state.playDirections,
+        parameterLocks: state.parameterLocks,
+        stepTrigs: state.stepTrigs
+    }, slotCount, config);
+    const knobLockStates = state.knobLockStates ? Object.fromEntries(
+        Object.entries(state.knobLockStates).filter(([elementId]) => {
+            const match = /-slot(\d+)$/.exec(elementId);
+            return !match || parseInt(match[1]) < slotCount;
+        })
+    ) : state.knobLockStates;
+
+    return {
+        ...state,
+        slotCount,
+        globalControls: {
+            ...state.globalControls,
+            slotMode: String(migrateSlotMode(state.globalControls.slotMode, fromCount, slotCount))
+        },
+        perSlotControls: resizeSlotArray(state.perSlotControls, slotCount, defaultControls),
+        sequencerPatterns: grid.patterns,
+        patternLengths: grid.patternLengths,
+        playDirections: grid.playDirections,
+        parameterLocks: grid.parameterLocks,
+        stepTrigs: grid.stepTrigs,
+        loopRegions: state.loopRegions ? resizeSlotArray(state.loopRegions, slotCount, () => ({ ...FULL_REGION })) : state.loopRegions,
+        sliceMarkers: state.sliceMarkers ? resizeSlotArray(state.sliceMarkers, slotCount, () => []) : state.sliceMarkers,
+        preprocessSettings: state.preprocessSettings
+            ? resizeSlotArray(state.preprocessSettings, slotCount, () => ({ ...DEFAULT_PREPROCESS_SETTINGS }))
+            : state.preprocessSettings,
+        automatonRules: state.automatonRules ? resizeSlotArray(state.automatonRules, slotCount, () => null) : state.automatonRules,
+        patternBank: state.patternBank ? state.patternBank.map(snapshot => migrateSnapshot(snapshot, slotCount, config)) : state.patternBank,
+        song: state.song ? {
+            ...state.song,
+            rows: state.song.rows.map(row => ({ ...row, slotMode: migrateSlotMode(row.slotMode, fromCount, slotCount) }))
+        } : state.song,
+        slotSoloStatus: resizeSlotArray(state.slotSoloStatus, slotCount, () => false),
+        slotMuteStatus: resizeSlotArray(state.slotMuteStatus, slotCount, () => false),
+        knobLockStates
+    };
+}
+
+export default {
+    MIN_SLOTS,
+    MAX_SLOTS,
+    clampSlotCount,
+    buildSlotModeOptions,
+    migrateSlotMode,
+    resizeSlotArray,
+    migrateSnapshot,
+    migrateControlState
+};
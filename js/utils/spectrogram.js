@@ -0,0 +1,115 @@
+/**
+ * Spectrogram
+ * Short-time magnitude spectra of a sample range, one frame per pixel column,
+ * and the color ramp they are drawn with
+ */
+
+export const SPECTROGRAM_FFT_SIZE = 512;
+const MIN_DB = -90;
+
+/**
+ * In-place radix-2 FFT
+ * @param {Float32Array} re - Real part (length is a power of two)
+ * @param {Float32Array} im - Imaginary part
+ */
+export function fft(re, im) {
+    const n = re.length;
+
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = -2 * Math.PI / size;
+        const half = size >> 1;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < half; k++) {
+                const cos = Math.cos(angle * k);
+                const sin = Math.sin(angle * k);
+                const a = start + k;
+                const b = a + half;
+                const tRe = re[b] * cos - im[b] * sin;
+                const tIm = re[b] * sin + im[b] * cos;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+            }
+        }
+    }
+}
+
+/**
+ * Magnitude spectra of a sample range
+ * Each column is a Hann-windowed frame centered on the column (channels are mixed
+ * down), so frames overlap when zoomed in and skip samples when zoomed out.
+ * @param {Array<Float32Array>} channels - Channel data
+ * @param {number} startSample - First sample of the range
+ * @param {number} endSample - Sample after the range
+ * @param {number} columns - Number of frames
+ * @param {number} [fftSize=SPECTROGRAM_FFT_SIZE] - Frame length (power of two)
+ * @returns {Array<Float32Array>} Per column, fftSize / 2 levels from 0 (MIN_DB or less) to 1 (full scale)
+ */
+export function computeSpectrogram(channels, startSample, endSample, columns, fftSize = SPECTROGRAM_FFT_SIZE) {
+    const length = channels.length > 0 ? channels[0].length : 0;
+    const samplesPerColumn = (endSample - startSample) / columns;
+    const window = Float32Array.from({ length: fftSize }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (fftSize - 1)));
+    // A full-scale sine peaks at fftSize / 4 with a Hann window
+    const fullScale = fftSize / 4;
+    const re = new Float32Array(fftSize);
+    const im = new Float32Array(fftSize);
+
+    return Array.from({ length: columns }, (_, c) => {
+        const center = Math.floor(startSample + (c + 0.5) * samplesPerColumn);
+        const from = center - fftSize / 2;
+        for (let i = 0; i < fftSize; i++) {
+            const index = from + i;
+            let sum = 0;
+            if (index >= 0 && index < length) {
+                channels.forEach(data => {
+                    sum += data[index];
+                });
+            }
+            re[i] = (sum / Math.max(1, channels.length)) * window[i];
+            im[i] = 0;
+        }
+        fft(re, im);
+
+        const levels = new Float32Array(fftSize / 2);
+        for (let bin = 0; bin < levels.length; bin++) {
+            const magnitude = Math.hypot(re[bin], im[bin]) / fullScale;
+            const db = 20 * Math.log10(magnitude + 1e-12);
+            levels[bin] = Math.max(0, Math.min(1, (db - MIN_DB) / -MIN_DB));
+        }
+        return levels;
+    });
+}
+
+/**
+ * Color of a spectrogram level: black, blue, green, yellow, white
+ * @param {number} level - Level (0-1)
+ * @returns {Array<number>} [r, g, b] (0-255)
+ */
+export function getSpectrogramColor(level) {
+    const stops = [[0, 0, 0], [0, 0, 160], [0, 200, 60], [255, 230, 0], [255, 255, 255]];
+    const scaled = Math.max(0, Math.min(1, level)) * (stops.length - 1);
+    const index = Math.min(stops.length - 2, Math.floor(scaled));
+    const t = scaled - index;
+    return stops[index].map((from, i) => Math.round(from + (stops[index + 1][i] - from) * t));
+}
+
+export default {
+    SPECTROGRAM_FFT_SIZE,
+    fft,
+    computeSpectrogram,
+    getSpectrogramColor
+};
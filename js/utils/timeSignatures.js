@@ -0,0 +1,150 @@
+/**
+ * Time Signatures
+ * Step resolution and bar length of a pattern, and the bar / beat grid they imply.
+ * Lengths are measured in quarter notes, so the tempo (BPM) always counts quarters.
+ */
+
+export const STEP_RESOLUTIONS = [
+    { id: '1/8', label: '1/8', quarters: 1 / 2 },
+    { id: '1/8T', label: '1/8T', quarters: 1 / 3 },
+    { id: '1/8D', label: '1/8.', quarters: 3 / 4 },
+    { id: '1/16', label: '1/16', quarters: 1 / 4 },
+    { id: '1/16T', label: '1/16T', quarters: 1 / 6 },
+    { id: '1/16D', label: '1/16.', quarters: 3 / 8 },
+    { id: '1/32', label: '1/32', quarters: 1 / 8 },
+    { id: '1/32T', label: '1/32T', quarters: 1 / 12 }
+];
+
+export const TIME_SIGNATURES = ['2/4', '3/4', '4/4', '5/4', '6/8', '7/8', '9/8', '12/8'];
+
+export const DEFAULT_METER = Object.freeze({
+    timeSignature: '4/4',
+    resolution: '1/16'
+});
+
+/**
+ * Parse a time signature
+ * Compound meters (6/8, 9/8, 12/8) count dotted-quarter beats, everything else
+ * counts one beat per denominator note.
+ * @param {string} signature - Time signature ("7/8")
+ * @returns {Object} { beats, unit, barQuarters, beatQuarters }
+ */
+export function parseTimeSignature(signature) {
+    const match = /^(\d+)\/(\d+)$/.exec(signature || '');
+    const beats = match ? parseInt(match[1]) : 4;
+    const unit = match ? parseInt(match[2]) : 4;
+    const isCompound = unit === 8 && beats > 3 && beats % 3 === 0;
+
+    return {
+        beats: isCompound ? beats / 3 : beats,
+        unit,
+        barQuarters: beats * (4 / unit),
+        beatQuarters: isCompound ? 1.5 : 4 / unit
+    };
+}
+
+/**
+ * Clamp a meter to known signatures and resolutions
+ * @param {Object|null} meter - { timeSignature, resolution }
+ * @returns {Object} Normalized meter
+ */
+export function normalizeMeter(meter) {
+    const { timeSignature, resolution } = { ...DEFAULT_METER, ...meter };
+    return {
+        timeSignature: TIME_SIGNATURES.includes(timeSignature) ? timeSignature : DEFAULT_METER.timeSignature,
+        resolution: STEP_RESOLUTIONS.some(r => r.id === resolution) ? resolution : DEFAULT_METER.resolution
+    };
+}
+
+/**
+ * Length of one step in quarter notes
+ * @param {string} resolution - Resolution id
+ * @returns {number} Quarter notes per step
+ */
+export function getStepQuarters(resolution) {
+    const found = STEP_RESOLUTIONS.find(r => r.id === resolution);
+    return found ? found.quarters : 1 / 4;
+}
+
+/**
+ * Length of one step in seconds
+ * @param {number} tempoBpm - Tempo in quarter notes per minute
+ * @param {string} resolution - Resolution id
+ * @returns {number} Step duration in seconds
+ */
+export function getStepDuration(tempoBpm, resolution) {
+    return (60 / tempoBpm) * getStepQuarters(resolution);
+}
+
+/**
+ * Steps in one bar
+ * Resolutions that do not divide the bar (dotted steps in 4/4) round to whole steps.
+ * @param {Object} meter - { timeSignature, resolution }
+ * @returns {number} Steps per bar
+ */
+export function getStepsPerBar(meter) {
+    const { barQuarters } = parseTimeSignature(meter.timeSignature);
+    return Math.max(1, Math.round(barQuarters / getStepQuarters(meter.resolution)));
+}
+
+/**
+ * Beat of a step inside its bar (zero-based)
+ * @private
+ */
+function getBeatIndex(stepInBar, stepQuarters, beatQuarters) {
+    // The small epsilon keeps triplet steps that land on a beat from rounding below it
+    return Math.floor((stepInBar * stepQuarters) / beatQuarters + 1e-9);
+}
+
+/**
+ * Mark the steps of a row that start a bar or a beat
+ * @param {number} length - Row length
+ * @param {Object} meter - { timeSignature, resolution }
+ * @returns {Array<string|null>} 'bar', 'beat' or null per step
+ */
+export function getStepGridMarks(length, meter) {
+    const stepsPerBar = getStepsPerBar(meter);
+    const stepQuarters = getStepQuarters(meter.resolution);
+    const { beatQuarters } = parseTimeSignature(meter.timeSignature);
+
+    return Array.from({ length }, (_, step) => {
+        const stepInBar = step % stepsPerBar;
+        if (stepInBar === 0) return 'bar';
+        return getBeatIndex(stepInBar, stepQuarters, beatQuarters) > getBeatIndex(stepInBar - 1, stepQuarters, beatQuarters)
+            ? 'beat'
+            : null;
+    });
+}
+
+/**
+ * Format a transport position as bars:beats:steps (all one-based)
+ * @param {number} bar - Zero-based bar count
+ * @param {number} stepInBar - Zero-based step inside the bar
+ * @param {Object} meter - { timeSignature, resolution }
+ * @returns {string} Position ("3:2:1")
+ */
+export function formatTransportPosition(bar, stepInBar, meter) {
+    const stepQuarters = getStepQuarters(meter.resolution);
+    const { beatQuarters } = parseTimeSignature(meter.timeSignature);
+    const beat = getBeatIndex(stepInBar, stepQuarters, beatQuarters);
+
+    // Count steps from the first step that starts inside this beat
+    let beatStart = stepInBar;
+    while (beatStart > 0 && getBeatIndex(beatStart - 1, stepQuarters, beatQuarters) === beat) {
+        beatStart--;
+    }
+    return `${bar + 1}:${beat + 1}:${stepInBar - beatStart + 1}`;
+}
+
+export default {
+    STEP_RESOLUTIONS,
+    TIME_SIGNATURES,
+    DEFAULT_METER,
+    parseTimeSignature,
+    normalizeMeter,
+    getStepQuarters,
+    getStepDuration,
+    getStepsPerBar,
+    getStepGridMarks,
+    formatTransportPosition
+};
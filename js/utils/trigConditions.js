@@ -0,0 +1,136 @@
+/**
+ * Trig Conditions
+ * Per-step probability, velocity, loop conditions and ratchets for the sequencer
+ */
+
+export const DEFAULT_TRIG = Object.freeze({
+    probability: 100,
+    velocity: 100,
+    condition: 'none',
+    ratchet: 1,
+    ratchetVolume: 'none',
+    ratchetPitch: 0,
+    slice: -1 // slice of the slot's sample the step plays, -1 = S.Pos over the loop region
+});
+
+// Retriggers per step (1 = no ratchet)
+export const RATCHET_COUNTS = [1, 2, 3, 4, 6, 8];
+
+// Volume ramp across the ratchet sub-bursts
+export const RATCHET_RAMPS = [
+    { id: 'none', label: '---' },
+    { id: 'up', label: 'UP' },
+    { id: 'down', label: 'DOWN' }
+];
+
+// Pitch ramp range in semitones (reached on the last sub-burst)
+export const MAX_RATCHET_PITCH = 12;
+
+/**
+ * Available conditions
+ * "A:B" plays on the A-th pass of every B loops, "1st" only on the first loop,
+ * "pre" when the previous conditional trig of the same slot played.
+ */
+export const TRIG_CONDITIONS = [
+    { id: 'none', label: '---' },
+    { id: '1:2', label: '1:2' },
+    { id: '2:2', label: '2:2' },
+    { id: '1:3', label: '1:3' },
+    { id: '2:3', label: '2:3' },
+    { id: '3:3', label: '3:3' },
+    { id: '1:4', label: '1:4' },
+    { id: '2:4', label: '2:4' },
+    { id: '3:4', label: '3:4' },
+    { id: '4:4', label: '4:4' },
+    { id: '1:8', label: '1:8' },
+    { id: '1st', label: '1ST' },
+    { id: '!1st', label: 'NOT 1ST' },
+    { id: 'pre', label: 'PRE' },
+    { id: '!pre', label: 'NOT PRE' }
+];
+
+const RATIO_PATTERN = /^(\d+):(\d+)$/;
+
+/**
+ * Check whether a trig differs from the default
+ * @param {Object|null} trig - Partial trig settings
+ * @returns {boolean}
+ */
+export function isDefaultTrig(trig) {
+    if (!trig) return true;
+    return Object.keys(DEFAULT_TRIG).every(key => trig[key] === undefined || trig[key] === DEFAULT_TRIG[key]);
+}
+
+/**
+ * Evaluate a loop condition
+ * @param {string} condition - Condition id
+ * @param {number} loopIndex - Zero-based count of completed pattern loops
+ * @param {boolean} previous - Result of the slot's previous conditional trig
+ * @returns {boolean} Whether the condition passes
+ */
+export function evaluateCondition(condition, loopIndex, previous) {
+    const ratio = RATIO_PATTERN.exec(condition || '');
+    if (ratio) {
+        const a = parseInt(ratio[1]);
+        const b = parseInt(ratio[2]);
+        return b > 0 && (loopIndex % b) === a - 1;
+    }
+
+    switch (condition) {
+        case '1st': return loopIndex === 0;
+        case '!1st': return loopIndex !== 0;
+        case 'pre': return previous;
+        case '!pre': return !previous;
+        default: return true;
+    }
+}
+
+/**
+ * TrigState
+ * Tracks the "previous" result per slot while a pattern plays
+ */
+export class TrigState {
+    constructor(slotCount) {
+        this.previous = Array(slotCount).fill(false);
+    }
+
+    /**
+     * Forget previous results (call when playback starts)
+     */
+    reset() {
+        this.previous.fill(false);
+    }
+
+    /**
+     * Decide whether an active step fires
+     * @param {number} slot - Slot index
+     * @param {Object} trig - Full trig settings
+     * @param {number} loopIndex - Zero-based count of completed pattern loops
+     * @param {Function} random - Random source returning [0, 1)
+     * @returns {boolean} Whether the step plays
+     */
+    shouldTrigger(slot, trig, loopIndex, random) {
+        const conditionPasses = evaluateCondition(trig.condition, loopIndex, this.previous[slot]);
+        const isConditional = trig.probability < 100 || !['none', 'pre', '!pre'].includes(trig.condition);
+
+        // Only draw when needed so plain steps do not consume the random stream
+        const result = conditionPasses && (trig.probability >= 100 || random() * 100 < trig.probability);
+
+        // PRE / NOT PRE read the previous result but do not replace it
+        if (isConditional) {
+            this.previous[slot] = result;
+        }
+        return result;
+    }
+}
+
+export default {
+    DEFAULT_TRIG,
+    TRIG_CONDITIONS,
+    RATCHET_COUNTS,
+    RATCHET_RAMPS,
+    MAX_RATCHET_PITCH,
+    isDefaultTrig,
+    evaluateCondition,
+    TrigState
+};
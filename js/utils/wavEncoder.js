@@ -0,0 +1,134 @@
+/**
+ * WAV Encoder
+ * Encodes rendered audio into uncompressed PCM WAV files
+ */
+
+// Constants
+const SUPPORTED_BIT_DEPTHS = [16, 24, 32];
+const WAV_HEADER_SIZE = 44;
+const WAVE_FORMAT_PCM = 1;
+
+/**
+ * Encode audio data as a PCM WAV file
+ * @param {AudioBuffer|Object} audio - AudioBuffer, or { channels: Float32Array[], sampleRate }
+ * @param {Object} options - Encoding options
+ * @param {number} [options.bitDepth=16] - 16, 24 or 32 bit integer PCM
+ * @returns {ArrayBuffer} WAV file contents
+ */
+export function encodeWav(audio, { bitDepth = 16 } = {}) {
+    if (!SUPPORTED_BIT_DEPTHS.includes(bitDepth)) {
+        throw new Error(`Unsupported bit depth: ${bitDepth} (expected ${SUPPORTED_BIT_DEPTHS.join('/')})`);
+    }
+
+    const channels = getChannels(audio);
+    if (channels.length === 0) {
+        throw new Error('No audio channels to encode');
+    }
+
+    const sampleRate = audio.sampleRate;
+    const numChannels = channels.length;
+    const numFrames = channels[0].length;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = numChannels * bytesPerSample;
+    const dataSize = numFrames * blockAlign;
+
+    const arrayBuffer = new ArrayBuffer(WAV_HEADER_SIZE + dataSize);
+    const view = new DataView(arrayBuffer);
+
+    // RIFF header
+    writeString(view, 0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(view, 8, 'WAVE');
+
+    // fmt chunk
+    writeString(view, 12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, WAVE_FORMAT_PCM, true);
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+
+    // data chunk (interleaved)
+    writeString(view, 36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    let offset = WAV_HEADER_SIZE;
+    for (let i = 0; i < numFrames; i++) {
+        for (let ch = 0; ch < numChannels; ch++) {
+            const sample = Math.max(-1, Math.min(1, channels[ch][i] || 0));
+            writeSample(view, offset, sample, bitDepth);
+            offset += bytesPerSample;
+        }
+    }
+
+    return arrayBuffer;
+}
+
+/**
+ * Get channel data arrays from an AudioBuffer or plain object
+ * @private
+ */
+function getChannels(audio) {
+    if (audio && typeof audio.getChannelData === 'function') {
+        return Array.from({ length: audio.numberOfChannels }, (_, ch) => audio.getChannelData(ch));
+    }
+    return (audio && audio.channels) || [];
+}
+
+/**
+ * Write an ASCII string
+ * @private
+ */
+function writeString(view, offset, text) {
+    for (let i = 0; i < text.length; i++) {
+        view.setUint8(offset + i, text.charCodeAt(i));
+    }
+}
+
+/**
+ * Write one clamped sample as signed little-endian integer PCM
+ * @private
+ */
+function writeSample(view, offset, sample, bitDepth) {
+    switch (bitDepth) {
+        case 16:
+            view.setInt16(offset, Math.round(sample < 0 ? sample * 0x8000 : sample * 0x7FFF), true);
+            break;
+
+        case 24: {
+            const value = Math.round(sample < 0 ? sample * 0x800000 : sample * 0x7FFFFF);
+            view.setUint8(offset, value & 0xFF);
+            view.setUint8(offset + 1, (value >> 8) & 0xFF);
+            view.setUint8(offset + 2, (value >> 16) & 0xFF);
+            break;
+        }
+
+        case 32:
+            view.setInt32(offset, Math.round(sample < 0 ? sample * 0x80000000 : sample * 0x7FFFFFFF), true);
+            break;
+    }
+}
+
+/**
+ * Trigger a browser download for a Blob
+ * @param {Blob} blob - Data to download
+ * @param {string} filename - Suggested file name
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export default {
+    encodeWav,
+    downloadBlob
+};
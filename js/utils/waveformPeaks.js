@@ -0,0 +1,145 @@
+/**
+ * Waveform Peaks
+ * Multi-resolution min / max / RMS summaries of an audio buffer (a peak pyramid),
+ * so a waveform can be drawn at any zoom without touching every sample.
+ * All channels are folded into one envelope.
+ */
+
+export const PEAK_BLOCK_SIZE = 256;
+
+/**
+ * Create an empty pyramid level
+ * @private
+ */
+function createLevel(blockCount, blockSize) {
+    return {
+        blockSize,
+        min: new Float32Array(blockCount),
+        max: new Float32Array(blockCount),
+        rms: new Float32Array(blockCount)
+    };
+}
+
+/**
+ * Halve the resolution of a level (each block covers two blocks of the level below)
+ * @private
+ */
+function downsampleLevel(level) {
+    const count = Math.ceil(level.min.length / 2);
+    const next = createLevel(count, level.blockSize * 2);
+    for (let b = 0; b < count; b++) {
+        const a = b * 2;
+        const hasPair = a + 1 < level.min.length;
+        next.min[b] = hasPair ? Math.min(level.min[a], level.min[a + 1]) : level.min[a];
+        next.max[b] = hasPair ? Math.max(level.max[a], level.max[a + 1]) : level.max[a];
+        next.rms[b] = hasPair
+            ? Math.sqrt((level.rms[a] * level.rms[a] + level.rms[a + 1] * level.rms[a + 1]) / 2)
+            : level.rms[a];
+    }
+    return next;
+}
+
+/**
+ * Build the peak pyramid of a buffer
+ * Level 0 summarizes blockSize samples per block; every further level halves that
+ * until a single block covers the whole buffer.
+ * @param {Array<Float32Array>} channels - Channel data
+ * @param {number} [blockSize=PEAK_BLOCK_SIZE] - Samples per level-0 block
+ * @returns {Object} { length, levels: [{ blockSize, min, max, rms }] }
+ */
+export function buildPeakPyramid(channels, blockSize = PEAK_BLOCK_SIZE) {
+    const length = channels.length > 0 ? channels[0].length : 0;
+    const base = createLevel(Math.ceil(length / blockSize), blockSize);
+
+    for (let b = 0; b < base.min.length; b++) {
+        const from = b * blockSize;
+        const to = Math.min(length, from + blockSize);
+        let min = Infinity;
+        let max = -Infinity;
+        let sumSquares = 0;
+        channels.forEach(data => {
+            for (let i = from; i < to; i++) {
+                const value = data[i];
+                if (value < min) min = value;
+                if (value > max) max = value;
+                sumSquares += value * value;
+            }
+        });
+        base.min[b] = min;
+        base.max[b] = max;
+        base.rms[b] = Math.sqrt(sumSquares / ((to - from) * channels.length));
+    }
+
+    const levels = [base];
+    while (levels[levels.length - 1].min.length > 1) {
+        levels.push(downsampleLevel(levels[levels.length - 1]));
+    }
+    return { length, levels };
+}
+
+/**
+ * Min / max / RMS per pixel column for a sample range
+ * Uses the coarsest pyramid level that still has a block per column and falls back
+ * to the samples when zoomed in closer than one block per column.
+ * @param {Object} pyramid - From buildPeakPyramid
+ * @param {Array<Float32Array>} channels - Channel data the pyramid was built from
+ * @param {number} startSample - First sample of the range
+ * @param {number} endSample - Sample after the range
+ * @param {number} columns - Number of columns
+ * @returns {Object} { min, max, rms } Float32Array per column
+ */
+export function getPeakColumns(pyramid, channels, startSample, endSample, columns) {
+    const result = {
+        min: new Float32Array(columns),
+        max: new Float32Array(columns),
+        rms: new Float32Array(columns)
+    };
+    const samplesPerColumn = (endSample - startSample) / columns;
+
+    // Coarsest level whose blocks still fit in a column
+    let level = null;
+    for (const candidate of pyramid.levels) {
+        if (candidate.blockSize > samplesPerColumn) break;
+        level = candidate;
+    }
+
+    for (let c = 0; c < columns; c++) {
+        const from = Math.floor(startSample + c * samplesPerColumn);
+        const to = Math.max(from + 1, Math.floor(startSample + (c + 1) * samplesPerColumn));
+        let min = Infinity;
+        let max = -Infinity;
+        let sumSquares = 0;
+        let count = 0;
+
+        if (level) {
+            const lastBlock = Math.min(level.min.length, Math.ceil(to / level.blockSize));
+            for (let b = Math.floor(from / level.blockSize); b < lastBlock; b++) {
+                if (level.min[b] < min) min = level.min[b];
+                if (level.max[b] > max) max = level.max[b];
+                sumSquares += level.rms[b] * level.rms[b];
+                count++;
+            }
+        } else {
+            channels.forEach(data => {
+                for (let i = from; i < Math.min(to, data.length); i++) {
+                    if (data[i] < min) min = data[i];
+                    if (data[i] > max) max = data[i];
+                    sumSquares += data[i] * data[i];
+                    count++;
+                }
+            });
+        }
+
+        // Columns past the end of the buffer stay silent
+        result.min[c] = count > 0 ? min : 0;
+        result.max[c] = count > 0 ? max : 0;
+        result.rms[c] = count > 0 ? Math.sqrt(sumSquares / count) : 0;
+    }
+    return result;
+}
+
+export default {
+    PEAK_BLOCK_SIZE,
+    buildPeakPyramid,
+    getPeakColumns
+};
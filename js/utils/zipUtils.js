@@ -0,0 +1,136 @@
+/**
+ * ZIP Utilities
+ * Minimal ZIP writer (stored, no compression) for bundling exported files
+ */
+
+// Constants
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034B50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014B50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054B50;
+const LOCAL_FILE_HEADER_SIZE = 30;
+const CENTRAL_DIRECTORY_HEADER_SIZE = 46;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const ZIP_VERSION = 20;
+const UTF8_FILENAME_FLAG = 0x0800;
+
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 checksum used by ZIP
+ * @param {Uint8Array} data - Bytes to checksum
+ * @returns {number} Unsigned 32-bit CRC
+ */
+export function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+        crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Convert a Date into MS-DOS time and date fields
+ * @private
+ */
+function toDosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+/**
+ * Normalize entry data to bytes
+ * @private
+ */
+function toBytes(data) {
+    if (typeof data === 'string') return new TextEncoder().encode(data);
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+}
+
+/**
+ * Build a ZIP archive from a list of files
+ * @param {Array<{name: string, data: ArrayBuffer|Uint8Array|string}>} files - Entries to store
+ * @param {Date} [date=new Date()] - Modification time written for every entry
+ * @returns {Uint8Array} ZIP file contents
+ */
+export function createZip(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, day } = toDosDateTime(date);
+
+    const entries = files.map(file => {
+        const nameBytes = encoder.encode(file.name);
+        const dataBytes = toBytes(file.data);
+        return { nameBytes, dataBytes, crc: crc32(dataBytes), offset: 0 };
+    });
+
+    const dataSize = entries.reduce((sum, e) => sum + LOCAL_FILE_HEADER_SIZE + e.nameBytes.length + e.dataBytes.length, 0);
+    const directorySize = entries.reduce((sum, e) => sum + CENTRAL_DIRECTORY_HEADER_SIZE + e.nameBytes.length, 0);
+    const output = new Uint8Array(dataSize + directorySize + END_OF_CENTRAL_DIRECTORY_SIZE);
+    const view = new DataView(output.buffer);
+
+    // Local file headers followed by the stored data
+    let offset = 0;
+    entries.forEach(entry => {
+        entry.offset = offset;
+        view.setUint32(offset, LOCAL_FILE_HEADER_SIGNATURE, true);
+        view.setUint16(offset + 4, ZIP_VERSION, true);
+        view.setUint16(offset + 6, UTF8_FILENAME_FLAG, true);
+        view.setUint16(offset + 8, 0, true); // Stored
+        view.setUint16(offset + 10, time, true);
+        view.setUint16(offset + 12, day, true);
+        view.setUint32(offset + 14, entry.crc, true);
+        view.setUint32(offset + 18, entry.dataBytes.length, true);
+        view.setUint32(offset + 22, entry.dataBytes.length, true);
+        view.setUint16(offset + 26, entry.nameBytes.length, true);
+        view.setUint16(offset + 28, 0, true);
+        output.set(entry.nameBytes, offset + LOCAL_FILE_HEADER_SIZE);
+        output.set(entry.dataBytes, offset + LOCAL_FILE_HEADER_SIZE + entry.nameBytes.length);
+        offset += LOCAL_FILE_HEADER_SIZE + entry.nameBytes.length + entry.dataBytes.length;
+    });
+
+    // Central directory
+    const directoryOffset = offset;
+    entries.forEach(entry => {
+        view.setUint32(offset, CENTRAL_DIRECTORY_SIGNATURE, true);
+        view.setUint16(offset + 4, ZIP_VERSION, true);
+        view.setUint16(offset + 6, ZIP_VERSION, true);
+        view.setUint16(offset + 8, UTF8_FILENAME_FLAG, true);
+        view.setUint16(offset + 10, 0, true);
+        view.setUint16(offset + 12, time, true);
+        view.setUint16(offset + 14, day, true);
+        view.setUint32(offset + 16, entry.crc, true);
+        view.setUint32(offset + 20, entry.dataBytes.length, true);
+        view.setUint32(offset + 24, entry.dataBytes.length, true);
+        view.setUint16(offset + 28, entry.nameBytes.length, true);
+        // Extra field, comment, disk number, attributes: all zero
+        view.setUint32(offset + 42, entry.offset, true);
+        output.set(entry.nameBytes, offset + CENTRAL_DIRECTORY_HEADER_SIZE);
+        offset += CENTRAL_DIRECTORY_HEADER_SIZE + entry.nameBytes.length;
+    });
+
+    // End of central directory record
+    view.setUint32(offset, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, offset - directoryOffset, true);
+    view.setUint32(offset + 16, directoryOffset, true);
+
+    return output;
+}
+
+export default {
+    crc32,
+    createZip
+};
@@ -5,8 +5,36 @@
 
 import { clamp, randomInt, randomFloat, lerp, mapRange, generateRandomValue } from './js/utils/mathUtils.js';
 import { deepClone, shallowClone, cloneArray } from './js/utils/cloneUtils.js';
-import { validateAudioFile, formatFileSize } from './js/utils/audioFileUtils.js';
+import { validateAudioFile, formatFileSize, findAudibleRange, normalizePeak } from './js/utils/audioFileUtils.js';
 import { calculateNormalizedSensitivity, valueToAngle, formatKnobValue } from './js/utils/knobUtils.js';
+import { LookAheadScheduler } from './js/audio/LookAheadScheduler.js';
+import { OptimizedGrainVoiceManager } from './js/audio/OptimizedGrainVoiceManager.js';
+import { getEnvelopeTimes, getEnvelopeValue, getPeakGain, resolveGrainPan, getVoiceLayers } from './js/audio/grainMath.js';
+import { createSeededRandom, deriveSeed, RandomSource, RANDOM_STREAMS } from './js/utils/randomSource.js';
+import { encodeWav } from './js/utils/wavEncoder.js';
+import { triggerGrainBurst, resolveStepParams, getRatchetBursts, getStepTimeOffset } from './js/audio/grainTrigger.js';
+import { foldLoopTail, mixStems } from './js/audio/OfflineRenderer.js';
+import { crc32, createZip } from './js/utils/zipUtils.js';
+import { joinChunks } from './js/audio/MasterRecorder.js';
+import { SequencerController } from './js/controllers/SequencerController.js';
+import { evaluateCondition, TrigState, DEFAULT_TRIG } from './js/utils/trigConditions.js';
+import { SongController } from './js/controllers/SongController.js';
+import { formatPatternName, formatGridText, parseGridText } from './js/utils/patternUtils.js';
+import { euclidean, gridsPattern, stepAutomaton, markovPattern } from './js/utils/rhythmGenerators.js';
+import { createPlayhead, advancePlayhead } from './js/utils/playDirections.js';
+import { getStepDuration, getStepsPerBar, getStepGridMarks, formatTransportPosition } from './js/utils/timeSignatures.js';
+import { normalizeRegion, hitTestRegionHandle, dragRegion } from './js/utils/loopRegion.js';
+import { buildPeakPyramid, getPeakColumns } from './js/utils/waveformPeaks.js';
+import { getGrainHue, getGrainAlpha, pruneGrainActivity } from './js/utils/grainActivity.js';
+import { computeSpectrogram, getSpectrogramColor } from './js/utils/spectrogram.js';
+import { getGrainChannel } from './js/audio/channelModes.js';
+import { normalizePreprocessSettings, preprocessChannels, measureLoudness, normalizeChannels, trimChannels, resampleChannels } from './js/utils/samplePreprocess.js';
+import { applySampleEdit, applySampleEdits, SampleEditHistory, SAMPLE_EDIT_TYPES, changesSampleLength } from './js/utils/sampleEdits.js';
+import { detectOnsets, normalizeSliceMarkers, getSliceRegion, hitTestSliceMarker, moveSliceMarker } from './js/utils/sliceMarkers.js';
+import { ResourceManager } from './js/utils/resourceManager.js';
+import { getDigitSlot } from './js/controllers/KeyboardController.js';
+import { FileLoaderController } from './js/controllers/FileLoaderController.js';
+import { clampSlotCount, buildSlotModeOptions, migrateSlotMode, migrateControlState } from './js/utils/slotCount.js';
 
 console.log('\n========================================');
 console.log('🧪 動作確認テスト開始');
@@ -157,6 +185,15 @@ const validResult = validateAudioFile(validFile);
 test('  正常なファイル(1MB) → valid=true', validResult.valid === true, true, validResult.valid);
 test('  正常なファイル → エラーなし', validResult.error === null, null, validResult.error);
 
+// ステレオ処理
+console.log('\n▶ ステレオ処理:');
+const stereoLeft = Float32Array.from([0, 0, 0, 0.5, 0.2, 0, 0]);
+const stereoRight = Float32Array.from([0, 0.3, 0, 0, 0, 0.02, 0]);
+const audible = findAudibleRange([stereoLeft, stereoRight], 0.01);
+test('  どちらかのチャンネルが鳴っていれば無音ではない', audible.start === 1 && audible.end === 5, '1-5', `${audible.start}-${audible.end}`);
+const linkedGain = normalizePeak([stereoLeft, stereoRight]);
+test('  ピークは全チャンネル共通のゲインで正規化', linkedGain === 2 && stereoLeft[3] === 1 && Math.abs(stereoRight[1] - 0.6) < 1e-6, '2 / 1 / 0.6', `${linkedGain} / ${stereoLeft[3]} / ${stereoRight[1]}`);
+
 // ========================================
 // knobUtils.js のテスト
 // ========================================
@@ -187,6 +224,637 @@ test('  formatKnobValue(5.678, 1) = 6', formatKnobValue(5.678, 1) === 6, 6, form
 test('  formatKnobValue(5.678, 0.1) = "5.7"', formatKnobValue(5.678, 0.1) === '5.7', '5.7', formatKnobValue(5.678, 0.1));
 test('  formatKnobValue(5.678, 0.01) = "5.68"', formatKnobValue(5.678, 0.01) === '5.68', '5.68', formatKnobValue(5.678, 0.01));
 
+// ========================================
+// LookAheadScheduler.js のテスト
+// ========================================
+console.log('\n\n【5】LookAheadScheduler.js のテスト\n');
+
+// 偽のクロックとタイマーで先読みスケジューリングを確認
+const fakeClock = { currentTime: 0 };
+const fakeTimers = { setInterval: () => 1, clearInterval: () => {} };
+const scheduledSteps = [];
+let fakeStepDuration = 0.125;
+const scheduler = new LookAheadScheduler(fakeClock, fakeTimers, {
+    getStepDuration: () => fakeStepDuration,
+    onStep: (index, time) => scheduledSteps.push({ index, time }),
+    scheduleAheadSec: 0.1
+});
+
+console.log('▶ start / tick:');
+scheduler.start(0);
+test('  開始時にステップ0がスケジュールされる', scheduledSteps.length === 1 && scheduledSteps[0].time === 0, 1, scheduledSteps.length);
+fakeClock.currentTime = 0.05;
+scheduler.tick();
+fakeClock.currentTime = 0.2;
+scheduler.tick();
+test('  先読み範囲内のステップのみ追加', scheduledSteps.length === 3, 3, scheduledSteps.length);
+test('  ステップ時刻はクロック基準', scheduledSteps[2].time === 0.25, 0.25, scheduledSteps[2].time);
+
+console.log('\n▶ テンポ変更:');
+fakeStepDuration = 0.25;
+fakeClock.currentTime = 0.3;
+scheduler.tick();
+test('  予約済みのステップは動かさない', scheduledSteps[3].time === 0.375, 0.375, scheduledSteps[3].time);
+fakeClock.currentTime = 0.55;
+scheduler.tick();
+test('  次のステップ境界から新しい長さを適用', scheduledSteps.length === 5 && scheduledSteps[4].time === 0.625, 0.625, scheduledSteps[4] && scheduledSteps[4].time);
+fakeClock.currentTime = 5;
+scheduler.tick();
+test('  長時間の停滞後は現在時刻に再同期', scheduledSteps[scheduledSteps.length - 1].time === 5, 5, scheduledSteps[scheduledSteps.length - 1].time);
+scheduler.stop();
+test('  stop後は停止状態', scheduler.isRunning() === false, false, scheduler.isRunning());
+
+// ========================================
+// grainMath.js のテスト
+// ========================================
+console.log('\n\n【6】grainMath.js のテスト\n');
+
+console.log('▶ getEnvelopeTimes関数:');
+const envTimes = getEnvelopeTimes(0.1, { attackTime: 50, decayTime: 200 });
+test('  アタックはグレイン長の30%まで', Math.abs(envTimes.attackTime - 0.03) < 1e-9, 0.03, envTimes.attackTime);
+test('  区間の合計はグレイン長', Math.abs(envTimes.attackTime + envTimes.sustainTime + envTimes.releaseTime - 0.1) < 1e-9, 0.1, envTimes.attackTime + envTimes.sustainTime + envTimes.releaseTime);
+
+console.log('\n▶ getEnvelopeValue関数:');
+const linearTimes = getEnvelopeTimes(1, { attackTime: 100, decayTime: 500 });
+test('  Linear: 開始時は0', getEnvelopeValue(0, 0, 1, linearTimes) === 0, 0, getEnvelopeValue(0, 0, 1, linearTimes));
+test('  Linear: サステイン中は1', getEnvelopeValue(0, 0.3, 1, linearTimes) === 1, 1, getEnvelopeValue(0, 0.3, 1, linearTimes));
+const hanningMid = getEnvelopeValue(6, 0.5, 1, linearTimes);
+test('  Hanning: 中央で1', Math.abs(hanningMid - 1) < 1e-9, 1, hanningMid);
+test('  グレイン外は0', getEnvelopeValue(4, 1.5, 1, linearTimes) === 0, 0, getEnvelopeValue(4, 1.5, 1, linearTimes));
+
+// ノード版エンベロープのオートメーションを記録して同じ時刻で比較
+const recordEnvelope = (shape) => {
+    const events = [];
+    const gain = {
+        setValueAtTime: (value, time) => events.push({ value, time, ramp: false }),
+        linearRampToValueAtTime: (value, time) => events.push({ value, time, ramp: true })
+    };
+    OptimizedGrainVoiceManager.prototype.applyOptimizedEnvelope.call(OptimizedGrainVoiceManager.prototype, { gain }, 0, 1, { envelopeShape: shape, attackTime: 100, decayTime: 500, volume: 1 });
+    return (time) => {
+        let value = 0;
+        let previous = { value: 0, time: 0 };
+        for (const event of events) {
+            if (event.time > time) {
+                return event.ramp ? previous.value + (event.value - previous.value) * (time - previous.time) / (event.time - previous.time) : value;
+            }
+            value = event.value;
+            previous = event;
+        }
+        return value;
+    };
+};
+const triangularNode = recordEnvelope(7);
+const triangularDiff = [0.05, 0.3, 0.6, 0.9].reduce((max, time) =>
+    Math.max(max, Math.abs(triangularNode(time) - getPeakGain(1) * getEnvelopeValue(7, time, 1, linearTimes))), 0);
+test('  Triangular: ノード版と一致', triangularDiff < 1e-9, 0, triangularDiff);
+
+console.log('\n▶ getPeakGain / resolveGrainPan関数:');
+test('  getPeakGain(1) = 0.2', Math.abs(getPeakGain(1) - 0.2) < 1e-9, 0.2, getPeakGain(1));
+test('  パンは-1〜1にクランプ', resolveGrainPan({ panControl: 1, panRandom: 0.5 }, () => 0.99) === 1, 1, resolveGrainPan({ panControl: 1, panRandom: 0.5 }, () => 0.99));
+
+console.log('\n▶ getVoiceLayers関数:');
+const singleLayer = getVoiceLayers(1, { detune: 50, spread: 1 });
+test('  1ボイスは原音のまま', singleLayer.length === 1 && singleLayer[0].rateMultiplier === 1 && singleLayer[0].panOffset === 0, 'rate 1, pan 0', JSON.stringify(singleLayer));
+const octaveLayers = getVoiceLayers(2, { interval: 1 });
+test('  Octave: 2層目は2倍速', Math.abs(octaveLayers[1].rateMultiplier - 2) < 1e-9, 2, octaveLayers[1].rateMultiplier);
+const spreadLayers = getVoiceLayers(3, { spread: 0.8 });
+test('  ステレオ拡がりは左右対称', spreadLayers[0].panOffset === -0.8 && spreadLayers[2].panOffset === 0.8, '-0.8 / 0.8', `${spreadLayers[0].panOffset} / ${spreadLayers[2].panOffset}`);
+
+// ========================================
+// 【7】オフラインレンダリング関連のテスト
+// ========================================
+console.log('\n\n【7】オフラインレンダリング関連のテスト\n');
+
+console.log('▶ createSeededRandom / deriveSeed:');
+const randA = createSeededRandom(1234);
+const randB = createSeededRandom(1234);
+const seqA = [randA(), randA(), randA()];
+const seqB = [randB(), randB(), randB()];
+test('  同じシードは同じ乱数列', seqA.every((v, i) => v === seqB[i]), JSON.stringify(seqA), JSON.stringify(seqB));
+test('  値は0〜1の範囲', seqA.every(v => v >= 0 && v < 1), '[0, 1)', JSON.stringify(seqA));
+test('  スロットごとに別のシード', deriveSeed(1234, 1) !== deriveSeed(1234, 2), 'different', deriveSeed(1234, 1));
+
+console.log('\n▶ RandomSource:');
+const randomSource = new RandomSource(42);
+const seqStream = randomSource.stream(RANDOM_STREAMS.SEQUENCER);
+const firstDraws = [seqStream(), seqStream()];
+randomSource.setSeed(42);
+test('  setSeedでストリームを巻き戻す', seqStream() === firstDraws[0] && seqStream() === firstDraws[1], JSON.stringify(firstDraws), 'different');
+test('  同じIDは同じ関数', randomSource.stream(RANDOM_STREAMS.SEQUENCER) === seqStream, true, false);
+test('  スロットストリームは独立', randomSource.slotStream(0)() !== randomSource.slotStream(1)(), 'different', 'same');
+test('  スロットごとのストリームIDは重ならない', randomSource.slotStream(0, RANDOM_STREAMS.TRIGS) !== randomSource.slotStream(1, RANDOM_STREAMS.TRIGS) && randomSource.slotStream(0, RANDOM_STREAMS.TRIGS) !== randomSource.slotStream(0) && randomSource.slotStream(0, RANDOM_STREAMS.TRIGS) !== randomSource.stream(RANDOM_STREAMS.TRIGS), 'different', 'same');
+const paramDrawA = new RandomSource(7).stream(RANDOM_STREAMS.PARAMETERS)();
+const otherSource = new RandomSource(7);
+otherSource.stream(RANDOM_STREAMS.SEQUENCER)();
+test('  他のストリームの使用に影響されない', otherSource.stream(RANDOM_STREAMS.PARAMETERS)() === paramDrawA, paramDrawA, 'different');
+test('  generateRandomValueに乱数源を渡せる', generateRandomValue({ id: 'x', min: 0, max: 10, step: 1 }, 0.3, 0.8, () => 0.5) === 5, 5, generateRandomValue({ id: 'x', min: 0, max: 10, step: 1 }, 0.3, 0.8, () => 0.5));
+
+console.log('\n▶ triggerGrainBurst関数:');
+const collectGrains = (seed, region) => {
+    const grains = [];
+    const fakeVoiceManager = { createGrainStack: (buffer, params, startTime, duration, position) => grains.push([startTime, position, params.playbackRate]) };
+    const burstParams = { grainsPerStep: 8, spread: 50, lfoWaveform: 3, lfoRate: 1, grainSize: 100, startOffset: 10, playbackRate: 1, panControl: 0 };
+    triggerGrainBurst(fakeVoiceManager, { duration: 2 }, burstParams, 1, { random: createSeededRandom(seed), region });
+    return grains;
+};
+test('  同じシードで同じグレイン', JSON.stringify(collectGrains(7)) === JSON.stringify(collectGrains(7)), 'identical', 'different');
+test('  グレイン数はG PerStep', collectGrains(7).length === 8, 8, collectGrains(7).length);
+test('  全体のループ範囲は従来と同じ位置', JSON.stringify(collectGrains(7, { start: 0, end: 1 })) === JSON.stringify(collectGrains(7)), 'identical', 'different');
+const regionPositions = collectGrains(7, { start: 0.5, end: 0.75 }).map(grain => grain[1]);
+test('  グレインはループ範囲内 (1.0〜1.4秒)', regionPositions.every(position => position >= 1 && position <= 1.4 + 1e-9), '1.0-1.4', regionPositions.map(p => p.toFixed(2)).join(','));
+
+console.log('\n▶ foldLoopTail関数:');
+const folded = foldLoopTail([new Float32Array([1, 1, 1, 1, 0.5, 0.25])], 4);
+test('  テールを先頭に加算', folded[0].length === 4 && folded[0][0] === 1.5 && folded[0][1] === 1.25, '[1.5, 1.25, 1, 1]', Array.from(folded[0]));
+
+console.log('\n▶ encodeWav関数:');
+const wav = encodeWav({ channels: [new Float32Array([0, 1]), new Float32Array([-1, 0])], sampleRate: 44100 }, { bitDepth: 24 });
+const wavView = new DataView(wav);
+test('  24bitステレオのサイズ', wav.byteLength === 44 + 2 * 2 * 3, 56, wav.byteLength);
+test('  RIFFヘッダー', String.fromCharCode(...new Uint8Array(wav, 0, 4)) === 'RIFF', 'RIFF', String.fromCharCode(...new Uint8Array(wav, 0, 4)));
+test('  ビット深度を記録', wavView.getUint16(34, true) === 24, 24, wavView.getUint16(34, true));
+const wav16 = new DataView(encodeWav({ channels: [new Float32Array([1, -1])], sampleRate: 48000 }));
+test('  16bitのフルスケール', wav16.getInt16(44, true) === 32767 && wav16.getInt16(46, true) === -32768, '32767 / -32768', `${wav16.getInt16(44, true)} / ${wav16.getInt16(46, true)}`);
+
+console.log('\n▶ mixStems関数:');
+const mixed = mixStems([[new Float32Array([0.5, 0]), new Float32Array([0, 0.25])], [new Float32Array([0.25, 0]), new Float32Array([0, 0.25])]], 2);
+test('  ステムの合計がマスター', mixed[0][0] === 0.75 && mixed[1][1] === 0.5, '0.75 / 0.5', `${mixed[0][0]} / ${mixed[1][1]}`);
+
+console.log('\n▶ zipUtils.js:');
+const abcBytes = new TextEncoder().encode('abc');
+test('  crc32("abc")', crc32(abcBytes) === 0x352441C2, '352441c2', crc32(abcBytes).toString(16));
+const zip = createZip([{ name: 'a.txt', data: 'abc' }, { name: 'b.bin', data: new Uint8Array([1, 2]) }]);
+const zipView = new DataView(zip.buffer);
+const eocdOffset = zip.length - 22;
+test('  ZIPシグネチャ', zipView.getUint32(0, true) === 0x04034B50, '0x04034b50', zipView.getUint32(0, true).toString(16));
+test('  エントリ数', zipView.getUint32(eocdOffset, true) === 0x06054B50 && zipView.getUint16(eocdOffset + 10, true) === 2, 2, zipView.getUint16(eocdOffset + 10, true));
+
+console.log('\n▶ joinChunks関数 (録音):');
+const joined = joinChunks([[new Float32Array([1, 2]), new Float32Array([3, 4])], [new Float32Array([5]), new Float32Array([6])]], 2);
+test('  チャンクを順番に連結', joined[0].join(',') === '1,2,5' && joined[1].join(',') === '3,4,6', '1,2,5 / 3,4,6', `${joined[0].join(',')} / ${joined[1].join(',')}`);
+
+// ========================================
+// 【8】SequencerController.js のテスト
+// ========================================
+console.log('\n\n【8】SequencerController.js のテスト\n');
+
+// DOMを使わないダミーのDOMCache
+const fakeDomCache = { querySelector: () => null, querySelectorAll: () => [], clear: () => {} };
+
+console.log('▶ パラメータロック:');
+const seqController = new SequencerController({ SLOTS: 2, SEQUENCER_STEPS: 4, MIN_PATTERN_LENGTH: 1, MAX_PATTERN_LENGTH: 8, PATTERN_BANKS: 2, PATTERNS_PER_BANK: 4 }, fakeDomCache);
+seqController.setParameterLock(1, 2, 'cutoffFreq', 800);
+seqController.setParameterLock(1, 2, 'grainSize', 50);
+test('  ロックを保存', seqController.getParameterLocks(1, 2).cutoffFreq === 800 && seqController.getParameterLocks(1, 2).grainSize === 50, '800 / 50', JSON.stringify(seqController.getParameterLocks(1, 2)));
+test('  他のステップには影響しない', seqController.getParameterLocks(1, 1) === null, null, seqController.getParameterLocks(1, 1));
+seqController.clearParameterLock(1, 2, 'cutoffFreq');
+test('  1つのパラメータを解除', JSON.stringify(seqController.getParameterLocks(1, 2)) === '{"grainSize":50}', '{"grainSize":50}', JSON.stringify(seqController.getParameterLocks(1, 2)));
+seqController.clearParameterLock(1, 2, 'grainSize');
+test('  最後の解除でnullに戻る', seqController.getParameterLocks(1, 2) === null, null, seqController.getParameterLocks(1, 2));
+const savedLocks = [[null, { playbackRate: 2 }, null, null], [null, null, null, null]];
+seqController.initializeParameterLocks(savedLocks);
+savedLocks[0][1].playbackRate = 0.5;
+test('  保存状態から復元 (コピー)', seqController.getParameterLocks(0, 1).playbackRate === 2, 2, seqController.getParameterLocks(0, 1).playbackRate);
+
+console.log('\n▶ ステップトリガー設定:');
+seqController.setStepTrig(0, 3, { probability: 50 });
+test('  確率を保存 (他はデフォルト)', seqController.getStepTrig(0, 3).probability === 50 && seqController.getStepTrig(0, 3).velocity === 100, '50 / 100', JSON.stringify(seqController.getStepTrig(0, 3)));
+seqController.setStepTrig(0, 3, { probability: 100 });
+test('  デフォルトに戻すとnull', seqController.getAllStepTrigs()[0][3] === null, null, seqController.getAllStepTrigs()[0][3]);
+
+console.log('\n▶ スロットごとのパターン長:');
+test('  初期値はSEQUENCER_STEPS', seqController.getPatternLength(0) === 4, 4, seqController.getPatternLength(0));
+test('  最大長にクランプ', seqController.setPatternLength(1, 99) === 8, 8, seqController.getPatternLength(1));
+test('  最小長にクランプ', seqController.setPatternLength(1, 0) === 1, 1, seqController.getPatternLength(1));
+seqController.setStep(0, 6, false);
+seqController.initializePatterns([[true, true], [true]]);
+test('  短い保存パターンは空ステップで補完', seqController.getPatterns()[0].length === 8 && seqController.getStep(0, 6) === false, '8 / false', `${seqController.getPatterns()[0].length} / ${seqController.getStep(0, 6)}`);
+seqController.initializePatternLengths(undefined);
+test('  長さのない保存状態はデフォルトに戻る', seqController.getPatternLengths().join(',') === '4,4', '4,4', seqController.getPatternLengths().join(','));
+test('  不明な再生方向はFWD', seqController.setPlayDirection(0, 'sideways') === 'forward', 'forward', seqController.getPlayDirection(0));
+
+console.log('\n▶ パターンバンク:');
+seqController.setStep(1, 0, false);
+seqController.setPatternLength(1, 6);
+seqController.setPlayDirection(1, 'pingpong');
+test('  パターン切替で新規パターンはデフォルト', seqController.selectPattern(5) && seqController.getStep(1, 0) === true && seqController.getPatternLength(1) === 4, 'true / 4', `${seqController.getStep(1, 0)} / ${seqController.getPatternLength(1)}`);
+test('  使用済みパターンを記録', seqController.hasPatternData(0) && !seqController.hasPatternData(3), true, false);
+seqController.selectPattern(0);
+test('  元のパターンに戻ると内容を復元', seqController.getStep(1, 0) === false && seqController.getPatternLength(1) === 6 && seqController.getPlayDirection(1) === 'pingpong', 'false / 6 / pingpong', `${seqController.getStep(1, 0)} / ${seqController.getPatternLength(1)} / ${seqController.getPlayDirection(1)}`);
+test('  パターンの小節数は最長の行で決まる', seqController.getPatternBars(0) === 1, 1, seqController.getPatternBars(0));
+seqController.setMeter({ timeSignature: '2/4', resolution: '1/8' });
+test('  小節数は拍子と分解能に従う', seqController.getPatternBars(0) === 2, 2, seqController.getPatternBars(0));
+seqController.queuePattern(5);
+test('  キューしたパターンを次の小節で適用', seqController.applyQueuedPattern() && seqController.getActivePattern() === 5 && seqController.getQueuedPattern() === null, '5 / null', `${seqController.getActivePattern()} / ${seqController.getQueuedPattern()}`);
+const savedBank = seqController.getPatternBank();
+test('  バンクの保存にアクティブパターンを含む', savedBank[5] !== null && savedBank[0].patternLengths[1] === 6, '6', savedBank[0] && savedBank[0].patternLengths[1]);
+
+console.log('\n▶ SongController (ソングモード):');
+test('  パターン名', formatPatternName(17, 16) === 'B02', 'B02', formatPatternName(17, 16));
+const song = new SongController({ SLOTS: 4, PATTERN_BANKS: 4, PATTERNS_PER_BANK: 16, MIN_BPM: 40, MAX_BPM: 240, GLOBAL_CONTROL_SPECS: [{ id: 'slotMode', options: ['1', '2', '3', '4', 'All', 'Random'] }] });
+song.setRows([{ pattern: 3, repeats: 2 }, { pattern: 99, repeats: 0, tempo: 500, slotMode: 4 }]);
+const songRows = song.getRows();
+test('  行の値をクランプ', songRows[1].pattern === 63 && songRows[1].repeats === 1 && songRows[1].tempo === 240 && songRows[1].slotMode === 4, '63 / 1 / 240 / 4', JSON.stringify(songRows[1]));
+song.setEnabled(true);
+const songOrder = [song.start().pattern];
+for (let bar = 0; bar < 5; bar++) {
+    const row = song.advanceBar(() => 1);
+    songOrder.push(row ? row.pattern : '-');
+}
+test('  繰り返し回数で次の行へ進みループする', songOrder.join(',') === '3,-,63,3,-,63', '3,-,63,3,-,63', songOrder.join(','));
+
+console.log('\n▶ リズムジェネレーター:');
+seqController.generatePattern(0, 'euclidean', { hits: 3, steps: 8, rotation: 0 });
+const euclidRow = seqController.getPatterns()[0].slice(0, 8).map(on => on ? 'x' : '.').join('');
+test('  ユークリッドでパターン長も設定', euclidRow === 'x..x..x.' && seqController.getPatternLength(0) === 8, 'x..x..x. / 8', `${euclidRow} / ${seqController.getPatternLength(0)}`);
+seqController.setAutomatonRule(0, 90);
+test('  オートマトンは小節ごとに進化', seqController.evolveAutomata().join(',') === '0', '0', seqController.getAutomatonRules().join(','));
+
+console.log('\n▶ 行の変換:');
+const rowText = (slot) => seqController.getPatterns()[slot].slice(0, seqController.getPatternLength(slot)).map(on => on ? 'x' : '.').join('');
+seqController.setAutomatonRule(0, null);
+seqController.parseGrid('S1 xx..x...');
+seqController.setParameterLock(0, 0, 'volume', 0.5);
+seqController.rotateRow(0, 1);
+test('  右へナッジ (ロックも移動)', rowText(0) === '.xx..x..' && seqController.getParameterLocks(0, 1).volume === 0.5, '.xx..x..', rowText(0));
+seqController.shiftRow(0, -2);
+test('  左へシフト (端は空ステップ)', rowText(0) === 'x..x....', 'x..x....', rowText(0));
+seqController.reverseRow(0);
+test('  反転', rowText(0) === '....x..x', '....x..x', rowText(0));
+seqController.invertRow(0);
+test('  ON/OFF反転', rowText(0) === 'xxxx.xx.', 'xxxx.xx.', rowText(0));
+seqController.parseGrid('S2 x.');
+seqController.doubleRow(1);
+test('  2倍 (長さも2倍)', rowText(1) === 'x.x.' && seqController.getPatternLength(1) === 4, 'x.x. / 4', `${rowText(1)} / ${seqController.getPatternLength(1)}`);
+seqController.copyRow(0, 1);
+test('  行のコピー', rowText(1) === 'xxxx.xx.', 'xxxx.xx.', rowText(1));
+test('  グリッドのテキスト化', formatGridText([[true, false], [false, true, true]], [2, 3]) === 'S1 x.\nS2 .xx', 'S1 x.\\nS2 .xx', formatGridText([[true, false], [false, true, true]], [2, 3]));
+const parsedGrid = parseGridText('S2: x-x\nhello\n..x', 3, 8);
+test('  テキストの解析 (ラベルと順番)', parsedGrid[0] === null && parsedGrid[1].join() === 'true,false,true' && parsedGrid[2].join() === 'false,false,true', 'null / x.x / ..x', JSON.stringify(parsedGrid));
+test('  解析できないテキスト', parseGridText('hello', 2, 8) === null, null, parseGridText('hello', 2, 8));
+
+// ========================================
+// 【9】trigConditions.js のテスト
+// ========================================
+console.log('\n\n【9】trigConditions.js のテスト\n');
+
+console.log('▶ evaluateCondition関数:');
+const loops = [0, 1, 2, 3, 4, 5, 6, 7];
+test('  1:4 は1周目と5周目', loops.filter(i => evaluateCondition('1:4', i, false)).join(',') === '0,4', '0,4', loops.filter(i => evaluateCondition('1:4', i, false)).join(','));
+test('  2:2 は偶数番目の周', loops.filter(i => evaluateCondition('2:2', i, false)).join(',') === '1,3,5,7', '1,3,5,7', loops.filter(i => evaluateCondition('2:2', i, false)).join(','));
+test('  1st / !1st', evaluateCondition('1st', 0, false) && !evaluateCondition('1st', 1, false) && evaluateCondition('!1st', 1, false), true, false);
+test('  pre / !pre は直前の結果', evaluateCondition('pre', 3, true) && !evaluateCondition('!pre', 3, true), true, false);
+
+console.log('\n▶ TrigStateクラス:');
+const trigState = new TrigState(2);
+let drawCount = 0;
+const countingRandom = () => { drawCount++; return 0.9; };
+trigState.shouldTrigger(0, { ...DEFAULT_TRIG }, 0, countingRandom);
+test('  確率100%は乱数を消費しない', drawCount === 0, 0, drawCount);
+const probResult = trigState.shouldTrigger(0, { ...DEFAULT_TRIG, probability: 50 }, 0, countingRandom);
+test('  確率50%で0.9は鳴らない', probResult === false && drawCount === 1, 'false / 1', `${probResult} / ${drawCount}`);
+test('  PREは直前の条件トリガーに従う', trigState.shouldTrigger(0, { ...DEFAULT_TRIG, condition: 'pre' }, 0, countingRandom) === false, false, true);
+test('  NOT PREはスロットごとに独立', trigState.shouldTrigger(1, { ...DEFAULT_TRIG, condition: '!pre' }, 0, countingRandom) === true, true, false);
+// スロットA (0) をミュートしてもスロットB (1) の確率判定は変わらない
+const playProbabilitySteps = (activeSlots) => {
+    const source = new RandomSource(99);
+    const state = new TrigState(2);
+    const slotB = [];
+    for (let step = 0; step < 32; step++) {
+        activeSlots.forEach(s => {
+            const fired = state.shouldTrigger(s, { ...DEFAULT_TRIG, probability: 50 }, 0, source.slotStream(s, RANDOM_STREAMS.TRIGS));
+            if (s === 1) slotB.push(fired ? 1 : 0);
+        });
+    }
+    return slotB.join('');
+};
+test('  ミュートしたスロットは他のスロットの確率に影響しない', playProbabilitySteps([0, 1]) === playProbabilitySteps([1]), playProbabilitySteps([0, 1]), playProbabilitySteps([1]));
+
+console.log('\n▶ resolveStepParams関数:');
+const stepParams = resolveStepParams({ volume: 0.8, grainSize: 100 }, { grainSize: 40 }, 50);
+test('  ロックとベロシティを適用', stepParams.grainSize === 40 && Math.abs(stepParams.volume - 0.4) < 1e-9, '40 / 0.4', `${stepParams.grainSize} / ${stepParams.volume}`);
+const baseParams = { volume: 0.8 };
+resolveStepParams(baseParams, null, 25);
+test('  元のパラメータは変更しない', baseParams.volume === 0.8, 0.8, baseParams.volume);
+
+console.log('\n▶ getStepTimeOffset関数:');
+test('  ストレートではずれなし', getStepTimeOffset(1, 0.1, { swing: 50 }) === 0, 0, getStepTimeOffset(1, 0.1, { swing: 50 }));
+test('  スウィングは偶数ステップのみ遅らせる', getStepTimeOffset(0, 0.1, { swing: 75 }) === 0 && Math.abs(getStepTimeOffset(1, 0.1, { swing: 75 }) - 0.05) < 1e-9, '0 / 0.05', `${getStepTimeOffset(0, 0.1, { swing: 75 })} / ${getStepTimeOffset(1, 0.1, { swing: 75 })}`);
+test('  スロットオフセットは±50%でクランプ', Math.abs(getStepTimeOffset(0, 0.1, { timingOffset: -80 }) + 0.05) < 1e-9, -0.05, getStepTimeOffset(0, 0.1, { timingOffset: -80 }));
+const humanized = getStepTimeOffset(0, 0.1, { humanize: 20 }, () => 1);
+test('  ヒューマナイズは窓の範囲内', Math.abs(humanized - 0.01) < 1e-9, 0.01, humanized);
+// スロットA (0) をミュートしてもスロットB (1) のヒューマナイズは変わらない
+const humanizeSlotB = (activeSlots) => {
+    const source = new RandomSource(99);
+    const offsets = [];
+    for (let step = 0; step < 8; step++) {
+        activeSlots.forEach(s => {
+            const offset = getStepTimeOffset(step, 0.1, { humanize: 20 }, source.slotStream(s, RANDOM_STREAMS.TIMING));
+            if (s === 1) offsets.push(offset.toFixed(6));
+        });
+    }
+    return offsets.join(',');
+};
+test('  ミュートしたスロットは他のスロットのヒューマナイズに影響しない', humanizeSlotB([0, 1]) === humanizeSlotB([1]), humanizeSlotB([0, 1]), humanizeSlotB([1]));
+
+console.log('\n▶ getRatchetBursts関数:');
+const plainBursts = getRatchetBursts({ volume: 1, playbackRate: 1 }, DEFAULT_TRIG, 0.2);
+test('  ラチェットなしは1回', plainBursts.length === 1 && plainBursts[0].offset === 0, 1, plainBursts.length);
+const rolls = getRatchetBursts({ volume: 1, playbackRate: 1 }, { ratchet: 4, ratchetVolume: 'up', ratchetPitch: 12 }, 0.2);
+test('  ステップを均等に分割', rolls.length === 4 && Math.abs(rolls[1].offset - 0.05) < 1e-9, '4 / 0.05', `${rolls.length} / ${rolls[1].offset}`);
+test('  音量ランプ (UP)', rolls[0].params.volume === 0.25 && rolls[3].params.volume === 1, '0.25 / 1', `${rolls[0].params.volume} / ${rolls[3].params.volume}`);
+test('  ピッチランプは最後で指定の半音', rolls[0].params.playbackRate === 1 && rolls[3].params.playbackRate === 2, '1 / 2', `${rolls[0].params.playbackRate} / ${rolls[3].params.playbackRate}`);
+
+// ========================================
+// 【10】rhythmGenerators.js のテスト
+// ========================================
+console.log('\n\n【10】rhythmGenerators.js のテスト\n');
+
+const toSteps = (row) => row.map(on => on ? 'x' : '.').join('');
+console.log('▶ euclidean関数:');
+test('  E(5,8)', toSteps(euclidean(5, 8)) === 'x.x.xx.x', 'x.x.xx.x', toSteps(euclidean(5, 8)));
+test('  回転', toSteps(euclidean(3, 8, 1)) === '.x..x..x', '.x..x..x', toSteps(euclidean(3, 8, 1)));
+test('  ヒット数は長さでクランプ', euclidean(20, 4).every(on => on), true, toSteps(euclidean(20, 4)));
+
+console.log('\n▶ gridsPattern関数:');
+test('  密度0は無音', gridsPattern(16, { density: 0 }).every(on => !on), true, false);
+test('  密度100は全ステップ', gridsPattern(16, { density: 100 }).every(on => on), true, false);
+const sparse = gridsPattern(16, { x: 0, y: 0, density: 10, part: 0 });
+test('  低密度ではレベルの高いステップのみ', toSteps(sparse) === 'x.......x.......', 'x.......x.......', toSteps(sparse));
+
+console.log('\n▶ stepAutomaton関数:');
+const rule90 = stepAutomaton([false, false, true, false, false], 90);
+test('  ルール90', toSteps(rule90) === '.x.x.', '.x.x.', toSteps(rule90));
+
+console.log('\n▶ markovPattern関数:');
+const alternating = [true, false, true, false, true, false, true, false];
+const learned = markovPattern(alternating, 12, 1, createSeededRandom(1));
+test('  交互パターンを学習', toSteps(learned) === 'x.x.x.x.x.x.', 'x.x.x.x.x.x.', toSteps(learned));
+
+// ========================================
+// 【11】playDirections.js のテスト
+// ========================================
+console.log('\n\n【11】playDirections.js のテスト\n');
+
+const walk = (direction, length, count, random = Math.random) => {
+    let playhead = createPlayhead(direction, length);
+    const visited = [playhead.step];
+    let loops = 0;
+    for (let i = 1; i < count; i++) {
+        playhead = advancePlayhead(playhead, direction, length, random);
+        visited.push(playhead.step);
+        if (playhead.wrapped) loops++;
+    }
+    return { steps: visited.join(''), loops };
+};
+test('  FWD', walk('forward', 4, 6).steps === '012301', '012301', walk('forward', 4, 6).steps);
+test('  REV', walk('reverse', 4, 6).steps === '321032', '321032', walk('reverse', 4, 6).steps);
+test('  PING', walk('pingpong', 4, 8).steps === '01232101', '01232101', walk('pingpong', 4, 8).steps);
+test('  PING+ は端のステップを繰り返す', walk('pingpongRepeat', 3, 8).steps === '01221001', '01221001', walk('pingpongRepeat', 3, 8).steps);
+test('  PINGのループは往復で1回', walk('pingpong', 4, 13).loops === 2, 2, walk('pingpong', 4, 13).loops);
+const drunk = walk('drunk', 8, 32, createSeededRandom(5)).steps.split('').map(Number);
+test('  DRUNKは±1ステップ', drunk.every((step, i) => i === 0 || [1, 7].includes(Math.abs(step - drunk[i - 1]))), '±1', drunk.join(','));
+
+// ========================================
+// 【12】timeSignatures.js のテスト
+// ========================================
+console.log('\n\n【12】timeSignatures.js のテスト\n');
+
+const toMarks = (marks) => marks.map(mark => mark === 'bar' ? '|' : (mark === 'beat' ? ':' : '.')).join('');
+test('  4/4の16分は従来と同じ長さ', getStepDuration(120, '1/16') === 0.125, 0.125, getStepDuration(120, '1/16'));
+test('  1小節のステップ数', getStepsPerBar({ timeSignature: '7/8', resolution: '1/16' }) === 14 && getStepsPerBar({ timeSignature: '4/4', resolution: '1/8T' }) === 12, '14 / 12', `${getStepsPerBar({ timeSignature: '7/8', resolution: '1/16' })} / ${getStepsPerBar({ timeSignature: '4/4', resolution: '1/8T' })}`);
+const marks34 = toMarks(getStepGridMarks(8, { timeSignature: '3/4', resolution: '1/8' }));
+test('  3/4の小節線と拍線', marks34 === '|.:.:.|.', '|.:.:.|.', marks34);
+const marks68 = toMarks(getStepGridMarks(6, { timeSignature: '6/8', resolution: '1/8' }));
+test('  6/8は付点4分で拍を数える', marks68 === '|..:..', '|..:..', marks68);
+test('  位置表示 (小節:拍:ステップ)', formatTransportPosition(2, 6, { timeSignature: '4/4', resolution: '1/16' }) === '3:2:3', '3:2:3', formatTransportPosition(2, 6, { timeSignature: '4/4', resolution: '1/16' }));
+
+// ========================================
+// 【13】slotCount.js のテスト
+// ========================================
+console.log('\n\n【13】slotCount.js のテスト\n');
+
+test('  スロット数は2〜16に収まる', clampSlotCount(1) === 2 && clampSlotCount(32) === 16 && clampSlotCount('8') === 8, '2 / 16 / 8', `${clampSlotCount(1)} / ${clampSlotCount(32)} / ${clampSlotCount('8')}`);
+const modeOptions6 = buildSlotModeOptions(6);
+test('  モード選択肢はスロット数から作られる', modeOptions6.length === 8 && modeOptions6[5] === 'Fixed (Slot 6)' && modeOptions6[6] === 'All', '8件 (..., Slot 6, All, Random)', modeOptions6.join(', '));
+test('  All / Random はスロット数に追従', migrateSlotMode('4', 4, 8) === 8 && migrateSlotMode(5, 4, 8) === 9, '8 / 9', `${migrateSlotMode('4', 4, 8)} / ${migrateSlotMode(5, 4, 8)}`);
+test('  無くなったスロットの固定モードはAllになる', migrateSlotMode(3, 4, 2) === 2 && migrateSlotMode(1, 4, 2) === 1, '2 / 1', `${migrateSlotMode(3, 4, 2)} / ${migrateSlotMode(1, 4, 2)}`);
+
+const migrationConfig = {
+    SEQUENCER_STEPS: 16,
+    MAX_PATTERN_LENGTH: 64,
+    PER_SLOT_CONTROL_SPECS: [{ id: 'volume', value: 0.7 }]
+};
+const oldState = {
+    globalControls: { slotMode: '4' },
+    perSlotControls: Array.from({ length: 4 }, () => ({ volume: 0.2 })),
+    sequencerPatterns: Array.from({ length: 4 }, () => Array(64).fill(false)),
+    patternLengths: [8, 8, 8, 8],
+    patternBank: [null, { patterns: [[true]], patternLengths: [4] }],
+    song: { enabled: false, rows: [{ pattern: 0, repeats: 1, tempo: null, slotMode: 5 }] },
+    slotSoloStatus: [false, false, false, true],
+    slotMuteStatus: [false, false, false, false],
+    knobLockStates: { 'volume-slot0': true, 'volume-slot3': true }
+};
+const grown = migrateControlState(oldState, 6, migrationConfig);
+test('  増えたスロットは初期値で追加', grown.perSlotControls[5].volume === 0.7 && grown.patternLengths[5] === 16 && grown.sequencerPatterns[5][0] === true, 'volume 0.7 / 16 steps / ON', `${grown.perSlotControls[5].volume} / ${grown.patternLengths[5]} / ${grown.sequencerPatterns[5][0]}`);
+test('  パターンバンクとソング行も移行', grown.patternBank[1].patternLengths.length === 6 && grown.song.rows[0].slotMode === 7 && grown.globalControls.slotMode === '6', '6 slots / Random=7 / All=6', `${grown.patternBank[1].patternLengths.length} / ${grown.song.rows[0].slotMode} / ${grown.globalControls.slotMode}`);
+const shrunk = migrateControlState(oldState, 2, migrationConfig);
+test('  減ったスロットは状態ごと削除', shrunk.perSlotControls.length === 2 && shrunk.slotSoloStatus.length === 2 && !('volume-slot3' in shrunk.knobLockStates) && shrunk.knobLockStates['volume-slot0'], '2 slots, slot4 lock removed', JSON.stringify(shrunk.knobLockStates));
+const fakeNode = (parent = null) => {
+    const node = { nodeType: 1, parent, listeners: 0 };
+    node.addEventListener = () => { node.listeners++; };
+    node.removeEventListener = () => { node.listeners--; };
+    node.contains = (other) => { for (let n = other; n; n = n.parent) { if (n === node) return true; } return false; };
+    return node;
+};
+const slotRoot = fakeNode();
+const slotKnob = fakeNode(slotRoot);
+const otherNode = fakeNode();
+const slotResources = new ResourceManager();
+[slotRoot, slotKnob, otherNode].forEach(node => slotResources.addEventListener(node, 'click', () => {}));
+slotResources.removeEventListenersWithin(slotRoot);
+test('  削除スロットのリスナーを解除', slotRoot.listeners === 0 && slotKnob.listeners === 0 && otherNode.listeners === 1 && slotResources.eventListeners.length === 1, '0 / 0 / 1', `${slotRoot.listeners} / ${slotKnob.listeners} / ${otherNode.listeners}`);
+test('  数字キーのスロット (Alt で 11〜)', getDigitSlot('Digit1', false) === 0 && getDigitSlot('Digit0', false) === 9 && getDigitSlot('Digit6', true) === 15 && getDigitSlot('KeyA', false) === -1, '0 / 9 / 15 / -1', `${getDigitSlot('Digit1', false)} / ${getDigitSlot('Digit0', false)} / ${getDigitSlot('Digit6', true)} / ${getDigitSlot('KeyA', false)}`);
+
+// ========================================
+// 【14】loopRegion.js のテスト
+// ========================================
+console.log('\n\n【14】loopRegion.js のテスト\n');
+
+const swapped = normalizeRegion({ start: 0.8, end: 0.2 });
+test('  開始と終了は並べ替える', swapped.start === 0.2 && swapped.end === 0.8, '0.2-0.8', `${swapped.start}-${swapped.end}`);
+const tiny = normalizeRegion({ start: 1, end: 1 });
+test('  最小幅を保つ', tiny.end - tiny.start >= 0.0099 && tiny.end <= 1, '>= 0.01', `${tiny.start}-${tiny.end}`);
+test('  ハンドルの判定', hitTestRegionHandle(0.26, { start: 0.25, end: 0.75 }, 0.02) === 'start' && hitTestRegionHandle(0.5, { start: 0.25, end: 0.75 }, 0.02) === null, 'start / null', `${hitTestRegionHandle(0.26, { start: 0.25, end: 0.75 }, 0.02)} / ${hitTestRegionHandle(0.5, { start: 0.25, end: 0.75 }, 0.02)}`);
+const draggedStart = dragRegion({ start: 0.25, end: 0.5 }, 'start', 0.9, 0.25);
+test('  開始ハンドルは終了を越えない', draggedStart.end === 0.5 && draggedStart.start < 0.5, 'end 0.5', `${draggedStart.start}-${draggedStart.end}`);
+const newRegion = dragRegion({ start: 0, end: 1 }, 'new', 0.2, 0.6);
+test('  ドラッグで新しい範囲', newRegion.start === 0.2 && newRegion.end === 0.6, '0.2-0.6', `${newRegion.start}-${newRegion.end}`);
+
+// ========================================
+// 【15】waveformPeaks.js のテスト
+// ========================================
+console.log('\n\n【15】waveformPeaks.js のテスト\n');
+
+const peakLeft = new Float32Array(1000).map((_, i) => Math.sin(i * 0.37) * 0.5);
+const peakRight = new Float32Array(1000);
+peakRight[700] = -0.9;
+const pyramid = buildPeakPyramid([peakLeft, peakRight], 16);
+test('  ピラミッドは1ブロックまで半分ずつ', pyramid.levels[0].min.length === 63 && pyramid.levels[1].blockSize === 32 && pyramid.levels[pyramid.levels.length - 1].min.length === 1, '63 blocks / 32 / 1', `${pyramid.levels[0].min.length} / ${pyramid.levels[1].blockSize} / ${pyramid.levels[pyramid.levels.length - 1].min.length}`);
+const topLevel = pyramid.levels[pyramid.levels.length - 1];
+test('  全チャンネルの最小値を保持', Math.abs(topLevel.min[0] + 0.9) < 1e-6, -0.9, topLevel.min[0]);
+const pyramidColumns = getPeakColumns(pyramid, [peakLeft, peakRight], 0, 1000, 10);
+const rawColumns = getPeakColumns({ length: 1000, levels: [] }, [peakLeft, peakRight], 0, 1000, 10);
+test('  ピラミッドと生データの列が一致', pyramidColumns.min[7] === rawColumns.min[7] && Math.abs(pyramidColumns.max[3] - rawColumns.max[3]) < 0.05, `${rawColumns.min[7]} / ${rawColumns.max[3]}`, `${pyramidColumns.min[7]} / ${pyramidColumns.max[3]}`);
+test('  バッファの外の列は無音', getPeakColumns(pyramid, [peakLeft, peakRight], 900, 1100, 4).max[3] === 0, 0, getPeakColumns(pyramid, [peakLeft, peakRight], 900, 1100, 4).max[3]);
+
+// ========================================
+// 【16】grainActivity.js / spectrogram.js のテスト
+// ========================================
+console.log('\n\n【16】grainActivity.js / spectrogram.js のテスト\n');
+
+test('  ピッチの色相 (原音 / 1oct上 / 1oct下)', getGrainHue(1) === 120 && getGrainHue(2) === 0 && getGrainHue(0.5) === 240, '120 / 0 / 240', `${getGrainHue(1)} / ${getGrainHue(2)} / ${getGrainHue(0.5)}`);
+test('  開始前のグレインは非表示、時間で減衰', getGrainAlpha(1.2, 1.0) === 0 && Math.abs(getGrainAlpha(1.0, 1.3, 0.6) - 0.5) < 1e-9, '0 / 0.5', `${getGrainAlpha(1.2, 1.0)} / ${getGrainAlpha(1.0, 1.3, 0.6)}`);
+const prunedGrains = pruneGrainActivity([{ time: 0 }, { time: 0.9 }, { time: 1.5 }], 1.0, 0.6);
+test('  消えたグレインを削除 (予約中は残す)', prunedGrains.length === 2 && prunedGrains[0].time === 0.9, 2, prunedGrains.length);
+
+const sineBin = 32;
+const spectrumSine = Float32Array.from({ length: 4096 }, (_, i) => Math.sin((2 * Math.PI * sineBin * i) / 512));
+const sineFrames = computeSpectrogram([spectrumSine], 0, 4096, 4, 512);
+const peakBin = sineFrames[1].indexOf(Math.max(...sineFrames[1]));
+test('  正弦波のピークビン', peakBin === sineBin && sineFrames[1][peakBin] > 0.95, sineBin, `${peakBin} (${sineFrames[1][peakBin].toFixed(3)})`);
+const silentFrames = computeSpectrogram([new Float32Array(2048)], 0, 2048, 2, 512);
+test('  無音はレベル0', Math.max(...silentFrames[0]) === 0, 0, Math.max(...silentFrames[0]));
+test('  カラーランプの両端', getSpectrogramColor(0).join(',') === '0,0,0' && getSpectrogramColor(1).join(',') === '255,255,255', '0,0,0 / 255,255,255', `${getSpectrogramColor(0)} / ${getSpectrogramColor(1)}`);
+
+// ========================================
+// 【17】channelModes.js のテスト
+// ========================================
+console.log('\n\n【17】channelModes.js のテスト\n');
+
+test('  ステレオは全チャンネル', getGrainChannel(0, 2) === null, null, getGrainChannel(0, 2));
+test('  L / R のみ', getGrainChannel(1, 2) === 0 && getGrainChannel(2, 2) === 1, '0 / 1', `${getGrainChannel(1, 2)} / ${getGrainChannel(2, 2)}`);
+test('  ランダムはグレインごとに選択', getGrainChannel(3, 2, () => 0.2) === 0 && getGrainChannel(3, 2, () => 0.7) === 1, '0 / 1', `${getGrainChannel(3, 2, () => 0.2)} / ${getGrainChannel(3, 2, () => 0.7)}`);
+let monoDraws = 0;
+test('  モノラルはそのまま (乱数を消費しない)', getGrainChannel(3, 1, () => { monoDraws++; return 0.7; }) === null && monoDraws === 0, 'null / 0 draws', `${getGrainChannel(3, 1)} / ${monoDraws}`);
+
+// ========================================
+// 【18】samplePreprocess.js のテスト
+// ========================================
+console.log('\n\n【18】samplePreprocess.js のテスト\n');
+
+const prepSettings = normalizePreprocessSettings({ trimThresholdDb: -200, normalizeMode: 'max', fadeInMs: 'x' });
+test('  設定の範囲外は補正', prepSettings.trimThresholdDb === -96 && prepSettings.normalizeMode === 'peak' && prepSettings.fadeInMs === 0 && prepSettings.trim === true, '-96 / peak / 0 / trim', `${prepSettings.trimThresholdDb} / ${prepSettings.normalizeMode} / ${prepSettings.fadeInMs} / ${prepSettings.trim}`);
+
+const loudnessSine = Float32Array.from({ length: 96000 }, (_, i) => Math.sin((2 * Math.PI * 997 * i) / 48000));
+const sineLoudness = measureLoudness([loudnessSine], 48000);
+test('  0dBFS 997Hz 正弦波は -3.01 LUFS', Math.abs(sineLoudness + 3.01) < 0.05, -3.01, sineLoudness.toFixed(3));
+test('  無音のラウドネスは -Infinity', measureLoudness([new Float32Array(48000)], 48000) === -Infinity, -Infinity, measureLoudness([new Float32Array(48000)], 48000));
+
+const rmsSine = Float32Array.from({ length: 4800 }, (_, i) => 0.1 * Math.sin(i * 0.05));
+const rmsGain = normalizeChannels([rmsSine], 'rms', 0, 48000);
+test('  RMS 正規化はピークを超えない', Math.abs(rmsGain - 10) < 0.01, 10, rmsGain.toFixed(3));
+
+const preRolled = trimChannels([Float32Array.from([0, 0, 0, 0, 0.5, 0.2, 0, 0])], -40, 2);
+test('  トリムはプリロールを残す', preRolled[0].length === 4 && preRolled[0][2] === 0.5, '4 samples', preRolled[0].length);
+test('  リサンプルの長さ', resampleChannels([new Float32Array(441)], 44100, 48000)[0].length === 480, 480, resampleChannels([new Float32Array(441)], 44100, 48000)[0].length);
+
+const prepSource = [Float32Array.from({ length: 100 }, () => 0.25), Float32Array.from({ length: 100 }, () => 0.75)];
+const prepped = preprocessChannels(prepSource, 1000, { mono: true, removeDc: true, trim: false, normalizeMode: 'off' });
+test('  モノラル化と DC 除去', prepped.channels.length === 1 && Math.abs(prepped.channels[0][50]) < 1e-6, '1ch / 0', `${prepped.channels.length}ch / ${prepped.channels[0][50]}`);
+const faded = preprocessChannels(prepSource, 1000, { trim: false, normalizeMode: 'peak', normalizeTargetDb: -6, fadeInMs: 10, fadeOutMs: 10 });
+test('  フェードとピーク正規化', faded.channels[1][0] === 0 && faded.channels[1][faded.channels[1].length - 1] === 0 && Math.abs(faded.channels[1][50] - 0.501) < 0.001, '0 / 0 / 0.501', `${faded.channels[1][0]} / ${faded.channels[1][99]} / ${faded.channels[1][50].toFixed(3)}`);
+test('  元のデータは変更しない', prepSource[0][0] === 0.25 && prepSource[1][50] === 0.75, '0.25 / 0.75', `${prepSource[0][0]} / ${prepSource[1][50]}`);
+
+// ========================================
+// 【19】sampleEdits.js のテスト
+// ========================================
+console.log('\n\n【19】sampleEdits.js のテスト\n');
+
+const editSource = [Float32Array.from([1, 2, 3, 4, 5, 6, 7, 8]), Float32Array.from([-1, -2, -3, -4, -5, -6, -7, -8])];
+const cropped = applySampleEdit(editSource, { type: 'crop', start: 0.25, end: 0.75 });
+test('  クロップは範囲だけ残す', cropped[0].length === 4 && cropped[0][0] === 3 && cropped[1][3] === -6, '[3..6]', Array.from(cropped[0]).join(','));
+const reversed = applySampleEdit(editSource, { type: 'reverse', start: 0, end: 0.5 });
+test('  範囲の反転', Array.from(reversed[0]).join(',') === '4,3,2,1,5,6,7,8' && reversed[1][0] === -4, '4,3,2,1,5,6,7,8', Array.from(reversed[0]).join(','));
+const rightReversed = applySampleEdit(editSource, { type: 'reverseChannel', start: 0, end: 1, channel: 1 });
+test('  チャンネル単位の反転', rightReversed[0][0] === 1 && rightReversed[1][0] === -8, '1 / -8', `${rightReversed[0][0]} / ${rightReversed[1][0]}`);
+const silenced = applySampleEdit(editSource, { type: 'silence', start: 0.5, end: 1 });
+test('  範囲の無音化', silenced[0][3] === 4 && silenced[0][4] === 0 && silenced[1][7] === 0, '4 / 0 / 0', `${silenced[0][3]} / ${silenced[0][4]} / ${silenced[1][7]}`);
+const pitched = applySampleEdit([new Float32Array(400)], { type: 'pitch', start: 0.5, end: 1, semitones: 12 });
+test('  ピッチアップで範囲が短くなる', pitched[0].length === 300, 300, pitched[0].length);
+// 長さが変わる編集 (クロップ / ピッチ) ではループ範囲とスライスマーカーを破棄する
+test('  ピッチ編集でマーカーを破棄', changesSampleLength({ type: 'pitch', semitones: 12 }), true, changesSampleLength({ type: 'pitch', semitones: 12 }));
+const lengthMismatches = SAMPLE_EDIT_TYPES.filter(({ id }) => {
+    const op = { type: id, start: 0.25, end: 0.75, semitones: 7 };
+    return changesSampleLength(op) !== (applySampleEdit(editSource, op)[0].length !== editSource[0].length);
+}).map(({ id }) => id);
+test('  長さが変わる編集だけをリセット対象にする', lengthMismatches.length === 0, '', lengthMismatches.join(','));
+test('  元のデータは変更しない', editSource[0][0] === 1 && editSource[1][7] === -8, '1 / -8', `${editSource[0][0]} / ${editSource[1][7]}`);
+
+const editHistory = new SampleEditHistory();
+editHistory.push({ type: 'crop', start: 0, end: 0.5 });
+editHistory.push({ type: 'reverse', start: 0, end: 1 });
+editHistory.undo();
+test('  アンドゥで編集を戻す', applySampleEdits(editSource, editHistory.getOperations())[0].join(',') === '1,2,3,4' && editHistory.canRedo(), '1,2,3,4 / redo', applySampleEdits(editSource, editHistory.getOperations())[0].join(','));
+editHistory.redo();
+test('  リドゥで編集をやり直す', applySampleEdits(editSource, editHistory.getOperations())[0].join(',') === '4,3,2,1' && !editHistory.canRedo(), '4,3,2,1', applySampleEdits(editSource, editHistory.getOperations())[0].join(','));
+
+// ========================================
+// 【20】sliceMarkers.js のテスト
+// ========================================
+console.log('\n\n【20】sliceMarkers.js のテスト\n');
+
+// 0.25 / 0.6 / 0.75 秒に減衰するノイズのヒット (決定的な乱数)
+const onsetRate = 8000;
+const onsetHits = [0.25, 0.6, 0.75];
+let onsetSeed = 7;
+const onsetNoise = () => ((onsetSeed = (onsetSeed * 1103515245 + 12345) % 2147483648) / 2147483648) * 2 - 1;
+const onsetData = new Float32Array(onsetRate);
+onsetHits.forEach(time => {
+    const start = Math.round(time * onsetRate);
+    for (let i = 0; i < onsetRate * 0.1; i++) {
+        onsetData[start + i] += onsetNoise() * Math.exp(-i / (onsetRate * 0.02));
+    }
+});
+const onsets = detectOnsets([onsetData, onsetData], onsetRate);
+test('  オンセットを検出', onsets.length === 3 && onsets.every((position, i) => Math.abs(position - onsetHits[i]) < 0.005), '0.25, 0.6, 0.75', onsets.map(position => position.toFixed(3)).join(', '));
+test('  無音ではマーカーなし', detectOnsets([new Float32Array(4000)], onsetRate).length === 0, 0, detectOnsets([new Float32Array(4000)], onsetRate).length);
+
+const sliceMarkers = normalizeSliceMarkers([0.5, 0.25, 0, 1, 0.2501, NaN]);
+test('  マーカーの正規化', sliceMarkers.join(',') === '0.25,0.5', '0.25,0.5', sliceMarkers.join(','));
+const lastSlice = getSliceRegion(sliceMarkers, 2);
+test('  スライスの範囲', lastSlice.start === 0.5 && lastSlice.end === 1 && getSliceRegion(sliceMarkers, 3).end === 0.25, '0.5-1 / 折り返し', `${lastSlice.start}-${lastSlice.end}`);
+test('  スライスなしはループ範囲', getSliceRegion(sliceMarkers, -1) === null && getSliceRegion([], 0) === null, 'null', 'region');
+test('  マーカーのヒットテスト', hitTestSliceMarker(0.49, sliceMarkers, 0.02) === 1 && hitTestSliceMarker(0.4, sliceMarkers, 0.02) === -1, '1 / -1', `${hitTestSliceMarker(0.49, sliceMarkers, 0.02)} / ${hitTestSliceMarker(0.4, sliceMarkers, 0.02)}`);
+test('  ドラッグは隣のマーカーを越えない', moveSliceMarker(sliceMarkers, 1, 0.1)[1] > 0.25, '> 0.25', moveSliceMarker(sliceMarkers, 1, 0.1)[1]);
+
+console.log('\n▶ サンプル差し替え時のスライスマーカー:');
+const fakeBuffer = (length) => {
+    const data = new Float32Array(length).fill(0.5);
+    return { numberOfChannels: 1, sampleRate: 8000, length, duration: length / 8000, getChannelData: () => data, copyToChannel: () => {} };
+};
+const loaderState = {
+    sourceBuffers: [null],
+    audioBuffers: [null],
+    preprocessSettings: [{ trim: false, normalizeMode: 'off' }],
+    sampleEditHistories: [new SampleEditHistory()],
+    sliceMarkers: [[0.25, 0.5]],
+    waveformRenderers: [{ invalidateCache: () => {}, drawWaveform: () => {} }]
+};
+const fileLoader = new FileLoaderController({ SLOTS: 1 }, { getElementById: () => ({ textContent: '' }) },
+    { sampleRate: 8000, createBuffer: (channels, length) => fakeBuffer(length) }, loaderState, {
+        saveCurrentState: () => {},
+        updateUI: () => {},
+        clearSliceMarkers: (slot) => { loaderState.sliceMarkers[slot] = []; }
+    });
+fileLoader.assignBufferToSlot(fakeBuffer(800), 0, 'loop.wav');
+test('  読み込みで古いマーカーを破棄', loaderState.sliceMarkers[0].length === 0 && loaderState.audioBuffers[0].length === 800, '[] / 800', `${JSON.stringify(loaderState.sliceMarkers[0])} / ${loaderState.audioBuffers[0].length}`);
+const shuffleHandles = (seed) => new FileLoaderController({ SLOTS: 1 }, null, null, loaderState, {},
+    new RandomSource(seed).stream(RANDOM_STREAMS.FILE_LOAD))._shuffleFileHandles(['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']).join('');
+test('  同じシードでフォルダ読み込みの割り当てが再現', shuffleHandles(42) === shuffleHandles(42), shuffleHandles(42), shuffleHandles(42));
+test('  別のシードでは別の割り当て', shuffleHandles(42) !== shuffleHandles(43), `!= ${shuffleHandles(42)}`, shuffleHandles(43));
+
 // ========================================
 // テスト結果サマリー
 // ========================================